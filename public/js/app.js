@@ -9,12 +9,31 @@ const state = {
   searchPage: 1,
   searchResults: [],
   searchTotal: 0,
+  searchFilters: {},
+  searchSource: '',
+  searchSort: '',
+  sources: [],
+  conversions: [],
+  devices: [],
   libraryFilter: '',
+  shelves: [],
+  smartShelf: null,
   libraryBooks: [],
   libraryTotal: 0,
+  // Authors & Series page: the list (`kind`, `filter`) or one author / series (`view`)
+  browse: { kind: 'authors', filter: '', view: null, page: 1 },
+  browseBooks: [],
   downloads: [],
   downloadsTotal: 0,
+  // Background jobs by id, kept current by the /api/jobs/events stream; watched ones were
+  // started here and are saved (downloads) or reported (sends) when they finish
+  jobs: {},
+  watchedJobs: [],
+  jobEvents: null,
   auth: { source: 'Library Genesis' },
+  user: null,
+  accounts: false,
+  loginMode: 'login',
   mirrors: [],
   proxy: { enabled: false, type: null },
   stats: {},
@@ -24,7 +43,12 @@ const state = {
 const API = {
   async get(url) {
     const res = await fetch(url);
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    if (res.status === 401) showLogin();
+    if (!res.ok) {
+      // Prefer the server's message (e.g. a search syntax error)
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `${res.status} ${res.statusText}`);
+    }
     return res.json();
   },
   async post(url, body = {}) {
@@ -33,6 +57,21 @@ const API = {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body),
     });
+    if (res.status === 401 && !url.startsWith('/api/auth/')) showLogin();
+    return res.json();
+  },
+  async put(url, body = {}) {
+    const res = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) showLogin();
+    return res.json();
+  },
+  async del(url) {
+    const res = await fetch(url, { method: 'DELETE' });
+    if (res.status === 401) showLogin();
     return res.json();
   },
 };
@@ -68,7 +107,9 @@ function navigate(page) {
 
   // Load data for page
   if (page === 'library') loadLibrary();
+  if (page === 'browse') loadBrowse();
   if (page === 'downloads') loadDownloads();
+  if (page === 'stats') loadReadingStats();
   if (page === 'settings') loadSettings();
 }
 
@@ -86,21 +127,34 @@ async function doSearch(query, page = 1) {
   const status = document.getElementById('searchStatus');
   const pagination = document.getElementById('searchPagination');
 
+  const facetsDiv = document.getElementById('searchFacets');
+
   status.classList.remove('hidden');
   status.innerHTML = `<span class="spinner"></span> Searching "${escHtml(query)}"...`;
   grid.innerHTML = '';
   pagination.classList.add('hidden');
 
+  const filterParams = Object.entries(state.searchFilters)
+    .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+    .join('');
+
+  const sourceParam = state.searchSource ? `&source=${encodeURIComponent(state.searchSource)}` : '';
+  const sortParam = state.searchSort ? `&sort=${state.searchSort}` : '';
+
   try {
-    const data = await API.get(`/api/search?q=${encodeURIComponent(query)}&page=${page}`);
+    const data = await API.get(`/api/search?q=${encodeURIComponent(query)}&page=${page}${filterParams}${sourceParam}${sortParam}`);
     state.searchResults = data.books || [];
+    renderFacets(facetsDiv, data.facets || []);
 
     if (state.searchResults.length === 0) {
-      status.textContent = `No results found for "${query}"`;
+      status.textContent = data.unfilteredCount
+        ? `No results on page ${page} match the selected filters (${data.unfilteredCount} unfiltered)`
+        : `No results found for "${query}"`;
       return;
     }
 
-    status.textContent = `Found ${state.searchResults.length} results for "${query}" (page ${page})`;
+    const filteredNote = data.unfilteredCount > data.count ? ` of ${data.unfilteredCount}` : '';
+    status.textContent = `Found ${state.searchResults.length}${filteredNote} results for "${query}" (page ${page})`;
     renderBookGrid(grid, state.searchResults);
 
     // Pagination
@@ -108,7 +162,7 @@ async function doSearch(query, page = 1) {
     pagination.innerHTML = `
       <button ${page <= 1 ? 'disabled' : ''} onclick="doSearch('${escAttr(query)}', ${page - 1})">← Previous</button>
       <span style="padding:8px 16px;color:var(--text-muted)">Page ${page}</span>
-      <button ${state.searchResults.length < 10 ? 'disabled' : ''} onclick="doSearch('${escAttr(query)}', ${page + 1})">Next →</button>
+      <button ${(data.unfilteredCount || 0) < 10 ? 'disabled' : ''} onclick="doSearch('${escAttr(query)}', ${page + 1})">Next →</button>
     `;
   } catch (err) {
     status.textContent = `Search failed: ${err.message}`;
@@ -116,22 +170,74 @@ async function doSearch(query, page = 1) {
   }
 }
 
+function renderFacets(container, facets) {
+  const groups = facets.filter((g) => g.values.length > 0);
+  if (groups.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+
+  container.classList.remove('hidden');
+  container.innerHTML = groups.map((g) => `
+    <div class="facet-group">
+      <span class="facet-title">${escHtml(g.title)}</span>
+      ${g.values.map((v) => `
+        <button class="facet-chip ${v.active ? 'active' : ''}" onclick="toggleFacet('${escAttr(g.key)}', '${escAttr(v.value)}')">
+          ${escHtml(v.label)} <span class="facet-count">${v.count}</span>
+        </button>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
+function toggleFacet(key, value) {
+  if (state.searchFilters[key] === value) {
+    delete state.searchFilters[key];
+  } else {
+    state.searchFilters[key] = value;
+  }
+  doSearch(state.searchQuery, 1);
+}
+
+async function loadSources() {
+  try {
+    const data = await API.get('/api/sources');
+    state.sources = data.sources || [];
+    const select = document.getElementById('sourceSelect');
+    select.innerHTML = state.sources.map((src) =>
+      `<option value="${escHtml(src.name)}" ${src.default ? 'selected' : ''}>${escHtml(src.title)}</option>`
+    ).join('');
+    select.classList.toggle('hidden', state.sources.length < 2);
+  } catch (err) { /* ignore */ }
+}
+
+/** Formats the server converts downloads to (src/convert) */
+async function loadConversions() {
+  try {
+    state.conversions = (await API.get('/api/conversions')).conversions || [];
+  } catch (err) { /* ignore */ }
+}
+
 // ══════════════════════════════════════════════════════════════
 //  LIBRARY
 // ══════════════════════════════════════════════════════════════
 
-async function loadLibrary(status = state.libraryFilter) {
-  state.libraryFilter = status;
+/** `shelfId` is '' for the whole library, a built-in shelf (status) or a custom shelf id */
+async function loadLibrary(shelfId = state.libraryFilter) {
   const grid = document.getElementById('libraryBooks');
   const empty = document.getElementById('libraryEmpty');
 
-  // Update tabs
-  document.querySelectorAll('#page-library .tab').forEach((t) => {
-    t.classList.toggle('active', t.dataset.status === status);
-  });
-
   try {
-    const url = status ? `/api/library?status=${status}` : '/api/library';
+    await loadShelves();
+    const shelf = findShelf(shelfId);
+    state.libraryFilter = shelf ? String(shelf.id) : '';
+    renderShelfTabs();
+    renderShelfActions(shelf);
+
+    let url = '/api/library';
+    if (shelf && shelf.builtin) url = `/api/library?status=${encodeURIComponent(shelf.id)}`;
+    else if (shelf) url = `/api/shelves/${shelf.id}/books`;
     const data = await API.get(url);
     state.libraryBooks = data.books || [];
     state.libraryTotal = data.total || 0;
@@ -142,12 +248,446 @@ async function loadLibrary(status = state.libraryFilter) {
     } else {
       empty.classList.add('hidden');
       renderBookGrid(grid, state.libraryBooks, true);
+      // Custom shelves keep a manual order: drop a book on another to move it there
+      if (shelf && !shelf.builtin && !shelf.readOnly && !shelf.smart) {
+        grid.querySelectorAll('.book-card').forEach((card, index) => {
+          card.addEventListener('dragover', (e) => e.preventDefault());
+          card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            moveBookOnShelf(shelf.id, e.dataTransfer.getData('text/plain'), index);
+          });
+        });
+      }
     }
   } catch (err) {
     toast('Failed to load library: ' + err.message, 'error');
   }
 }
 
+let librarySearchTimer = null;
+
+/** Offline full-text search over the local catalog; an empty box goes back to the shelf */
+function searchLibrary(query) {
+  clearTimeout(librarySearchTimer);
+  librarySearchTimer = setTimeout(async () => {
+    if (!query.trim()) return loadLibrary();
+    const grid = document.getElementById('libraryBooks');
+    try {
+      const data = await API.get(`/api/library/search?q=${encodeURIComponent(query)}&limit=60`);
+      state.libraryBooks = data.books || [];
+      state.libraryTotal = data.total || 0;
+      document.getElementById('shelfActions').classList.add('hidden');
+      document.getElementById('libraryEmpty').classList.add('hidden');
+      if (state.libraryBooks.length === 0) {
+        grid.innerHTML = `<p class="text-muted">No books match "${escHtml(query)}".</p>`;
+      } else {
+        renderBookGrid(grid, state.libraryBooks, true);
+      }
+    } catch (err) {
+      toast('Library search failed: ' + err.message, 'error');
+    }
+  }, 250);
+}
+
+// ══════════════════════════════════════════════════════════════
+//  AUTHORS & SERIES
+// ══════════════════════════════════════════════════════════════
+
+function loadBrowse() {
+  if (state.browse.view) return loadBrowseView();
+  return loadBrowseList();
+}
+
+async function loadBrowseList() {
+  const { kind, filter } = state.browse;
+  document.querySelectorAll('#browseTabs .tab').forEach((t) => t.classList.toggle('active', t.dataset.kind === kind));
+  document.getElementById('browseHeader').classList.add('hidden');
+  document.getElementById('browseBooks').innerHTML = '';
+  document.getElementById('browsePagination').classList.add('hidden');
+  const list = document.getElementById('browseList');
+
+  try {
+    const data = await API.get(`/api/${kind}?q=${encodeURIComponent(filter)}&limit=200`);
+    const items = data[kind] || [];
+    const open = kind === 'authors' ? 'openAuthor' : 'openSeries';
+    list.innerHTML = items.length
+      ? items.map((item) => `
+        <button class="browse-row" onclick="${open}(${item.id})">
+          <span>${escHtml(item.name)}</span>
+          <span class="text-muted">${item.works} work${item.works === 1 ? '' : 's'}</span>
+        </button>`).join('') + (data.total > items.length ? `<p class="text-muted">${data.total - items.length} more — filter to narrow down</p>` : '')
+      : `<p class="text-muted">${filter ? `Nothing matches "${escHtml(filter)}".` : 'Search for books to fill the catalog.'}</p>`;
+  } catch (err) {
+    toast(`Failed to load ${kind}: ${err.message}`, 'error');
+  }
+}
+
+/** One author (their series and books) or one series (its books in order) */
+async function loadBrowseView() {
+  const { kind, id } = state.browse.view;
+  const { page } = state.browse;
+  document.getElementById('browseList').innerHTML = '';
+  const header = document.getElementById('browseHeader');
+  const pagination = document.getElementById('browsePagination');
+
+  try {
+    const data = await API.get(`/api/${kind === 'author' ? 'authors' : 'series'}/${id}?page=${page}`);
+    state.browseBooks = data.books || [];
+    const back = `<button class="btn" onclick="closeBrowseView()">← All ${kind === 'author' ? 'authors' : 'series'}</button>`;
+
+    if (kind === 'author') {
+      const { author } = data;
+      const others = author.aliases.filter((a) => a !== author.name);
+      const canMerge = !state.accounts || (state.user && state.user.isAdmin);
+      header.innerHTML = `
+        ${back}
+        <h3>${escHtml(author.name)}</h3>
+        <div class="text-muted">${author.works} work${author.works === 1 ? '' : 's'}${others.length ? ` · also credited as ${others.map(escHtml).join('; ')}` : ''}</div>
+        <div class="action-group">
+          ${author.series.map((s) => `<button class="btn" onclick="openSeries(${s.id})">📚 ${escHtml(s.name)} (${s.works})</button>`).join('')}
+          ${canMerge ? `<button class="btn" onclick="mergeAuthor(${author.id}, '${escAttr(author.name)}')">Merge into…</button>` : ''}
+        </div>`;
+    } else {
+      const { series } = data;
+      header.innerHTML = `
+        ${back}
+        <h3>${escHtml(series.name)}</h3>
+        <div class="text-muted">${series.works} work${series.works === 1 ? '' : 's'}${series.authors.length ? ' by ' : ''}
+          ${series.authors.map((a) => `<a href="#" class="author-link" onclick="openAuthor(${a.id}); return false;">${escHtml(a.name)}</a>`).join(', ')}
+        </div>`;
+    }
+    header.classList.remove('hidden');
+    renderBookGrid(document.getElementById('browseBooks'), state.browseBooks);
+
+    const lastPage = Math.max(1, Math.ceil(data.total / data.perPage));
+    pagination.classList.toggle('hidden', lastPage === 1);
+    pagination.innerHTML = `
+      <button ${page <= 1 ? 'disabled' : ''} onclick="browsePage(${page - 1})">← Previous</button>
+      <span style="padding:8px 16px;color:var(--text-muted)">Page ${page} of ${lastPage}</span>
+      <button ${page >= lastPage ? 'disabled' : ''} onclick="browsePage(${page + 1})">Next →</button>
+    `;
+  } catch (err) {
+    toast(`Failed to load ${kind}: ${err.message}`, 'error');
+  }
+}
+
+function openAuthor(id) {
+  closeModal();
+  state.browse.view = { kind: 'author', id };
+  state.browse.page = 1;
+  navigate('browse');
+}
+
+function openSeries(id) {
+  closeModal();
+  state.browse.view = { kind: 'series', id };
+  state.browse.page = 1;
+  navigate('browse');
+}
+
+function closeBrowseView() {
+  state.browse.view = null;
+  loadBrowseList();
+}
+
+function browsePage(page) {
+  state.browse.page = page;
+  loadBrowseView();
+}
+
+/** Fold a duplicate author into another one picked by name (admin) */
+async function mergeAuthor(id, name) {
+  const target = prompt(`Merge "${name}" into which author? Type their name:`);
+  if (!target || !target.trim()) return;
+  try {
+    const { authors } = await API.get(`/api/authors?q=${encodeURIComponent(target.trim())}&limit=10`);
+    const candidates = authors.filter((a) => a.id !== id);
+    const into = candidates.find((a) => a.name.toLowerCase() === target.trim().toLowerCase())
+      || (candidates.length === 1 ? candidates[0] : null);
+    if (!into) {
+      toast(candidates.length ? 'Several authors match — type the full name' : 'No author matches', 'error');
+      return;
+    }
+    if (!confirm(`Merge "${name}" into "${into.name}"?`)) return;
+    const result = await API.post(`/api/authors/${id}/merge`, { into: into.id });
+    if (!result.success) throw new Error(result.error);
+    toast(`Merged into ${into.name}`, 'success');
+    openAuthor(into.id);
+  } catch (err) {
+    toast('Merge failed: ' + err.message, 'error');
+  }
+}
+
+/** Author names as links to their pages (plain text when the book isn't indexed yet) */
+function authorLinks(book) {
+  const authors = book.related && book.related.authors;
+  if (!authors || !authors.length) return escHtml(book.author);
+  return authors.map((a) => `<a href="#" class="author-link" onclick="event.stopPropagation(); openAuthor(${a.id}); return false;">${escHtml(a.name)}</a>`).join(', ');
+}
+
+/** "Series #n" link, '' when the book isn't in a known series */
+function seriesLink(book) {
+  const series = book.related && book.related.series;
+  if (!series) return '';
+  return `<a href="#" class="series-link" onclick="event.stopPropagation(); openSeries(${series.id}); return false;">${escHtml(series.name)}${series.index !== null ? ` #${series.index}` : ''}</a>`;
+}
+
+// ── Shelves ──────────────────────────────────────────────────
+
+async function loadShelves() {
+  const data = await API.get('/api/shelves');
+  state.shelves = data.shelves || [];
+}
+
+function findShelf(id) {
+  return id ? state.shelves.find((s) => String(s.id) === String(id)) || null : null;
+}
+
+function renderShelfTabs() {
+  const tab = (id, label, droppable) => `
+    <button class="tab ${state.libraryFilter === String(id) ? 'active' : ''}" onclick="loadLibrary('${escAttr(String(id))}')"
+      ${droppable ? `ondragover="shelfDragOver(event)" ondragleave="this.classList.remove('drop-target')" ondrop="dropOnShelf(event, '${escAttr(String(id))}')"` : ''}>${label}</button>`;
+
+  document.getElementById('shelfTabs').innerHTML = [
+    tab('', 'All', false),
+    ...state.shelves
+      .filter((s) => !s.builtin || s.root !== false)
+      .map((s) => tab(s.id, `${'› '.repeat(s.depth)}${s.smart ? '⚡ ' : ''}${escHtml(s.name)}${s.readOnly ? ' 🔗' : ''}`, !s.readOnly && !s.smart)),
+    '<button class="tab tab-add" onclick="createShelf()">+ New Shelf</button>',
+    '<button class="tab tab-add" onclick="openSmartShelf()">+ Smart Shelf</button>',
+  ].join('');
+}
+
+function renderShelfActions(shelf) {
+  const bar = document.getElementById('shelfActions');
+  if (!shelf || shelf.builtin) {
+    bar.classList.add('hidden');
+    return;
+  }
+  bar.classList.remove('hidden');
+  if (shelf.readOnly) {
+    bar.innerHTML = `<span class="text-muted">Shared by ${escHtml(shelf.owner || 'another reader')} — read-only</span>`;
+    return;
+  }
+  bar.innerHTML = `
+    ${shelf.smart ? `<code class="text-muted">${escHtml(shelf.query)}</code>` : ''}
+    ${shelf.description ? `<span class="text-muted">${escHtml(shelf.description)}</span>` : ''}
+    ${shelf.smart ? `<button class="btn" onclick="openSmartShelf(${shelf.id})">Edit Rules</button>` : ''}
+    <button class="btn" onclick="createShelf(${shelf.id})">+ Sub-shelf</button>
+    <button class="btn" onclick="renameShelf(${shelf.id})">Rename</button>
+    <button class="btn" onclick="toggleShelfShared(${shelf.id})">${shelf.shared ? '🔗 Shared — Stop Sharing' : 'Share with Other Readers'}</button>
+    <button class="btn btn-danger" onclick="deleteShelf(${shelf.id})">Delete</button>
+  `;
+}
+
+async function createShelf(parentId = null) {
+  const name = prompt(parentId ? 'Name of the new sub-shelf' : 'Name of the new shelf');
+  if (!name) return;
+  const data = await API.post('/api/shelves', { name, parentId });
+  if (!data.success) return toast(data.error || 'Could not create shelf', 'error');
+  toast(`Created "${data.shelf.name}"`, 'success');
+  loadLibrary(data.shelf.id);
+}
+
+async function renameShelf(id) {
+  const shelf = findShelf(id);
+  const name = prompt('Shelf name', shelf ? shelf.name : '');
+  if (!name) return;
+  const data = await API.put(`/api/shelves/${id}`, { name });
+  if (!data.success) return toast(data.error || 'Could not rename shelf', 'error');
+  loadLibrary(id);
+}
+
+async function toggleShelfShared(id) {
+  const shelf = findShelf(id);
+  const data = await API.put(`/api/shelves/${id}`, { shared: !shelf.shared });
+  if (!data.success) return toast(data.error || 'Could not update shelf', 'error');
+  toast(data.shelf.shared ? 'Other readers can now browse this shelf' : 'Shelf is private again', 'info');
+  loadLibrary(id);
+}
+
+async function deleteShelf(id) {
+  const shelf = findShelf(id);
+  if (!confirm(`Delete "${shelf ? shelf.name : 'this shelf'}" and its sub-shelves? The books stay in your library.`)) return;
+  const data = await API.del(`/api/shelves/${id}`);
+  if (!data.success) return toast(data.error || 'Could not delete shelf', 'error');
+  loadLibrary('');
+}
+
+// ── Smart Shelves ────────────────────────────────────────────
+
+// Rule editor fields; the query language itself is documented in src/smartquery.js
+const SMART_FIELDS = [
+  { value: 'language', label: 'Language', type: 'text' },
+  { value: 'extension', label: 'Format', type: 'text' },
+  { value: 'title', label: 'Title', type: 'text' },
+  { value: 'author', label: 'Author', type: 'text' },
+  { value: 'publisher', label: 'Publisher', type: 'text' },
+  { value: 'origin', label: 'Origin', type: 'text' },
+  { value: 'year', label: 'Year', type: 'number' },
+  { value: 'rating', label: 'Rating', type: 'number' },
+  { value: 'progress', label: 'Progress (0–1)', type: 'number' },
+  { value: 'status', label: 'Shelf', type: 'status' },
+  { value: 'untouched', label: 'Untouched for', type: 'days' },
+  { value: 'added', label: 'Added within', type: 'days' },
+];
+const SMART_OPERATORS = {
+  text: [['=', 'is'], ['!=', 'is not'], ['~', 'contains']],
+  number: [['=', '='], ['!=', '≠'], ['<', '<'], ['<=', '≤'], ['>', '>'], ['>=', '≥']],
+  status: [['=', 'is on'], ['!=', 'is not on']],
+  days: [['', 'days']],
+};
+
+let smartPreviewTimer = null;
+
+/** Open the rule editor for a new smart shelf, or for an existing one by id */
+function openSmartShelf(id = null) {
+  const shelf = id ? findShelf(id) : null;
+  state.smartShelf = { id, base: shelf ? shelf.query : '' };
+  document.getElementById('smartShelfTitle').textContent = shelf ? `Edit "${shelf.name}"` : 'New Smart Shelf';
+  document.getElementById('smartShelfName').value = shelf ? shelf.name : '';
+  document.getElementById('smartShelfJoin').value = 'AND';
+  document.getElementById('smartShelfQuery').value = shelf ? shelf.query : '';
+  document.getElementById('smartRules').innerHTML = '';
+  if (!shelf) addSmartRule();
+  document.getElementById('smartShelfModal').classList.remove('hidden');
+  previewSmartShelf();
+}
+
+function closeSmartShelf() {
+  document.getElementById('smartShelfModal').classList.add('hidden');
+}
+
+function addSmartRule() {
+  const row = document.createElement('div');
+  row.className = 'smart-rule';
+  row.innerHTML = `
+    <select class="rule-field">${SMART_FIELDS.map((f) => `<option value="${f.value}">${f.label}</option>`).join('')}</select>
+    <select class="rule-op"></select>
+    <span class="rule-value"></span>
+    <button type="button" class="btn btn-icon" title="Remove rule">✕</button>
+  `;
+  row.querySelector('.rule-field').addEventListener('change', () => { renderSmartRuleInputs(row); updateSmartQuery(); });
+  row.querySelector('.rule-op').addEventListener('change', updateSmartQuery);
+  row.querySelector('button').addEventListener('click', () => { row.remove(); updateSmartQuery(); });
+  document.getElementById('smartRules').appendChild(row);
+  renderSmartRuleInputs(row);
+  updateSmartQuery();
+}
+
+/** Operators and value input to match the selected field */
+function renderSmartRuleInputs(row) {
+  const field = SMART_FIELDS.find((f) => f.value === row.querySelector('.rule-field').value);
+  row.querySelector('.rule-op').innerHTML = SMART_OPERATORS[field.type]
+    .map(([op, label]) => `<option value="${op}">${label}</option>`).join('');
+  row.querySelector('.rule-value').outerHTML = field.type === 'status'
+    ? `<select class="rule-value">${state.shelves.filter((s) => s.builtin)
+      .map((s) => `<option value="${escAttr(s.id)}">${escHtml(s.name)}</option>`).join('')}</select>`
+    : `<input class="rule-value" type="${field.type === 'text' ? 'text' : 'number'}" step="any" placeholder="${field.type === 'days' ? '30' : 'value'}" />`;
+  row.querySelector('.rule-value').addEventListener('input', updateSmartQuery);
+  row.querySelector('.rule-value').addEventListener('change', updateSmartQuery);
+}
+
+/** Quote a value unless the grammar reads it as a single word */
+function smartValue(value) {
+  if (/^[^\s(),=<>!~"']+$/.test(value) && !/^(and|or|not)$/i.test(value)) return value;
+  return value.includes('"') ? `'${value}'` : `"${value}"`;
+}
+
+/** Rebuild the query text from the hand-written part plus the rule rows */
+function updateSmartQuery() {
+  const join = document.getElementById('smartShelfJoin').value;
+  const rules = [...document.querySelectorAll('#smartRules .smart-rule')].map((row) => {
+    const field = row.querySelector('.rule-field').value;
+    const op = row.querySelector('.rule-op').value;
+    const value = row.querySelector('.rule-value').value.trim();
+    if (!value) return null;
+    if (field === 'untouched') return `untouched ${value} days`;
+    if (field === 'added') return `added within ${value} days`;
+    return `${field} ${op} ${smartValue(value)}`;
+  }).filter(Boolean);
+  const base = state.smartShelf.base.trim();
+  const parts = base && rules.length ? [`(${base})`, ...rules] : [base, ...rules].filter(Boolean);
+  document.getElementById('smartShelfQuery').value = parts.join(` ${join} `);
+  previewSmartShelf();
+}
+
+/** Count and list the first matches, or show why the query does not parse */
+function previewSmartShelf() {
+  clearTimeout(smartPreviewTimer);
+  smartPreviewTimer = setTimeout(async () => {
+    const el = document.getElementById('smartShelfPreview');
+    const query = document.getElementById('smartShelfQuery').value.trim();
+    if (!query) {
+      el.classList.remove('error');
+      el.textContent = 'Add a rule to see matching books.';
+      return;
+    }
+    // Not API.get: a 400 here carries the parse error to show
+    const data = await fetch(`/api/shelves/preview?query=${encodeURIComponent(query)}`).then((res) => res.json());
+    el.classList.toggle('error', !data.success);
+    el.innerHTML = data.success
+      ? `${data.total} matching book${data.total === 1 ? '' : 's'}${data.books.length ? `<ul>${data.books
+        .map((b) => `<li>${escHtml(b.title)}${b.author ? ` — ${escHtml(b.author)}` : ''}</li>`).join('')}</ul>` : ''}`
+      : escHtml(data.error);
+  }, 300);
+}
+
+async function saveSmartShelf(event) {
+  event.preventDefault();
+  const name = document.getElementById('smartShelfName').value.trim();
+  const query = document.getElementById('smartShelfQuery').value.trim();
+  const { id } = state.smartShelf;
+  const data = id
+    ? await API.put(`/api/shelves/${id}`, { name, query })
+    : await API.post('/api/shelves', { name, query });
+  if (!data.success) return toast(data.error || 'Could not save smart shelf', 'error');
+  toast(id ? `Updated "${data.shelf.name}"` : `Created "${data.shelf.name}"`, 'success');
+  closeSmartShelf();
+  loadLibrary(data.shelf.id);
+}
+
+function dragBook(event, bookId) {
+  event.dataTransfer.setData('text/plain', bookId);
+  event.dataTransfer.effectAllowed = 'copyMove';
+}
+
+function shelfDragOver(event) {
+  event.preventDefault();
+  event.currentTarget.classList.add('drop-target');
+}
+
+async function dropOnShelf(event, shelfId) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drop-target');
+  const bookId = event.dataTransfer.getData('text/plain');
+  const shelf = findShelf(shelfId);
+  if (!bookId || !shelf) return;
+  const data = await API.post(`/api/shelves/${encodeURIComponent(shelf.id)}/books`, { bookId });
+  if (!data.success) return toast(data.error || 'Could not add to shelf', 'error');
+  toast(`Added to ${shelf.name}`, 'success');
+  loadLibrary();
+}
+
+async function moveBookOnShelf(shelfId, bookId, position) {
+  if (!bookId) return;
+  const data = await API.post(`/api/shelves/${shelfId}/books`, { bookId, position });
+  if (!data.success) return toast(data.error || 'Could not move book', 'error');
+  loadLibrary();
+}
+
+async function toggleShelf(bookId, shelfId, add) {
+  const data = add
+    ? await API.post(`/api/shelves/${shelfId}/books`, { bookId })
+    : await API.del(`/api/shelves/${shelfId}/books/${encodeURIComponent(bookId)}`);
+  if (!data.success) return toast(data.error || 'Could not update shelf', 'error');
+  const shelf = findShelf(shelfId);
+  toast(`${add ? 'Added to' : 'Removed from'} ${shelf ? shelf.name : 'shelf'}`, add ? 'success' : 'info');
+  openBookModal(bookId);
+  if (state.currentPage === 'library') loadLibrary();
+}
+
 // ══════════════════════════════════════════════════════════════
 //  DOWNLOADS
 // ══════════════════════════════════════════════════════════════
@@ -158,13 +698,16 @@ async function loadDownloads() {
   const empty = document.getElementById('downloadsEmpty');
 
   try {
-    const [histData, statsData] = await Promise.all([
+    const [histData, statsData, jobData] = await Promise.all([
       API.get('/api/history/downloads?limit=50'),
       API.get('/api/stats'),
+      API.get('/api/jobs?status=queued,running,failed&limit=100'),
     ]);
 
     state.downloads = histData.downloads || [];
     state.downloadsTotal = histData.total || 0;
+    for (const job of jobData.jobs || []) state.jobs[job.id] = job;
+    renderJobs();
 
     // Stats row
     statsDiv.innerHTML = `
@@ -184,6 +727,10 @@ async function loadDownloads() {
           <div class="dl-meta">${escHtml(d.author || '')}</div>
           <div class="book-tag format">${(d.extension || '').toUpperCase()}</div>
           <div class="dl-meta">${d.filesize || ''}</div>
+          ${d.delivery ? `<div class="dl-meta" title="Sent by email">📧 ${escHtml(d.delivery)}</div>` : ''}
+          ${d.status && d.status !== 'completed' ? `<div class="book-tag dl-status ${escHtml(d.status)}" title="${escAttr(d.error || '')}">${escHtml(downloadStatusLabel(d))}</div>` : ''}
+          ${d.job_id && ['failed', 'cancelled'].includes(d.status) ? `<button class="btn btn-small" onclick="retryJob(${d.job_id})">Retry</button>` : ''}
+          ${d.fileUrl ? `<a class="btn btn-small" href="${escHtml(d.fileUrl)}" download>Save</a>` : ''}
           <div class="dl-meta">${formatDate(d.downloaded_at)}</div>
         </div>
       `).join('');
@@ -193,12 +740,335 @@ async function loadDownloads() {
   }
 }
 
+function downloadStatusLabel(d) {
+  if (d.status === 'interrupted' && d.bytes_sent && d.total_bytes) {
+    return `Interrupted at ${Math.round((d.bytes_sent / d.total_bytes) * 100)}%`;
+  }
+  if (d.status === 'queued' && d.error) return 'Waiting to retry';
+  return {
+    'in-progress': 'In progress', interrupted: 'Interrupted', failed: 'Failed',
+    queued: 'Queued', sending: 'Sending', sent: 'Sent', cancelled: 'Cancelled',
+  }[d.status] || d.status;
+}
+
+// ── Background jobs (downloads and sends) ─────────────────────
+
+function connectJobEvents() {
+  if (state.jobEvents) state.jobEvents.close();
+  state.jobEvents = new EventSource('/api/jobs/events');
+  state.jobEvents.addEventListener('job', (e) => onJobUpdate(JSON.parse(e.data)));
+  state.jobEvents.addEventListener('removed', (e) => {
+    delete state.jobs[JSON.parse(e.data).id];
+    if (state.currentPage === 'downloads') renderJobs();
+  });
+}
+
+function onJobUpdate(job) {
+  const previous = state.jobs[job.id];
+  state.jobs[job.id] = job;
+  const finished = !['queued', 'running'].includes(job.status);
+  if (finished && state.watchedJobs.includes(job.id)) {
+    state.watchedJobs = state.watchedJobs.filter((id) => id !== job.id);
+    jobFinished(job);
+  }
+  if (state.currentPage !== 'downloads') return;
+  renderJobs();
+  if (finished && (!previous || previous.status !== job.status)) loadDownloads();
+}
+
+/** Save a finished download, or report how a watched job ended */
+function jobFinished(job) {
+  const title = job.payload.title || 'book';
+  if (job.status === 'completed' && job.type === 'download') {
+    const a = document.createElement('a');
+    a.href = `/api/jobs/${job.id}/file`;
+    a.download = job.result.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    toast(`Downloaded: ${job.result.filename}`, 'success');
+  } else if (job.status === 'completed') {
+    toast(`Sent "${title}"`, 'success');
+  } else if (job.status === 'failed') {
+    toast(`${job.type === 'send' ? 'Sending' : 'Downloading'} "${title}" failed: ${job.error}`, 'error', 5000);
+  }
+}
+
+/** Follow a job started from this page */
+function watchJob(job) {
+  const known = state.jobs[job.id];
+  // The event stream may have seen it finish before the request that queued it returned
+  if (known && !['queued', 'running'].includes(known.status)) return jobFinished(known);
+  state.jobs[job.id] = known || job;
+  state.watchedJobs.push(job.id);
+}
+
+/** Running, queued and failed jobs above the download history */
+function renderJobs() {
+  const container = document.getElementById('downloadJobs');
+  const jobs = Object.values(state.jobs)
+    .filter((j) => ['queued', 'running', 'failed'].includes(j.status))
+    .sort((a, b) => a.id - b.id);
+  container.classList.toggle('hidden', !jobs.length);
+  container.innerHTML = jobs.length ? '<h3>In progress</h3>' + jobs.map((j) => {
+    const active = ['queued', 'running'].includes(j.status);
+    const percent = j.total ? Math.min(100, Math.round((j.bytes / j.total) * 100)) : 0;
+    return `
+      <div class="download-item">
+        <div class="dl-title">${j.type === 'send' ? '📧' : '⬇️'} ${escHtml(j.payload.title || 'Unknown')}</div>
+        ${j.status === 'running' ? `<div class="job-progress"><div style="width:${percent}%"></div></div>` : ''}
+        <div class="dl-meta">${escHtml(jobDetail(j))}</div>
+        <div class="book-tag dl-status ${j.status === 'running' ? 'in-progress' : escHtml(j.status)}">${escHtml(jobStatusLabel(j))}</div>
+        ${active
+          ? `<button class="btn btn-small" onclick="deleteJob(${j.id})">Cancel</button>`
+          : `<button class="btn btn-small" onclick="retryJob(${j.id})">Retry</button>
+             <button class="btn btn-small" onclick="deleteJob(${j.id})">Dismiss</button>`}
+      </div>
+    `;
+  }).join('') : '';
+}
+
+function jobStatusLabel(j) {
+  if (j.status === 'queued' && j.error) return 'Waiting to retry';
+  if (j.status === 'running') return j.type === 'send' ? 'Sending' : 'Downloading';
+  return { queued: 'Queued', failed: 'Failed' }[j.status] || j.status;
+}
+
+function jobDetail(j) {
+  if (j.status === 'running' && j.total) return `${formatBytes(j.bytes)} of ${formatBytes(j.total)}`;
+  if (j.status === 'running' && j.bytes) return formatBytes(j.bytes);
+  return j.error || '';
+}
+
+/** Queue a failed or cancelled job again */
+async function retryJob(jobId) {
+  const result = await API.post(`/api/jobs/${jobId}/retry`, {});
+  if (!result.success) return toast(result.error || 'Could not retry', 'error');
+  watchJob(result.job);
+  toast('Trying again', 'info');
+  loadDownloads();
+}
+
+/** Cancel a queued or running job, or dismiss a finished one */
+async function deleteJob(jobId) {
+  const result = await API.del(`/api/jobs/${jobId}`);
+  if (!result.success) return toast(result.error || 'Could not cancel', 'error');
+  if (result.removed) delete state.jobs[jobId];
+  else state.jobs[jobId] = result.job;
+  renderJobs();
+}
+
+// ══════════════════════════════════════════════════════════════
+//  READING STATS
+// ══════════════════════════════════════════════════════════════
+
+async function loadReadingStats() {
+  try {
+    const data = await API.get('/api/stats/reading');
+    const pace = data.speed.percentPerHour ? `${Math.round(data.speed.percentPerHour * 100)}%` : '–';
+
+    document.getElementById('readingSummary').innerHTML = `
+      <div class="stat-card"><div class="stat-number">${formatDuration(data.totals.todaySeconds)}</div><div class="stat-label">Read Today</div></div>
+      <div class="stat-card"><div class="stat-number">${formatDuration(data.totals.weekSeconds)}</div><div class="stat-label">This Week</div></div>
+      <div class="stat-card"><div class="stat-number">${data.streak.current}</div><div class="stat-label">Day Streak</div></div>
+      <div class="stat-card"><div class="stat-number">${data.streak.longest}</div><div class="stat-label">Longest Streak</div></div>
+      <div class="stat-card"><div class="stat-number">${pace}</div><div class="stat-label">Of a Book per Hour</div></div>
+      <div class="stat-card"><div class="stat-number">${formatDuration(data.totals.seconds)}</div><div class="stat-label">Total (${data.totals.sessions} sessions)</div></div>
+    `;
+
+    renderBarChart(document.getElementById('dailyChart'),
+      data.perDay.map((d) => ({ label: d.day, seconds: d.seconds })));
+    renderBarChart(document.getElementById('weeklyChart'),
+      data.perWeek.map((w) => ({ label: `Week of ${w.week}`, seconds: w.seconds })));
+
+    const etas = document.getElementById('readingEtas');
+    etas.innerHTML = data.currentlyReading.length ? data.currentlyReading.map((b) => `
+      <div class="download-item">
+        <div class="dl-title">${escHtml(b.title || 'Unknown')}</div>
+        <div class="dl-meta">${Math.round(b.progress * 100)}%</div>
+        <div class="dl-meta">${formatDuration(b.secondsRead)} read</div>
+        <div class="book-tag">${b.etaSeconds !== null ? `${formatDuration(b.etaSeconds)} left` : 'No estimate yet'}</div>
+      </div>
+    `).join('') : '<p class="text-muted">Nothing in your Reading shelf.</p>';
+  } catch (err) {
+    toast('Failed to load reading stats: ' + err.message, 'error');
+  }
+}
+
+/** Draw reading time as an SVG bar chart; points are { label, seconds } */
+function renderBarChart(container, points) {
+  const width = 600;
+  const height = 120;
+  const gap = 3;
+  const barWidth = (width - gap * (points.length - 1)) / points.length;
+  const max = Math.max(60, ...points.map((p) => p.seconds));
+  const bars = points.map((p, i) => {
+    const h = Math.max(1, Math.round((p.seconds / max) * height));
+    return `<rect x="${(i * (barWidth + gap)).toFixed(1)}" y="${height - h}" width="${barWidth.toFixed(1)}" height="${h}" rx="2"
+      class="${p.seconds ? 'bar' : 'bar empty'}"><title>${escHtml(p.label)}: ${formatDuration(p.seconds)}</title></rect>`;
+  }).join('');
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">${bars}</svg>
+    <div class="chart-axis"><span>${escHtml(points[0]?.label || '')}</span><span>max ${formatDuration(max)}</span><span>${escHtml(points[points.length - 1]?.label || '')}</span></div>
+  `;
+}
+
+// ══════════════════════════════════════════════════════════════
+//  ACCOUNT
+// ══════════════════════════════════════════════════════════════
+
+async function loadAccount() {
+  const data = await API.get('/api/auth/status');
+  state.auth = data;
+  state.user = data.accounts.user;
+  state.accounts = data.accounts.enabled;
+
+  document.getElementById('userBadge').classList.toggle('hidden', !state.user);
+  document.getElementById('currentUser').textContent = state.user ? state.user.username : '';
+  document.getElementById('accountOpen').classList.toggle('hidden', state.accounts);
+  document.getElementById('accountSignedIn').classList.toggle('hidden', !state.user);
+  document.getElementById('accountName').textContent = state.user
+    ? `${state.user.username}${state.user.isAdmin ? ' (admin)' : ''}`
+    : '';
+  document.getElementById('registerTab').classList.toggle('hidden', !data.accounts.registration);
+  document.getElementById('usersCard').classList.toggle('hidden', !(state.user && state.user.isAdmin));
+  document.getElementById('tokensCard').classList.toggle('hidden', !state.user);
+  document.getElementById('adminScopeLabel').classList.toggle('hidden', !(state.user && state.user.isAdmin));
+  if (state.user && state.user.isAdmin) loadUsers();
+  if (state.user) loadTokens();
+
+  if (state.accounts && !state.user) showLogin();
+  return data;
+}
+
+function showLogin(mode = 'login') {
+  setLoginMode(mode);
+  document.getElementById('loginModal').classList.remove('hidden');
+  document.getElementById('loginUsername').focus();
+}
+
+function setLoginMode(mode) {
+  state.loginMode = mode;
+  document.querySelectorAll('#loginModal .auth-tab').forEach((t) => {
+    t.classList.toggle('active', t.dataset.mode === mode);
+  });
+  document.getElementById('loginSubmit').textContent = mode === 'register' ? 'Create Account' : 'Sign In';
+  document.getElementById('loginPassword').autocomplete = mode === 'register' ? 'new-password' : 'current-password';
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+  const username = document.getElementById('loginUsername').value.trim();
+  const password = document.getElementById('loginPassword').value;
+  const url = state.loginMode === 'register' ? '/api/auth/register' : '/api/auth/login';
+  try {
+    const result = await API.post(url, { username, password });
+    if (!result.success) return toast(result.error || 'Sign in failed', 'error');
+    document.getElementById('loginModal').classList.add('hidden');
+    document.getElementById('loginPassword').value = '';
+    toast(`Signed in as ${result.user.username}`, 'success');
+    await loadAccount();
+    loadSources();
+    loadConversions();
+    loadDevices();
+    connectJobEvents();
+    navigate(state.currentPage);
+  } catch (err) {
+    toast('Sign in failed: ' + err.message, 'error');
+  }
+}
+
+async function logout() {
+  await API.post('/api/auth/logout');
+  state.user = null;
+  await loadAccount();
+}
+
+async function handlePasswordChange(e) {
+  e.preventDefault();
+  const currentPassword = document.getElementById('currentPassword').value;
+  const newPassword = document.getElementById('newPassword').value;
+  const result = await API.post('/api/auth/password', { currentPassword, newPassword });
+  if (!result.success) return toast(result.error || 'Could not change password', 'error');
+  e.target.reset();
+  toast('Password changed', 'success');
+}
+
+async function loadUsers() {
+  try {
+    const data = await API.get('/api/users');
+    document.getElementById('usersList').innerHTML = data.users.map((u) => `
+      <div class="user-row">
+        <strong>${escHtml(u.username)}</strong>
+        <span class="text-muted">${u.isAdmin ? 'admin · ' : ''}last sign-in ${u.lastLoginAt ? formatDate(u.lastLoginAt) : 'never'}</span>
+        ${u.id === state.user.id ? '' : `<button class="btn-danger" onclick="deleteUser(${u.id}, '${escAttr(u.username)}')">Delete</button>`}
+      </div>
+    `).join('');
+  } catch (err) { /* ignore */ }
+}
+
+async function handleAddUser(e) {
+  e.preventDefault();
+  const result = await API.post('/api/users', {
+    username: document.getElementById('newUserName').value.trim(),
+    password: document.getElementById('newUserPassword').value,
+    isAdmin: document.getElementById('newUserAdmin').checked,
+  });
+  if (!result.success) return toast(result.error || 'Could not add user', 'error');
+  e.target.reset();
+  toast(`Added ${result.user.username}`, 'success');
+  loadUsers();
+}
+
+async function deleteUser(id, username) {
+  if (!confirm(`Delete ${username} and their library?`)) return;
+  const result = await API.del(`/api/users/${id}`);
+  if (!result.success) return toast(result.error || 'Could not delete user', 'error');
+  toast(`Deleted ${username}`, 'info');
+  loadUsers();
+}
+
+async function loadTokens() {
+  try {
+    const data = await API.get('/api/tokens');
+    document.getElementById('tokensList').innerHTML = data.tokens.map((t) => `
+      <div class="user-row${t.revokedAt ? ' revoked' : ''}">
+        <strong>${escHtml(t.name)}</strong>
+        <code>${escHtml(t.prefix)}…</code>
+        <span class="text-muted">${t.scopes.map(escHtml).join(', ')} · ${t.revokedAt
+          ? `revoked ${formatDate(t.revokedAt)}`
+          : `last used ${t.lastUsedAt ? formatDate(t.lastUsedAt) : 'never'}`}</span>
+        ${t.revokedAt ? '' : `<button class="btn-danger" onclick="revokeToken(${t.id}, '${escAttr(t.name)}')">Revoke</button>`}
+      </div>
+    `).join('');
+  } catch (err) { /* ignore */ }
+}
+
+async function handleCreateToken(e) {
+  e.preventDefault();
+  const scopes = [...document.querySelectorAll('input[name="tokenScope"]:checked')].map((el) => el.value);
+  const result = await API.post('/api/tokens', { name: document.getElementById('tokenName').value.trim(), scopes });
+  if (!result.success) return toast(result.error || 'Could not create token', 'error');
+  document.getElementById('tokenName').value = '';
+  document.getElementById('newTokenValue').textContent = result.token;
+  document.getElementById('newTokenBox').classList.remove('hidden');
+  loadTokens();
+}
+
+async function revokeToken(id, name) {
+  if (!confirm(`Revoke the token "${name}"? Anything using it will stop working.`)) return;
+  const result = await API.del(`/api/tokens/${id}`);
+  if (!result.success) return toast(result.error || 'Could not revoke token', 'error');
+  toast(`Revoked ${name}`, 'info');
+  loadTokens();
+}
+
 // ══════════════════════════════════════════════════════════════
 //  SETTINGS
 // ══════════════════════════════════════════════════════════════
 
 async function loadSettings() {
-  await Promise.all([loadDownloadStatus(), loadProxyStatus(), loadStats()]);
+  await Promise.all([loadDownloadStatus(), loadProxyStatus(), loadStats(), loadKosync(), loadPreferences(), loadDevices()]);
   updateOpdsUrl();
 }
 
@@ -246,6 +1116,123 @@ async function clearProxy() {
   }
 }
 
+async function loadKosync() {
+  try {
+    const data = await API.get('/api/kosync');
+    document.getElementById('kosyncServer').textContent = data.server;
+    document.getElementById('kosyncStatus').textContent = data.user
+      ? `Linked as "${data.user.username}"`
+      : 'No sync user yet';
+    document.getElementById('kosyncUnlinkBtn').classList.toggle('hidden', !data.user);
+    if (data.user) document.getElementById('kosyncUsername').value = data.user.username;
+  } catch (err) { /* ignore */ }
+}
+
+async function handleKosync(e) {
+  e.preventDefault();
+  const result = await API.post('/api/kosync', {
+    username: document.getElementById('kosyncUsername').value.trim(),
+    password: document.getElementById('kosyncPassword').value,
+  });
+  if (!result.success) return toast(result.error || 'Could not save sync user', 'error');
+  document.getElementById('kosyncPassword').value = '';
+  toast('KOReader sync user saved', 'success');
+  loadKosync();
+}
+
+async function unlinkKosync() {
+  if (!confirm('Unlink KOReader sync? Stored reading positions will be removed.')) return;
+  await API.del('/api/kosync');
+  document.getElementById('kosyncUsername').value = '';
+  toast('KOReader sync unlinked', 'info');
+  loadKosync();
+}
+
+function showPreferences(prefs) {
+  document.getElementById('prefFormats').value = prefs.formats.join(', ');
+  document.getElementById('prefMaxSize').value = prefs.maxSizeMb || '';
+  document.getElementById('prefLanguage').value = prefs.language;
+  document.getElementById('prefPreferPublishers').value = prefs.preferPublishers.join(', ');
+  document.getElementById('prefAvoidPublishers').value = prefs.avoidPublishers.join(', ');
+  document.getElementById('prefRewriteEpub').checked = prefs.rewriteEpub;
+  document.getElementById('prefEmbedCover').checked = prefs.embedCover;
+  document.getElementById('preferencesStatus').textContent = prefs.saved ? '' : 'Using the defaults';
+}
+
+async function loadPreferences() {
+  try {
+    showPreferences(await API.get('/api/preferences'));
+  } catch (err) { /* ignore */ }
+}
+
+async function handlePreferences(e) {
+  e.preventDefault();
+  const result = await API.put('/api/preferences', {
+    formats: document.getElementById('prefFormats').value,
+    maxSizeMb: document.getElementById('prefMaxSize').value,
+    language: document.getElementById('prefLanguage').value,
+    preferPublishers: document.getElementById('prefPreferPublishers').value,
+    avoidPublishers: document.getElementById('prefAvoidPublishers').value,
+    rewriteEpub: document.getElementById('prefRewriteEpub').checked,
+    embedCover: document.getElementById('prefEmbedCover').checked,
+  });
+  if (!result.success) return toast(result.error || 'Could not save preferences', 'error');
+  showPreferences(result);
+  toast('File preferences saved', 'success');
+}
+
+async function resetPreferences() {
+  const result = await API.del('/api/preferences');
+  if (!result.success) return toast(result.error || 'Could not reset preferences', 'error');
+  showPreferences(result);
+  toast('File preferences reset', 'info');
+}
+
+/** E-readers that take books by email; also fills the book modal's "Send to" buttons */
+async function loadDevices() {
+  try {
+    const data = await API.get('/api/devices');
+    state.devices = data.devices || [];
+    const select = document.getElementById('deviceKind');
+    if (!select.options.length) {
+      select.innerHTML = data.kinds.map((k) => `<option value="${escHtml(k.id)}">${escHtml(k.name)}</option>`).join('');
+    }
+    document.getElementById('devicesStatus').textContent = data.email
+      ? `Books are sent from ${data.from}, up to ${data.maxMb} MB`
+      : 'Email is not set up on this server (SMTP_HOST), so books cannot be sent yet';
+    const kindName = (id) => (data.kinds.find((k) => k.id === id) || {}).name || id;
+    document.getElementById('devicesList').innerHTML = state.devices.map((d) => `
+      <div class="user-row">
+        <strong>${escHtml(d.name)}</strong>
+        <span class="text-muted">${escHtml(d.email)} · ${escHtml(kindName(d.kind))}${d.format === 'epub' ? ' · EPUB preferred' : ''}</span>
+        <button class="btn-danger" onclick="deleteDevice(${d.id}, '${escAttr(d.name)}')">Remove</button>
+      </div>
+    `).join('');
+  } catch (err) { /* ignore */ }
+}
+
+async function handleAddDevice(e) {
+  e.preventDefault();
+  const result = await API.post('/api/devices', {
+    name: document.getElementById('deviceName').value.trim(),
+    email: document.getElementById('deviceEmail').value.trim(),
+    kind: document.getElementById('deviceKind').value,
+    format: document.getElementById('deviceEpub').checked ? 'epub' : '',
+  });
+  if (!result.success) return toast(result.error || 'Could not add device', 'error');
+  e.target.reset();
+  toast(`Added ${result.device.name}`, 'success');
+  loadDevices();
+}
+
+async function deleteDevice(id, name) {
+  if (!confirm(`Remove ${name}?`)) return;
+  const result = await API.del(`/api/devices/${id}`);
+  if (!result.success) return toast(result.error || 'Could not remove device', 'error');
+  toast(`Removed ${name}`, 'info');
+  loadDevices();
+}
+
 function updateOpdsUrl() {
   const url = `${window.location.origin}/opds`;
   document.getElementById('opdsUrlDisplay').textContent = url;
@@ -286,18 +1273,27 @@ function renderBookGrid(container, books, isLibrary = false) {
       : '<div class="book-cover-placeholder">📕</div>';
 
     const tags = [];
-    if (book.extension) tags.push(`<span class="book-tag format">${book.extension.toUpperCase()}</span>`);
-    if (book.filesize) tags.push(`<span class="book-tag">${book.filesize}</span>`);
+    if (book.formatCount > 1) {
+      // One card per work: a chip per file opens that file, the best match first
+      tags.push(...book.formats.map((f, i) => `
+        <button type="button" class="format-chip ${i === 0 ? 'best' : ''}" title="${escAttr([i === 0 ? 'Best match' : '', f.filesize].filter(Boolean).join(' · '))}"
+          onclick="event.stopPropagation(); openBookModal('${escAttr(f.id)}')">${escHtml((f.extension || '?').toUpperCase())}</button>`));
+    } else {
+      if (book.extension) tags.push(`<span class="book-tag format">${book.extension.toUpperCase()}</span>`);
+      if (book.filesize) tags.push(`<span class="book-tag">${book.filesize}</span>`);
+    }
     if (book.rating && book.rating !== '0') tags.push(`<span class="book-tag rating">★ ${book.rating}</span>`);
     if (isLibrary && book.lib_status) tags.push(`<span class="book-tag status">${book.lib_status}</span>`);
 
     return `
-      <div class="book-card" onclick="openBookModal('${escAttr(book.id)}')">
+      <div class="book-card" draggable="true" ondragstart="dragBook(event, '${escAttr(book.id)}')" onclick="openBookModal('${escAttr(book.id)}')">
         ${coverHtml}
         <div class="book-info">
           <div class="book-title">${escHtml(book.title)}</div>
-          <div class="book-author">${escHtml(book.author)}</div>
+          <div class="book-author">${authorLinks(book)}</div>
+          ${seriesLink(book) ? `<div class="book-series">${seriesLink(book)}</div>` : ''}
           <div class="book-meta">${tags.join('')}</div>
+          ${book.snippet ? `<div class="book-snippet">${book.snippet}</div>` : ''}
         </div>
       </div>
     `;
@@ -308,13 +1304,22 @@ function renderBookGrid(container, books, isLibrary = false) {
 //  BOOK MODAL
 // ══════════════════════════════════════════════════════════════
 
+/** A book from the loaded results, including the other files of grouped works */
+function findLoadedBook(bookId) {
+  for (const book of [...state.searchResults, ...state.browseBooks]) {
+    if (book.id === bookId) return book;
+    const file = (book.formats || []).find((f) => f.id === bookId);
+    if (file) return { ...file, formats: book.formats, formatCount: book.formatCount };
+  }
+  return state.libraryBooks.find((b) => b.id === bookId);
+}
+
 async function openBookModal(bookId) {
   const modal = document.getElementById('bookModal');
   const detail = document.getElementById('bookDetail');
 
   // Find book in current data
-  let book = state.searchResults.find((b) => b.id === bookId)
-    || state.libraryBooks.find((b) => b.id === bookId);
+  let book = findLoadedBook(bookId);
 
   if (!book) {
     // Try to fetch from API
@@ -327,23 +1332,39 @@ async function openBookModal(bookId) {
     }
   }
 
-  // Check library status
-  let libraryStatus = null;
+  // Check library status and shelves
+  let libraryStatus = [];
+  let bookShelves = [];
   try {
     const libData = await API.get(`/api/library/status/${bookId}`);
     libraryStatus = libData.statuses || [];
-  } catch { libraryStatus = []; }
+    bookShelves = libData.shelves || [];
+    if (state.shelves.length === 0) await loadShelves();
+  } catch { /* shown without library state */ }
+
+  // Every file of the work, from the grouped results or the catalog
+  let formats = book.formats || [];
+  if (!book.formatCount) {
+    try {
+      formats = (await API.get(`/api/book/${encodeURIComponent(bookId)}/formats`)).formats || [];
+    } catch { /* just this file */ }
+  }
+  const formatBtns = formats.length > 1 ? formats.map((f) => `
+    <button class="btn ${f.id === bookId ? 'active-status' : ''}" onclick="openBookModal('${escAttr(f.id)}')">
+      ${escHtml((f.extension || '?').toUpperCase())}${f.filesize ? ` (${escHtml(f.filesize)})` : ''}
+    </button>`).join('') : '';
 
   const coverHtml = book.coverUrl
     ? `<img class="detail-cover" src="/opds/cover?url=${encodeURIComponent(book.coverUrl)}" alt="" onerror="this.style.display='none'">`
     : '<div class="detail-cover" style="display:flex;align-items:center;justify-content:center;font-size:40px">📕</div>';
 
-  const statuses = ['favorite', 'reading', 'finished', 'want-to-read'];
-  const statusLabels = { 'favorite': '❤️ Favorite', 'reading': '📖 Reading', 'finished': '✅ Finished', 'want-to-read': '📌 Want to Read' };
-
-  const statusBtns = statuses.map((s) => {
-    const active = libraryStatus.includes(s);
-    return `<button class="btn ${active ? 'active-status' : ''}" onclick="toggleLibraryStatus('${escAttr(bookId)}', '${s}', ${!active})">${statusLabels[s]}</button>`;
+  const statusBtns = state.shelves.filter((s) => s.builtin && s.root !== false).map((s) => {
+    const active = libraryStatus.includes(s.id);
+    return `<button class="btn ${active ? 'active-status' : ''}" onclick="toggleLibraryStatus('${escAttr(bookId)}', '${s.id}', ${!active})">${s.label}</button>`;
+  }).join('');
+  const shelfBtns = state.shelves.filter((s) => !s.builtin && !s.readOnly && !s.smart).map((s) => {
+    const active = bookShelves.includes(s.id);
+    return `<button class="btn ${active ? 'active-status' : ''}" onclick="toggleShelf('${escAttr(bookId)}', ${s.id}, ${!active})">${'› '.repeat(s.depth)}${escHtml(s.name)}</button>`;
   }).join('');
 
   detail.innerHTML = `
@@ -351,8 +1372,9 @@ async function openBookModal(bookId) {
       ${coverHtml}
       <div class="detail-info">
         <div class="detail-title">${escHtml(book.title)}</div>
-        <div class="detail-author">${escHtml(book.author)}</div>
+        <div class="detail-author">${authorLinks(book)}</div>
         <div class="detail-meta">
+          ${seriesLink(book) ? `<div><strong>Series:</strong> ${seriesLink(book)}</div>` : ''}
           ${book.publisher ? `<div><strong>Publisher:</strong> ${escHtml(book.publisher)}</div>` : ''}
           ${book.year ? `<div><strong>Year:</strong> ${escHtml(book.year)}</div>` : ''}
           ${book.language ? `<div><strong>Language:</strong> ${escHtml(book.language)}</div>` : ''}
@@ -366,6 +1388,8 @@ async function openBookModal(bookId) {
     <div class="detail-actions">
       <h4>Library</h4>
       <div class="action-group">${statusBtns}</div>
+      ${shelfBtns ? `<h4>Shelves</h4><div class="action-group">${shelfBtns}</div>` : ''}
+      ${formatBtns ? `<h4>Formats</h4><div class="action-group">${formatBtns}</div>` : ''}
 
       <h4>Download</h4>
       <div class="action-group">
@@ -375,13 +1399,83 @@ async function openBookModal(bookId) {
              </button>`
           : '<span class="text-muted">No direct download available</span>'
         }
+        ${book.download && book.extension !== 'epub' && state.conversions.some((c) => c.from === book.extension && c.to === 'epub')
+          ? `<button class="btn" onclick="downloadBook('${escAttr(book.id)}', '${escAttr(book.download)}', '${escAttr(book.extension)}', 'epub')">
+               🔄 EPUB (converted from ${escHtml(book.extension.toUpperCase())})
+             </button>`
+          : ''
+        }
+        ${book.download ? state.devices.map((d) => `
+          <button class="btn" onclick="sendToDevice('${escAttr(book.id)}', ${d.id})" title="${escAttr(d.email)}">📧 Send to ${escHtml(d.name)}</button>
+        `).join('') : ''}
         <button class="btn" onclick="loadBookDetails('${escAttr(book.id)}')">📋 More Details</button>
       </div>
       <div id="detailsContainer-${bookId}"></div>
+
+      <h4>Annotations</h4>
+      <div id="annotations-${bookId}" class="annotation-list"></div>
+      <form class="annotation-form" onsubmit="addAnnotationNote(event, '${escAttr(bookId)}')">
+        <input type="text" name="note" placeholder="Add a note…" required />
+        <input type="number" name="page" placeholder="Page" min="0" />
+        <button type="submit" class="btn">Add</button>
+      </form>
     </div>
   `;
 
   modal.classList.remove('hidden');
+  loadAnnotations(bookId);
+}
+
+async function loadAnnotations(bookId) {
+  const container = document.getElementById(`annotations-${bookId}`);
+  if (!container) return;
+
+  try {
+    const data = await API.get(`/api/books/${encodeURIComponent(bookId)}/annotations`);
+    const items = data.annotations || [];
+    if (items.length === 0) {
+      container.innerHTML = '<div class="text-muted">No highlights, notes or bookmarks yet.</div>';
+      return;
+    }
+    const icons = { highlight: '🖍️', note: '📝', bookmark: '🔖' };
+    const exportBase = `/api/books/${encodeURIComponent(bookId)}/annotations/export?format=`;
+    container.innerHTML = items.map((a) => `
+      <div class="annotation ${escHtml(a.type)}" ${a.color ? `style="border-left-color:${escHtml(a.color)}"` : ''}>
+        <div class="annotation-body">
+          ${a.text ? `<blockquote>${escHtml(a.text)}</blockquote>` : ''}
+          ${a.note ? `<div>${icons[a.type] || ''} ${escHtml(a.note)}</div>` : ''}
+          ${!a.text && !a.note ? `<div>${icons[a.type] || ''} Bookmark</div>` : ''}
+          <div class="text-muted">${[a.chapter, a.page !== null ? `p. ${a.page}` : '', formatDate(a.createdAt)].filter(Boolean).map(escHtml).join(' · ')}</div>
+        </div>
+        <button type="button" class="btn-icon" title="Delete" onclick="deleteAnnotation('${escAttr(bookId)}', ${a.id})">✕</button>
+      </div>
+    `).join('') + `
+      <div class="text-muted annotation-export">Export:
+        <a href="${exportBase}md">Markdown</a> · <a href="${exportBase}json">JSON</a> · <a href="${exportBase}csv">Readwise CSV</a>
+      </div>
+    `;
+  } catch (err) {
+    container.innerHTML = `<div class="text-muted">Failed to load annotations: ${escHtml(err.message)}</div>`;
+  }
+}
+
+async function addAnnotationNote(event, bookId) {
+  event.preventDefault();
+  const form = event.target;
+  const data = await API.post(`/api/books/${encodeURIComponent(bookId)}/annotations`, {
+    type: 'note',
+    note: form.note.value,
+    page: form.page.value || null,
+  });
+  if (!data.success) return toast(data.error || 'Could not save note', 'error');
+  form.reset();
+  loadAnnotations(bookId);
+}
+
+async function deleteAnnotation(bookId, id) {
+  const data = await API.del(`/api/books/${encodeURIComponent(bookId)}/annotations/${id}`);
+  if (!data.success) return toast(data.error || 'Could not delete annotation', 'error');
+  loadAnnotations(bookId);
 }
 
 function closeModal() {
@@ -413,16 +1507,19 @@ async function loadBookDetails(bookId) {
   container.innerHTML = '<div style="padding:12px;color:var(--text-dim)"><span class="spinner"></span> Loading details...</div>';
 
   try {
-    const data = await API.get(`/api/book/${encodeURIComponent(bookId)}/details`);
-    const details = data.details || {};
+    const sourceParam = state.searchSource ? `?source=${encodeURIComponent(state.searchSource)}` : '';
+    const details = await API.get(`/api/book/${encodeURIComponent(bookId)}/details${sourceParam}`);
 
     const fields = [
       details.description ? ['Description', details.description] : null,
+      details.subjects ? ['Subjects', details.subjects.join(', ')] : null,
       details.isbn ? ['ISBN', details.isbn] : null,
       details.series ? ['Series', details.series] : null,
       details.edition ? ['Edition', details.edition] : null,
       details.pages ? ['Pages', details.pages] : null,
     ].filter(Boolean);
+    // Where enriched fields came from (src/enrich provenance)
+    const adapters = [...new Set(Object.values(details.provenance || {}).map((p) => p.adapter))];
 
     if (fields.length === 0) {
       container.innerHTML = '<div style="padding:8px;color:var(--text-dim)">No additional details available</div>';
@@ -437,6 +1534,7 @@ async function loadBookDetails(bookId) {
             <span>${escHtml(String(value))}</span>
           </div>
         `).join('')}
+        ${adapters.length ? `<div class="text-muted">Metadata from ${adapters.map(escHtml).join(', ')}</div>` : ''}
       </div>
     `;
   } catch (err) {
@@ -444,47 +1542,37 @@ async function loadBookDetails(bookId) {
   }
 }
 
-async function downloadBook(bookId, dlPath, ext) {
+/**
+ * Download a book: the server fetches it in the background (a download job, converted to
+ * `convertTo` when set) and the browser saves it when it is ready
+ */
+async function downloadBook(bookId, dlPath, ext, convertTo = '') {
   if (!dlPath) {
     toast('No download path available', 'error');
     return;
   }
 
-  toast('Starting download...', 'info');
-
-  // Build download URL — dlPath is already the full route like /libgen/dl/<md5>
-  const url = `${dlPath}?ext=${encodeURIComponent(ext)}&id=${encodeURIComponent(bookId)}`;
-
   try {
-    const res = await fetch(url);
-    if (!res.ok) {
-      const errData = await res.json().catch(() => ({ error: res.statusText }));
-      toast(errData.error || 'Download failed', 'error', 5000);
-      return;
-    }
-
-    // Trigger browser download
-    const blob = await res.blob();
-    const contentDisp = res.headers.get('content-disposition') || '';
-    let filename = `book.${ext}`;
-    const match = contentDisp.match(/filename[^;=\n]*=["']?([^"';\n]*)["']?/i);
-    if (match) filename = match[1];
-
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(a.href);
-
-    toast(`Downloaded: ${filename}`, 'success');
+    const result = await API.post('/api/downloads', { bookId, download: dlPath, ext, convert: convertTo });
+    if (!result.success) return toast(result.error || 'Download failed', 'error', 5000);
+    watchJob(result.job);
+    toast(convertTo ? 'Converting — the file is saved when ready' : 'Downloading — the file is saved when ready', 'info');
     if (state.currentPage === 'downloads') loadDownloads();
   } catch (err) {
     toast('Download failed: ' + err.message, 'error', 5000);
   }
 }
 
+/** Mail a book to a device; the server queues it and the Downloads page shows how it went */
+async function sendToDevice(bookId, deviceId) {
+  const device = state.devices.find((d) => d.id === deviceId);
+  const result = await API.post(`/api/book/${encodeURIComponent(bookId)}/send`, { deviceId });
+  if (!result.success) return toast(result.error || 'Could not send', 'error', 5000);
+  watchJob(result.job);
+  toast(`Sending to ${device ? device.name : 'device'} — see Downloads for progress`, 'success');
+  if (state.currentPage === 'downloads') loadDownloads();
+}
+
 // ══════════════════════════════════════════════════════════════
 //  HELPERS
 // ══════════════════════════════════════════════════════════════
@@ -499,6 +1587,17 @@ function escAttr(str) {
   return String(str).replace(/'/g, "\\'").replace(/"/g, '&quot;');
 }
 
+/** "1h 05m" / "12m" */
+function formatDuration(seconds) {
+  const m = Math.round((seconds || 0) / 60);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m` : `${m}m`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function formatDate(dateStr) {
   if (!dateStr) return '';
   try {
@@ -524,13 +1623,22 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('searchForm').addEventListener('submit', (e) => {
     e.preventDefault();
     const q = document.getElementById('searchInput').value.trim();
+    state.searchFilters = {};
     if (q) doSearch(q, 1);
   });
-
-  // Library tabs
-  document.querySelectorAll('#page-library .tab').forEach((t) => {
-    t.addEventListener('click', () => loadLibrary(t.dataset.status));
+  document.getElementById('sourceSelect').addEventListener('change', (e) => {
+    state.searchSource = e.target.value;
+    state.searchFilters = {};
+    if (state.searchQuery) doSearch(state.searchQuery, 1);
   });
+  document.getElementById('searchSort').addEventListener('change', (e) => {
+    state.searchSort = e.target.value;
+    if (state.searchQuery) doSearch(state.searchQuery, 1);
+  });
+
+  // File preferences
+  document.getElementById('preferencesForm').addEventListener('submit', handlePreferences);
+  document.getElementById('preferencesResetBtn').addEventListener('click', resetPreferences);
 
   // Proxy
   document.getElementById('proxyForm').addEventListener('submit', handleProxy);
@@ -539,13 +1647,80 @@ document.addEventListener('DOMContentLoaded', () => {
   // OPDS copy
   document.getElementById('copyOpdsBtn').addEventListener('click', copyOpdsUrl);
 
+  // Account
+  document.getElementById('loginForm').addEventListener('submit', handleLogin);
+  document.querySelectorAll('#loginModal .auth-tab').forEach((t) => {
+    t.addEventListener('click', () => setLoginMode(t.dataset.mode));
+  });
+  document.querySelector('#loginModal .modal-backdrop').addEventListener('click', () => {
+    // Only dismissable while signing in is optional
+    if (!state.accounts || state.user) document.getElementById('loginModal').classList.add('hidden');
+  });
+  document.getElementById('createFirstAccountBtn').addEventListener('click', () => showLogin('register'));
+  document.getElementById('logoutBtn').addEventListener('click', logout);
+  document.getElementById('passwordForm').addEventListener('submit', handlePasswordChange);
+  document.getElementById('addUserForm').addEventListener('submit', handleAddUser);
+  document.getElementById('tokenForm').addEventListener('submit', handleCreateToken);
+
+  // Devices
+  document.getElementById('deviceForm').addEventListener('submit', handleAddDevice);
+
+  // KOReader sync
+  document.getElementById('kosyncForm').addEventListener('submit', handleKosync);
+  document.getElementById('kosyncUnlinkBtn').addEventListener('click', unlinkKosync);
+  document.getElementById('copyTokenBtn').addEventListener('click', () => {
+    navigator.clipboard.writeText(document.getElementById('newTokenValue').textContent)
+      .then(() => toast('Token copied!', 'success'));
+  });
+
+  // Library search
+  document.getElementById('librarySearch').addEventListener('input', (e) => searchLibrary(e.target.value));
+
+  // Authors & Series
+  document.querySelectorAll('#browseTabs .tab').forEach((t) => {
+    t.addEventListener('click', () => {
+      state.browse.kind = t.dataset.kind;
+      closeBrowseView();
+    });
+  });
+  let browseFilterTimer = null;
+  document.getElementById('browseFilter').addEventListener('input', (e) => {
+    clearTimeout(browseFilterTimer);
+    browseFilterTimer = setTimeout(() => {
+      state.browse.filter = e.target.value.trim();
+      closeBrowseView();
+    }, 250);
+  });
+
+  // Smart shelves
+  document.getElementById('smartShelfForm').addEventListener('submit', saveSmartShelf);
+  document.getElementById('addSmartRuleBtn').addEventListener('click', addSmartRule);
+  document.getElementById('smartShelfJoin').addEventListener('change', updateSmartQuery);
+  document.getElementById('smartShelfQuery').addEventListener('input', (e) => {
+    // Hand edits replace the rule rows
+    state.smartShelf.base = e.target.value;
+    document.getElementById('smartRules').innerHTML = '';
+    previewSmartShelf();
+  });
+  document.querySelector('#smartShelfModal .modal-backdrop').addEventListener('click', closeSmartShelf);
+  document.querySelector('#smartShelfModal .modal-close').addEventListener('click', closeSmartShelf);
+
   // Modal close
   document.querySelector('.modal-backdrop').addEventListener('click', closeModal);
   document.querySelector('.modal-close').addEventListener('click', closeModal);
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closeModal();
+    if (e.key === 'Escape') {
+      closeModal();
+      closeSmartShelf();
+    }
   });
 
   // Load initial state
-  loadSettings();
+  loadAccount().then(() => {
+    if (state.accounts && !state.user) return;
+    loadSources();
+    loadConversions();
+    connectJobEvents();
+    loadSettings();
+  });
 });
@@ -1,42 +1,390 @@
 const express = require('express');
-const { Readable } = require('stream');
+const { Readable, Transform, pipeline } = require('stream');
+const streamPromises = require('stream/promises');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const {
-  fetchSearchPage,
-  parseSearchResults,
-  fetchDownload,
-  fetchBookDetails,
-  fetchCover,
   getMirror,
   getMirrorStatus,
   setMirror,
   setProxy,
   getProxyStatus,
-  MIRRORS,
-  LIBGEN_BASE,
 } = require('./src/scraper');
+const { getSource, listSources, resolveSource } = require('./src/sources');
 const {
   rootCatalog,
+  authenticationDocument,
   openSearchDescription,
+  librarySearchDescription,
   searchResultsFeed,
   libraryFeed,
+  navigationFeed,
   bookFormatsFeed,
+  preferredCover,
+  escapeXml,
   OPDS_MIME,
   OPDS_ACQ_MIME,
   SEARCH_MIME,
+  AUTH_DOC_MIME,
+  AUTH_DOC_REL,
+  EXTENSION_MIME,
 } = require('./src/opds');
+const {
+  publication,
+  rootCatalog2,
+  searchResultsFeed2,
+  libraryFeed2,
+  navigationFeed2,
+  bookFormatsFeed2,
+  OPDS2_MIME,
+  OPDS2_PUB_MIME,
+} = require('./src/opds2');
+const { parseFacetFilters, applyFacets, countFacets } = require('./src/facets');
 const lib = require('./src/library');
+const browse = require('./src/browse');
+const fulltext = require('./src/fulltext');
+const { QueryError } = require('./src/query');
+const { groupBooks } = require('./src/grouping');
+const preferences = require('./src/preferences');
+const { rankFiles, rankWorks } = require('./src/ranking');
 const auth = require('./src/auth');
+const scanner = require('./src/scanner');
+const searchCache = require('./src/cache');
+const fileStore = require('./src/filestore');
+const kosync = require('./src/kosync');
+const reading = require('./src/reading');
+const annotations = require('./src/annotations');
+const shelves = require('./src/shelves');
+const enrich = require('./src/enrich');
+const transform = require('./src/transform');
+const convert = require('./src/convert');
+const queue = require('./src/queue');
+const smtp = require('./src/smtp');
+const devices = require('./src/devices');
+const downloads = require('./src/downloads');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const BASE_URL = (process.env.BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
+// Where a local book sits on the server's disk; never sent to clients
+const LOCAL_FILE_COLUMNS = ['file_path', 'file_size', 'file_mtime'];
+
 /** Map DB book row to frontend-friendly shape */
 function mapBook(b) {
   if (!b) return b;
-  b.coverUrl = b.cover_url || b.coverUrl || '';
-  return b;
+  const book = { ...b, coverUrl: preferredCover(b) };
+  for (const column of LOCAL_FILE_COLUMNS) delete book[column];
+  return book;
+}
+
+/** Map download history rows to book-like rows (cached book row when we have one) */
+function downloadHistoryBooks(userId, limit = 100) {
+  return browse.attachRelated(lib.getDownloadHistory(userId, limit, 0).map((h) => {
+    const cached = lib.getBook(h.book_id);
+    return cached || {
+      id: h.book_id,
+      title: h.title,
+      author: h.author,
+      extension: h.extension,
+      filesize: h.filesize,
+      download: h.dl_path,
+      coverUrl: '',
+      publisher: '',
+      language: '',
+      year: '',
+      rating: '',
+    };
+  }));
+}
+
+/** Run one page of a search through the search cache, log the search and cache the book rows */
+async function runSearch(req, source, query, page) {
+  const result = await searchCache.cachedSearch(source, query, page, (books) => {
+    for (const book of books) lib.upsertBook(book);
+  });
+  lib.logSearch(auth.userId(req), query, result.books.length);
+  return result;
+}
+
+/**
+ * Set ETag / Last-Modified / X-Cache for a search result
+ * @returns {boolean} true when the client's conditional request can be answered with 304
+ */
+function checkNotModified(req, res, result) {
+  res.vary('Accept');
+  res.set('ETag', searchCache.etagFor(result, `${req.get('Accept') || ''}|${req.originalUrl}`));
+  res.set('Last-Modified', new Date(result.fetchedAt).toUTCString());
+  res.set('X-Cache', result.cached ? (result.stale ? 'STALE' : 'HIT') : 'MISS');
+  return req.fresh;
+}
+
+/**
+ * Collapse a result page into one row per work, unless the client asks for flat rows (?group=0),
+ * with each work's best file for the user in front; ?sort=best also orders works by that file.
+ * Rows get their author and series links (src/browse.js).
+ */
+function groupResults(req, books) {
+  const works = req.query.group === '0' ? books : groupBooks(books);
+  return browse.attachRelated(rankWorks(works, preferences.getPreferences(auth.userId(req)), { sortBest: req.query.sort === 'best' }));
+}
+
+/** Every known file of a book's work, the book itself first, then ranked for the user (src/ranking.js) */
+function workFiles(req, bookId) {
+  const files = lib.getWorkFiles(bookId);
+  return { book: files[0], files: browse.attachRelated(rankFiles(files, preferences.getPreferences(auth.userId(req)))) };
+}
+
+/** Pass-through stream that counts the bytes flowing through it (in `.bytes`), calling `onBytes` as they pass */
+function byteCounter(onBytes = null) {
+  const counter = new Transform({
+    transform(chunk, _enc, callback) {
+      counter.bytes += chunk.length;
+      if (onBytes) onBytes(counter.bytes);
+      callback(null, chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+/**
+ * Record in download history whether the response body was fully sent or cut off
+ * Without a byte `counter`, a completed transfer is assumed to have sent Content-Length bytes.
+ * Clients often hang up as soon as they have Content-Length bytes, before the stream ends.
+ */
+function trackTransfer(res, historyId, { totalBytes = null, counter = null } = {}) {
+  res.on('close', () => {
+    const expected = parseInt(res.getHeader('Content-Length'), 10);
+    const completed = res.writableFinished || !!(counter && expected && counter.bytes >= expected);
+    const bytesSent = counter
+      ? counter.bytes
+      : (completed ? parseInt(res.getHeader('Content-Length'), 10) || null : null);
+    lib.finishDownload(historyId, { status: completed ? 'completed' : 'interrupted', bytesSent, totalBytes });
+    if (!completed) console.log(`[Download] Transfer ${historyId} interrupted after ${bytesSent ?? '?'} bytes`);
+  });
+}
+
+/**
+ * A whole file for a download transform or conversion: from the file store, or fetched in full
+ * from the source (and stored on the way, like a proxied download)
+ * @returns {Promise<Buffer|null>} null when it is larger than maxBytes or the source has no complete copy
+ */
+async function readWholeFile(source, fileId, stored, ext, maxBytes) {
+  if (stored) return stored.size > maxBytes ? null : fs.promises.readFile(stored.path);
+
+  const { response, error } = await source.acquire(fileId, {});
+  if (error || response.status !== 200) return null;
+  const contentLen = parseInt(response.headers.get('content-length'), 10) || 0;
+  if (contentLen > maxBytes) {
+    response.body.cancel().catch(() => {});
+    return null;
+  }
+  const store = source.cacheable === false ? [] : [fileStore.capture(fileId, {
+    extension: ext,
+    contentType: response.headers.get('content-type'),
+    contentDisposition: response.headers.get('content-disposition') || `attachment; filename="book.${ext}"`,
+    size: contentLen,
+  })];
+  const chunks = [];
+  let size = 0;
+  try {
+    await streamPromises.pipeline(Readable.fromWeb(response.body), ...store, async (body) => {
+      for await (const chunk of body) {
+        size += chunk.length;
+        if (size > maxBytes) throw new Error(`larger than ${maxBytes} bytes`);
+        chunks.push(chunk);
+      }
+    });
+  } catch (err) {
+    console.warn(`[Download] Could not read ${fileId} whole: ${err.message}`);
+    return null;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Send a file held in memory, answering a single-range Range request with 206 (or 416)
+ */
+function sendBuffer(req, res, buffer, headers) {
+  res.set(headers);
+  res.set('Accept-Ranges', 'bytes');
+  const ranges = req.headers.range ? req.range(buffer.length) : null;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${buffer.length}`);
+    return res.status(416).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206).set({ 'Content-Range': `bytes ${start}-${end}/${buffer.length}`, 'Content-Length': end - start + 1 });
+    return res.end(buffer.subarray(start, end + 1));
+  }
+  res.status(200).set('Content-Length', buffer.length);
+  res.end(buffer);
+}
+
+/**
+ * A download converted to another format (src/convert): the file store's cached conversion, or
+ * the original converted now (and cached). Concurrent requests for the same file share one run.
+ * @returns {Promise<{ stored?: object, data?: Buffer }>}
+ * @throws {Error} when the original can't be had or the conversion fails
+ */
+async function convertedFile(source, fileId, book, from, to, original = null) {
+  const cached = fileStore.lookupConverted(fileId, to);
+  if (cached) return { stored: cached };
+  const data = await convert.once(`${source.name}:${fileId}:${to}`, async () => {
+    const stored = !original && source.cacheable !== false && fileStore.lookup(fileId);
+    original = original || await readWholeFile(source, fileId, stored, from, convert.MAX_INPUT_BYTES);
+    if (!original) throw new Error('the original file could not be fetched, or is too large to convert');
+    const result = await convert.convertFile(original, { from, to, book });
+    fileStore.saveConverted(fileId, to, result.data, { contentType: EXTENSION_MIME[to] || '', converter: result.converter });
+    return result.data;
+  });
+  return { data };
+}
+
+/** Source and file id of a download path such as /libgen/dl/<md5> ({} when it names no source) */
+function downloadSource(dlPath) {
+  const [, sourceName, fileId] = String(dlPath || '').match(/^\/([^/]+)\/dl\/([^/?]+)/) || [];
+  const source = sourceName && getSource(sourceName);
+  return source ? { source, fileId } : {};
+}
+
+/**
+ * Fetch a download to a file, reporting progress: copied from the file store, or streamed from
+ * the source (and stored on the way)
+ * @returns {Promise<{ contentType: string, contentDisposition: string }>} the source's headers
+ */
+async function fetchToFile(source, fileId, ext, dest, { signal, progress }) {
+  const stored = source.cacheable !== false && fileStore.lookup(fileId);
+  if (stored) {
+    progress(0, stored.size);
+    await fs.promises.copyFile(stored.path, dest);
+    progress(stored.size, stored.size);
+    return { contentType: stored.content_type, contentDisposition: stored.content_disposition };
+  }
+
+  const { response, error } = await source.acquire(fileId, {});
+  if (error) throw new Error(error);
+  if (response.status !== 200) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`The source answered ${response.status}`);
+  }
+  const total = parseInt(response.headers.get('content-length'), 10) || null;
+  const headers = {
+    contentType: response.headers.get('content-type') || '',
+    contentDisposition: response.headers.get('content-disposition') || '',
+  };
+  const store = source.cacheable === false ? [] : [fileStore.capture(fileId, {
+    extension: ext,
+    contentType: headers.contentType,
+    contentDisposition: headers.contentDisposition || `attachment; filename="book.${ext}"`,
+    size: total || 0,
+  })];
+  progress(0, total);
+  await streamPromises.pipeline(
+    Readable.fromWeb(response.body), ...store, byteCounter((bytes) => progress(bytes, total)),
+    fs.createWriteStream(dest), { signal }
+  );
+  return headers;
+}
+
+/**
+ * A download job's file (src/downloads.js): fetched to `dest` with progress, then converted,
+ * rewritten and named like a direct download
+ * @returns {Promise<{ filename: string, contentDisposition: string, contentType: string, size: number }>}
+ */
+async function fetchDownloadFile(userId, { bookId, download, ext, convertTo, rewrite }, { dest, signal, progress }) {
+  const { source, fileId } = downloadSource(download);
+  if (!source) throw Object.assign(new Error('Unknown download source'), { permanent: true });
+  const book = lib.getBook(bookId);
+  const to = convertTo || ext;
+
+  let headers = {};
+  const converted = convertTo && fileStore.lookupConverted(fileId, convertTo);
+  if (converted) {
+    progress(0, converted.size);
+    await fs.promises.copyFile(converted.path, dest);
+  } else {
+    headers = await fetchToFile(source, fileId, ext, dest, { signal, progress });
+    if (convertTo) {
+      if ((await fs.promises.stat(dest)).size > convert.MAX_INPUT_BYTES) {
+        throw Object.assign(new Error(`The file is larger than ${convert.MAX_INPUT_BYTES / 1024 / 1024} MB and is not converted`), { permanent: true });
+      }
+      const file = await convertedFile(source, fileId, book, ext, to, await fs.promises.readFile(dest));
+      if (file.data) await fs.promises.writeFile(dest, file.data);
+      else await fs.promises.copyFile(file.stored.path, dest);
+    }
+  }
+
+  const prefs = preferences.getPreferences(userId);
+  let rewritten = null;
+  if (transform.wantsRewrite(book, to, prefs, rewrite) && (await fs.promises.stat(dest)).size <= transform.MAX_REWRITE_BYTES) {
+    rewritten = await transform.rewriteDownload(await fs.promises.readFile(dest), book, { embedCover: prefs.embedCover });
+    if (rewritten) await fs.promises.writeFile(dest, rewritten);
+  }
+
+  const size = (await fs.promises.stat(dest)).size;
+  progress(size, size);
+  // Converted and rewritten files have no upstream name of their own to keep
+  const stored = !headers.contentDisposition && convertTo && source.cacheable !== false && fileStore.lookup(fileId);
+  const originalName = transform.dispositionFilename(headers.contentDisposition || (stored && stored.content_disposition));
+  const named = convertTo || rewritten ? transform.producedFilename(book, to, originalName) : transform.downloadFilename(book, to);
+  const contentDisposition = named ? transform.contentDisposition(named)
+    : headers.contentDisposition || `attachment; filename="book.${to}"`;
+  return {
+    filename: named || transform.dispositionFilename(contentDisposition) || `book.${to}`,
+    contentDisposition,
+    contentType: EXTENSION_MIME[to] || headers.contentType || 'application/octet-stream',
+    size,
+  };
+}
+
+/**
+ * A catalog book's file through the download pipeline, for delivery by the server (send-to-device):
+ * stored or fetched whole, converted when asked, rewritten and named per the user's preferences
+ * @returns {Promise<{ data: Buffer, filename: string, contentType: string }>}
+ * @throws {Error} when the file can't be had (too large, source failure) or the conversion fails
+ */
+async function loadBookFile(userId, book, { convertTo = '', maxBytes }) {
+  const { source, fileId } = downloadSource(book.download);
+  if (!source) throw new Error('The book has no downloadable file');
+  const ext = (book.extension || 'epub').toLowerCase();
+  const to = convertTo || ext;
+
+  let data;
+  if (convertTo) {
+    const file = await convertedFile(source, fileId, book, ext, to);
+    data = file.data || (file.stored.size <= maxBytes && await fs.promises.readFile(file.stored.path));
+  } else {
+    const stored = source.cacheable !== false && fileStore.lookup(fileId);
+    data = await readWholeFile(source, fileId, stored, ext, maxBytes);
+  }
+  if (!data) throw new Error(`The file could not be fetched, or is larger than ${maxBytes / 1024 / 1024} MB`);
+
+  const prefs = preferences.getPreferences(userId);
+  if (transform.wantsRewrite(book, to, prefs)) {
+    data = (await transform.rewriteDownload(data, book, { embedCover: prefs.embedCover })) || data;
+  }
+  return {
+    data,
+    filename: transform.producedFilename(book, to),
+    contentType: EXTENSION_MIME[to] || 'application/octet-stream',
+  };
+}
+
+/** Authentication Document for OPDS clients (also the body of 401s on /opds and /opds2) */
+function sendAuthDocument(req, res) {
+  res.set('Content-Type', AUTH_DOC_MIME);
+  res.set('Link', `<${BASE_URL}/opds/auth.json>; rel="${AUTH_DOC_REL}"; type="${AUTH_DOC_MIME}"`);
+  res.send(JSON.stringify(authenticationDocument(BASE_URL, { registration: auth.canRegister(req) })));
+}
+
+/** True when the client prefers OPDS 2.0 JSON over Atom */
+function wantsOpds2(req) {
+  const type = req.accepts(['application/atom+xml', OPDS2_MIME, 'application/json']);
+  return type === OPDS2_MIME || type === 'application/json';
 }
 
 // ─── Middleware ───────────────────────────────────────────────
@@ -49,21 +397,35 @@ app.use((req, _res, next) => {
   next();
 });
 
+// Accounts: once any exist, OPDS clients authenticate with HTTP Basic, the web UI with a session cookie
+app.use(auth.identify);
+app.use(['/opds', '/opds2'], auth.requireUser({
+  challenge: true,
+  except: ['/auth.json', '/auth/token'],
+  deny: sendAuthDocument,
+}));
+app.use('/dashboard', auth.requireUser({ challenge: true }));
+app.use('/api', auth.requireUser({ except: ['/info', '/auth/status', '/auth/me', '/auth/login', '/auth/register'] }));
+// API tokens need at least the read scope; write and admin routes ask for more below
+app.use('/api', auth.requireScope('read'));
+
 // ─── Health check / API info ──────────────────────────────────
 
-app.get('/api/info', (_req, res) => {
-  const stats = lib.getStats();
+app.get('/api/info', (req, res) => {
+  const stats = lib.getStats(auth.userId(req));
   res.json({
     name: 'Readest LibGen OPDS Bridge',
     version: '4.0.0',
     source: 'Library Genesis (libgen.li) — no download limits!',
     frontend: `${BASE_URL}/`,
     opds: `${BASE_URL}/opds`,
+    opds2: `${BASE_URL}/opds2`,
     dashboard: `${BASE_URL}/dashboard`,
     api: {
       search: `${BASE_URL}/api/search?q={query}`,
       library: `${BASE_URL}/api/library`,
       details: `${BASE_URL}/api/book/{bookId}/details`,
+      sources: `${BASE_URL}/api/sources`,
       proxy: `${BASE_URL}/api/proxy`,
       stats: `${BASE_URL}/api/stats`,
     },
@@ -81,16 +443,41 @@ app.get('/api/info', (_req, res) => {
 
 // ─── OPDS Root Catalog ────────────────────────────────────────
 
-app.get('/opds', (_req, res) => {
+app.get('/opds', (req, res) => {
+  res.vary('Accept');
+  if (wantsOpds2(req)) return sendOpds2Root(req, res);
   res.set('Content-Type', OPDS_MIME);
-  res.send(rootCatalog(BASE_URL));
+  res.send(rootCatalog(BASE_URL, { authentication: auth.hasUsers(), shelves: shelves.rootShelves(auth.userId(req)) }));
+});
+
+// ─── Authentication (Authentication for OPDS 1.0) ─────────────
+
+app.get('/opds/auth.json', (req, res) => {
+  sendAuthDocument(req, res);
+});
+
+// OAuth 2.0 password grant: trade a username/password for a bearer token
+app.post('/opds/auth/token', express.urlencoded({ extended: false }), (req, res) => {
+  const { grant_type: grantType, username, password } = req.body || {};
+  if (grantType !== 'password') return res.status(400).json({ error: 'unsupported_grant_type' });
+
+  const user = username ? auth.verifyCredentials(username, password) : (!req.token && req.user);
+  if (!user) return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid username or password' });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    access_token: auth.createSession(user.id, req.get('User-Agent')),
+    token_type: 'bearer',
+    expires_in: Math.floor(auth.SESSION_MS / 1000),
+  });
 });
 
 // ─── OpenSearch Description ───────────────────────────────────
 
-app.get('/opds/opensearch.xml', (_req, res) => {
+app.get('/opds/opensearch.xml', (req, res) => {
+  const source = req.query.source ? getSource(req.query.source) : null;
   res.set('Content-Type', SEARCH_MIME);
-  res.send(openSearchDescription(BASE_URL));
+  res.send(openSearchDescription(BASE_URL, source));
 });
 
 // ─── Search ───────────────────────────────────────────────────
@@ -106,28 +493,46 @@ app.get('/opds/search', async (req, res) => {
     );
   }
 
+  const source = resolveSource(req);
+  if (!source) return res.status(400).set('Content-Type', 'text/plain').send('Unknown source');
+
   try {
-    console.log(`[Search] query="${query}" page=${page}`);
-    const html = await fetchSearchPage(query, page);
-    const { books, totalPages } = parseSearchResults(html);
+    console.log(`[Search] source=${source.name} query="${query}" page=${page}`);
+    const result = await runSearch(req, source, query, page);
+    const { books, totalPages } = result;
     console.log(`[Search] Found ${books.length} results (page ${page}/${totalPages})`);
+    if (checkNotModified(req, res, result)) return res.status(304).end();
 
-    // Log search & cache books in DB
-    lib.logSearch(query, books.length);
-    for (const book of books) {
-      lib.upsertBook(book);
-    }
+    const filters = parseFacetFilters(req.query);
+    const facets = countFacets(books, filters);
 
     res.set('Content-Type', OPDS_ACQ_MIME);
-    res.send(searchResultsFeed({ baseUrl: BASE_URL, query, books, page, totalPages }));
+    res.send(searchResultsFeed({
+      baseUrl: BASE_URL,
+      query,
+      books: groupResults(req, applyFacets(books, filters)),
+      page,
+      totalPages,
+      facets,
+      filters,
+      source: req.query.source || null,
+    }));
   } catch (err) {
     console.error('[Search Error]', err.message);
-    res.status(502).set('Content-Type', 'text/plain').send(`Search failed: ${err.message}`);
+    res.status(err instanceof QueryError ? 400 : 502).set('Content-Type', 'text/plain').send(`Search failed: ${err.message}`);
   }
 });
 
 // ─── Book Details (OPDS) ──────────────────────────────────────
 
+// Every known file of a book's work (edition grouping, src/grouping.js)
+app.get('/opds/book/:bookId/formats', (req, res) => {
+  const { book, files } = workFiles(req, req.params.bookId);
+  if (!book) return res.status(404).set('Content-Type', 'text/plain').send('Book not found');
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(bookFormatsFeed({ baseUrl: BASE_URL, book, formats: files }));
+});
+
 app.get('/opds/book/:bookId/details', async (req, res) => {
   const { bookId } = req.params;
   try {
@@ -136,7 +541,7 @@ app.get('/opds/book/:bookId/details', async (req, res) => {
       book = { id: bookId, title: 'Book ' + bookId, author: '', extension: '', filesize: '', download: '' };
     }
     res.set('Content-Type', OPDS_ACQ_MIME);
-    res.send(searchResultsFeed({ baseUrl: BASE_URL, query: book.title, books: [book], page: 1 }));
+    res.send(searchResultsFeed({ baseUrl: BASE_URL, query: book.title, books: browse.attachRelated([book]), page: 1 }));
   } catch (err) {
     console.error('[Details Error]', err.message);
     res.status(502).send(`Details fetch failed: ${err.message}`);
@@ -145,101 +550,514 @@ app.get('/opds/book/:bookId/details', async (req, res) => {
 
 // ─── Library Feeds ────────────────────────────────────────────
 
-app.get('/opds/library', (_req, res) => {
-  const books = lib.getLibraryBooks(null, 100, 0);
+app.get('/opds/library', (req, res) => {
+  const books = browse.attachRelated(lib.getLibraryBooks(auth.userId(req), null, 100, 0));
   res.set('Content-Type', OPDS_ACQ_MIME);
   res.send(libraryFeed({ baseUrl: BASE_URL, title: 'My Library', id: 'all', books, status: null }));
 });
 
-app.get('/opds/library/downloads', (_req, res) => {
-  const history = lib.getDownloadHistory(100, 0);
-  // Map download history to a book-like structure
-  const books = history.map((h) => {
-    const cached = lib.getBook(h.book_id);
-    return cached || {
-      id: h.book_id,
-      title: h.title,
-      author: h.author,
-      extension: h.extension,
-      filesize: h.filesize,
-      download: h.dl_path,
-      coverUrl: '',
-      publisher: '',
-      language: '',
-      year: '',
-      rating: '',
-    };
-  });
+app.get('/opds/library/downloads', (req, res) => {
+  const books = downloadHistoryBooks(auth.userId(req), 100);
   res.set('Content-Type', OPDS_ACQ_MIME);
   res.send(libraryFeed({ baseUrl: BASE_URL, title: 'Download History', id: 'downloads', books, status: 'downloads' }));
 });
 
+app.get('/opds/library/local', (_req, res) => {
+  const books = browse.attachRelated(lib.getLocalBooks(500, 0));
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(libraryFeed({ baseUrl: BASE_URL, title: 'Local Files', id: 'local', books, status: 'local' }));
+});
+
+// Offline full-text search over every book we know about (src/fulltext.js)
+const LIBRARY_SEARCH_PAGE_SIZE = 25;
+
+app.get('/opds/library/opensearch.xml', (_req, res) => {
+  res.set('Content-Type', SEARCH_MIME);
+  res.send(librarySearchDescription(BASE_URL));
+});
+
+/** One page of library search for the OPDS feeds; answers 400 itself on a syntax error */
+function librarySearchPage(req, res, query, page) {
+  try {
+    const result = fulltext.search(auth.userId(req), query, {
+      limit: LIBRARY_SEARCH_PAGE_SIZE,
+      offset: (page - 1) * LIBRARY_SEARCH_PAGE_SIZE,
+    });
+    browse.attachRelated(result.books);
+    return result;
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    res.status(400).set('Content-Type', 'text/plain').send(`Search failed: ${err.message}`);
+    return null;
+  }
+}
+
+app.get('/opds/library/search', (req, res) => {
+  const query = String(req.query.q || req.query.query || '');
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const result = librarySearchPage(req, res, query, page);
+  if (!result) return;
+  const { books, total } = result;
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(libraryFeed({
+    baseUrl: BASE_URL,
+    title: `Library search: ${query}`,
+    id: `search:${query}:${page}`,
+    books,
+    path: `/library/search?q=${encodeURIComponent(query)}`,
+    pagination: { page, perPage: LIBRARY_SEARCH_PAGE_SIZE, total },
+  }));
+});
+
 app.get('/opds/library/:status', (req, res) => {
   const { status } = req.params;
-  const validStatuses = ['downloaded', 'reading', 'finished', 'want-to-read', 'favorite'];
-  if (!validStatuses.includes(status)) {
+  const shelf = shelves.getBuiltin(status);
+  if (!shelf) {
     return res.status(400).send('Invalid status');
   }
 
-  const titleMap = {
-    downloaded: 'Downloaded Books',
-    reading: 'Currently Reading',
-    finished: 'Finished Books',
-    'want-to-read': 'Want to Read',
-    favorite: 'Favorites',
-  };
+  const books = browse.attachRelated(lib.getLibraryBooks(auth.userId(req), status, 100, 0));
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(libraryFeed({ baseUrl: BASE_URL, title: shelf.name, id: status, books, status }));
+});
+
+const SHELF_PAGE_SIZE = 50;
+
+app.get('/opds/shelves/:id', (req, res) => {
+  const userId = auth.userId(req);
+  const shelf = shelves.getShelf(userId, req.params.id);
+  if (!shelf) return res.status(404).send('Shelf not found');
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(libraryFeed({
+    baseUrl: BASE_URL,
+    title: shelf.name,
+    id: `shelf:${shelf.id}:${page}`,
+    books: browse.attachRelated(shelves.getShelfBooks(userId, shelf, SHELF_PAGE_SIZE, (page - 1) * SHELF_PAGE_SIZE)),
+    path: shelves.shelfPath(shelf),
+    subsections: shelves.childShelves(userId, shelf.id),
+    pagination: { page, perPage: SHELF_PAGE_SIZE, total: shelf.bookCount },
+  }));
+});
+
+// ─── Author & Series Feeds ────────────────────────────────────
+
+const BROWSE_PAGE_SIZE = 50;
+
+function works(n) {
+  return `${n} work${n === 1 ? '' : 's'}`;
+}
+
+/** Navigation sections for a page of listAuthors / listSeries rows */
+function authorSections(authors) {
+  return authors.map((a) => ({ id: `author:${a.id}`, title: a.name, description: works(a.works), path: `/authors/${a.id}` }));
+}
+
+function seriesSections(series) {
+  return series.map((s) => ({ id: `series:${s.id}`, urn: `series:${s.id}`, title: s.name, description: works(s.works), path: `/series/${s.id}` }));
+}
+
+/**
+ * One page of an author's or a series' feed: the page's rows grouped into works and ranked
+ * (groupResults); `load` is browse.authorBooks or browse.seriesBooks
+ */
+function browsePage(req, load, id) {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const { books, total } = load(auth.userId(req), id, { limit: BROWSE_PAGE_SIZE, offset: (page - 1) * BROWSE_PAGE_SIZE });
+  return { books: groupResults(req, books), pagination: { page, perPage: BROWSE_PAGE_SIZE, total } };
+}
+
+/** Page number and listAuthors / listSeries options from ?page and ?q */
+function browseListQuery(req) {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  return { page, q: String(req.query.q || req.query.query || ''), limit: BROWSE_PAGE_SIZE, offset: (page - 1) * BROWSE_PAGE_SIZE };
+}
+
+app.get('/opds/authors', (req, res) => {
+  const { page, ...options } = browseListQuery(req);
+  const { authors, total } = browse.listAuthors(options);
+  res.set('Content-Type', OPDS_MIME);
+  res.send(navigationFeed({
+    baseUrl: BASE_URL,
+    title: 'Authors',
+    id: `authors:${options.q}:${page}`,
+    path: options.q ? `/authors?q=${encodeURIComponent(options.q)}` : '/authors',
+    entries: authorSections(authors),
+    pagination: { page, perPage: BROWSE_PAGE_SIZE, total },
+  }));
+});
+
+app.get('/opds/authors/:id', (req, res) => {
+  const author = browse.getAuthor(req.params.id);
+  if (!author) return res.status(404).set('Content-Type', 'text/plain').send('Author not found');
+  const { books, pagination } = browsePage(req, browse.authorBooks, author.id);
+  res.set('Content-Type', OPDS_ACQ_MIME);
+  res.send(libraryFeed({
+    baseUrl: BASE_URL,
+    title: author.name,
+    id: `author:${author.id}:${pagination.page}`,
+    books,
+    path: `/authors/${author.id}`,
+    subsections: seriesSections(author.series),
+    pagination,
+  }));
+});
 
-  const books = lib.getLibraryBooks(status, 100, 0);
+app.get('/opds/series', (req, res) => {
+  const { page, ...options } = browseListQuery(req);
+  const { series, total } = browse.listSeries(options);
+  res.set('Content-Type', OPDS_MIME);
+  res.send(navigationFeed({
+    baseUrl: BASE_URL,
+    title: 'Series',
+    id: `series:${options.q}:${page}`,
+    path: options.q ? `/series?q=${encodeURIComponent(options.q)}` : '/series',
+    entries: seriesSections(series),
+    pagination: { page, perPage: BROWSE_PAGE_SIZE, total },
+  }));
+});
+
+// Books in series order, unnumbered ones last
+app.get('/opds/series/:id', (req, res) => {
+  const series = browse.getSeries(req.params.id);
+  if (!series) return res.status(404).set('Content-Type', 'text/plain').send('Series not found');
+  const { books, pagination } = browsePage(req, browse.seriesBooks, series.id);
   res.set('Content-Type', OPDS_ACQ_MIME);
-  res.send(libraryFeed({ baseUrl: BASE_URL, title: titleMap[status], id: status, books, status }));
+  res.send(libraryFeed({
+    baseUrl: BASE_URL,
+    title: series.name,
+    id: `series:${series.id}:${pagination.page}`,
+    books,
+    path: `/series/${series.id}`,
+    pagination,
+  }));
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  OPDS 2.0 FEEDS (JSON)
+// ═══════════════════════════════════════════════════════════════
+
+function sendOpds2Root(req, res) {
+  const userId = auth.userId(req);
+  const groups = [
+    { title: 'Currently Reading', href: `${BASE_URL}/opds2/library/reading`, books: browse.attachRelated(lib.getLibraryBooks(userId, 'reading', 10, 0)) },
+    { title: 'Favorites', href: `${BASE_URL}/opds2/library/favorite`, books: browse.attachRelated(lib.getLibraryBooks(userId, 'favorite', 10, 0)) },
+  ];
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(rootCatalog2(BASE_URL, groups, { authentication: auth.hasUsers(), shelves: shelves.rootShelves(userId) })));
+}
+
+app.get('/opds2', (req, res) => {
+  sendOpds2Root(req, res);
+});
+
+app.get('/opds2/search', async (req, res) => {
+  const query = req.query.query || req.query.q || '';
+  const page = parseInt(req.query.page, 10) || 1;
+
+  res.set('Content-Type', OPDS2_MIME);
+  if (!query.trim()) {
+    return res.send(JSON.stringify(searchResultsFeed2({ baseUrl: BASE_URL, query: '', books: [], page: 1 })));
+  }
+
+  const source = resolveSource(req);
+  if (!source) return res.status(400).json({ error: 'Unknown source' });
+
+  try {
+    console.log(`[OPDS2 Search] source=${source.name} query="${query}" page=${page}`);
+    const result = await runSearch(req, source, query, page);
+    const { books, totalPages } = result;
+    if (checkNotModified(req, res, result)) return res.status(304).end();
+    const filters = parseFacetFilters(req.query);
+    const facets = countFacets(books, filters);
+    res.send(JSON.stringify(searchResultsFeed2({
+      baseUrl: BASE_URL,
+      query,
+      books: groupResults(req, applyFacets(books, filters)),
+      page,
+      totalPages,
+      facets,
+      filters,
+      source: req.query.source || null,
+    })));
+  } catch (err) {
+    console.error('[OPDS2 Search Error]', err.message);
+    res.status(err instanceof QueryError ? 400 : 502).json({ error: `Search failed: ${err.message}` });
+  }
+});
+
+app.get('/opds2/library', (req, res) => {
+  const books = browse.attachRelated(lib.getLibraryBooks(auth.userId(req), null, 100, 0));
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({ baseUrl: BASE_URL, title: 'My Library', books, status: null })));
+});
+
+app.get('/opds2/library/downloads', (req, res) => {
+  const books = downloadHistoryBooks(auth.userId(req), 100);
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({ baseUrl: BASE_URL, title: 'Download History', books, status: 'downloads' })));
+});
+
+app.get('/opds2/library/local', (_req, res) => {
+  const books = browse.attachRelated(lib.getLocalBooks(500, 0));
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({ baseUrl: BASE_URL, title: 'Local Files', books, status: 'local' })));
+});
+
+app.get('/opds2/library/search', (req, res) => {
+  const query = String(req.query.query || req.query.q || '');
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const result = librarySearchPage(req, res, query, page);
+  if (!result) return;
+  const { books, total } = result;
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({
+    baseUrl: BASE_URL,
+    title: `Library search: ${query}`,
+    books,
+    path: `/library/search?query=${encodeURIComponent(query)}`,
+    pagination: { page, perPage: LIBRARY_SEARCH_PAGE_SIZE, total },
+  })));
+});
+
+app.get('/opds2/library/:status', (req, res) => {
+  const { status } = req.params;
+  const shelf = shelves.getBuiltin(status);
+  if (!shelf) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  const books = browse.attachRelated(lib.getLibraryBooks(auth.userId(req), status, 100, 0));
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({ baseUrl: BASE_URL, title: shelf.name, books, status })));
+});
+
+app.get('/opds2/shelves/:id', (req, res) => {
+  const userId = auth.userId(req);
+  const shelf = shelves.getShelf(userId, req.params.id);
+  if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({
+    baseUrl: BASE_URL,
+    title: shelf.name,
+    books: browse.attachRelated(shelves.getShelfBooks(userId, shelf, SHELF_PAGE_SIZE, (page - 1) * SHELF_PAGE_SIZE)),
+    path: shelves.shelfPath(shelf),
+    subsections: shelves.childShelves(userId, shelf.id),
+    pagination: { page, perPage: SHELF_PAGE_SIZE, total: shelf.bookCount },
+  })));
+});
+
+app.get('/opds2/authors', (req, res) => {
+  const { page, ...options } = browseListQuery(req);
+  const { authors, total } = browse.listAuthors(options);
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(navigationFeed2({
+    baseUrl: BASE_URL,
+    title: 'Authors',
+    path: options.q ? `/authors?q=${encodeURIComponent(options.q)}` : '/authors',
+    entries: authorSections(authors),
+    pagination: { page, perPage: BROWSE_PAGE_SIZE, total },
+  })));
+});
+
+app.get('/opds2/authors/:id', (req, res) => {
+  const author = browse.getAuthor(req.params.id);
+  if (!author) return res.status(404).json({ error: 'Author not found' });
+  const { books, pagination } = browsePage(req, browse.authorBooks, author.id);
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({
+    baseUrl: BASE_URL,
+    title: author.name,
+    books,
+    path: `/authors/${author.id}`,
+    subsections: seriesSections(author.series),
+    pagination,
+  })));
+});
+
+app.get('/opds2/series', (req, res) => {
+  const { page, ...options } = browseListQuery(req);
+  const { series, total } = browse.listSeries(options);
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(navigationFeed2({
+    baseUrl: BASE_URL,
+    title: 'Series',
+    path: options.q ? `/series?q=${encodeURIComponent(options.q)}` : '/series',
+    entries: seriesSections(series),
+    pagination: { page, perPage: BROWSE_PAGE_SIZE, total },
+  })));
+});
+
+app.get('/opds2/series/:id', (req, res) => {
+  const series = browse.getSeries(req.params.id);
+  if (!series) return res.status(404).json({ error: 'Series not found' });
+  const { books, pagination } = browsePage(req, browse.seriesBooks, series.id);
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(libraryFeed2({ baseUrl: BASE_URL, title: series.name, books, path: `/series/${series.id}`, pagination })));
+});
+
+app.get('/opds2/book/:bookId/formats', (req, res) => {
+  const { book, files } = workFiles(req, req.params.bookId);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  res.set('Content-Type', OPDS2_MIME);
+  res.send(JSON.stringify(bookFormatsFeed2({ baseUrl: BASE_URL, book, formats: files })));
+});
+
+app.get('/opds2/publication/:bookId', (req, res) => {
+  const book = lib.getBook(req.params.bookId);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  browse.attachRelated([book]);
+  res.set('Content-Type', OPDS2_PUB_MIME);
+  res.send(JSON.stringify(publication({ book, baseUrl: BASE_URL, standalone: true })));
 });
 
 // ─── Download Proxy ───────────────────────────────────────────
 
-app.get('/libgen/dl/:md5', async (req, res) => {
-  const md5 = req.params.md5;
+// Every source serves its files under /<source>/dl/:fileId (e.g. /libgen/dl/<md5>)
+// Range requests are answered from the file store or forwarded to the source; rewritten
+// EPUBs (src/transform.js) are answered from memory.
+app.get('/:source/dl/:fileId', auth.requireUser({ challenge: true }), async (req, res, next) => {
+  const source = getSource(req.params.source);
+  if (!source) return next();
+
+  const { fileId } = req.params;
   const ext = req.query.ext || 'epub';
-  const bookId = req.query.id || md5;
+  const bookId = req.query.id || fileId;
+  const dlPath = `/${source.name}/dl/${fileId}`;
+  const range = req.headers.range || '';
 
   try {
-    console.log(`[Download] md5=${md5} (book: ${bookId})`);
+    console.log(`[Download] source=${source.name} file=${fileId} (book: ${bookId})${range ? ` range=${range}` : ''}`);
 
     // Log download in history
     const book = lib.getBook(bookId);
+    let historyId;
     if (book) {
-      lib.logDownload({ ...book, download: `/libgen/dl/${md5}` });
-      lib.addToLibrary(bookId, 'downloaded');
+      historyId = lib.logDownload(auth.userId(req), { ...book, download: dlPath }, { range });
+      lib.addToLibrary(auth.userId(req), bookId, 'downloaded');
+      enrich.enqueue(bookId);
     } else {
-      lib.logDownload({ id: bookId, title: 'Unknown', dl_path: `/libgen/dl/${md5}`, extension: ext });
+      historyId = lib.logDownload(auth.userId(req), { id: bookId, title: 'Unknown', dl_path: dlPath, extension: ext }, { range });
     }
 
-    const upstream = await fetchDownload(md5);
+    // Name the file from FILENAME_TEMPLATE when the book is known
+    const filename = transform.downloadFilename(book, ext);
+    const named = filename ? { 'Content-Disposition': transform.contentDisposition(filename) } : {};
+
+    const prefs = preferences.getPreferences(auth.userId(req));
+
+    // Format conversion (?convert=epub), rewritten like any EPUB download when the reader wants that
+    if (req.query.convert) {
+      const to = String(req.query.convert).toLowerCase();
+      if (!convert.canConvert(ext, to)) {
+        lib.finishDownload(historyId, { status: 'failed' });
+        return res.status(400).json({ error: `No converter from ${ext} to ${to}` });
+      }
+      let file;
+      try {
+        file = await convertedFile(source, fileId, book, ext, to);
+      } catch (err) {
+        console.error(`[Download] Converting ${fileId} to ${to} failed: ${err.message}`);
+        lib.finishDownload(historyId, { status: 'failed' });
+        return res.status(502).json({ error: `Conversion failed: ${err.message}` });
+      }
+      const original = source.cacheable !== false && fileStore.lookup(fileId);
+      const convertedName = transform.producedFilename(book, to, original && transform.dispositionFilename(original.content_disposition));
+      const headers = {
+        'Content-Type': EXTENSION_MIME[to] || 'application/octet-stream',
+        'Content-Disposition': transform.contentDisposition(convertedName),
+      };
+      let data = file.data;
+      if (transform.wantsRewrite(book, to, prefs, req.query.rewrite)) {
+        const original = data || (file.stored.size <= transform.MAX_REWRITE_BYTES && await fs.promises.readFile(file.stored.path));
+        data = (original && await transform.rewriteDownload(original, book, { embedCover: prefs.embedCover })) || original;
+      }
+      auth.trackDownload();
+      if (!data) {
+        trackTransfer(res, historyId, { totalBytes: file.stored.size });
+        return fileStore.serve(res, file.stored, headers);
+      }
+      trackTransfer(res, historyId, { totalBytes: data.length });
+      return sendBuffer(req, res, data, headers);
+    }
+
+    // Opt-in EPUB metadata rewriting needs the whole file; anything that can't be rewritten
+    // goes out as the original
+    if (transform.wantsRewrite(book, ext, prefs, req.query.rewrite)) {
+      const stored = source.cacheable !== false && fileStore.lookup(fileId);
+      const original = await readWholeFile(source, fileId, stored, ext, transform.MAX_REWRITE_BYTES);
+      if (original) {
+        const rewritten = await transform.rewriteDownload(original, book, { embedCover: prefs.embedCover });
+        if (rewritten) console.log(`[Download] Rewrote metadata of ${fileId}`);
+        auth.trackDownload();
+        trackTransfer(res, historyId, { totalBytes: (rewritten || original).length });
+        return sendBuffer(req, res, rewritten || original, {
+          'Content-Type': 'application/epub+zip',
+          'Content-Disposition': transform.contentDisposition(transform.producedFilename(book, ext)),
+        });
+      }
+    }
+
+    // Serve repeat downloads from the local file store
+    const stored = source.cacheable !== false && fileStore.lookup(fileId);
+    if (stored) {
+      console.log(`[Download] Serving ${fileId} from file store`);
+      auth.trackDownload();
+      trackTransfer(res, historyId, { totalBytes: stored.size });
+      return fileStore.serve(res, stored, named);
+    }
+
+    const upstream = await source.acquire(fileId, { range });
 
     if (upstream.error) {
       console.error(`[Download Error] ${upstream.error}`);
+      lib.finishDownload(historyId, { status: 'failed' });
       return res.status(502).json({ error: upstream.error });
     }
 
     const response = upstream.response;
 
+    if (response.status === 416) {
+      lib.finishDownload(historyId, { status: 'failed' });
+      const contentRange = response.headers.get('content-range');
+      if (contentRange) res.set('Content-Range', contentRange);
+      return res.status(416).end();
+    }
+
     // Forward content headers
     const contentType = response.headers.get('content-type');
     const contentDisp = response.headers.get('content-disposition');
     const contentLen = response.headers.get('content-length');
+    const contentRange = response.headers.get('content-range');
+    const acceptRanges = response.headers.get('accept-ranges');
+    const partial = response.status === 206;
 
+    const disposition = contentDisp || `attachment; filename="book.${ext}"`;
+    res.status(partial ? 206 : 200);
     if (contentType) res.set('Content-Type', contentType);
-    if (contentDisp) {
-      res.set('Content-Disposition', contentDisp);
-    } else {
-      res.set('Content-Disposition', `attachment; filename="book.${ext}"`);
-    }
+    res.set('Content-Disposition', named['Content-Disposition'] || disposition);
     if (contentLen) res.set('Content-Length', contentLen);
+    if (partial && contentRange) res.set('Content-Range', contentRange);
+    if (acceptRanges) res.set('Accept-Ranges', acceptRanges);
 
     auth.trackDownload();
 
-    const readable = Readable.fromWeb(response.body);
-    readable.pipe(res);
-    readable.on('error', (err) => {
+    // Save a copy in the file store while streaming to the client (complete responses only)
+    const store = source.cacheable === false || partial
+      ? []
+      : [fileStore.capture(fileId, { extension: ext, contentType, contentDisposition: disposition, size: parseInt(contentLen, 10) || 0 })];
+
+    const totalBytes = partial
+      ? parseInt((contentRange || '').split('/')[1], 10) || null
+      : parseInt(contentLen, 10) || null;
+    const counter = byteCounter();
+    trackTransfer(res, historyId, { totalBytes, counter });
+
+    pipeline(Readable.fromWeb(response.body), counter, ...store, res, (err) => {
+      if (!err || err.code === 'ERR_STREAM_PREMATURE_CLOSE') return; // client went away; logged by trackTransfer
       console.error('[Download Stream Error]', err.message);
       if (!res.headersSent) res.status(500).end();
     });
@@ -255,8 +1073,13 @@ app.get('/opds/cover', async (req, res) => {
   const coverUrl = req.query.url;
   if (!coverUrl) return res.status(400).send('Missing cover url');
 
+  // Source-scoped cover ids look like "<source>:<id>" (e.g. local:<md5>)
+  const scheme = coverUrl.match(/^([a-z0-9-]+):(?!\/\/)/i)?.[1];
+  const source = (scheme && getSource(scheme)) || resolveSource(req);
+  if (!source) return res.status(400).send('Unknown source');
+
   try {
-    const upstream = await fetchCover(coverUrl);
+    const upstream = await source.cover(coverUrl);
     const contentType = upstream.headers.get('content-type') || 'image/jpeg';
     res.set('Content-Type', contentType);
     res.set('Cache-Control', 'public, max-age=86400');
@@ -278,16 +1101,31 @@ app.get('/api/search', async (req, res) => {
   const page = parseInt(req.query.page, 10) || 1;
   if (!query.trim()) return res.json({ books: [], page: 1 });
 
+  const source = resolveSource(req);
+  if (!source) return res.status(400).json({ error: 'Unknown source', books: [] });
+
   try {
-    console.log(`[API Search] query="${query}" page=${page}`);
-    const html = await fetchSearchPage(query, page);
-    const { books, totalPages } = parseSearchResults(html);
-    lib.logSearch(query, books.length);
-    for (const book of books) lib.upsertBook(book);
-    res.json({ books, page, totalPages, count: books.length });
+    console.log(`[API Search] source=${source.name} query="${query}" page=${page}`);
+    const result = await runSearch(req, source, query, page);
+    const { books, totalPages } = result;
+    if (checkNotModified(req, res, result)) return res.status(304).end();
+    const filters = parseFacetFilters(req.query);
+    const filtered = groupResults(req, applyFacets(books, filters));
+    res.json({
+      books: filtered,
+      source: source.name,
+      page,
+      totalPages,
+      count: filtered.length,
+      unfilteredCount: books.length,
+      filters,
+      facets: countFacets(books, filters),
+      cached: result.cached,
+      fetchedAt: new Date(result.fetchedAt).toISOString(),
+    });
   } catch (err) {
     console.error('[API Search Error]', err.message);
-    res.status(502).json({ error: err.message, books: [] });
+    res.status(err instanceof QueryError ? 400 : 502).json({ error: err.message, books: [] });
   }
 });
 
@@ -296,31 +1134,75 @@ app.get('/api/search', async (req, res) => {
 app.get('/api/book/:bookId', (req, res) => {
   const book = lib.getBook(req.params.bookId);
   if (!book) return res.status(404).json({ error: 'Book not found' });
-  // Map DB column name to frontend-expected key
-  book.coverUrl = book.cover_url || '';
-  res.json(book);
+  browse.attachRelated([book]);
+  res.json(mapBook(book));
+});
+
+app.get('/api/book/:bookId/formats', (req, res) => {
+  const { book, files } = workFiles(req, req.params.bookId);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  res.json({ bookId: req.params.bookId, formats: files.map(mapBook), count: files.length });
 });
 
 // ─── Library Status for a Book ────────────────────────────────
 
 app.get('/api/library/status/:bookId', (req, res) => {
   try {
-    const statuses = lib.getBookStatuses ? lib.getBookStatuses(req.params.bookId) : [];
-    res.json({ bookId: req.params.bookId, statuses });
+    const userId = auth.userId(req);
+    const statuses = lib.isInLibrary(userId, req.params.bookId);
+    res.json({ bookId: req.params.bookId, statuses, shelves: shelves.getBookShelves(userId, req.params.bookId) });
   } catch {
-    res.json({ bookId: req.params.bookId, statuses: [] });
+    res.json({ bookId: req.params.bookId, statuses: [], shelves: [] });
   }
 });
 
 // ═══════════════════════════════════════════════════════════════
-//  MIRROR & PROXY API
+//  SOURCES, MIRROR & PROXY API
 // ═══════════════════════════════════════════════════════════════
 
+app.get('/api/sources', (_req, res) => {
+  res.json({ sources: listSources() });
+});
+
+// ─── Format Conversion ────────────────────────────────────────
+
+app.get('/api/conversions', (_req, res) => {
+  res.json({ conversions: convert.listConversions() });
+});
+
+// ─── File Store ───────────────────────────────────────────────
+
+app.get('/api/store', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 100;
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json({ stats: fileStore.getStoreStats(), files: fileStore.listFiles(limit, offset) });
+});
+
+app.delete('/api/store/:md5', auth.requireScope('admin'), (req, res) => {
+  const removed = fileStore.remove(req.params.md5);
+  if (!removed) return res.status(404).json({ error: 'File not in store' });
+  res.json({ success: true });
+});
+
+// ─── Local Library Scanner ────────────────────────────────────
+
+app.get('/api/local', (_req, res) => {
+  res.json(scanner.getScannerStatus());
+});
+
+app.post('/api/local/scan', auth.requireScope('admin'), async (_req, res) => {
+  try {
+    res.json({ success: true, ...(await scanner.scanLibrary()) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
 app.get('/api/mirrors', (_req, res) => {
   res.json({ mirrors: getMirrorStatus(), current: getMirror() });
 });
 
-app.post('/api/mirrors', (req, res) => {
+app.post('/api/mirrors', auth.requireScope('admin'), (req, res) => {
   const { url } = req.body;
   if (!url) return res.status(400).json({ error: 'url required' });
   setMirror(url);
@@ -331,33 +1213,177 @@ app.get('/api/proxy', (_req, res) => {
   res.json(getProxyStatus());
 });
 
-app.post('/api/proxy', async (req, res) => {
+app.post('/api/proxy', auth.requireScope('admin'), async (req, res) => {
   const { url } = req.body;
   const result = await setProxy(url || '');
   res.json(result);
 });
 
 // ═══════════════════════════════════════════════════════════════
-//  STATUS API  (LibGen needs no auth)
+//  ADMIN API
+// ═══════════════════════════════════════════════════════════════
+
+app.use('/api/admin', auth.requireScope('admin'));
+
+app.get('/api/admin/cache', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 100;
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json({ stats: searchCache.getCacheStats(), entries: searchCache.listEntries(limit, offset) });
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+  const removed = searchCache.purge(req.query.q || null);
+  res.json({ success: true, removed });
+});
+
+// Metadata enrichment (src/enrich)
+app.get('/api/admin/enrich', (_req, res) => {
+  res.json(enrich.getQueueStatus());
+});
+
+/** { bookId, force } enriches one book now; without a bookId, queues every book that is due */
+app.post('/api/admin/enrich', async (req, res) => {
+  const { bookId, force } = req.body || {};
+  if (!bookId) return res.json({ success: true, queued: enrich.sweep() });
+  let metadata;
+  try {
+    metadata = await enrich.enrichBook(String(bookId), { force: !!force });
+  } catch (err) {
+    console.error('[Enrich]', err.message);
+    return res.status(502).json({ success: false, error: err.message });
+  }
+  if (!metadata) return res.status(404).json({ success: false, error: 'Book not found' });
+  res.json({ success: true, bookId, ...metadata });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  ACCOUNTS & SESSIONS
 // ═══════════════════════════════════════════════════════════════
 
-app.get('/api/auth/status', (_req, res) => {
-  res.json(auth.getStatus());
+app.get('/api/auth/status', (req, res) => {
+  res.json(auth.getStatus(req));
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, accounts: auth.hasUsers() });
+});
+
+app.post('/api/auth/register', (req, res) => {
+  if (!auth.canRegister(req)) return res.status(403).json({ error: 'Registration is closed' });
+  const { username, password } = req.body;
+  try {
+    const user = auth.createUser(username, password);
+    // Sign in unless an admin is creating the account for someone else
+    if (!req.user) auth.setSessionCookie(req, res, auth.createSession(user.id, req.get('User-Agent')));
+    res.status(201).json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const user = auth.verifyCredentials(username, password);
+  if (!user) return res.status(401).json({ success: false, error: 'Invalid username or password' });
+  auth.setSessionCookie(req, res, auth.createSession(user.id, req.get('User-Agent')));
+  res.json({ success: true, user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(auth.sessionToken(req));
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.post('/api/auth/password', auth.requireSignIn, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!auth.verifyCredentials(req.user.username, currentPassword)) {
+    return res.status(403).json({ success: false, error: 'Current password is wrong' });
+  }
+  try {
+    auth.setPassword(req.user.id, newPassword, { keepSession: auth.sessionToken(req) });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ─── Personal API Tokens ──────────────────────────────────────
+
+app.get('/api/tokens', auth.requireSignIn, (req, res) => {
+  res.json({ tokens: auth.listApiTokens(req.user.id), scopes: auth.SCOPES });
+});
+
+app.post('/api/tokens', auth.requireSignIn, (req, res) => {
+  const { name, scopes } = req.body;
+  try {
+    res.status(201).json({ success: true, ...auth.createApiToken(req.user, name, scopes) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/tokens/:id', auth.requireSignIn, (req, res) => {
+  if (!auth.revokeApiToken(req.user.id, parseInt(req.params.id, 10))) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true });
+});
+
+// ─── User Management (admin) ──────────────────────────────────
+
+app.get('/api/users', auth.requireScope('admin'), (_req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+app.post('/api/users', auth.requireScope('admin'), (req, res) => {
+  const { username, password, isAdmin } = req.body;
+  try {
+    res.status(201).json({ success: true, user: auth.createUser(username, password, { isAdmin: !!isAdmin }) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/users/:id', auth.requireScope('admin'), (req, res) => {
+  try {
+    if (!auth.deleteUser(parseInt(req.params.id, 10))) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════
 //  REST API (for dashboard & programmatic use)
 // ═══════════════════════════════════════════════════════════════
 
-// ─── Get all formats for a book ───────────────────────────────
+// ─── Book details ─────────────────────────────────────────────
 
+/** Source details plus enriched metadata (src/enrich), looked up now if the book is due */
 app.get('/api/book/:bookId/details', async (req, res) => {
+  const source = resolveSource(req);
+  if (!source) return res.status(400).json({ success: false, error: 'Unknown source' });
+  const { bookId } = req.params;
+
+  let details;
+  try {
+    details = await source.details(bookId);
+  } catch (err) {
+    // Known books still have their stored and enriched metadata
+    if (!lib.getBook(bookId)) return res.status(502).json({ success: false, error: err.message });
+    details = { detailsError: err.message };
+  }
+  enrich.rememberIsbn(bookId, details.isbn);
+
+  let metadata = null;
   try {
-    const details = await fetchBookDetails(req.params.bookId);
-    res.json({ success: true, ...details });
+    metadata = await enrich.enrichBook(bookId);
   } catch (err) {
-    res.status(502).json({ success: false, error: err.message });
+    console.error('[Enrich]', err.message);
+    metadata = enrich.bookMetadata(bookId);
   }
+  res.json({ success: true, ...details, ...metadata });
 });
 
 // ─── Library API ──────────────────────────────────────────────
@@ -366,91 +1392,621 @@ app.get('/api/library', (req, res) => {
   const status = req.query.status || null;
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
-  const books = lib.getLibraryBooks(status, limit, offset).map(mapBook);
-  const count = lib.getLibraryCount(status);
+  const books = browse.attachRelated(lib.getLibraryBooks(auth.userId(req), status, limit, offset)).map(mapBook);
+  const count = lib.getLibraryCount(auth.userId(req), status);
   res.json({ books, total: count });
 });
 
-app.post('/api/library/add', (req, res) => {
+app.get('/api/library/search', (req, res) => {
+  const query = String(req.query.q || req.query.query || '');
+  if (!query.trim()) return res.status(400).json({ success: false, error: 'q required' });
+  const limit = parseInt(req.query.limit, 10) || LIBRARY_SEARCH_PAGE_SIZE;
+  const offset = parseInt(req.query.offset, 10) || 0;
+  try {
+    const { books, total } = fulltext.search(auth.userId(req), query, {
+      limit,
+      offset,
+      inLibrary: req.query.scope === 'library',
+    });
+    res.json({ books: browse.attachRelated(books).map(mapBook), total });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/library/add', auth.requireScope('library:write'), (req, res) => {
   const { bookId, status } = req.body;
   if (!bookId) return res.status(400).json({ error: 'bookId required' });
 
-  const validStatuses = ['downloaded', 'reading', 'finished', 'want-to-read', 'favorite'];
-  const s = validStatuses.includes(status) ? status : 'downloaded';
+  const s = shelves.isBuiltin(status) ? status : 'downloaded';
 
-  lib.addToLibrary(bookId, s);
+  lib.addToLibrary(auth.userId(req), bookId, s);
+  enrich.enqueue(bookId);
   res.json({ success: true, bookId, status: s });
 });
 
-app.post('/api/library/remove', (req, res) => {
+app.post('/api/library/remove', auth.requireScope('library:write'), (req, res) => {
   const { bookId, status } = req.body;
   if (!bookId || !status) return res.status(400).json({ error: 'bookId and status required' });
 
-  lib.removeFromLibrary(bookId, status);
+  lib.removeFromLibrary(auth.userId(req), bookId, status);
   res.json({ success: true });
 });
 
-app.post('/api/library/progress', (req, res) => {
+app.post('/api/library/progress', auth.requireScope('library:write'), (req, res) => {
   const { bookId, progress } = req.body;
   if (!bookId || progress === undefined) return res.status(400).json({ error: 'bookId and progress required' });
 
-  lib.updateProgress(bookId, parseFloat(progress));
+  const userId = auth.userId(req);
+  reading.recordProgress(userId, bookId, progress, { device: String(req.body.device || 'web'), source: 'web' });
+  lib.updateProgress(userId, bookId, parseFloat(progress));
   res.json({ success: true, bookId, progress });
 });
 
+// ─── Shelves API ──────────────────────────────────────────────
+
+app.get('/api/shelves', (req, res) => {
+  res.json({ shelves: shelves.listShelves(auth.userId(req)) });
+});
+
+app.post('/api/shelves', auth.requireScope('library:write'), (req, res) => {
+  try {
+    res.json({ success: true, shelf: shelves.createShelf(auth.userId(req), req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/shelves/preview', (req, res) => {
+  try {
+    const { total, books } = shelves.previewQuery(auth.userId(req), req.query.query);
+    res.json({ success: true, total, books: books.map(mapBook) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/shelves/:id', (req, res) => {
+  const userId = auth.userId(req);
+  const shelf = shelves.getShelf(userId, req.params.id);
+  if (!shelf) return res.status(404).json({ success: false, error: 'Shelf not found' });
+  res.json({ ...shelf, children: shelves.childShelves(userId, shelf.id) });
+});
+
+app.put('/api/shelves/:id', auth.requireScope('library:write'), (req, res) => {
+  if (shelves.isBuiltin(req.params.id)) return res.status(400).json({ success: false, error: 'Built-in shelves cannot be changed' });
+  try {
+    const shelf = shelves.updateShelf(auth.userId(req), req.params.id, req.body);
+    if (!shelf) return res.status(404).json({ success: false, error: 'Shelf not found' });
+    res.json({ success: true, shelf });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/shelves/:id', auth.requireScope('library:write'), (req, res) => {
+  if (shelves.isBuiltin(req.params.id)) return res.status(400).json({ success: false, error: 'Built-in shelves cannot be deleted' });
+  if (!shelves.deleteShelf(auth.userId(req), req.params.id)) return res.status(404).json({ success: false, error: 'Shelf not found' });
+  res.json({ success: true });
+});
+
+app.get('/api/shelves/:id/books', (req, res) => {
+  const userId = auth.userId(req);
+  const shelf = shelves.getShelf(userId, req.params.id);
+  if (!shelf) return res.status(404).json({ success: false, error: 'Shelf not found' });
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json({ books: browse.attachRelated(shelves.getShelfBooks(userId, shelf, limit, offset)).map(mapBook), total: shelf.bookCount });
+});
+
+/** Resolve a shelf whose books the user may change, or answer 404 / 403 / 400 */
+function writableShelf(req, res) {
+  const shelf = shelves.getShelf(auth.userId(req), req.params.id);
+  if (!shelf) {
+    res.status(404).json({ success: false, error: 'Shelf not found' });
+    return null;
+  }
+  if (shelf.readOnly) {
+    res.status(403).json({ success: false, error: 'Shelf is shared read-only' });
+    return null;
+  }
+  if (shelf.smart) {
+    res.status(400).json({ success: false, error: 'Smart shelves are filled by their query' });
+    return null;
+  }
+  return shelf;
+}
+
+app.post('/api/shelves/:id/books', auth.requireScope('library:write'), (req, res) => {
+  const shelf = writableShelf(req, res);
+  if (!shelf) return;
+  const { bookId, position } = req.body;
+  if (!bookId) return res.status(400).json({ success: false, error: 'bookId required' });
+  if (!lib.getBook(bookId)) return res.status(404).json({ success: false, error: 'Book not found' });
+  shelves.addBook(auth.userId(req), shelf, bookId, position);
+  res.json({ success: true, shelfId: shelf.id, bookId });
+});
+
+app.put('/api/shelves/:id/books', auth.requireScope('library:write'), (req, res) => {
+  const shelf = writableShelf(req, res);
+  if (!shelf) return;
+  if (shelf.builtin) return res.status(400).json({ success: false, error: 'Built-in shelves are ordered by last update' });
+  if (!Array.isArray(req.body.bookIds)) return res.status(400).json({ success: false, error: 'bookIds array required' });
+  shelves.reorderBooks(shelf, req.body.bookIds.map(String));
+  res.json({ success: true });
+});
+
+app.delete('/api/shelves/:id/books/:bookId', auth.requireScope('library:write'), (req, res) => {
+  const shelf = writableShelf(req, res);
+  if (!shelf) return;
+  shelves.removeBook(auth.userId(req), shelf, req.params.bookId);
+  res.json({ success: true });
+});
+
+// ─── Authors & Series API ─────────────────────────────────────
+
+app.get('/api/authors', (req, res) => {
+  res.json(browse.listAuthors({
+    q: String(req.query.q || ''),
+    limit: parseInt(req.query.limit, 10) || BROWSE_PAGE_SIZE,
+    offset: parseInt(req.query.offset, 10) || 0,
+  }));
+});
+
+app.get('/api/authors/:id', (req, res) => {
+  const author = browse.getAuthor(req.params.id);
+  if (!author) return res.status(404).json({ success: false, error: 'Author not found' });
+  const { books, pagination } = browsePage(req, browse.authorBooks, author.id);
+  res.json({ author, books: books.map(mapBook), total: pagination.total, page: pagination.page, perPage: pagination.perPage });
+});
+
+// Fold a duplicate author (a spelling the name normalization can't match) into another
+app.post('/api/authors/:id/merge', auth.requireScope('admin'), (req, res) => {
+  try {
+    res.json({ success: true, author: browse.mergeAuthors(req.params.id, req.body && req.body.into) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/series', (req, res) => {
+  res.json(browse.listSeries({
+    q: String(req.query.q || ''),
+    limit: parseInt(req.query.limit, 10) || BROWSE_PAGE_SIZE,
+    offset: parseInt(req.query.offset, 10) || 0,
+  }));
+});
+
+app.get('/api/series/:id', (req, res) => {
+  const series = browse.getSeries(req.params.id);
+  if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
+  const { books, pagination } = browsePage(req, browse.seriesBooks, series.id);
+  res.json({ series, books: books.map(mapBook), total: pagination.total, page: pagination.page, perPage: pagination.perPage });
+});
+
+// ─── Reading Sessions API ─────────────────────────────────────
+
+app.get('/api/sessions', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json({ sessions: reading.listSessions(auth.userId(req), { bookId: req.query.bookId || null, limit, offset }) });
+});
+
+app.post('/api/sessions', auth.requireScope('library:write'), (req, res) => {
+  try {
+    res.json({ success: true, session: reading.logSession(auth.userId(req), req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/sessions/:id', auth.requireScope('library:write'), (req, res) => {
+  const removed = reading.deleteSession(auth.userId(req), parseInt(req.params.id, 10));
+  if (!removed) return res.status(404).json({ success: false, error: 'Session not found' });
+  res.json({ success: true });
+});
+
+// ─── Annotations API ──────────────────────────────────────────
+
+/** Send an annotations export as a download */
+function sendAnnotationsExport(req, res, bookId = null) {
+  try {
+    const format = req.query.format || 'md';
+    const { body, contentType, extension } = annotations.exportAnnotations(auth.userId(req), format, { bookId });
+    const name = bookId ? `annotations-${bookId}` : 'annotations';
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+    res.send(body);
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}
+
+app.get('/api/annotations/export', (req, res) => sendAnnotationsExport(req, res));
+
+app.get('/api/books/:bookId/annotations/export', (req, res) => sendAnnotationsExport(req, res, req.params.bookId));
+
+app.get('/api/books/:bookId/annotations', (req, res) => {
+  const type = annotations.TYPES.includes(req.query.type) ? req.query.type : null;
+  res.json({ annotations: annotations.listAnnotations(auth.userId(req), { bookId: req.params.bookId, type }) });
+});
+
+app.post('/api/books/:bookId/annotations', auth.requireScope('library:write'), (req, res) => {
+  if (!lib.getBook(req.params.bookId)) return res.status(404).json({ success: false, error: 'Book not found' });
+  try {
+    res.json({ success: true, annotation: annotations.addAnnotation(auth.userId(req), req.params.bookId, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/books/:bookId/annotations/:id', auth.requireScope('library:write'), (req, res) => {
+  const userId = auth.userId(req);
+  const id = parseInt(req.params.id, 10);
+  const existing = annotations.getAnnotation(userId, id);
+  if (!existing || existing.bookId !== req.params.bookId) {
+    return res.status(404).json({ success: false, error: 'Annotation not found' });
+  }
+  try {
+    res.json({ success: true, annotation: annotations.updateAnnotation(userId, id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/books/:bookId/annotations/:id', auth.requireScope('library:write'), (req, res) => {
+  const userId = auth.userId(req);
+  const id = parseInt(req.params.id, 10);
+  const existing = annotations.getAnnotation(userId, id);
+  if (!existing || existing.bookId !== req.params.bookId) {
+    return res.status(404).json({ success: false, error: 'Annotation not found' });
+  }
+  annotations.deleteAnnotation(userId, id);
+  res.json({ success: true });
+});
+
 // ─── Stats & History API ──────────────────────────────────────
 
-app.get('/api/stats', (_req, res) => {
-  res.json(lib.getStats());
+app.get('/api/stats', (req, res) => {
+  res.json(lib.getStats(auth.userId(req)));
+});
+
+app.get('/api/stats/reading', (req, res) => {
+  const days = Math.max(1, Math.min(365, parseInt(req.query.days, 10) || 30));
+  const weeks = Math.max(1, Math.min(104, parseInt(req.query.weeks, 10) || 12));
+  res.json(reading.getReadingStats(auth.userId(req), { days, weeks }));
 });
 
 app.get('/api/history/downloads', (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
-  res.json({ downloads: lib.getDownloadHistory(limit, offset), total: lib.getDownloadCount() });
+  const userId = auth.userId(req);
+  const rows = lib.getDownloadHistory(userId, limit, offset).map((d) => {
+    const job = d.job_id && d.status === 'completed' && queue.getJob(d.job_id);
+    return { ...d, fileUrl: job && downloads.downloadedFile(job) ? `/api/jobs/${d.job_id}/file` : '' };
+  });
+  res.json({ downloads: rows, total: lib.getDownloadCount(userId) });
 });
 
 app.get('/api/history/searches', (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 20;
-  res.json({ searches: lib.getRecentSearches(limit) });
+  res.json({ searches: lib.getRecentSearches(auth.userId(req), limit) });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  KOREADER SYNC (kosync protocol — point KOReader's custom sync server at BASE_URL)
+// ═══════════════════════════════════════════════════════════════
+
+// KOReader sends application/vnd.koreader.v1+json bodies
+const kosyncJson = express.json({ type: () => true });
+
+function kosyncError(res, error) {
+  res.status(error.status).json({ code: error.code, message: error.message });
+}
+
+function kosyncAuth(req, res, next) {
+  req.syncUser = kosync.authorize(req.get('x-auth-user'), req.get('x-auth-key'));
+  if (!req.syncUser) return kosyncError(res, kosync.ERRORS.unauthorized);
+  next();
+}
+
+app.post('/users/create', kosyncJson, (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return kosyncError(res, kosync.ERRORS.invalidRequest);
+  // With accounts, sync users are linked from the web interface instead
+  if (auth.hasUsers()) return kosyncError(res, kosync.ERRORS.registrationClosed);
+  if (kosync.findUser(username)) return kosyncError(res, kosync.ERRORS.userExists);
+  kosync.linkUser(0, username, password);
+  res.status(201).json({ username });
+});
+
+app.get('/users/auth', kosyncAuth, (_req, res) => {
+  res.json({ authorized: 'OK' });
+});
+
+app.put('/syncs/progress', kosyncJson, kosyncAuth, (req, res) => {
+  const body = req.body || {};
+  if (!body.document || typeof body.document !== 'string') return kosyncError(res, kosync.ERRORS.documentMissing);
+  // A percentage that is not a number would otherwise reset the book's progress to 0
+  const percentage = typeof body.percentage === 'string' && body.percentage.trim() ? Number(body.percentage) : body.percentage;
+  const validProgress = (typeof body.progress === 'string' && body.progress.trim()) || Number.isFinite(body.progress);
+  if (!Number.isFinite(percentage) || percentage < 0 || percentage > 1 || !validProgress || !body.device) {
+    return kosyncError(res, kosync.ERRORS.invalidRequest);
+  }
+  const timestamp = kosync.saveProgress(req.syncUser, body);
+  res.json({ document: body.document, timestamp });
+});
+
+app.get('/syncs/progress/:document', kosyncAuth, (req, res) => {
+  res.json(kosync.getProgress(req.syncUser, req.params.document) || {});
+});
+
+// ─── Sync account settings (web UI) ───────────────────────────
+
+app.get('/api/kosync', (req, res) => {
+  res.json({ server: BASE_URL, user: kosync.getLinkedUser(auth.userId(req)) });
+});
+
+app.post('/api/kosync', (req, res) => {
+  if (req.token) return res.status(403).json({ success: false, error: 'Not available to API tokens' });
+  const { username, password } = req.body;
+  if (!password) return res.status(400).json({ success: false, error: 'Username and password required' });
+  try {
+    // KOReader sends the MD5 of the password as its key
+    const key = crypto.createHash('md5').update(String(password)).digest('hex');
+    res.json({ success: true, server: BASE_URL, user: kosync.linkUser(auth.userId(req), username, key) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/kosync', (req, res) => {
+  if (req.token) return res.status(403).json({ success: false, error: 'Not available to API tokens' });
+  res.json({ success: kosync.unlinkUser(auth.userId(req)) });
+});
+
+// ─── File preferences (best-file ranking) ─────────────────────
+
+app.get('/api/preferences', (req, res) => {
+  res.json(preferences.getPreferences(auth.userId(req)));
+});
+
+app.put('/api/preferences', auth.requireScope('library:write'), (req, res) => {
+  try {
+    res.json({ success: true, ...preferences.setPreferences(auth.userId(req), req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/preferences', auth.requireScope('library:write'), (req, res) => {
+  res.json({ success: true, ...preferences.resetPreferences(auth.userId(req)) });
+});
+
+// ─── Devices (send-to-device by email) ────────────────────────
+
+app.get('/api/devices', (req, res) => {
+  res.json({
+    devices: devices.listDevices(auth.userId(req)),
+    email: smtp.isConfigured(),
+    from: smtp.isConfigured() ? smtp.FROM : '',
+    maxMb: devices.MAX_ATTACHMENT_BYTES / 1024 / 1024,
+    kinds: Object.entries(devices.KINDS).map(([id, kind]) => ({ id, name: kind.name, accepts: kind.accepts })),
+  });
+});
+
+app.post('/api/devices', auth.requireScope('library:write'), (req, res) => {
+  try {
+    res.json({ success: true, device: devices.createDevice(auth.userId(req), req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/devices/:id', auth.requireScope('library:write'), (req, res) => {
+  try {
+    const device = devices.updateDevice(auth.userId(req), req.params.id, req.body || {});
+    if (!device) return res.status(404).json({ success: false, error: 'Device not found' });
+    res.json({ success: true, device });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/devices/:id', auth.requireScope('library:write'), (req, res) => {
+  if (!devices.deleteDevice(auth.userId(req), req.params.id)) return res.status(404).json({ success: false, error: 'Device not found' });
+  res.json({ success: true });
+});
+
+app.post('/api/book/:bookId/send', auth.requireScope('library:write'), (req, res) => {
+  const userId = auth.userId(req);
+  const book = lib.getBook(req.params.bookId);
+  if (!book) return res.status(404).json({ success: false, error: 'Book not found' });
+  const device = devices.getDevice(userId, (req.body || {}).deviceId);
+  if (!device) return res.status(404).json({ success: false, error: 'Device not found' });
+  try {
+    const { job, historyId } = devices.sendToDevice(userId, device, book);
+    lib.addToLibrary(userId, book.id, 'downloaded');
+    enrich.enqueue(book.id);
+    res.status(202).json({ success: true, job, historyId });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ─── Background jobs ──────────────────────────────────────────
+
+/** The caller's job, or null */
+function ownJob(req) {
+  const job = queue.getJob(parseInt(req.params.id, 10));
+  return job && job.userId === auth.userId(req) ? job : null;
+}
+
+app.get('/api/jobs', (req, res) => {
+  const limit = Math.min(200, parseInt(req.query.limit, 10) || 50);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const statuses = String(req.query.status || '').split(',').map((st) => st.trim()).filter(Boolean);
+  res.json({ jobs: queue.listJobs(auth.userId(req), { type: String(req.query.type || ''), statuses, limit, offset }) });
+});
+
+// Live job updates (Server-Sent Events): a `job` event on every status change and as progress
+// is made, a `removed` event when a finished job is cleared
+app.get('/api/jobs/events', (req, res) => {
+  const userId = auth.userId(req);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  const forward = (event) => (job) => {
+    if (job.userId === userId) res.write(`event: ${event}\ndata: ${JSON.stringify(job)}\n\n`);
+  };
+  const onJob = forward('job');
+  const onRemoved = forward('removed');
+  queue.events.on('job', onJob);
+  queue.events.on('removed', onRemoved);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    queue.events.off('job', onJob);
+    queue.events.off('removed', onRemoved);
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+app.post('/api/jobs/:id/retry', auth.requireScope('library:write'), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+  const queued = queue.retry(job.id);
+  if (!queued) return res.status(409).json({ success: false, error: `The job is ${job.status}; only failed or cancelled jobs can be retried` });
+  res.json({ success: true, job: queued });
+});
+
+app.delete('/api/jobs/:id', auth.requireScope('library:write'), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+  if (['queued', 'running'].includes(job.status)) return res.json({ success: true, job: queue.cancel(job.id) });
+  queue.removeJob(job.id);
+  res.json({ success: true, removed: true });
+});
+
+// ─── Download jobs ────────────────────────────────────────────
+
+app.post('/api/downloads', auth.requireScope('library:write'), (req, res) => {
+  const userId = auth.userId(req);
+  const { bookId, download, ext = 'epub', convert: convertTo = '', rewrite } = req.body || {};
+  const { source, fileId } = downloadSource(download);
+  if (!source) return res.status(400).json({ success: false, error: 'Unknown download' });
+  const to = String(convertTo).toLowerCase();
+  if (to && !convert.canConvert(ext, to)) {
+    return res.status(400).json({ success: false, error: `No converter from ${ext} to ${to}` });
+  }
+  const book = lib.getBook(bookId || fileId);
+  const { job, historyId } = downloads.queueDownload(
+    userId,
+    book || { id: bookId || fileId, title: 'Unknown', extension: ext },
+    { download: `/${source.name}/dl/${fileId}`, ext: String(ext).toLowerCase(), convertTo: to, rewrite }
+  );
+  if (book) {
+    lib.addToLibrary(userId, book.id, 'downloaded');
+    enrich.enqueue(book.id);
+  }
+  auth.trackDownload();
+  res.status(202).json({ success: true, job, historyId });
+});
+
+// The finished file of a download job
+app.get('/api/jobs/:id/file', (req, res) => {
+  const job = ownJob(req);
+  if (!job || job.type !== 'download') return res.status(404).json({ error: 'Download not found' });
+  if (job.status !== 'completed') return res.status(409).json({ error: `The download is ${job.status}` });
+  const file = downloads.downloadedFile(job);
+  if (!file) return res.status(410).json({ error: 'The download has expired; download the book again' });
+  res.sendFile(file.path, {
+    headers: { 'Content-Type': file.contentType, 'Content-Disposition': file.contentDisposition },
+    acceptRanges: true,
+    dotfiles: 'allow',
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════
 //  WEB DASHBOARD
 // ═══════════════════════════════════════════════════════════════
 
-app.get('/dashboard', (_req, res) => {
-  const stats = lib.getStats();
-  const recentSearches = lib.getRecentSearches(10);
+/** Book and search text for the dashboard's HTML */
+function html(value) {
+  return escapeXml(String(value ?? ''));
+}
+
+/** "1h 05m" / "12m" */
+function formatDuration(seconds) {
+  const m = Math.round(seconds / 60);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m` : `${m}m`;
+}
+
+/** Inline SVG bar chart of reading time; points are { label, seconds } */
+function readingChart(points) {
+  const width = 760;
+  const height = 140;
+  const gap = 4;
+  const barWidth = (width - gap * (points.length - 1)) / points.length;
+  const max = Math.max(...points.map((p) => p.seconds), 60);
+  const bars = points.map((p, i) => {
+    const h = Math.round((p.seconds / max) * (height - 20));
+    const x = (i * (barWidth + gap)).toFixed(1);
+    return `<rect x="${x}" y="${height - 16 - h}" width="${barWidth.toFixed(1)}" height="${Math.max(h, 1)}" rx="2" fill="${p.seconds ? '#38bdf8' : '#334155'}"><title>${p.label}: ${formatDuration(p.seconds)}</title></rect>`;
+  }).join('');
+  const first = points[0] ? `<text x="0" y="${height - 2}" fill="#64748b" font-size="11">${points[0].label}</text>` : '';
+  const last = points.length ? `<text x="${width}" y="${height - 2}" fill="#64748b" font-size="11" text-anchor="end">${points[points.length - 1].label}</text>` : '';
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${bars}${first}${last}</svg>`;
+}
+
+app.get('/dashboard', (req, res) => {
+  const userId = auth.userId(req);
+  const stats = lib.getStats(userId);
+  const readingStats = reading.getReadingStats(userId);
+  const etaRows = readingStats.currentlyReading.map((b) => `
+    <tr>
+      <td>${html(b.title)}</td>
+      <td>${Math.round(b.progress * 100)}%</td>
+      <td>${formatDuration(b.secondsRead)}</td>
+      <td>${b.etaSeconds !== null ? formatDuration(b.etaSeconds) : '-'}</td>
+    </tr>
+  `).join('');
+  const recentSearches = lib.getRecentSearches(userId, 10);
   const statusBadge = (s) => {
-    const colors = { downloaded: '#3b82f6', reading: '#f59e0b', finished: '#10b981', 'want-to-read': '#8b5cf6', favorite: '#ef4444' };
-    return `<span style="background:${colors[s] || '#6b7280'};color:#fff;padding:2px 8px;border-radius:12px;font-size:12px">${s}</span>`;
+    const shelf = shelves.getBuiltin(s);
+    return `<span style="background:${shelf ? shelf.color : '#6b7280'};color:#fff;padding:2px 8px;border-radius:12px;font-size:12px">${html(s)}</span>`;
   };
 
-  const libraryRows = lib.getLibraryBooks(null, 20, 0).map((b) => `
+  const libraryRows = lib.getLibraryBooks(userId, null, 20, 0).map((b) => `
     <tr>
-      <td>${b.title}</td>
-      <td>${b.author}</td>
-      <td>${(b.extension || '').toUpperCase()}</td>
+      <td>${html(b.title)}</td>
+      <td>${html(b.author)}</td>
+      <td>${html((b.extension || '').toUpperCase())}</td>
       <td>${statusBadge(b.lib_status)}</td>
       <td>${b.progress > 0 ? Math.round(b.progress * 100) + '%' : '-'}</td>
-      <td>${b.lib_added_at || ''}</td>
+      <td>${html(b.lib_added_at)}</td>
     </tr>
   `).join('');
 
   const downloadRows = stats.recentDownloads.map((d) => `
     <tr>
-      <td>${d.title}</td>
-      <td>${d.author}</td>
-      <td>${(d.extension || '').toUpperCase()}</td>
-      <td>${d.filesize}</td>
-      <td>${d.downloaded_at}</td>
+      <td>${html(d.title)}</td>
+      <td>${html(d.author)}</td>
+      <td>${html((d.extension || '').toUpperCase())}</td>
+      <td>${html(d.filesize)}</td>
+      <td>${html(d.downloaded_at)}</td>
     </tr>
   `).join('');
 
   const searchRows = recentSearches.map((s) => `
     <tr>
-      <td><a href="/opds/search?q=${encodeURIComponent(s.query)}">${s.query}</a></td>
+      <td><a href="/opds/search?q=${encodeURIComponent(s.query)}">${html(s.query)}</a></td>
       <td>${s.results}</td>
       <td>${s.times}</td>
       <td>${s.last_searched}</td>
@@ -492,6 +2048,7 @@ app.get('/dashboard', (_req, res) => {
     .search-box input { flex: 1; padding: 10px 16px; border-radius: 8px; border: 1px solid #334155; background: #0f172a; color: #e2e8f0; font-size: 15px; }
     .search-box button { background: #3b82f6; color: #fff; border: none; padding: 10px 24px; border-radius: 8px; cursor: pointer; font-size: 15px; }
     .empty { color: #64748b; text-align: center; padding: 40px; }
+    .chart-title { font-size: 13px; color: #94a3b8; font-weight: 500; margin: 16px 0 8px; }
   </style>
 </head>
 <body>
@@ -537,6 +2094,37 @@ app.get('/dashboard', (_req, res) => {
       </div>
     </div>
 
+    <div class="section">
+      <h2>Reading</h2>
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="number">${formatDuration(readingStats.totals.todaySeconds)}</div>
+          <div class="label">Read Today</div>
+        </div>
+        <div class="stat-card">
+          <div class="number">${formatDuration(readingStats.totals.weekSeconds)}</div>
+          <div class="label">This Week</div>
+        </div>
+        <div class="stat-card">
+          <div class="number">${readingStats.streak.current}</div>
+          <div class="label">Day Streak (best ${readingStats.streak.longest})</div>
+        </div>
+        <div class="stat-card">
+          <div class="number">${readingStats.speed.percentPerHour ? Math.round(readingStats.speed.percentPerHour * 100) + '%' : '-'}</div>
+          <div class="label">Per Hour</div>
+        </div>
+      </div>
+      <h3 class="chart-title">Last 30 days</h3>
+      ${readingChart(readingStats.perDay.map((d) => ({ label: d.day, seconds: d.seconds })))}
+      <h3 class="chart-title">Last 12 weeks</h3>
+      ${readingChart(readingStats.perWeek.map((w) => ({ label: `Week of ${w.week}`, seconds: w.seconds })))}
+      ${etaRows ? `
+      <table>
+        <thead><tr><th>Currently Reading</th><th>Progress</th><th>Time Read</th><th>Time Left</th></tr></thead>
+        <tbody>${etaRows}</tbody>
+      </table>` : ''}
+    </div>
+
     <div class="section">
       <h2>Quick Search</h2>
       <form class="search-box" action="/opds/search" method="get">
@@ -576,6 +2164,7 @@ app.get('/dashboard', (_req, res) => {
       <p>
         <a href="/opds">OPDS Feed</a> &middot;
         <a href="/api/stats">API Stats</a> &middot;
+        <a href="/api/stats/reading">Reading Stats API</a> &middot;
         <a href="/api/library">Library API</a> &middot;
         <a href="/api/history/downloads">Downloads API</a> &middot;
         <a href="/api/history/searches">Searches API</a>
@@ -588,6 +2177,12 @@ app.get('/dashboard', (_req, res) => {
 
 // ─── Start Server ─────────────────────────────────────────────
 
+scanner.startScanner();
+enrich.startEnrichment();
+devices.startDevices({ loadFile: loadBookFile });
+downloads.startDownloads({ fetchFile: fetchDownloadFile });
+queue.startQueue();
+
 app.listen(PORT, () => {
   console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -0,0 +1,247 @@
+/**
+ * Annotations — highlights, notes and bookmarks per user and book
+ *
+ * Each annotation has a locator (EPUB CFI, KOReader xpointer or similar) and/or a page,
+ * so readers can jump back to it. Exports: Markdown, JSON and Readwise's CSV import format.
+ *
+ * Replaces the unused library.notes column: existing notes are moved in as "note"
+ * annotations the first time the table is created.
+ */
+
+const lib = require('./library');
+
+const TYPES = ['highlight', 'note', 'bookmark'];
+const COLORS = ['yellow', 'green', 'blue', 'pink', 'purple', 'orange'];
+const EXPORT_FORMATS = ['md', 'json', 'csv'];
+
+let schemaReady = false;
+
+lib.registerUserTable('annotations');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'annotations'").get();
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS annotations (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        book_id      TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+        type         TEXT NOT NULL DEFAULT 'highlight',   -- highlight | note | bookmark
+        locator      TEXT DEFAULT '',     -- EPUB CFI / xpointer
+        page         INTEGER,
+        chapter      TEXT DEFAULT '',
+        text         TEXT DEFAULT '',     -- highlighted passage
+        note         TEXT DEFAULT '',
+        color        TEXT DEFAULT '',     -- named color or #rrggbb
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_annotations_book ON annotations(user_id, book_id);
+    `);
+    if (!exists) migrateLibraryNotes(db);
+    schemaReady = true;
+  }
+  return db;
+}
+
+/** Move library.notes into annotations (one note per user and book) */
+function migrateLibraryNotes(db) {
+  db.transaction(() => {
+    const moved = db.prepare(`
+      INSERT INTO annotations (user_id, book_id, type, note, created_at, updated_at)
+      SELECT user_id, book_id, 'note', notes, MIN(added_at), MAX(updated_at)
+      FROM library WHERE notes IS NOT NULL AND TRIM(notes) != ''
+      GROUP BY user_id, book_id, notes
+    `).run().changes;
+    db.prepare("UPDATE library SET notes = '' WHERE notes != ''").run();
+    if (moved) console.log(`[Annotations] Moved ${moved} library note(s) into annotations`);
+  })();
+}
+
+function mapAnnotation(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    type: row.type,
+    locator: row.locator,
+    page: row.page,
+    chapter: row.chapter,
+    text: row.text,
+    note: row.note,
+    color: row.color,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate and normalise the writable fields (only those present in `input`)
+ * Throws with a user-facing message on invalid input.
+ */
+function cleanFields(input, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || input.type !== undefined) {
+    const type = input.type || 'highlight';
+    if (!TYPES.includes(type)) throw new Error(`type must be one of: ${TYPES.join(', ')}`);
+    fields.type = type;
+  }
+  for (const key of ['locator', 'chapter', 'text', 'note']) {
+    if (input[key] !== undefined) fields[key] = String(input[key] ?? '');
+  }
+  if (input.page !== undefined) {
+    const page = input.page === null || input.page === '' ? null : parseInt(input.page, 10);
+    if (page !== null && !(page >= 0)) throw new Error('page must be a number');
+    fields.page = page;
+  }
+  if (input.color !== undefined) {
+    const color = String(input.color || '').toLowerCase();
+    if (color && !COLORS.includes(color) && !/^#[0-9a-f]{6}$/.test(color)) {
+      throw new Error(`color must be #rrggbb or one of: ${COLORS.join(', ')}`);
+    }
+    fields.color = color;
+  }
+  return fields;
+}
+
+// ─── CRUD ─────────────────────────────────────────────────────
+
+/** A book's annotations in reading order (page, then locator), or all of the user's */
+function listAnnotations(userId, { bookId = null, type = null } = {}) {
+  const where = ['user_id = ?'];
+  const params = [userId];
+  if (bookId) { where.push('book_id = ?'); params.push(bookId); }
+  if (type) { where.push('type = ?'); params.push(type); }
+  return getDb().prepare(`
+    SELECT * FROM annotations WHERE ${where.join(' AND ')}
+    ORDER BY book_id, page IS NULL, page, locator, created_at
+  `).all(...params).map(mapAnnotation);
+}
+
+function getAnnotation(userId, id) {
+  const row = getDb().prepare('SELECT * FROM annotations WHERE user_id = ? AND id = ?').get(userId, id);
+  return row ? mapAnnotation(row) : null;
+}
+
+function addAnnotation(userId, bookId, input) {
+  const fields = cleanFields(input || {});
+  if (fields.type !== 'bookmark' && !fields.text && !fields.note) throw new Error('text or note required');
+  if (fields.type === 'highlight' && !fields.color) fields.color = 'yellow';
+
+  const cols = Object.keys(fields);
+  const id = getDb().prepare(`
+    INSERT INTO annotations (user_id, book_id, ${cols.join(', ')})
+    VALUES (?, ?, ${cols.map(() => '?').join(', ')})
+  `).run(userId, bookId, ...cols.map((c) => fields[c])).lastInsertRowid;
+  return getAnnotation(userId, id);
+}
+
+/** @returns {object|null} the updated annotation, null if it does not exist */
+function updateAnnotation(userId, id, input) {
+  const fields = cleanFields(input || {}, { partial: true });
+  const cols = Object.keys(fields);
+  if (cols.length) {
+    const changes = getDb().prepare(`
+      UPDATE annotations SET ${cols.map((c) => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND id = ?
+    `).run(...cols.map((c) => fields[c]), userId, id).changes;
+    if (!changes) return null;
+  }
+  return getAnnotation(userId, id);
+}
+
+function deleteAnnotation(userId, id) {
+  return getDb().prepare('DELETE FROM annotations WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+// ─── Export ───────────────────────────────────────────────────
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toMarkdown(groups) {
+  const out = [];
+  for (const { book, annotations } of groups) {
+    out.push(`# ${book.title}`, '');
+    if (book.author) out.push(`*${book.author}*`, '');
+    let chapter = null;
+    for (const a of annotations) {
+      if (a.chapter && a.chapter !== chapter) {
+        chapter = a.chapter;
+        out.push(`## ${chapter}`, '');
+      }
+      const where = a.page !== null ? ` (p. ${a.page})` : '';
+      if (a.type === 'bookmark') {
+        out.push(`- 🔖 Bookmark${where}${a.note ? ` — ${a.note}` : ''}`, '');
+      } else {
+        if (a.text) out.push(...a.text.split('\n').map((l) => `> ${l}`));
+        if (a.text && a.note) out.push('');
+        if (a.note) out.push(a.note);
+        if (where) out.push(`*${where.trim()}*`);
+        out.push('');
+      }
+    }
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/** Readwise's CSV import columns (bookmarks have no text and are skipped) */
+function toReadwiseCsv(groups) {
+  const rows = [['Highlight', 'Title', 'Author', 'URL', 'Note', 'Location', 'Location Type', 'Date']];
+  for (const { book, annotations } of groups) {
+    for (const a of annotations) {
+      if (a.type === 'bookmark') continue;
+      rows.push([
+        a.text || a.note,
+        book.title,
+        book.author,
+        '',
+        a.text ? a.note : '',
+        a.page ?? '',
+        a.page !== null ? 'page' : '',
+        a.createdAt,
+      ]);
+    }
+  }
+  return rows.map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export a user's annotations, for one book or all books
+ * @param {'md'|'json'|'csv'} format
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+function exportAnnotations(userId, format, { bookId = null } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+
+  const groups = [];
+  for (const a of listAnnotations(userId, { bookId })) {
+    let group = groups[groups.length - 1];
+    if (!group || group.book.id !== a.bookId) {
+      const book = lib.getBook(a.bookId) || {};
+      group = { book: { id: a.bookId, title: book.title || a.bookId, author: book.author || '' }, annotations: [] };
+      groups.push(group);
+    }
+    group.annotations.push(a);
+  }
+
+  if (format === 'json') {
+    return { body: JSON.stringify({ exportedAt: new Date().toISOString(), books: groups }, null, 2), contentType: 'application/json', extension: 'json' };
+  }
+  if (format === 'csv') return { body: toReadwiseCsv(groups), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  return { body: toMarkdown(groups), contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+}
+
+module.exports = {
+  TYPES,
+  COLORS,
+  EXPORT_FORMATS,
+  listAnnotations,
+  getAnnotation,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  exportAnnotations,
+};
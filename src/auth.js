@@ -1,8 +1,385 @@
 /**
- * Lightweight download-tracking module
- * Library Genesis doesn't require authentication — this just tracks daily download counts.
+ * User accounts, sessions and download tracking
+ *
+ * Until the first account is created the server runs open (no login, single shared
+ * library) so existing installs keep working. The first account is an admin and takes
+ * over everything recorded before accounts existed. From then on every request needs
+ * a user: OPDS clients send HTTP Basic credentials or a bearer token from the OAuth
+ * password grant, the web UI uses a session cookie (any of them is accepted everywhere).
+ *
+ * Personal API tokens ("copds_…" bearer tokens) are limited to their scopes:
+ *   read ⊂ library:write ⊂ admin
+ *
+ * Passwords are hashed with scrypt; session and API tokens are random and stored as SHA-256 hashes.
  */
 
+const crypto = require('crypto');
+const lib = require('./library');
+
+const SESSION_COOKIE = 'copds_session';
+const SESSION_MS = (parseInt(process.env.SESSION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const REALM = 'cOPDSzlib';
+
+const API_TOKEN_PREFIX = 'copds_';
+const SCOPES = ['read', 'library:write', 'admin'];
+// Scopes granted implicitly by a broader one
+const SCOPE_IMPLIES = {
+  admin: ['library:write', 'read'],
+  'library:write': ['read'],
+};
+
+// Verified Basic credentials, so OPDS clients don't pay for scrypt on every cover request
+const BASIC_CACHE_MS = 5 * 60 * 1000;
+const basicCache = new Map();
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        username      TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,      -- scrypt$<salt hex>$<hash hex>
+        is_admin      INTEGER DEFAULT 0,
+        created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash   TEXT PRIMARY KEY,    -- sha256 of the cookie value
+        user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_agent   TEXT DEFAULT '',
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at   INTEGER NOT NULL     -- ms since epoch
+      );
+
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name         TEXT NOT NULL,
+        prefix       TEXT NOT NULL,       -- first characters of the token, to recognise it in lists
+        token_hash   TEXT NOT NULL UNIQUE,
+        scopes       TEXT NOT NULL,       -- space-separated
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at   DATETIME
+      );
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+// ─── Passwords ────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// ─── Users ────────────────────────────────────────────────────
+
+/** Public shape of a users row */
+function toUser(row) {
+  return row && { id: row.id, username: row.username, isAdmin: !!row.is_admin };
+}
+
+function hasUsers() {
+  return !!getDb().prepare('SELECT 1 FROM users LIMIT 1').get();
+}
+
+/**
+ * Create an account. The first one is always an admin and claims the pre-account library.
+ * Throws with a user-facing message on invalid input.
+ */
+function createUser(username, password, { isAdmin = false } = {}) {
+  username = String(username || '').trim();
+  if (!/^[\w.@-]{2,64}$/.test(username)) {
+    throw new Error('Username must be 2-64 characters: letters, digits, . _ @ -');
+  }
+  if (String(password || '').length < 8) throw new Error('Password must be at least 8 characters');
+
+  const d = getDb();
+  if (d.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+    throw new Error('Username is already taken');
+  }
+  const first = !hasUsers();
+  const id = d.prepare('INSERT INTO users (username, password_hash, is_admin) VALUES (?, ?, ?)')
+    .run(username, hashPassword(password), first || isAdmin ? 1 : 0).lastInsertRowid;
+  if (first) lib.claimUnownedRows(id);
+  console.log(`[Auth] Created ${first || isAdmin ? 'admin' : 'user'} "${username}"`);
+  return getUser(id);
+}
+
+function getUser(id) {
+  return toUser(getDb().prepare('SELECT * FROM users WHERE id = ?').get(id));
+}
+
+function listUsers() {
+  return getDb().prepare('SELECT id, username, is_admin, created_at, last_login_at FROM users ORDER BY id').all()
+    .map((u) => ({ ...toUser(u), createdAt: u.created_at, lastLoginAt: u.last_login_at }));
+}
+
+/** Delete an account and its library/history; the last admin can't be removed */
+function deleteUser(id) {
+  const d = getDb();
+  const user = getUser(id);
+  if (!user) return false;
+  if (user.isAdmin && d.prepare('SELECT COUNT(*) as c FROM users WHERE is_admin = 1').get().c <= 1) {
+    throw new Error('Cannot delete the last admin account');
+  }
+  d.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+  d.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
+  d.prepare('DELETE FROM users WHERE id = ?').run(id);
+  lib.deleteUserRows(id);
+  basicCache.clear();
+  return true;
+}
+
+/** Change a password and sign out the user's other sessions */
+function setPassword(id, password, { keepSession = null } = {}) {
+  if (String(password || '').length < 8) throw new Error('Password must be at least 8 characters');
+  const d = getDb();
+  d.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), id);
+  d.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash != ?').run(id, keepSession ? sha256(keepSession) : '');
+  basicCache.clear();
+}
+
+/**
+ * Check a username/password pair
+ * @returns {object|null} the user, or null when the credentials are wrong
+ */
+function verifyCredentials(username, password) {
+  const row = getDb().prepare('SELECT * FROM users WHERE username = ?').get(String(username || '').trim());
+  if (!row || !verifyPassword(password, row.password_hash)) return null;
+  return toUser(row);
+}
+
+// ─── Sessions ─────────────────────────────────────────────────
+
+/** Start a session; returns the token to put in the cookie */
+function createSession(userId, userAgent = '') {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const d = getDb();
+  d.prepare('DELETE FROM sessions WHERE expires_at < ?').run(Date.now());
+  d.prepare('INSERT INTO sessions (token_hash, user_id, user_agent, expires_at) VALUES (?, ?, ?, ?)')
+    .run(sha256(token), userId, String(userAgent).slice(0, 200), Date.now() + SESSION_MS);
+  d.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(userId);
+  return token;
+}
+
+function getSessionUser(token) {
+  const row = getDb().prepare(`
+    SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?
+  `).get(sha256(token), Date.now());
+  return toUser(row);
+}
+
+function destroySession(token) {
+  if (token) getDb().prepare('DELETE FROM sessions WHERE token_hash = ?').run(sha256(token));
+}
+
+function sessionToken(req) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_MS,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// ─── API Tokens ───────────────────────────────────────────────
+
+function hasScope(scopes, needed) {
+  return scopes.some((s) => s === needed || (SCOPE_IMPLIES[s] || []).includes(needed));
+}
+
+/**
+ * Create a personal API token; the plain token is only returned here
+ * @returns {{ token: string, id: number, name: string, prefix: string, scopes: string[] }}
+ */
+function createApiToken(user, name, scopes) {
+  name = String(name || '').trim().slice(0, 100);
+  if (!name) throw new Error('Token name required');
+  scopes = [...new Set(scopes || [])];
+  if (!scopes.length) throw new Error('Select at least one scope');
+  const unknown = scopes.find((s) => !SCOPES.includes(s));
+  if (unknown) throw new Error(`Unknown scope: ${unknown}`);
+  if (scopes.includes('admin') && !user.isAdmin) throw new Error('Only admins can create admin tokens');
+
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+  const prefix = token.slice(0, API_TOKEN_PREFIX.length + 6);
+  const id = getDb().prepare(`
+    INSERT INTO api_tokens (user_id, name, prefix, token_hash, scopes) VALUES (?, ?, ?, ?, ?)
+  `).run(user.id, name, prefix, sha256(token), scopes.join(' ')).lastInsertRowid;
+  return { token, id, name, prefix, scopes };
+}
+
+function listApiTokens(userId) {
+  return getDb().prepare(`
+    SELECT id, name, prefix, scopes, created_at, last_used_at, revoked_at
+    FROM api_tokens WHERE user_id = ? ORDER BY revoked_at IS NOT NULL, created_at DESC
+  `).all(userId).map((t) => ({
+    id: t.id,
+    name: t.name,
+    prefix: t.prefix,
+    scopes: t.scopes.split(' '),
+    createdAt: t.created_at,
+    lastUsedAt: t.last_used_at,
+    revokedAt: t.revoked_at,
+  }));
+}
+
+/** Revoke one of a user's tokens; returns false if there is no such active token */
+function revokeApiToken(userId, tokenId) {
+  return getDb().prepare(`
+    UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(tokenId, userId).changes > 0;
+}
+
+/** Resolve an API token to its user and scopes, recording when it was last used */
+function apiTokenUser(token) {
+  const d = getDb();
+  const row = d.prepare(`
+    SELECT t.id as token_id, t.scopes, u.* FROM api_tokens t JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND t.revoked_at IS NULL
+  `).get(sha256(token));
+  if (!row) return null;
+  d.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.token_id);
+  return { user: toUser(row), token: { id: row.token_id, scopes: row.scopes.split(' ') } };
+}
+
+// ─── Middleware ───────────────────────────────────────────────
+
+function basicUser(header) {
+  const m = /^Basic\s+(\S+)$/i.exec(String(header || ''));
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const sep = decoded.indexOf(':');
+  if (sep < 0) return null;
+
+  const key = sha256(decoded);
+  const cached = basicCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.user;
+
+  const user = verifyCredentials(decoded.slice(0, sep), decoded.slice(sep + 1));
+  if (user) basicCache.set(key, { user, expires: Date.now() + BASIC_CACHE_MS });
+  return user;
+}
+
+/**
+ * Attach `req.user` from the session cookie or an Authorization: Basic / Bearer header
+ * API token requests also get `req.token` ({ id, scopes }).
+ */
+function identify(req, _res, next) {
+  req.user = null;
+  req.token = null;
+  const token = sessionToken(req);
+  if (token) req.user = getSessionUser(token);
+
+  const header = req.headers.authorization;
+  if (!req.user && header) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+    if (bearer && bearer[1].startsWith(API_TOKEN_PREFIX)) {
+      const found = apiTokenUser(bearer[1]);
+      if (found) ({ user: req.user, token: req.token } = found);
+    } else {
+      req.user = bearer ? getSessionUser(bearer[1]) : basicUser(header);
+    }
+  }
+  next();
+}
+
+/**
+ * Reject anonymous requests once accounts exist
+ * `challenge` sends WWW-Authenticate so OPDS clients and browsers prompt for credentials;
+ * `except` lists sub-paths that stay public; `deny(req, res)` replaces the JSON 401 body.
+ */
+function requireUser({ challenge = false, except = [], deny = null } = {}) {
+  return (req, res, next) => {
+    if (req.user || except.includes(req.path) || !hasUsers()) return next();
+    if (challenge) res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+    res.status(401);
+    if (deny) return deny(req, res);
+    res.json({ error: 'Authentication required', authRequired: true });
+  };
+}
+
+/** Admin user, and (for API tokens) an admin-scoped token */
+function isAdmin(req) {
+  return !!(req.user && req.user.isAdmin && (!req.token || hasScope(req.token.scopes, 'admin')));
+}
+
+/** Admin-only routes (anyone is admin while the server runs without accounts) */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req) || !hasUsers()) return next();
+  res.status(req.user ? 403 : 401).json({ error: 'Admin access required' });
+}
+
+/**
+ * Require a scope from API tokens; `admin` also requires an admin account.
+ * Password, session and OPDS bearer logins act with the user's full rights.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.token && !hasScope(req.token.scopes, scope)) {
+      return res.status(403).json({ error: `API token lacks the "${scope}" scope` });
+    }
+    if (scope === 'admin') return requireAdmin(req, res, next);
+    next();
+  };
+}
+
+/** Routes that manage credentials: a signed-in account, not an API token */
+function requireSignIn(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required', authRequired: true });
+  if (req.token) return res.status(403).json({ error: 'Not available to API tokens' });
+  next();
+}
+
+/** Owner id for library/history rows: the signed-in user, or 0 in open mode */
+function userId(req) {
+  return req.user ? req.user.id : 0;
+}
+
+/** Whether this request may create an account */
+function canRegister(req) {
+  return !hasUsers() || ALLOW_REGISTRATION || isAdmin(req);
+}
+
+// ─── Download Counter ─────────────────────────────────────────
+// Library Genesis doesn't require authentication — this just tracks daily download counts.
+
 let dailyDownloads = 0;
 let dailyReset = new Date().toDateString();
 
@@ -18,18 +395,48 @@ function getDownloadCount() {
   return dailyDownloads;
 }
 
-function getStatus() {
+function getStatus(req) {
   return {
     source: 'Library Genesis',
     downloads: {
       today: getDownloadCount(),
       limit: 'unlimited',
     },
+    accounts: {
+      enabled: hasUsers(),
+      registration: canRegister(req),
+      user: req.user,
+    },
   };
 }
 
 module.exports = {
+  hashPassword,
+  verifyPassword,
+  createUser,
+  getUser,
+  listUsers,
+  deleteUser,
+  setPassword,
+  verifyCredentials,
+  createSession,
+  destroySession,
+  sessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  identify,
+  requireUser,
+  requireScope,
+  requireSignIn,
+  userId,
+  canRegister,
+  hasUsers,
   trackDownload,
   getDownloadCount,
   getStatus,
+  SESSION_MS,
+  SCOPES,
 };
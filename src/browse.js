@@ -0,0 +1,416 @@
+/**
+ * Author and series browsing — normalized `authors` and `series` tables over the catalog
+ *
+ * Scraped and enriched rows carry free-text `author` and `series` strings. Every spelling of
+ * a name is kept as an alias; spellings with the same name parts (src/grouping.js
+ * normalizeAuthor, so "Tolkien, J.R.R." and "J. R. R. Tolkien" agree) resolve to the same
+ * author, and an admin can merge the rest. Triggers on `books` queue changed rows in
+ * `browse_pending`; they are indexed before the next read, so the tables never go stale.
+ */
+
+const lib = require('./library');
+const { normalizeTitle, normalizeAuthor } = require('./grouping');
+
+const MAX_AUTHORS_PER_BOOK = 10;
+
+// Credits that aren't names: role leftovers and placeholders
+const NOT_A_NAME = /^(others|unknown|unknown author|anonymous|various|ed\.?|eds\.?|editor|editors|translator|n\/a)$/i;
+
+// "Name #3", "Name, Book 3", "Name ; 3", "Name -- pt. 3", "Name (3)", "Name Vol. 3"
+const SERIES_NUMBER = String.raw`(?:book|bk\.?|vol\.?|volume|part|pt\.?|no\.?|number|#)?\s*(\d+(?:\.\d+)?)`;
+const SERIES_PATTERNS = [
+  new RegExp(String.raw`^(.+?)\s*\(\s*${SERIES_NUMBER}\s*\)$`, 'i'),
+  new RegExp(String.raw`^(.+?)(?:\s*[#;,:]|\s+(?:--?|—))\s*${SERIES_NUMBER}$`, 'i'),
+  new RegExp(String.raw`^(.+?)\s+(?:book|vol\.?|volume|part|no\.?)\s*(\d+(?:\.\d+)?)$`, 'i'),
+];
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'authors'").get();
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS authors (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        name        TEXT NOT NULL,
+        sort_name   TEXT NOT NULL
+      );
+
+      -- Every spelling seen; key is normalizeAuthor(name)
+      CREATE TABLE IF NOT EXISTS author_aliases (
+        name        TEXT PRIMARY KEY,
+        key         TEXT NOT NULL,
+        author_id   INTEGER NOT NULL REFERENCES authors(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS book_authors (
+        book_id     TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+        author_id   INTEGER NOT NULL REFERENCES authors(id) ON DELETE CASCADE,
+        position    INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (book_id, author_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS series (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        name        TEXT NOT NULL,
+        key         TEXT NOT NULL UNIQUE  -- normalizeTitle(name)
+      );
+
+      CREATE TABLE IF NOT EXISTS book_series (
+        book_id       TEXT PRIMARY KEY REFERENCES books(id) ON DELETE CASCADE,
+        series_id     INTEGER NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        series_index  REAL
+      );
+
+      CREATE TABLE IF NOT EXISTS browse_pending (
+        book_id     TEXT PRIMARY KEY
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_author_aliases_key ON author_aliases(key);
+      CREATE INDEX IF NOT EXISTS idx_book_authors_author ON book_authors(author_id);
+      CREATE INDEX IF NOT EXISTS idx_book_series_series ON book_series(series_id, series_index);
+
+      CREATE TRIGGER IF NOT EXISTS books_browse_insert AFTER INSERT ON books BEGIN
+        INSERT OR IGNORE INTO browse_pending (book_id) VALUES (new.id);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS books_browse_update AFTER UPDATE OF author, series, series_index ON books
+      WHEN old.author IS NOT new.author OR old.series IS NOT new.series OR old.series_index IS NOT new.series_index
+      BEGIN
+        INSERT OR IGNORE INTO browse_pending (book_id) VALUES (new.id);
+      END;
+    `);
+    // Books cached before the tables existed
+    if (!exists) db.exec('INSERT OR IGNORE INTO browse_pending (book_id) SELECT id FROM books');
+    schemaReady = true;
+  }
+  return db;
+}
+
+// ─── Parsing ──────────────────────────────────────────────────
+
+function clean(str) {
+  return String(str || '').replace(/\s+/g, ' ').replace(/^[\s,.;:]+|[\s,;:]+$/g, '').trim();
+}
+
+/**
+ * Split a free-text author credit into individual names, as written
+ * Splits on ";", "&" and " and "; "Last, First" (a one-word surname before a single comma) is
+ * one inverted name, other comma lists are several names. Role notes ("(ed.)", "[transl.]") go.
+ * @returns {string[]}
+ */
+function splitAuthors(author) {
+  const names = [];
+  const credit = String(author || '').replace(/\([^)]*\)|\[[^\]]*\]|\bet al\b\.?/gi, ' ');
+  for (const part of credit.split(/;|&|\band\b/i)) {
+    const pieces = part.split(',').map(clean).filter(Boolean);
+    if (pieces.length === 2 && !/\s/.test(pieces[0])) {
+      names.push(`${pieces[0]}, ${pieces[1]}`);
+    } else {
+      names.push(...pieces);
+    }
+  }
+  return [...new Set(names.filter((n) => !NOT_A_NAME.test(n) && normalizeAuthor(n)))].slice(0, MAX_AUTHORS_PER_BOOK);
+}
+
+/** "Tolkien, J.R.R." → "J.R.R. Tolkien"; names already in reading order are unchanged */
+function displayName(name) {
+  const [last, first] = name.split(/,\s*/);
+  return first ? `${first} ${last}` : name;
+}
+
+/** "J. R. R. Tolkien" → "Tolkien, J. R. R." */
+function sortName(name) {
+  if (name.includes(',')) return name;
+  const parts = name.split(' ');
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name;
+}
+
+/**
+ * Split a series string into its name and position
+ * @returns {{ name: string, index: number|null }} name is '' when there is no series
+ */
+function parseSeries(value) {
+  const text = clean(String(value || '').replace(/^\((.*)\)$/, '$1'));
+  for (const pattern of SERIES_PATTERNS) {
+    const m = text.match(pattern);
+    if (m && clean(m[1])) return { name: clean(m[1]), index: parseFloat(m[2]) };
+  }
+  return { name: text, index: null };
+}
+
+// ─── Indexing ─────────────────────────────────────────────────
+
+/** Author id for a spelling, creating the author (and the alias) when it is new */
+function resolveAuthor(d, spelling) {
+  const alias = d.prepare('SELECT author_id FROM author_aliases WHERE name = ?').get(spelling);
+  if (alias) return alias.author_id;
+
+  const key = normalizeAuthor(spelling);
+  const known = d.prepare('SELECT author_id FROM author_aliases WHERE key = ? LIMIT 1').get(key);
+  const authorId = known ? known.author_id : d.prepare('INSERT INTO authors (name, sort_name) VALUES (?, ?)')
+    .run(displayName(spelling), sortName(displayName(spelling))).lastInsertRowid;
+  d.prepare('INSERT INTO author_aliases (name, key, author_id) VALUES (?, ?, ?)').run(spelling, key, authorId);
+  return authorId;
+}
+
+function resolveSeries(d, name) {
+  const key = normalizeTitle(name);
+  if (!key) return null;
+  const known = d.prepare('SELECT id FROM series WHERE key = ?').get(key);
+  return known ? known.id : d.prepare('INSERT INTO series (name, key) VALUES (?, ?)').run(name, key).lastInsertRowid;
+}
+
+/** Re-link one book row to its authors and series */
+function indexBook(d, book) {
+  d.prepare('DELETE FROM book_authors WHERE book_id = ?').run(book.id);
+  splitAuthors(book.author).forEach((spelling, position) => {
+    d.prepare('INSERT OR IGNORE INTO book_authors (book_id, author_id, position) VALUES (?, ?, ?)')
+      .run(book.id, resolveAuthor(d, spelling), position);
+  });
+
+  const { name, index } = parseSeries(book.series);
+  const seriesId = name ? resolveSeries(d, name) : null;
+  if (seriesId) {
+    d.prepare(`
+      INSERT INTO book_series (book_id, series_id, series_index) VALUES (?, ?, ?)
+      ON CONFLICT(book_id) DO UPDATE SET series_id = excluded.series_id, series_index = excluded.series_index
+    `).run(book.id, seriesId, book.series_index ?? index);
+  } else {
+    d.prepare('DELETE FROM book_series WHERE book_id = ?').run(book.id);
+  }
+}
+
+/** Index every queued book row (called before each read) */
+function refresh() {
+  const d = getDb();
+  const batch = d.prepare(`
+    SELECT p.book_id, b.id, b.author, b.series, b.series_index
+    FROM browse_pending p LEFT JOIN books b ON b.id = p.book_id LIMIT 500
+  `);
+  const done = d.prepare('DELETE FROM browse_pending WHERE book_id = ?');
+  for (let rows = batch.all(); rows.length; rows = batch.all()) {
+    d.transaction(() => {
+      for (const row of rows) {
+        if (row.id) indexBook(d, row);
+        done.run(row.book_id);
+      }
+    })();
+  }
+  return d;
+}
+
+// ─── Authors ──────────────────────────────────────────────────
+
+// Files of one work count once
+const WORK_COUNT = "COUNT(DISTINCT COALESCE(NULLIF(b.work_key, ''), b.id))";
+
+/**
+ * Authors with at least one book, by sort name
+ * `q` matches any of an author's spellings.
+ * @returns {{ authors: Array<{ id, name, sortName, works }>, total: number }}
+ */
+function listAuthors({ q = '', limit = 50, offset = 0 } = {}) {
+  const d = refresh();
+  const params = { like: `%${String(q).trim()}%` };
+  const where = String(q).trim() ? 'WHERE a.id IN (SELECT author_id FROM author_aliases WHERE name LIKE @like)' : '';
+  const authors = d.prepare(`
+    SELECT a.id, a.name, a.sort_name AS sortName, ${WORK_COUNT} AS works
+    FROM authors a
+    JOIN book_authors ba ON ba.author_id = a.id
+    JOIN books b ON b.id = ba.book_id
+    ${where}
+    GROUP BY a.id ORDER BY a.sort_name COLLATE NOCASE LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  const { total } = d.prepare(`
+    SELECT COUNT(*) AS total FROM authors a
+    ${where || 'WHERE 1'} AND EXISTS (SELECT 1 FROM book_authors ba WHERE ba.author_id = a.id)
+  `).get(params);
+  return { authors, total };
+}
+
+/**
+ * One author with their spellings and series
+ * @returns {{ id, name, sortName, aliases: string[], series: Array<{ id, name, works }>, works: number }|null}
+ */
+function getAuthor(id) {
+  const d = refresh();
+  const author = d.prepare('SELECT id, name, sort_name AS sortName FROM authors WHERE id = ?').get(id);
+  if (!author) return null;
+  author.aliases = d.prepare('SELECT name FROM author_aliases WHERE author_id = ? ORDER BY name COLLATE NOCASE')
+    .all(id).map((a) => a.name);
+  author.series = d.prepare(`
+    SELECT s.id, s.name, ${WORK_COUNT} AS works
+    FROM book_authors ba
+    JOIN book_series bs ON bs.book_id = ba.book_id
+    JOIN series s ON s.id = bs.series_id
+    JOIN books b ON b.id = ba.book_id
+    WHERE ba.author_id = ?
+    GROUP BY s.id ORDER BY s.name COLLATE NOCASE
+  `).all(id);
+  author.works = d.prepare(`
+    SELECT ${WORK_COUNT} AS works FROM book_authors ba JOIN books b ON b.id = ba.book_id WHERE ba.author_id = ?
+  `).get(id).works;
+  return author;
+}
+
+// Library state of the user's copy, as in library search
+const LIBRARY_STATE = `
+  (SELECT GROUP_CONCAT(l.status) FROM library l WHERE l.book_id = b.id AND l.user_id = @userId) AS lib_status,
+  (SELECT MAX(l.progress) FROM library l WHERE l.book_id = b.id AND l.user_id = @userId) AS progress`;
+
+/**
+ * An author's book rows (every file): series books in series order first, then by year and title
+ * @returns {{ books: object[], total: number }}
+ */
+function authorBooks(userId, id, { limit = 100, offset = 0 } = {}) {
+  const d = refresh();
+  const books = d.prepare(`
+    SELECT b.*, ${LIBRARY_STATE}
+    FROM book_authors ba
+    JOIN books b ON b.id = ba.book_id
+    LEFT JOIN book_series bs ON bs.book_id = b.id
+    LEFT JOIN series s ON s.id = bs.series_id
+    WHERE ba.author_id = @id
+    ORDER BY s.name IS NULL, s.name COLLATE NOCASE, bs.series_index IS NULL, bs.series_index,
+             b.year, b.title COLLATE NOCASE
+    LIMIT @limit OFFSET @offset
+  `).all({ userId, id, limit, offset });
+  const { total } = d.prepare('SELECT COUNT(*) AS total FROM book_authors WHERE author_id = ?').get(id);
+  return { books, total };
+}
+
+/**
+ * Fold one author into another: spellings and books move, the first author goes
+ * @returns {object} the merged author (getAuthor)
+ */
+function mergeAuthors(fromId, intoId) {
+  const d = refresh();
+  const from = parseInt(fromId, 10);
+  const into = parseInt(intoId, 10);
+  if (!into) throw new Error('Choose the author to merge into');
+  if (from === into) throw new Error('An author cannot be merged into itself');
+  const exists = d.prepare('SELECT 1 FROM authors WHERE id = ?');
+  if (!exists.get(from) || !exists.get(into)) throw new Error('Author not found');
+
+  d.transaction(() => {
+    d.prepare('UPDATE author_aliases SET author_id = ? WHERE author_id = ?').run(into, from);
+    d.prepare(`
+      INSERT OR IGNORE INTO book_authors (book_id, author_id, position)
+      SELECT book_id, ?, position FROM book_authors WHERE author_id = ?
+    `).run(into, from);
+    d.prepare('DELETE FROM authors WHERE id = ?').run(from);
+  })();
+  return getAuthor(into);
+}
+
+// ─── Series ───────────────────────────────────────────────────
+
+/**
+ * Series with at least one book, by name
+ * @returns {{ series: Array<{ id, name, works }>, total: number }}
+ */
+function listSeries({ q = '', limit = 50, offset = 0 } = {}) {
+  const d = refresh();
+  const params = { like: `%${String(q).trim()}%` };
+  const where = String(q).trim() ? 'WHERE s.name LIKE @like' : '';
+  const series = d.prepare(`
+    SELECT s.id, s.name, ${WORK_COUNT} AS works
+    FROM series s
+    JOIN book_series bs ON bs.series_id = s.id
+    JOIN books b ON b.id = bs.book_id
+    ${where}
+    GROUP BY s.id ORDER BY s.name COLLATE NOCASE LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  const { total } = d.prepare(`
+    SELECT COUNT(*) AS total FROM series s
+    ${where || 'WHERE 1'} AND EXISTS (SELECT 1 FROM book_series bs WHERE bs.series_id = s.id)
+  `).get(params);
+  return { series, total };
+}
+
+/**
+ * One series with the authors of its books
+ * @returns {{ id, name, works: number, authors: Array<{ id, name }> }|null}
+ */
+function getSeries(id) {
+  const d = refresh();
+  const series = d.prepare('SELECT id, name FROM series WHERE id = ?').get(id);
+  if (!series) return null;
+  series.works = d.prepare(`
+    SELECT ${WORK_COUNT} AS works FROM book_series bs JOIN books b ON b.id = bs.book_id WHERE bs.series_id = ?
+  `).get(id).works;
+  series.authors = d.prepare(`
+    SELECT a.id, a.name FROM book_series bs
+    JOIN book_authors ba ON ba.book_id = bs.book_id
+    JOIN authors a ON a.id = ba.author_id
+    WHERE bs.series_id = ?
+    GROUP BY a.id ORDER BY COUNT(*) DESC, a.sort_name COLLATE NOCASE
+  `).all(id);
+  return series;
+}
+
+/**
+ * A series' book rows (every file) by series index, unnumbered books last
+ * @returns {{ books: object[], total: number }}
+ */
+function seriesBooks(userId, id, { limit = 100, offset = 0 } = {}) {
+  const d = refresh();
+  const books = d.prepare(`
+    SELECT b.*, bs.series_index, ${LIBRARY_STATE}
+    FROM book_series bs JOIN books b ON b.id = bs.book_id
+    WHERE bs.series_id = @id
+    ORDER BY bs.series_index IS NULL, bs.series_index, b.year, b.title COLLATE NOCASE
+    LIMIT @limit OFFSET @offset
+  `).all({ userId, id, limit, offset });
+  const { total } = d.prepare('SELECT COUNT(*) AS total FROM book_series WHERE series_id = ?').get(id);
+  return { books, total };
+}
+
+// ─── Related links ────────────────────────────────────────────
+
+/**
+ * Set `related` on book rows (and the files of grouped works) for author and series links:
+ * `{ authors: [{ id, name, sortName }], series: { id, name, index } | null }`
+ * @returns {object[]} the same rows
+ */
+function attachRelated(books) {
+  const rows = books.flatMap((b) => [b, ...(b.formatCount > 1 ? b.formats.slice(1) : [])]).filter((b) => b && b.id);
+  const ids = [...new Set(rows.map((b) => b.id))];
+  if (!ids.length) return books;
+
+  const d = refresh();
+  const placeholders = ids.map(() => '?').join(',');
+  const authors = new Map();
+  for (const row of d.prepare(`
+    SELECT ba.book_id, a.id, a.name, a.sort_name FROM book_authors ba JOIN authors a ON a.id = ba.author_id
+    WHERE ba.book_id IN (${placeholders}) ORDER BY ba.position
+  `).all(...ids)) {
+    if (!authors.has(row.book_id)) authors.set(row.book_id, []);
+    authors.get(row.book_id).push({ id: row.id, name: row.name, sortName: row.sort_name });
+  }
+  const series = new Map(d.prepare(`
+    SELECT bs.book_id, s.id, s.name, bs.series_index FROM book_series bs JOIN series s ON s.id = bs.series_id
+    WHERE bs.book_id IN (${placeholders})
+  `).all(...ids).map((row) => [row.book_id, { id: row.id, name: row.name, index: row.series_index }]));
+
+  for (const book of rows) {
+    book.related = { authors: authors.get(book.id) || [], series: series.get(book.id) || null };
+  }
+  return books;
+}
+
+module.exports = {
+  splitAuthors,
+  parseSeries,
+  refresh,
+  listAuthors,
+  getAuthor,
+  authorBooks,
+  mergeAuthors,
+  listSeries,
+  getSeries,
+  seriesBooks,
+  attachRelated,
+};
@@ -0,0 +1,164 @@
+/**
+ * Persistent search result cache (SQLite)
+ *
+ * Results are keyed by source + normalized query + page.
+ *   age < TTL                → served from cache
+ *   TTL <= age < TTL + STALE → served from cache, refreshed in the background
+ *   older                    → fetched again before responding
+ *
+ * SEARCH_CACHE_TTL and SEARCH_CACHE_STALE are in seconds; SEARCH_CACHE_TTL=0 disables the cache.
+ */
+
+const crypto = require('crypto');
+const lib = require('./library');
+
+const TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL ?? '3600', 10) * 1000;
+const STALE_MS = parseInt(process.env.SEARCH_CACHE_STALE ?? '86400', 10) * 1000;
+
+// In-flight fetches, so concurrent requests for the same page share one upstream call
+const pending = new Map();
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS search_cache (
+        key          TEXT PRIMARY KEY,   -- source:normalized query:page
+        source       TEXT NOT NULL,
+        query        TEXT NOT NULL,
+        page         INTEGER NOT NULL,
+        payload      TEXT NOT NULL,      -- JSON { books, totalPages }
+        fetched_at   INTEGER NOT NULL,   -- ms since epoch
+        hits         INTEGER DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS idx_search_cache_fetched ON search_cache(fetched_at);
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+function normalizeQuery(query) {
+  return String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function cacheKey(sourceName, query, page) {
+  return `${sourceName}:${normalizeQuery(query)}:${page}`;
+}
+
+function isEnabled() {
+  return TTL_MS > 0;
+}
+
+/**
+ * Fetch a page from the source and store it (deduplicated per key)
+ * `onFetched` runs once per upstream fetch, e.g. to cache book rows.
+ */
+function refresh(source, query, page, onFetched) {
+  const key = cacheKey(source.name, query, page);
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = (async () => {
+    const { books, totalPages } = await source.search(query, page);
+    const fetchedAt = Date.now();
+    if (onFetched) onFetched(books);
+    if (isEnabled() && source.cacheable !== false) {
+      getDb().prepare(`
+        INSERT INTO search_cache (key, source, query, page, payload, fetched_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET payload = excluded.payload, fetched_at = excluded.fetched_at
+      `).run(key, source.name, normalizeQuery(query), page, JSON.stringify({ books, totalPages }), fetchedAt);
+      prune();
+    }
+    return { books, totalPages, fetchedAt, cached: false, stale: false, key };
+  })().finally(() => pending.delete(key));
+
+  pending.set(key, promise);
+  return promise;
+}
+
+/**
+ * Search through the cache
+ * @returns {Promise<{ books, totalPages, fetchedAt: number, cached: boolean, stale: boolean, key: string }>}
+ */
+async function cachedSearch(source, query, page, onFetched) {
+  if (!isEnabled() || source.cacheable === false) return refresh(source, query, page, onFetched);
+
+  const key = cacheKey(source.name, query, page);
+  const row = getDb().prepare('SELECT payload, fetched_at FROM search_cache WHERE key = ?').get(key);
+  if (row) {
+    const age = Date.now() - row.fetched_at;
+    if (age < TTL_MS + STALE_MS) {
+      getDb().prepare('UPDATE search_cache SET hits = hits + 1 WHERE key = ?').run(key);
+      const stale = age >= TTL_MS;
+      if (stale) {
+        refresh(source, query, page, onFetched)
+          .catch((err) => console.error(`[Cache] Background refresh failed for ${key}:`, err.message));
+      }
+      const { books, totalPages } = JSON.parse(row.payload);
+      return { books, totalPages, fetchedAt: row.fetched_at, cached: true, stale, key };
+    }
+  }
+  return refresh(source, query, page, onFetched);
+}
+
+/** Drop entries too old to be served even as stale */
+function prune() {
+  getDb().prepare('DELETE FROM search_cache WHERE fetched_at < ?').run(Date.now() - TTL_MS - STALE_MS);
+}
+
+/**
+ * Weak ETag for a response built from a cached result
+ * `variant` distinguishes different renderings of the same result (URL, format, filters...)
+ */
+function etagFor(result, variant = '') {
+  const hash = crypto.createHash('sha1').update(`${result.key}|${result.fetchedAt}|${variant}`).digest('hex');
+  return `W/"${hash.slice(0, 27)}"`;
+}
+
+// ─── Admin ────────────────────────────────────────────────────
+
+function listEntries(limit = 100, offset = 0) {
+  const now = Date.now();
+  return getDb().prepare(`
+    SELECT key, source, query, page, fetched_at, hits, length(payload) as bytes
+    FROM search_cache ORDER BY fetched_at DESC LIMIT ? OFFSET ?
+  `).all(limit, offset).map((e) => ({
+    ...e,
+    fetched_at: new Date(e.fetched_at).toISOString(),
+    age_seconds: Math.round((now - e.fetched_at) / 1000),
+    stale: now - e.fetched_at >= TTL_MS,
+  }));
+}
+
+function getCacheStats() {
+  const d = getDb();
+  const row = d.prepare(`
+    SELECT COUNT(*) as entries, COALESCE(SUM(hits), 0) as hits, COALESCE(SUM(length(payload)), 0) as bytes
+    FROM search_cache
+  `).get();
+  const stale = d.prepare('SELECT COUNT(*) as c FROM search_cache WHERE fetched_at < ?').get(Date.now() - TTL_MS).c;
+  return { enabled: isEnabled(), ttlSeconds: TTL_MS / 1000, staleSeconds: STALE_MS / 1000, ...row, stale };
+}
+
+/**
+ * Purge cache entries — everything, or only those for a query (any page / source)
+ * @returns {number} entries removed
+ */
+function purge(query = null) {
+  if (query) {
+    return getDb().prepare('DELETE FROM search_cache WHERE query = ?').run(normalizeQuery(query)).changes;
+  }
+  return getDb().prepare('DELETE FROM search_cache').run().changes;
+}
+
+module.exports = {
+  cachedSearch,
+  etagFor,
+  listEntries,
+  getCacheStats,
+  purge,
+  normalizeQuery,
+};
@@ -0,0 +1,54 @@
+/**
+ * External conversion tool — anything with a command line, typically Calibre's ebook-convert
+ *
+ *   CONVERT_COMMAND          command template; {input} and {output} are replaced with file paths
+ *                            (e.g. "ebook-convert {input} {output}"). Unset disables the adapter.
+ *   CONVERT_FORMATS          formats to hand it (default mobi,azw,azw3,lit,pdb,rtf,doc,docx,odt)
+ *   CONVERT_TIMEOUT_SECONDS  default 300
+ *
+ * The command runs without a shell: each whitespace-separated word is one argument. The input
+ * file keeps its extension, which is how most tools tell formats apart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const COMMAND = (process.env.CONVERT_COMMAND || '').trim();
+const FORMATS = (process.env.CONVERT_FORMATS || 'mobi,azw,azw3,lit,pdb,rtf,doc,docx,odt')
+  .split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+const TIMEOUT_MS = (parseInt(process.env.CONVERT_TIMEOUT_SECONDS, 10) || 300) * 1000;
+
+function run(file, args) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, _stdout, stderr) => {
+      if (!err) return resolve();
+      const detail = String(stderr || '').trim().split('\n').slice(-3).join(' ');
+      reject(new Error(err.killed ? `timed out after ${TIMEOUT_MS / 1000}s` : detail || err.message));
+    });
+  });
+}
+
+async function convert(buffer, { from, to }) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'convert-'));
+  try {
+    const input = path.join(dir, `input.${from}`);
+    const output = path.join(dir, `output.${to}`);
+    await fs.promises.writeFile(input, buffer);
+    const [file, ...args] = COMMAND.split(/\s+/).map((word) => word.replace('{input}', input).replace('{output}', output));
+    await run(file, args);
+    return await fs.promises.readFile(output);
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  name: 'external',
+  title: COMMAND ? `External (${path.basename(COMMAND.split(/\s+/)[0])})` : 'External tool',
+  from: FORMATS,
+  to: ['epub'],
+  available: () => !!COMMAND,
+  convert,
+};
@@ -0,0 +1,204 @@
+/**
+ * FB2 (FictionBook 2) → EPUB
+ *
+ * FictionBook is one XML file: <description> holds the metadata, <body> the text (a second body,
+ * usually name="notes", holds footnotes) and <binary> elements the images, base64-encoded.
+ * Each top-level section becomes a chapter; nested sections keep their titles as smaller
+ * headings. Zipped books (.fb2.zip) are unpacked first.
+ */
+
+const cheerio = require('cheerio');
+const { readZip } = require('../zip');
+const { buildEpub, chapterFile, escapeXml } = require('../epub');
+
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/jpg': 'jpg', 'image/png': 'png', 'image/gif': 'gif' };
+const INLINE = { emphasis: 'em', strong: 'strong', strikethrough: 'del', sub: 'sub', sup: 'sup', code: 'code' };
+const TABLE = new Set(['table', 'tr', 'td', 'th']);
+// Elements whose children are inline: images in them are not wrapped in a block
+const TEXT_BLOCKS = new Set(['p', 'v', 'subtitle', 'text-author', 'td', 'th', 'a']);
+
+/** The FB2 XML as a string, in whatever encoding its declaration names */
+function decode(buf) {
+  if (buf[0] === 0x50 && buf[1] === 0x4b) {
+    const zip = readZip(buf);
+    const entry = zip.entries.find((e) => /\.fb2$/i.test(e.name));
+    if (!entry) throw new Error('No .fb2 file in the archive');
+    buf = zip.read(entry.name);
+  }
+  const encoding = buf.subarray(0, 200).toString('latin1').match(/encoding=["']([\w-]+)["']/i)?.[1] || 'utf-8';
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(buf);
+}
+
+function localName(el) {
+  return el.tagName.replace(/^.*:/, '');
+}
+
+/** l:href / xlink:href, whatever the prefix */
+function hrefOf(el) {
+  const name = Object.keys(el.attribs).find((a) => a === 'href' || a.endsWith(':href'));
+  return name ? el.attribs[name] : '';
+}
+
+function children(el, name) {
+  return (el.children || []).filter((c) => c.type === 'tag' && (!name || localName(c) === name));
+}
+
+function textOf(el) {
+  if (el.type === 'text') return el.data;
+  return (el.children || []).map(textOf).join(' ');
+}
+
+function clean(str) {
+  return String(str || '').replace(/\s+/g, ' ').trim();
+}
+
+function authorName(el) {
+  const part = (name) => clean(children(el, name).map(textOf).join(' '));
+  return clean(['first-name', 'middle-name', 'last-name'].map(part).join(' ')) || part('nickname');
+}
+
+/** Title of a section or body: its <title> lines joined */
+function titleText(el) {
+  const title = children(el, 'title')[0];
+  return title ? clean(children(title, 'p').map(textOf).join(' ') || textOf(title)) : '';
+}
+
+/**
+ * XHTML for FB2 nodes
+ * @param {{ depth: number, images: Map<string, string>, idChapter: Map<string, number>, inline: boolean }} ctx
+ */
+function render(nodes, ctx) {
+  return nodes.map((node) => renderNode(node, ctx)).join('');
+}
+
+function renderNode(node, ctx) {
+  if (node.type === 'text') return escapeXml(node.data);
+  if (node.type !== 'tag') return '';
+  const name = localName(node);
+  const id = node.attribs.id ? ` id="${escapeXml(node.attribs.id)}"` : '';
+  const inner = (overrides = {}) => render(node.children, { ...ctx, inline: TEXT_BLOCKS.has(name), ...overrides });
+
+  if (INLINE[name]) return `<${INLINE[name]}>${inner()}</${INLINE[name]}>`;
+  if (TABLE.has(name)) {
+    const attrs = ['colspan', 'rowspan', 'align'].filter((a) => node.attribs[a])
+      .map((a) => ` ${a}="${escapeXml(node.attribs[a])}"`).join('');
+    return `<${name}${id}${attrs}>${inner()}</${name}>`;
+  }
+  switch (name) {
+    case 'p': return `<p${id}>${inner()}</p>`;
+    case 'empty-line': return '<p class="empty-line">&#160;</p>';
+    case 'subtitle': return `<p class="subtitle"${id}>${inner()}</p>`;
+    case 'text-author': return `<p class="text-author"${id}>${inner()}</p>`;
+    case 'date': return `<p class="date"${id}>${inner()}</p>`;
+    case 'v': return `<p class="v"${id}>${inner()}</p>`;
+    case 'stanza': return `<div class="stanza"${id}>${inner()}</div>`;
+    case 'poem': return `<div class="poem"${id}>${inner()}</div>`;
+    case 'epigraph': return `<blockquote class="epigraph"${id}>${inner()}</blockquote>`;
+    case 'cite': return `<blockquote class="cite"${id}>${inner()}</blockquote>`;
+    case 'section': return `<div class="section"${id}>${inner({ depth: ctx.depth + 1 })}</div>`;
+    case 'title': {
+      const h = `h${Math.min(Math.max(ctx.depth, 1), 6)}`;
+      const lines = children(node, 'p').map((p) => render(p.children, { ...ctx, inline: true }));
+      return `<${h} class="title"${id}>${lines.length ? lines.join('<br/>') : inner()}</${h}>`;
+    }
+    case 'image': {
+      const file = ctx.images.get(hrefOf(node).replace(/^#/, ''));
+      if (!file) return '';
+      const img = `<img src="../images/${escapeXml(file)}" alt="${escapeXml(node.attribs.alt || '')}"/>`;
+      return ctx.inline ? img : `<div class="image"${id}>${img}</div>`;
+    }
+    case 'a': {
+      let href = hrefOf(node);
+      if (href.startsWith('#')) {
+        const chapter = ctx.idChapter.get(href.slice(1));
+        if (chapter === undefined) return inner();
+        href = `${chapterFile(chapter)}${href}`;
+      }
+      const note = node.attribs.type === 'note' ? ' epub:type="noteref"' : '';
+      return `<a href="${escapeXml(href)}"${note}>${inner()}</a>`;
+    }
+    default: return inner();
+  }
+}
+
+/** Every id under a node */
+function collectIds(node, ids = []) {
+  if (node.type !== 'tag') return ids;
+  if (node.attribs.id) ids.push(node.attribs.id);
+  for (const child of node.children) collectIds(child, ids);
+  return ids;
+}
+
+function convertFb2(buffer, { book = null } = {}) {
+  const $ = cheerio.load(decode(buffer), { xml: true });
+  const root = $.root().children().filter((_i, el) => localName(el) === 'FictionBook').get(0);
+  if (!root) throw new Error('Not a FictionBook document');
+
+  const description = children(root, 'description')[0];
+  const info = description && children(description, 'title-info')[0];
+  const field = (name) => (info ? clean(children(info, name).map(textOf).join(' ')) : '');
+  const sequence = info && children(info, 'sequence')[0];
+  const index = sequence ? parseFloat(sequence.attribs.number) : NaN;
+
+  // Images, by binary id
+  const images = [];
+  const imageFiles = new Map();
+  for (const bin of children(root, 'binary')) {
+    const ext = IMAGE_TYPES[(bin.attribs['content-type'] || '').toLowerCase()];
+    if (!ext || !bin.attribs.id) continue;
+    const name = `${bin.attribs.id.replace(/\.(jpe?g|png|gif)$/i, '').replace(/[^\w.-]/g, '_')}-${images.length + 1}.${ext}`;
+    images.push({ name, type: ext === 'jpg' ? 'image/jpeg' : `image/${ext}`, data: Buffer.from(textOf(bin).replace(/\s+/g, ''), 'base64') });
+    imageFiles.set(bin.attribs.id, name);
+  }
+  const coverImage = info && children(info, 'coverpage').flatMap((c) => children(c, 'image'))[0];
+  const cover = coverImage ? imageFiles.get(hrefOf(coverImage).replace(/^#/, '')) : undefined;
+
+  // Chapters: what comes before the first section of a body (its title, epigraphs), then
+  // each top-level section; bodies of notes become one chapter each
+  const title = field('book-title') || book?.title || 'Untitled';
+  const parts = [];
+  for (const body of children(root, 'body')) {
+    const notes = body.attribs.name && body.attribs.name !== 'main';
+    const sections = children(body, 'section');
+    if (notes || !sections.length) {
+      parts.push({ title: titleText(body) || (notes ? 'Notes' : title), nodes: body.children });
+      continue;
+    }
+    const lead = body.children.slice(0, body.children.indexOf(sections[0]));
+    if (lead.some((n) => n.type === 'tag')) parts.push({ title: titleText(body) || title, nodes: lead });
+    sections.forEach((section, i) => parts.push({ title: titleText(section) || `Chapter ${i + 1}`, nodes: [section] }));
+  }
+
+  const idChapter = new Map();
+  parts.forEach((part, n) => part.nodes.forEach((node) => collectIds(node).forEach((id) => idChapter.set(id, n))));
+
+  const authors = info ? children(info, 'author').map(authorName).filter(Boolean) : [];
+  const ctx = { depth: 0, images: imageFiles, idChapter, inline: false };
+  return buildEpub({
+    title,
+    authors: authors.length ? authors : [book?.author].filter(Boolean),
+    language: field('lang') || undefined,
+    description: field('annotation'),
+    series: sequence ? clean(sequence.attribs.name) : '',
+    seriesIndex: Number.isFinite(index) ? index : null,
+    chapters: parts.map((part) => ({ title: part.title, body: render(part.nodes, ctx) })),
+    images,
+    cover,
+  });
+}
+
+module.exports = {
+  name: 'fb2',
+  title: 'FB2 to EPUB',
+  from: ['fb2'],
+  to: ['epub'],
+  async convert(buffer, options) {
+    return convertFb2(buffer, options);
+  },
+};
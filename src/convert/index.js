@@ -0,0 +1,101 @@
+/**
+ * Ebook format conversion — e.g. FB2 or MOBI downloads delivered as EPUB
+ *
+ * A converter is a plain object implementing:
+ *   name                      → unique id
+ *   title                     → human-readable name
+ *   from                      → extensions it reads
+ *   to                        → extensions it writes
+ *   available()               → optional, false when not set up (e.g. no external tool configured)
+ *   convert(buffer, options)  → Promise<Buffer>; options: { from, to, book } (book is the catalog
+ *                                row, null for unknown files)
+ *
+ * The first available converter for a pair wins: the native JavaScript ones (FB2, TXT) come
+ * before the external-tool adapter (CONVERT_COMMAND). Downloads ask for a conversion with
+ * ?convert=epub; results are cached in the file store next to the original (src/filestore.js).
+ * Inputs above CONVERT_MAX_MB are not converted.
+ */
+
+const MAX_INPUT_BYTES = (parseInt(process.env.CONVERT_MAX_MB, 10) || 50) * 1024 * 1024;
+
+const converters = [];
+const inflight = new Map();
+
+function registerConverter(converter) {
+  if (typeof converter.convert !== 'function') throw new Error(`Converter "${converter.name}" is missing convert()`);
+  if (!Array.isArray(converter.from) || !Array.isArray(converter.to)) {
+    throw new Error(`Converter "${converter.name}" needs from and to lists`);
+  }
+  converters.push(converter);
+}
+
+function isAvailable(converter) {
+  return typeof converter.available !== 'function' || converter.available();
+}
+
+/** The converter for a pair of extensions, or null */
+function findConverter(from, to) {
+  from = String(from || '').toLowerCase();
+  to = String(to || '').toLowerCase();
+  if (!from || from === to) return null;
+  return converters.find((c) => isAvailable(c) && c.from.includes(from) && c.to.includes(to)) || null;
+}
+
+function canConvert(from, to) {
+  return !!findConverter(from, to);
+}
+
+/** Every conversion on offer: [{ from, to, converter }] */
+function listConversions() {
+  const seen = new Set();
+  const list = [];
+  for (const c of converters.filter(isAvailable)) {
+    for (const from of c.from) {
+      for (const to of c.to) {
+        if (seen.has(`${from}>${to}`)) continue;
+        seen.add(`${from}>${to}`);
+        list.push({ from, to, converter: c.name, title: c.title });
+      }
+    }
+  }
+  return list;
+}
+
+/**
+ * Convert a file
+ * @returns {Promise<{ data: Buffer, converter: string }>}
+ * @throws {Error} when there is no converter, the input is too large or the conversion fails
+ */
+async function convertFile(buffer, { from, to, book = null }) {
+  const converter = findConverter(from, to);
+  if (!converter) throw new Error(`No converter from ${from} to ${to}`);
+  if (buffer.length > MAX_INPUT_BYTES) throw new Error(`File is larger than ${MAX_INPUT_BYTES / 1024 / 1024} MB`);
+  const started = Date.now();
+  const data = await converter.convert(buffer, { from, to, book });
+  console.log(`[Convert] ${from} → ${to} with ${converter.name}: ${buffer.length} → ${data.length} bytes in ${Date.now() - started}ms`);
+  return { data, converter: converter.name };
+}
+
+/**
+ * Run `task` once per key at a time: concurrent requests for the same conversion share it
+ */
+function once(key, task) {
+  if (!inflight.has(key)) {
+    inflight.set(key, Promise.resolve().then(task).finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+registerConverter(require('./fb2'));
+registerConverter(require('./txt'));
+registerConverter(require('./external'));
+
+module.exports = {
+  MAX_INPUT_BYTES,
+  registerConverter,
+  findConverter,
+  canConvert,
+  listConversions,
+  convertFile,
+  once,
+};
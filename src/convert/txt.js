@@ -0,0 +1,90 @@
+/**
+ * TXT → EPUB
+ *
+ * Plain text has no metadata, so title and author come from the catalog. Paragraphs are separated
+ * by blank lines (hard-wrapped lines inside one are joined), or are one per line when the text has
+ * no blank lines. Short lines that look like headings ("Chapter 12", "PART II", "Глава 3") start
+ * chapters; text without any is cut into parts of about CHUNK_CHARS characters.
+ */
+
+const { buildEpub, escapeXml } = require('../epub');
+const { languageCode } = require('../query');
+
+const CHUNK_CHARS = 100000;
+const HEADING = /^(?:(?:chapter|part|book|section|глава|часть|книга)\s+[\w.]+.*|prologue|epilogue|пролог|эпилог|[IVXLCDM]+\.?|\d{1,3}\.?)$/i;
+const CYRILLIC_LANGUAGES = /^(russian|ukrainian|belarusian|bulgarian|serbian|macedonian|ru|uk|be|bg|sr|mk)\b/i;
+
+/** UTF-8 when the bytes are valid UTF-8, else the usual legacy code page for the book's language */
+function decodeText(buf, language) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder(CYRILLIC_LANGUAGES.test(language || '') ? 'windows-1251' : 'windows-1252').decode(buf);
+  }
+}
+
+function paragraphs(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blank = lines.filter((l) => !l.trim()).length;
+  // Blank-line separated unless blank lines are rare (then every line is a paragraph)
+  if (blank > lines.length / 20) {
+    return text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+      .map((p) => p.split('\n').map((l) => l.trim()).filter(Boolean))
+      .filter((p) => p.length)
+      .map((p) => ({ text: p.join(' '), singleLine: p.length === 1 }));
+  }
+  return lines.map((l) => l.trim()).filter(Boolean).map((l) => ({ text: l, singleLine: true }));
+}
+
+function convertTxt(buffer, { book = null } = {}) {
+  const title = book?.title || 'Untitled';
+  const paras = paragraphs(decodeText(buffer, book?.language));
+
+  const chapters = [];
+  let current = null;
+  for (const p of paras) {
+    if (p.singleLine && p.text.length <= 80 && HEADING.test(p.text)) {
+      current = { title: p.text, html: [`<h1>${escapeXml(p.text)}</h1>`], size: 0 };
+      chapters.push(current);
+      continue;
+    }
+    if (!current) {
+      current = { title, html: [], size: 0 };
+      chapters.push(current);
+    }
+    current.html.push(`<p>${escapeXml(p.text)}</p>`);
+    current.size += p.text.length;
+  }
+
+  // No headings found: cut the text into parts
+  if (chapters.length === 1 && chapters[0].size > CHUNK_CHARS) {
+    const parts = [];
+    let part = null;
+    for (const html of chapters[0].html) {
+      if (!part || part.size > CHUNK_CHARS) {
+        part = { title: `Part ${parts.length + 1}`, html: [], size: 0 };
+        parts.push(part);
+      }
+      part.html.push(html);
+      part.size += html.length;
+    }
+    chapters.splice(0, 1, ...parts);
+  }
+
+  return buildEpub({
+    title,
+    authors: book?.author ? [book.author] : [],
+    language: languageCode(book?.language) || undefined,
+    chapters: chapters.map((c) => ({ title: c.title, body: c.html.join('\n') })),
+  });
+}
+
+module.exports = {
+  name: 'txt',
+  title: 'TXT to EPUB',
+  from: ['txt'],
+  to: ['epub'],
+  async convert(buffer, options) {
+    return convertTxt(buffer, options);
+  },
+};
@@ -0,0 +1,243 @@
+/**
+ * Send-to-device — e-readers that take books by email (Send to Kindle, Send-to-PocketBook, …)
+ *
+ * Users register their devices' addresses; sending a book queues a `send` job (src/queue.js)
+ * that fetches the file through the download pipeline (file store, conversion, metadata
+ * rewriting, file naming) and mails it as an attachment over SMTP (src/smtp.js). Each send is a
+ * download_history row whose status follows its job: queued → sending → sent | failed.
+ *
+ *   SEND_MAX_MB   largest attachment (default 25, the usual mail provider limit)
+ *
+ * Kindles only take some formats; anything else is converted to EPUB when a converter can,
+ * and refused otherwise. Other devices get the file as it is, unless set to prefer EPUB.
+ */
+
+const lib = require('./library');
+const queue = require('./queue');
+const smtp = require('./smtp');
+const { canConvert } = require('./convert');
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.SEND_MAX_MB, 10) || 25) * 1024 * 1024;
+const MAX_DEVICES = 10;
+const MAX_NAME_LENGTH = 60;
+
+const KINDS = {
+  kindle: { name: 'Kindle', accepts: ['epub', 'pdf', 'doc', 'docx', 'txt', 'rtf', 'htm', 'html'] },
+  pocketbook: { name: 'PocketBook', accepts: null },
+  other: { name: 'E-reader', accepts: null },
+};
+const FORMATS = ['', 'epub'];   // '' = the file as it is, 'epub' = convert to EPUB when possible
+
+// Job status → download history status
+const HISTORY_STATUS = {
+  queued: 'queued', running: 'sending', completed: 'sent', failed: 'failed', cancelled: 'cancelled',
+};
+
+let schemaReady = false;
+
+lib.registerUserTable('devices');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS devices (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        name         TEXT NOT NULL,
+        email        TEXT NOT NULL,
+        kind         TEXT NOT NULL DEFAULT 'other',   -- kindle | pocketbook | other
+        format       TEXT NOT NULL DEFAULT '',        -- '' = as is, 'epub' = convert when possible
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_devices_user ON devices(user_id);
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+function mapDevice(row) {
+  return row && {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    kind: row.kind,
+    format: row.format,
+    createdAt: row.created_at,
+  };
+}
+
+function listDevices(userId) {
+  return getDb().prepare('SELECT * FROM devices WHERE user_id = ? ORDER BY id').all(userId).map(mapDevice);
+}
+
+function getDevice(userId, id) {
+  return mapDevice(getDb().prepare('SELECT * FROM devices WHERE id = ? AND user_id = ?').get(id, userId));
+}
+
+// ─── Validation ───────────────────────────────────────────────
+
+function cleanKind(kind) {
+  kind = String(kind || 'other').toLowerCase();
+  if (!KINDS[kind]) throw new Error(`kind must be one of ${Object.keys(KINDS).join(', ')}`);
+  return kind;
+}
+
+function cleanEmail(email) {
+  email = String(email || '').trim();
+  if (!email) throw new Error('Email address required');
+  if (email.length > 254 || !/^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/.test(email)) {
+    throw new Error(`"${email}" is not an email address`);
+  }
+  return email;
+}
+
+function cleanName(name, kind) {
+  name = String(name || '').trim() || KINDS[kind].name;
+  if (name.length > MAX_NAME_LENGTH) throw new Error(`Device name is longer than ${MAX_NAME_LENGTH} characters`);
+  return name;
+}
+
+function cleanFormat(format) {
+  format = String(format || '').toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error('format must be "" (as is) or "epub"');
+  return format;
+}
+
+function createDevice(userId, { name, email, kind, format }) {
+  const d = getDb();
+  const count = d.prepare('SELECT COUNT(*) as count FROM devices WHERE user_id = ?').get(userId).count;
+  if (count >= MAX_DEVICES) throw new Error(`At most ${MAX_DEVICES} devices`);
+  kind = cleanKind(kind);
+  const { lastInsertRowid } = d.prepare(`
+    INSERT INTO devices (user_id, name, email, kind, format) VALUES (?, ?, ?, ?, ?)
+  `).run(userId, cleanName(name, kind), cleanEmail(email), kind, cleanFormat(format));
+  return getDevice(userId, lastInsertRowid);
+}
+
+/** Update a device; fields left out keep their value. Returns null when not found */
+function updateDevice(userId, id, { name, email, kind, format }) {
+  const device = getDevice(userId, id);
+  if (!device) return null;
+  kind = kind === undefined ? device.kind : cleanKind(kind);
+  getDb().prepare('UPDATE devices SET name = ?, email = ?, kind = ?, format = ? WHERE id = ?').run(
+    name === undefined ? device.name : cleanName(name, kind),
+    email === undefined ? device.email : cleanEmail(email),
+    kind,
+    format === undefined ? device.format : cleanFormat(format),
+    device.id
+  );
+  return getDevice(userId, id);
+}
+
+function deleteDevice(userId, id) {
+  return getDb().prepare('DELETE FROM devices WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+// ─── Sending ──────────────────────────────────────────────────
+
+/**
+ * The format a file is mailed in: its own, or 'epub' when it has to be (or should be) converted
+ * @throws {Error} when the device takes neither the file nor a conversion of it
+ */
+function deliveryFormat(device, ext) {
+  ext = String(ext || '').toLowerCase();
+  const { accepts, name } = KINDS[device.kind] || KINDS.other;
+  const takes = (format) => !accepts || accepts.includes(format);
+  if (ext !== 'epub' && (device.format === 'epub' || !takes(ext)) && canConvert(ext, 'epub') && takes('epub')) return 'epub';
+  if (!takes(ext)) {
+    throw new Error(`${name} does not take ${ext.toUpperCase() || 'these'} files, and there is no converter for them`);
+  }
+  return ext;
+}
+
+function permanent(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+/**
+ * Queue a book for a device
+ * @returns {{ job: object, historyId: number }}
+ * @throws {Error} when email is not set up, or the device cannot take the book
+ */
+function sendToDevice(userId, device, book) {
+  if (!smtp.isConfigured()) throw new Error('Email is not set up on this server (SMTP_HOST)');
+  deliveryFormat(device, book.extension);
+  const historyId = lib.logDownload(userId, book, { status: 'queued', delivery: `${device.name} <${device.email}>` });
+  const job = queue.enqueue('send', { deviceId: device.id, bookId: book.id, title: book.title, historyId }, { userId });
+  lib.setDownloadStatus(historyId, 'queued', { jobId: job.id });
+  return { job, historyId };
+}
+
+/**
+ * The `send` job handler
+ * @param {Function} loadFile (userId, book, { convertTo, maxBytes }) → Promise<{ data, filename, contentType }>
+ */
+function sendHandler(loadFile) {
+  return async (job) => {
+    const { deviceId, bookId } = job.payload;
+    const device = getDevice(job.userId, deviceId);
+    if (!device) throw permanent('The device was removed');
+    const book = lib.getBook(bookId);
+    if (!book) throw permanent('The book is no longer in the catalog');
+
+    let format;
+    try {
+      format = deliveryFormat(device, book.extension);
+    } catch (err) {
+      throw permanent(err.message);
+    }
+    const file = await loadFile(job.userId, book, {
+      convertTo: format !== String(book.extension || '').toLowerCase() ? format : '',
+      maxBytes: MAX_ATTACHMENT_BYTES,
+    });
+    if (job.signal.aborted) return null;
+    if (file.data.length > MAX_ATTACHMENT_BYTES) {
+      throw permanent(`The file is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+    }
+
+    const { response } = await smtp.sendMail({
+      to: device.email,
+      subject: book.title,
+      text: `${book.title}${book.author ? ` by ${book.author}` : ''}\n`,
+      attachments: [{ filename: file.filename, contentType: file.contentType, data: file.data }],
+    });
+    console.log(`[Send] "${book.title}" to ${device.email} as ${file.filename} (${file.data.length} bytes)`);
+    return { filename: file.filename, bytes: file.data.length, format, response };
+  };
+}
+
+/** Keep each send's history row in step with its job */
+function trackHistory(job) {
+  if (job.type !== 'send' || !job.payload.historyId) return;
+  const { historyId } = job.payload;
+  lib.setDownloadStatus(historyId, HISTORY_STATUS[job.status] || job.status, { error: job.error });
+  if (job.status === 'completed' && job.result) {
+    lib.finishDownload(historyId, { status: 'sent', bytesSent: job.result.bytes, totalBytes: job.result.bytes });
+  }
+}
+
+/**
+ * Register the send handler
+ * @param {{ loadFile: Function }} pipeline the server's download pipeline (see sendHandler)
+ */
+function startDevices({ loadFile }) {
+  queue.registerHandler('send', sendHandler(loadFile), { concurrency: 1, maxAttempts: 4, retryDelayMs: 60000 });
+  queue.events.on('job', trackHistory);
+}
+
+module.exports = {
+  KINDS,
+  MAX_ATTACHMENT_BYTES,
+  listDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  deliveryFormat,
+  sendToDevice,
+  startDevices,
+};
@@ -0,0 +1,116 @@
+/**
+ * Download jobs — downloads fetched by the server in the background, then saved by the browser
+ *
+ * The web UI queues a `download` job (src/queue.js) instead of pulling the file through one long
+ * request. The job runs the download pipeline (file store, conversion, metadata rewriting, file
+ * naming) into DOWNLOAD_DIR/<job id>, reporting bytes as they arrive; the browser then saves the
+ * finished file from GET /api/jobs/:id/file. Each job is a download_history row whose status
+ * follows it: queued → in-progress → completed | failed | cancelled.
+ *
+ *   DOWNLOAD_CONCURRENCY   downloads running at once (default 2)
+ *   DOWNLOAD_DIR           where finished files wait (default data/downloads)
+ *   DOWNLOAD_KEEP_HOURS    how long they wait (default 24)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const lib = require('./library');
+const queue = require('./queue');
+
+const CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 2;
+const DOWNLOAD_DIR = path.resolve(process.env.DOWNLOAD_DIR || path.join(__dirname, '..', 'data', 'downloads'));
+const KEEP_MS = (parseFloat(process.env.DOWNLOAD_KEEP_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_MS = 60 * 60 * 1000;
+
+// Job status → download history status
+const HISTORY_STATUS = {
+  queued: 'queued', running: 'in-progress', completed: 'completed', failed: 'failed', cancelled: 'cancelled',
+};
+
+function jobFile(jobId) {
+  return path.join(DOWNLOAD_DIR, String(jobId));
+}
+
+/**
+ * Queue a download
+ * @param {{ id: string, title: string }} book catalog row, or a stand-in for unknown files
+ * @param {{ download: string, ext: string, convertTo?: string, rewrite?: string }} request
+ * @returns {{ job: object, historyId: number }}
+ */
+function queueDownload(userId, book, { download, ext, convertTo = '', rewrite }) {
+  const historyId = lib.logDownload(userId, { ...book, download }, { status: 'queued' });
+  const job = queue.enqueue('download', {
+    bookId: book.id, title: book.title, download, ext, convertTo, rewrite, historyId,
+  }, { userId });
+  lib.setDownloadStatus(historyId, 'queued', { jobId: job.id });
+  return { job, historyId };
+}
+
+/**
+ * A finished download's file
+ * @returns {{ path: string, filename: string, contentDisposition: string, contentType: string, size: number }|null}
+ *   null when the job has not completed, or its file has expired
+ */
+function downloadedFile(job) {
+  if (job.type !== 'download' || job.status !== 'completed' || !job.result) return null;
+  const file = jobFile(job.id);
+  if (!fs.existsSync(file)) return null;
+  return { ...job.result, path: file };
+}
+
+/**
+ * The `download` job handler
+ * @param {Function} fetchFile (userId, payload, { dest, signal, progress })
+ *   → Promise<{ filename, contentDisposition, contentType, size }>, the pipeline writing the file to `dest`
+ */
+function downloadHandler(fetchFile) {
+  return async (job) => {
+    fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+    const dest = jobFile(job.id);
+    try {
+      const result = await fetchFile(job.userId, job.payload, { dest, signal: job.signal, progress: job.progress });
+      console.log(`[Download] Job ${job.id} ready: ${result.filename} (${result.size} bytes)`);
+      return result;
+    } catch (err) {
+      fs.rmSync(dest, { force: true });
+      throw err;
+    }
+  };
+}
+
+/** Keep each download's history row in step with its job */
+function trackHistory(job) {
+  if (job.type !== 'download' || !job.payload.historyId) return;
+  const { historyId } = job.payload;
+  lib.setDownloadStatus(historyId, HISTORY_STATUS[job.status] || job.status, { error: job.error });
+  if (job.status === 'completed' && job.result) {
+    lib.finishDownload(historyId, { status: 'completed', bytesSent: job.result.size, totalBytes: job.result.size });
+  }
+}
+
+function removeFile(job) {
+  if (job.type === 'download') fs.rmSync(jobFile(job.id), { force: true });
+}
+
+/** Delete files (and jobs) that have waited longer than DOWNLOAD_KEEP_HOURS */
+function sweep() {
+  for (const job of queue.finishedBefore('download', KEEP_MS)) queue.removeJob(job.id);
+}
+
+/**
+ * Register the download handler
+ * @param {{ fetchFile: Function }} pipeline the server's download pipeline (see downloadHandler)
+ */
+function startDownloads({ fetchFile }) {
+  queue.registerHandler('download', downloadHandler(fetchFile), { concurrency: CONCURRENCY, maxAttempts: 3, retryDelayMs: 30000 });
+  queue.events.on('job', trackHistory);
+  queue.events.on('removed', removeFile);
+  sweep();
+  setInterval(sweep, SWEEP_MS).unref();
+}
+
+module.exports = {
+  queueDownload,
+  downloadedFile,
+  startDownloads,
+};
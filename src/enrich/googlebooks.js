@@ -0,0 +1,39 @@
+/**
+ * Google Books enrichment adapter — volumes search by ISBN
+ * GOOGLE_BOOKS_API_KEY is optional (the anonymous quota is small).
+ */
+
+const cheerio = require('cheerio');
+
+const API = 'https://www.googleapis.com/books/v1/volumes';
+
+/** Google's thumbnail links are http and page-curled; ask for the plain, larger image */
+function cleanCover(url) {
+  return url
+    .replace(/^http:/, 'https:')
+    .replace(/&edge=curl/, '')
+    .replace(/&zoom=\d/, '&zoom=1');
+}
+
+module.exports = {
+  name: 'googlebooks',
+  title: 'Google Books',
+
+  async lookup(isbn, fetchJson) {
+    const key = process.env.GOOGLE_BOOKS_API_KEY ? `&key=${encodeURIComponent(process.env.GOOGLE_BOOKS_API_KEY)}` : '';
+    const data = await fetchJson(isbn, `${API}?q=isbn:${isbn}${key}`);
+    const info = data && data.items && data.items[0] && data.items[0].volumeInfo;
+    if (!info) return null;
+
+    const images = info.imageLinks || {};
+    const cover = images.large || images.medium || images.thumbnail || '';
+    return {
+      // Descriptions carry some HTML (<p>, <b>, <br>)
+      description: info.description ? cheerio.load(info.description).text().replace(/\s+/g, ' ').trim() : '',
+      subjects: info.categories || [],
+      series: '',
+      pages: info.pageCount || 0,
+      cover: cover ? cleanCover(cover) : '',
+    };
+  },
+};
@@ -0,0 +1,365 @@
+/**
+ * Metadata enrichment — fill in what scraped rows lack (description, subjects, series, pages,
+ * a clean cover) from ISBN-keyed lookups
+ *
+ * An adapter is a plain object implementing:
+ *   name                      → unique id, recorded as the provenance of the fields it supplied
+ *   title                     → human-readable name
+ *   lookup(isbn, fetchJson)   → Promise<{ description, subjects[], series, pages, cover } | null>
+ *                                fetchJson(key, url) → parsed JSON, null on 404
+ *
+ * Adapters run in ENRICH_ADAPTERS order (default "openlibrary,googlebooks", empty disables
+ * enrichment); the first non-empty value for a field wins, and values a book already has
+ * (e.g. an EPUB's own description) are never replaced. Books are enriched when their details
+ * are viewed, and by a background queue fed with library additions, downloads and local files
+ * (ENRICH_BACKGROUND=0 turns it off).
+ *
+ * Fixtures: with ENRICH_FIXTURES_DIR set, fetchJson reads <dir>/<adapter>/<key>.json instead of
+ * the network (no file = 404); ENRICH_FIXTURES_RECORD=1 fetches for real and saves responses there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const lib = require('../library');
+
+const FIXTURES_DIR = process.env.ENRICH_FIXTURES_DIR || '';
+const RECORD = process.env.ENRICH_FIXTURES_RECORD === '1';
+const BACKGROUND = process.env.ENRICH_BACKGROUND !== '0';
+// Pause between background lookups, to stay well inside the APIs' anonymous quotas
+const QUEUE_DELAY_MS = parseInt(process.env.ENRICH_DELAY_MS ?? '2000', 10);
+const SWEEP_MS = (parseInt(process.env.ENRICH_INTERVAL_SECONDS, 10) || 600) * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+// When to try a book again after a lookup that found nothing or failed
+const RETRY_NO_MATCH_MS = 30 * 24 * 60 * 60 * 1000;
+const RETRY_FAILED_MS = 60 * 60 * 1000;
+
+// Enriched fields -> books columns
+const FIELDS = { description: 'description', subjects: 'subjects', series: 'series', pages: 'pages', cover: 'cover_large' };
+
+const adapters = new Map();
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      -- Last enrichment attempt per book
+      CREATE TABLE IF NOT EXISTS enrichment_runs (
+        book_id      TEXT PRIMARY KEY,
+        isbn         TEXT DEFAULT '',      -- books.isbn at the time (a new ISBN means a new attempt)
+        status       TEXT NOT NULL,        -- enriched | no-match | no-isbn | failed
+        error        TEXT DEFAULT '',
+        attempted_at INTEGER NOT NULL      -- ms since epoch
+      );
+
+      -- Which adapter supplied each enriched field
+      CREATE TABLE IF NOT EXISTS metadata_provenance (
+        book_id      TEXT NOT NULL,
+        field        TEXT NOT NULL,        -- description | subjects | series | pages | cover
+        adapter      TEXT NOT NULL,
+        isbn         TEXT DEFAULT '',      -- the ISBN that was looked up
+        fetched_at   INTEGER NOT NULL,
+        PRIMARY KEY (book_id, field)
+      );
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+// ─── Adapters ─────────────────────────────────────────────────
+
+function registerAdapter(adapter) {
+  if (!adapter.name || typeof adapter.lookup !== 'function') {
+    throw new Error(`Enrichment adapter "${adapter.name}" is missing lookup()`);
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/** Adapters in ENRICH_ADAPTERS order */
+function activeAdapters() {
+  const names = (process.env.ENRICH_ADAPTERS ?? 'openlibrary,googlebooks').split(',').map((n) => n.trim()).filter(Boolean);
+  return names.map((n) => adapters.get(n)).filter(Boolean);
+}
+
+function listAdapters() {
+  const active = new Set(activeAdapters().map((a) => a.name));
+  return [...adapters.values()].map((a) => ({ name: a.name, title: a.title, active: active.has(a.name) }));
+}
+
+/** fetchJson for an adapter: fixtures, recording or plain HTTP */
+function fetcher(adapterName) {
+  return async (key, url) => {
+    const fixture = FIXTURES_DIR && path.join(FIXTURES_DIR, adapterName, `${String(key).replace(/[^\w.-]/g, '_')}.json`);
+    if (fixture && !RECORD) {
+      return fs.existsSync(fixture) ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : null;
+    }
+
+    const res = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    const data = await res.json();
+    if (fixture) {
+      fs.mkdirSync(path.dirname(fixture), { recursive: true });
+      fs.writeFileSync(fixture, JSON.stringify(data, null, 2));
+    }
+    return data;
+  };
+}
+
+// ─── Enrichment ───────────────────────────────────────────────
+
+/** Valid ISBN-10/13s from a books.isbn value ("978-0-…, 0261…"), ISBN-13s first */
+function isbnCandidates(value) {
+  const isbns = String(value || '')
+    .split(/[,;\s]+/)
+    .map((v) => v.replace(/-/g, '').toUpperCase())
+    .filter((v) => /^(97[89]\d{10}|\d{9}[\dX])$/.test(v));
+  return [...new Set(isbns)].sort((a, b) => b.length - a.length);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === 0 || (Array.isArray(value) && !value.length);
+}
+
+function isDue(book, run) {
+  if (!run || run.isbn !== (book.isbn || '')) return true;
+  const age = Date.now() - run.attempted_at;
+  if (run.status === 'failed') return age >= RETRY_FAILED_MS;
+  if (run.status === 'no-match') return age >= RETRY_NO_MATCH_MS;
+  return false;
+}
+
+function recordRun(book, status, error = '') {
+  getDb().prepare(`
+    INSERT INTO enrichment_runs (book_id, isbn, status, error, attempted_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(book_id) DO UPDATE SET isbn = excluded.isbn, status = excluded.status,
+      error = excluded.error, attempted_at = excluded.attempted_at
+  `).run(book.id, book.isbn || '', status, error, Date.now());
+}
+
+/** Ask each adapter in turn until every field is found; returns { fields, sources, errors } */
+async function lookup(isbns) {
+  const fields = {};
+  const sources = {};
+  const errors = [];
+
+  for (const adapter of activeAdapters()) {
+    for (const isbn of isbns.slice(0, 2)) {
+      let result;
+      try {
+        result = await adapter.lookup(isbn, fetcher(adapter.name));
+      } catch (err) {
+        errors.push(`${adapter.name}: ${err.message}`);
+        break;
+      }
+      if (!result) continue;
+      for (const field of Object.keys(FIELDS)) {
+        if (isEmpty(fields[field]) && !isEmpty(result[field])) {
+          fields[field] = result[field];
+          sources[field] = { adapter: adapter.name, isbn };
+        }
+      }
+      break;
+    }
+    if (Object.keys(FIELDS).every((f) => !isEmpty(fields[f]))) break;
+  }
+  return { fields, sources, errors };
+}
+
+/** Store looked-up fields the book does not have yet, with their provenance */
+function applyFields(book, fields, sources) {
+  const d = getDb();
+  const applied = [];
+  d.transaction(() => {
+    for (const [field, column] of Object.entries(FIELDS)) {
+      if (isEmpty(fields[field]) || !isEmpty(field === 'subjects' ? parseList(book[column]) : book[column])) continue;
+      const value = field === 'subjects' ? JSON.stringify(fields[field].map(String).slice(0, 20))
+        : field === 'pages' ? parseInt(fields[field], 10) || 0
+          : String(fields[field]).trim();
+      d.prepare(`UPDATE books SET ${column} = ? WHERE id = ?`).run(value, book.id);
+      d.prepare(`
+        INSERT INTO metadata_provenance (book_id, field, adapter, isbn, fetched_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(book_id, field) DO UPDATE SET adapter = excluded.adapter, isbn = excluded.isbn,
+          fetched_at = excluded.fetched_at
+      `).run(book.id, field, sources[field].adapter, sources[field].isbn, Date.now());
+      applied.push(field);
+    }
+  })();
+  return applied;
+}
+
+function parseList(json) {
+  try {
+    return JSON.parse(json || '[]');
+  } catch {
+    return [];
+  }
+}
+
+// In-flight enrichments, so a detail view and the queue share one lookup
+const pending = new Map();
+
+/**
+ * Enrich a book if it is due (never tried, new ISBN, or a retry after no match / a failure)
+ * @param {boolean} force look it up again regardless
+ * @returns {Promise<object|null>} bookMetadata() afterwards, null for unknown books
+ */
+function enrichBook(bookId, { force = false } = {}) {
+  if (pending.has(bookId)) return pending.get(bookId);
+
+  const promise = (async () => {
+    const book = lib.getBook(bookId);
+    if (!book) return null;
+    const run = getDb().prepare('SELECT * FROM enrichment_runs WHERE book_id = ?').get(bookId);
+    if (!force && !isDue(book, run)) return bookMetadata(bookId);
+
+    if (!activeAdapters().length) return bookMetadata(bookId);
+    const isbns = isbnCandidates(book.isbn);
+    if (!isbns.length) {
+      recordRun(book, 'no-isbn');
+      return bookMetadata(bookId);
+    }
+
+    const { fields, sources, errors } = await lookup(isbns);
+    const applied = applyFields(book, fields, sources);
+    if (Object.keys(fields).length) recordRun(book, 'enriched');
+    else recordRun(book, errors.length ? 'failed' : 'no-match', errors.join('; '));
+    if (applied.length) console.log(`[Enrich] ${bookId}: ${applied.join(', ')}`);
+    return bookMetadata(bookId);
+  })().finally(() => pending.delete(bookId));
+
+  pending.set(bookId, promise);
+  return promise;
+}
+
+/**
+ * A book's enriched metadata, only the fields it has
+ * @returns {{ description?, subjects?, series?, pages?, coverLarge?, provenance: object, enrichment: object|null }}
+ */
+function bookMetadata(bookId) {
+  const book = lib.getBook(bookId);
+  if (!book) return null;
+  const d = getDb();
+  const meta = {};
+  if (book.description) meta.description = book.description;
+  const subjects = parseList(book.subjects);
+  if (subjects.length) meta.subjects = subjects;
+  if (book.series) meta.series = book.series;
+  if (book.pages) meta.pages = book.pages;
+  if (book.cover_large) meta.coverLarge = book.cover_large;
+
+  meta.provenance = {};
+  for (const row of d.prepare('SELECT * FROM metadata_provenance WHERE book_id = ?').all(bookId)) {
+    meta.provenance[row.field] = { adapter: row.adapter, isbn: row.isbn, fetchedAt: new Date(row.fetched_at).toISOString() };
+  }
+  const run = d.prepare('SELECT * FROM enrichment_runs WHERE book_id = ?').get(bookId);
+  meta.enrichment = run
+    ? { status: run.status, error: run.error || undefined, attemptedAt: new Date(run.attempted_at).toISOString() }
+    : null;
+  return meta;
+}
+
+/** Keep an ISBN learned from a details page, if the book has none */
+function rememberIsbn(bookId, isbn) {
+  if (!isbn) return;
+  getDb().prepare("UPDATE books SET isbn = ? WHERE id = ? AND COALESCE(isbn, '') = ''").run(String(isbn).trim(), bookId);
+}
+
+// ─── Background queue ─────────────────────────────────────────
+
+const queue = [];
+const queued = new Set();
+let draining = false;
+let processed = 0;
+
+/** Enrich a book in the background (no-op when it is queued already or the queue is off) */
+function enqueue(bookId) {
+  if (!BACKGROUND || !activeAdapters().length || queued.has(bookId)) return;
+  queued.add(bookId);
+  queue.push(bookId);
+  drain();
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  while (queue.length) {
+    const bookId = queue.shift();
+    try {
+      await enrichBook(bookId);
+      processed++;
+    } catch (err) {
+      console.error(`[Enrich] ${bookId}:`, err.message);
+    } finally {
+      queued.delete(bookId);
+    }
+    if (queue.length) await new Promise((resolve) => setTimeout(resolve, QUEUE_DELAY_MS));
+  }
+  draining = false;
+}
+
+/** Queue books people care about — in a library, downloaded or local — that are due a lookup */
+function sweep() {
+  const d = getDb();
+  const rows = d.prepare(`
+    SELECT b.id, b.isbn, r.isbn as run_isbn, r.status, r.attempted_at
+    FROM books b LEFT JOIN enrichment_runs r ON r.book_id = b.id
+    WHERE COALESCE(b.isbn, '') != ''
+      AND (b.origin = 'local' OR b.id IN (SELECT book_id FROM library) OR b.id IN (SELECT book_id FROM download_history))
+    LIMIT 500
+  `).all();
+  let count = 0;
+  for (const row of rows) {
+    const run = row.status ? { isbn: row.run_isbn, status: row.status, attempted_at: row.attempted_at } : null;
+    if (isDue(row, run)) {
+      enqueue(row.id);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Sweep shortly after startup, then every ENRICH_INTERVAL_SECONDS
+ */
+function startEnrichment() {
+  if (!BACKGROUND || !activeAdapters().length) return;
+  const run = () => {
+    try {
+      sweep();
+    } catch (err) {
+      console.error('[Enrich] Sweep failed:', err.message);
+    }
+  };
+  setTimeout(run, 30 * 1000).unref();
+  setInterval(run, SWEEP_MS).unref();
+}
+
+function getQueueStatus() {
+  const counts = {};
+  for (const row of getDb().prepare('SELECT status, COUNT(*) as count FROM enrichment_runs GROUP BY status').all()) {
+    counts[row.status] = row.count;
+  }
+  return { background: BACKGROUND, adapters: listAdapters(), queued: queue.length, running: draining, processed, runs: counts };
+}
+
+// ─── Built-in adapters ────────────────────────────────────────
+
+registerAdapter(require('./openlibrary'));
+registerAdapter(require('./googlebooks'));
+
+module.exports = {
+  registerAdapter,
+  listAdapters,
+  isbnCandidates,
+  enrichBook,
+  bookMetadata,
+  rememberIsbn,
+  enqueue,
+  sweep,
+  startEnrichment,
+  getQueueStatus,
+};
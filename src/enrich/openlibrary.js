@@ -0,0 +1,27 @@
+/**
+ * Open Library enrichment adapter — the Books API, keyed by ISBN
+ * https://openlibrary.org/dev/docs/api/books
+ */
+
+const API = 'https://openlibrary.org/api/books';
+const COVERS = 'https://covers.openlibrary.org/b/id';
+
+module.exports = {
+  name: 'openlibrary',
+  title: 'Open Library',
+
+  async lookup(isbn, fetchJson) {
+    const data = await fetchJson(isbn, `${API}?bibkeys=ISBN:${isbn}&format=json&jscmd=details`);
+    const details = data && data[`ISBN:${isbn}`] && data[`ISBN:${isbn}`].details;
+    if (!details) return null;
+
+    const description = typeof details.description === 'object' ? details.description.value : details.description;
+    return {
+      description: description || '',
+      subjects: (details.subjects || []).map((s) => (typeof s === 'object' ? s.name : s)),
+      series: (details.series || [])[0] || '',
+      pages: details.number_of_pages || 0,
+      cover: details.covers && details.covers[0] > 0 ? `${COVERS}/${details.covers[0]}-L.jpg` : '',
+    };
+  },
+};
@@ -0,0 +1,325 @@
+/**
+ * EPUB package documents — reading the OPF (local scanner), rewriting its metadata (downloads)
+ * and building new EPUBs (format conversion, src/convert)
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { readZip, writeZip } = require('./zip');
+
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+
+const COVER_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif' };
+
+/**
+ * Open an EPUB held in memory and load its OPF package document
+ * @returns {{ zip, $, opfPath: string, opfDir: string }}
+ */
+function openPackage(buf) {
+  const zip = readZip(buf);
+  const container = zip.read('META-INF/container.xml');
+  if (!container) throw new Error('EPUB has no META-INF/container.xml');
+  const opfPath = cheerio.load(container.toString('utf8'), { xml: true })('rootfile').attr('full-path');
+  const opf = opfPath && zip.read(opfPath);
+  if (!opf) throw new Error('EPUB package document not found');
+  return { zip, $: cheerio.load(opf.toString('utf8'), { xml: true }), opfPath, opfDir: path.posix.dirname(opfPath) };
+}
+
+/** All elements with a given local name, whatever namespace prefix the OPF uses */
+function byLocalName($, name) {
+  return $('*').filter((_i, el) => el.tagName === name || el.tagName.endsWith(`:${name}`));
+}
+
+/** Manifest href of the cover image (EPUB 3 cover-image property or EPUB 2 <meta name="cover">) */
+function findEpubCoverHref($) {
+  const items = byLocalName($, 'item');
+  const epub3 = items.filter((_i, el) => ($(el).attr('properties') || '').split(/\s+/).includes('cover-image')).first();
+  if (epub3.length) return epub3.attr('href');
+
+  const coverId = byLocalName($, 'meta').filter((_i, el) => $(el).attr('name') === 'cover').first().attr('content');
+  if (!coverId) return null;
+  const epub2 = items.filter((_i, el) => $(el).attr('id') === coverId).first();
+  return epub2.length ? epub2.attr('href') : null;
+}
+
+function isbnOf(text) {
+  const digits = String(text || '').replace(/^urn:isbn:/i, '').replace(/[-\s]/g, '');
+  return /^(97[89])?\d{9}[\dXx]$/.test(digits) ? digits.toUpperCase() : '';
+}
+
+/** An id not used anywhere in the package, nor handed out before (`taken`, updated) */
+function freshId($, base, taken) {
+  const used = new Set($('[id]').map((_i, el) => $(el).attr('id')).get());
+  let id = base;
+  for (let n = 2; used.has(id) || taken.has(id); n++) id = `${base}-${n}`;
+  taken.add(id);
+  return id;
+}
+
+/**
+ * Rewrite an EPUB's package metadata
+ * Empty fields keep what the file has. The package's unique identifier is never touched: font
+ * obfuscation keys are derived from it. Other ISBN identifiers that disagree with `isbn` go.
+ * @param {Buffer} buf
+ * @param {{ title?: string, authors?: Array<{ name: string, sortName?: string }>, language?: string,
+ *   isbn?: string, series?: string, seriesIndex?: number|null }} meta
+ * @param {{ cover?: { data: Buffer, type: string }|null }} options - cover is embedded only when the EPUB has none
+ * @returns {Buffer} the rewritten EPUB
+ */
+function rewriteEpub(buf, meta, { cover = null } = {}) {
+  const { zip, $, opfPath, opfDir } = openPackage(buf);
+  const pkg = byLocalName($, 'package').first();
+  const metadata = byLocalName($, 'metadata').first();
+  if (!metadata.length) throw new Error('EPUB package has no <metadata>');
+  const epub3 = /^3/.test(pkg.attr('version') || '');
+  const dc = (byLocalName($, 'title').get(0)?.tagName.match(/^([^:]+:)/) || [null, 'dc:'])[1];
+  if (!epub3 && !metadata.attr('xmlns:opf') && !pkg.attr('xmlns:opf')) metadata.attr('xmlns:opf', OPF_NS);
+
+  const element = (name, text, attrs = {}) => {
+    const el = $(`<${name}/>`);
+    for (const [k, v] of Object.entries(attrs)) el.attr(k, v);
+    return text ? el.text(text) : el;
+  };
+  const taken = new Set();
+  const refining = (id) => byLocalName($, 'meta').filter((_i, el) => $(el).attr('refines') === `#${id}`);
+
+  if (meta.title) {
+    const title = byLocalName($, 'title').first();
+    if (title.length) title.text(meta.title);
+    else metadata.prepend(element(`${dc}title`, meta.title));
+  }
+
+  if (meta.authors && meta.authors.length) {
+    const creators = byLocalName($, 'creator');
+    const anchor = creators.length ? creators.first() : byLocalName($, 'title').first();
+    const added = meta.authors.map((a) => {
+      if (!epub3) return [element(`${dc}creator`, a.name, { 'opf:role': 'aut', 'opf:file-as': a.sortName || a.name })];
+      const id = freshId($, 'creator', taken);
+      return [element(`${dc}creator`, a.name, { id }),
+        element('meta', a.sortName || a.name, { refines: `#${id}`, property: 'file-as' }),
+        element('meta', 'aut', { refines: `#${id}`, property: 'role', scheme: 'marc:relators' })];
+    }).flat().map((el) => el.get(0));
+    if (anchor.length) anchor.after(added);
+    else metadata.append(added);
+    creators.each((_i, el) => {
+      const id = $(el).attr('id');
+      if (id) refining(id).remove();
+      $(el).remove();
+    });
+  }
+
+  if (meta.language) {
+    const language = byLocalName($, 'language').first();
+    if (language.length) language.text(meta.language);
+    else metadata.append(element(`${dc}language`, meta.language));
+  }
+
+  const isbn = isbnOf(meta.isbn);
+  if (isbn) {
+    const uniqueId = pkg.attr('unique-identifier');
+    let present = false;
+    byLocalName($, 'identifier').each((_i, el) => {
+      const found = isbnOf($(el).text());
+      if (found === isbn) present = true;
+      else if (found && $(el).attr('id') !== uniqueId) $(el).remove();
+    });
+    if (!present) {
+      metadata.append(element(`${dc}identifier`, `urn:isbn:${isbn}`, epub3 ? {} : { 'opf:scheme': 'ISBN' }));
+    }
+  }
+
+  if (meta.series) {
+    // Calibre's series metadata is what most readers (KOReader, Readest, Calibre) understand
+    byLocalName($, 'meta').filter((_i, el) => /^calibre:series(_index)?$/.test($(el).attr('name') || '')).remove();
+    metadata.append(element('meta', '', { name: 'calibre:series', content: meta.series }));
+    if (meta.seriesIndex !== null && meta.seriesIndex !== undefined) {
+      metadata.append(element('meta', '', { name: 'calibre:series_index', content: String(meta.seriesIndex) }));
+    }
+  }
+
+  const extra = [];
+  if (cover && COVER_EXTENSIONS[cover.type] && !findEpubCoverHref($)) {
+    const names = new Set(zip.entries.map((e) => e.name));
+    let href = `cover-image.${COVER_EXTENSIONS[cover.type]}`;
+    for (let n = 2; names.has(path.posix.join(opfDir, href)); n++) href = `cover-image-${n}.${COVER_EXTENSIONS[cover.type]}`;
+    const id = freshId($, 'cover-image', taken);
+    byLocalName($, 'manifest').first().append(element('item', '', {
+      id, href, 'media-type': cover.type, ...(epub3 ? { properties: 'cover-image' } : {}),
+    }));
+    metadata.append(element('meta', '', { name: 'cover', content: id }));
+    extra.push({ name: path.posix.join(opfDir, href), data: cover.data, store: true });
+  }
+
+  // The mimetype entry goes first and uncompressed (EPUB OCF). New entries take the OPF's
+  // timestamp, so rewriting the same file twice gives the same bytes and Range requests can resume.
+  const opfEntry = zip.entries.find((e) => e.name === opfPath);
+  const stamp = { time: opfEntry.time, date: opfEntry.date };
+  const entries = zip.entries
+    .filter((e) => e.name !== 'mimetype')
+    .map((e) => (e.name === opfPath ? { name: e.name, data: Buffer.from($.xml(), 'utf8'), ...stamp } : { ...e, raw: zip.raw(e.name) }));
+  const mimetype = zip.read('mimetype') || Buffer.from('application/epub+zip');
+  return writeZip([
+    { name: 'mimetype', data: mimetype, store: true, ...stamp },
+    ...entries,
+    ...extra.map((e) => ({ ...e, ...stamp })),
+  ]);
+}
+
+// ─── Building ─────────────────────────────────────────────────
+
+const STYLESHEET = `body { margin: 0 2%; line-height: 1.4; }
+h1, h2, h3, h4, h5, h6 { text-align: center; margin: 1.2em 0 0.8em; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+p.subtitle, p.date { text-align: center; text-indent: 0; margin: 0.8em 0; font-weight: bold; }
+p.empty-line { text-indent: 0; }
+p.text-author { text-align: right; font-style: italic; }
+blockquote { margin: 1em 2em; }
+.epigraph { margin-left: 30%; font-style: italic; }
+.poem { margin: 1em 0 1em 2em; }
+.stanza { margin-bottom: 0.8em; }
+p.v { text-indent: 0; }
+div.image, div.cover { text-align: center; margin: 1em 0; }
+img { max-width: 100%; }
+div.cover img { height: 100%; }
+table { border-collapse: collapse; margin: 1em auto; }
+td, th { border: 1px solid #888; padding: 0.2em 0.4em; }
+`;
+
+function escapeXml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** File name of the n-th chapter (0-based) of a built EPUB, relative to the text/ directory */
+function chapterFile(n) {
+  return `chapter-${String(n + 1).padStart(3, '0')}.xhtml`;
+}
+
+function xhtmlPage(title, language, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="../style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build an EPUB 3 (with an NCX table of contents for EPUB 2 readers) from XHTML chapters
+ * Chapters are written to text/ as chapterFile(n); images to images/ (refer to them as
+ * "../images/<name>" from chapter markup).
+ * @param {{ title: string, authors?: string[], language?: string, identifier?: string,
+ *   description?: string, series?: string, seriesIndex?: number|null,
+ *   chapters: Array<{ title: string, body: string }>, images?: Array<{ name: string, type: string, data: Buffer }>,
+ *   cover?: string }} book - chapter bodies are XHTML markup; cover is the name of one of the images
+ * @returns {Buffer}
+ */
+function buildEpub(book) {
+  const language = book.language || 'en';
+  const chapters = book.chapters.length ? book.chapters : [{ title: book.title, body: '<p></p>' }];
+  const identifier = book.identifier || `urn:uuid:${crypto.createHash('md5')
+    .update(JSON.stringify([book.title, book.authors, chapters.map((c) => c.body.length)]))
+    .digest('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5')}`;
+  const images = (book.images || []).map((img, i) => ({ ...img, id: `image-${i + 1}` }));
+  const cover = images.find((img) => img.name === book.cover);
+
+  const pages = chapters.map((c, i) => ({ id: `chapter-${i + 1}`, file: `text/${chapterFile(i)}`, ...c }));
+  if (cover) {
+    pages.unshift({
+      id: 'cover',
+      file: 'text/cover.xhtml',
+      title: 'Cover',
+      body: `<div class="cover"><img src="../images/${escapeXml(cover.name)}" alt="${escapeXml(book.title)}"/></div>`,
+      skipToc: true,
+    });
+  }
+
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+${(book.authors || []).map((a, i) => `    <dc:creator id="creator-${i + 1}">${escapeXml(a)}</dc:creator>`).join('\n')}
+    <dc:language>${escapeXml(language)}</dc:language>
+${book.description ? `    <dc:description>${escapeXml(book.description)}</dc:description>\n` : ''}\
+    <meta property="dcterms:modified">${modified}</meta>
+${book.series ? `    <meta name="calibre:series" content="${escapeXml(book.series)}"/>\n` : ''}\
+${book.series && book.seriesIndex !== null && book.seriesIndex !== undefined ? `    <meta name="calibre:series_index" content="${book.seriesIndex}"/>\n` : ''}\
+${cover ? `    <meta name="cover" content="${cover.id}"/>\n` : ''}\
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${pages.map((p) => `    <item id="${p.id}" href="${p.file}" media-type="application/xhtml+xml"/>`).join('\n')}
+${images.map((img) => `    <item id="${img.id}" href="images/${escapeXml(img.name)}" media-type="${img.type}"${img === cover ? ' properties="cover-image"' : ''}/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${pages.map((p) => `    <itemref idref="${p.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const tocPages = pages.filter((p) => !p.skipToc);
+  const nav = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head><title>${escapeXml(book.title)}</title></head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+${tocPages.map((p) => `      <li><a href="${p.file}">${escapeXml(p.title)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+  const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head><meta name="dtb:uid" content="${escapeXml(identifier)}"/></head>
+  <docTitle><text>${escapeXml(book.title)}</text></docTitle>
+  <navMap>
+${tocPages.map((p, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(p.title)}</text></navLabel><content src="${p.file}"/></navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  return writeZip([
+    { name: 'mimetype', data: Buffer.from('application/epub+zip'), store: true },
+    { name: 'META-INF/container.xml', data: Buffer.from(container) },
+    { name: 'OEBPS/content.opf', data: Buffer.from(opf) },
+    { name: 'OEBPS/nav.xhtml', data: Buffer.from(nav) },
+    { name: 'OEBPS/toc.ncx', data: Buffer.from(ncx) },
+    { name: 'OEBPS/style.css', data: Buffer.from(STYLESHEET) },
+    ...pages.map((p) => ({ name: `OEBPS/${p.file}`, data: Buffer.from(xhtmlPage(p.title, language, p.body)) })),
+    // Images are already compressed
+    ...images.map((img) => ({ name: `OEBPS/images/${img.name}`, data: img.data, store: true })),
+  ]);
+}
+
+module.exports = {
+  openPackage,
+  byLocalName,
+  findEpubCoverHref,
+  rewriteEpub,
+  escapeXml,
+  chapterFile,
+  buildEpub,
+};
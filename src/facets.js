@@ -0,0 +1,110 @@
+/**
+ * Search result facets — file format, language and publication decade
+ * Used to narrow scraped results and to build facet links / counts for OPDS and the JSON API
+ */
+
+/**
+ * Facet groups, in display order
+ *   key     → query parameter name (?ext=epub&lang=english&decade=2010)
+ *   values  → facet values a book belongs to (normalized, lower-case)
+ *   label   → human-readable label for a value
+ */
+const FACET_GROUPS = [
+  {
+    key: 'ext',
+    title: 'Format',
+    values: (book) => (book.extension ? [book.extension.toLowerCase()] : []),
+    label: (value) => value.toUpperCase(),
+  },
+  {
+    key: 'lang',
+    title: 'Language',
+    values: (book) => (book.language || '')
+      .split(/[,;/]/)
+      .map((l) => l.trim().toLowerCase())
+      .filter(Boolean),
+    label: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  },
+  {
+    key: 'decade',
+    title: 'Decade',
+    values: (book) => {
+      const year = parseInt(String(book.year || '').match(/\d{4}/)?.[0], 10);
+      return year ? [String(Math.floor(year / 10) * 10)] : [];
+    },
+    label: (value) => `${value}s`,
+  },
+];
+
+/**
+ * Extract active facet filters from a request query object
+ * @returns {Object<string, string>} e.g. { ext: 'epub', lang: 'english' }
+ */
+function parseFacetFilters(query = {}) {
+  const filters = {};
+  for (const group of FACET_GROUPS) {
+    const value = query[group.key];
+    if (typeof value === 'string' && value.trim()) filters[group.key] = value.trim().toLowerCase();
+  }
+  return filters;
+}
+
+function matchesFilters(book, filters, skipKey = null) {
+  return FACET_GROUPS.every((group) => {
+    if (group.key === skipKey || !filters[group.key]) return true;
+    return group.values(book).includes(filters[group.key]);
+  });
+}
+
+/**
+ * Keep only the books matching every active facet filter
+ */
+function applyFacets(books, filters) {
+  if (!Object.keys(filters).length) return books;
+  return books.filter((book) => matchesFilters(book, filters));
+}
+
+/**
+ * Count facet values over a result set
+ * Each group is counted against the books matching the *other* active filters,
+ * so picking "EPUB" still shows how many English / 2010s books there are.
+ * @returns {Array<{key, title, active, values: Array<{value, label, count, active}>}>}
+ */
+function countFacets(books, filters = {}) {
+  return FACET_GROUPS.map((group) => {
+    const counts = new Map();
+    for (const book of books) {
+      if (!matchesFilters(book, filters, group.key)) continue;
+      for (const value of new Set(group.values(book))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const values = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([value, count]) => ({
+        value,
+        label: group.label(value),
+        count,
+        active: filters[group.key] === value,
+      }));
+    return { key: group.key, title: group.title, active: filters[group.key] || null, values };
+  });
+}
+
+/**
+ * Serialize filters back into a query string fragment ("&ext=epub&lang=english")
+ */
+function facetQueryString(filters) {
+  return Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+    .join('');
+}
+
+module.exports = {
+  FACET_GROUPS,
+  parseFacetFilters,
+  applyFacets,
+  countFacets,
+  facetQueryString,
+};
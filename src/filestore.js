@@ -0,0 +1,301 @@
+/**
+ * Content-addressed book file store
+ *
+ * Downloads streamed through the proxy are written to FILE_STORE_DIR/<ab>/<md5>.<ext>
+ * while they are piped to the client. The MD5 is verified once the transfer completes;
+ * mismatching or interrupted files are discarded. Later requests are served from disk
+ * (with Range / 206 support). The store is size-bounded (FILE_STORE_MAX_MB) and
+ * evicts the least recently used files first.
+ *
+ * Converted files (src/convert) are kept next to their original as <md5>.converted.<ext>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, PassThrough } = require('stream');
+const lib = require('./library');
+const { koreaderDigest } = require('./kosync');
+
+const STORE_DIR = process.env.FILE_STORE_DIR ? path.resolve(process.env.FILE_STORE_DIR) : null;
+const MAX_BYTES = (parseInt(process.env.FILE_STORE_MAX_MB, 10) || 2048) * 1024 * 1024;
+const TMP_DIR = STORE_DIR && path.join(STORE_DIR, '.tmp');
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS file_store (
+        md5                 TEXT PRIMARY KEY,
+        extension           TEXT DEFAULT '',
+        size                INTEGER NOT NULL,
+        content_type        TEXT DEFAULT '',
+        content_disposition TEXT DEFAULT '',
+        hits                INTEGER DEFAULT 0,
+        created_at          DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_access         INTEGER NOT NULL    -- ms since epoch, for LRU eviction
+      );
+
+      CREATE TABLE IF NOT EXISTS file_conversions (
+        md5          TEXT NOT NULL,           -- the original's
+        extension    TEXT NOT NULL,           -- converted to
+        size         INTEGER NOT NULL,
+        content_type TEXT DEFAULT '',
+        converter    TEXT DEFAULT '',
+        hits         INTEGER DEFAULT 0,
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_access  INTEGER NOT NULL,
+        PRIMARY KEY (md5, extension)
+      );
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+function isEnabled() {
+  return !!STORE_DIR;
+}
+
+function filePath(md5, extension) {
+  const name = extension ? `${md5}.${extension.replace(/[^a-z0-9]/gi, '')}` : md5;
+  return path.join(STORE_DIR, md5.slice(0, 2), name);
+}
+
+/**
+ * Find a stored file
+ * @returns {object|null} the file_store row plus `path`, or null when not stored
+ */
+function lookup(md5) {
+  if (!isEnabled()) return null;
+  md5 = String(md5).toLowerCase();
+  const row = getDb().prepare('SELECT * FROM file_store WHERE md5 = ?').get(md5);
+  if (!row) return null;
+  const file = filePath(row.md5, row.extension);
+  if (!fs.existsSync(file)) {
+    getDb().prepare('DELETE FROM file_store WHERE md5 = ?').run(md5);
+    return null;
+  }
+  return { ...row, path: file };
+}
+
+/**
+ * Create a pass-through stream that also saves what flows through it under `md5`
+ * The file is only kept if all of it came through (the stream ended, or `size` bytes were seen
+ * before the client hung up) and the content hash matches.
+ * @param {string} md5
+ * @param {{ extension?: string, contentType?: string, contentDisposition?: string, size?: number }} meta
+ */
+function capture(md5, meta = {}) {
+  md5 = String(md5).toLowerCase();
+  if (!isEnabled() || !/^[a-f0-9]{32}$/.test(md5) || lookup(md5)) return new PassThrough();
+
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tmp = path.join(TMP_DIR, `${md5}.${process.pid}.${Date.now()}.part`);
+  const out = fs.createWriteStream(tmp);
+  const hash = crypto.createHash('md5');
+  let size = 0;
+  let completed = false;
+
+  const discard = () => {
+    out.destroy();
+    fs.rm(tmp, { force: true }, () => {});
+  };
+
+  const finish = (callback) => {
+    completed = true;
+    out.end(() => {
+      const digest = hash.digest('hex');
+      if (digest !== md5) {
+        console.warn(`[FileStore] Hash mismatch for ${md5} (got ${digest}), discarding`);
+        discard();
+        return callback();
+      }
+      try {
+        const dest = filePath(md5, meta.extension);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.renameSync(tmp, dest);
+        getDb().prepare(`
+          INSERT OR REPLACE INTO file_store (md5, extension, size, content_type, content_disposition, last_access)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(md5, meta.extension || '', size, meta.contentType || '', meta.contentDisposition || '', Date.now());
+        lib.setKoreaderDigest(md5, koreaderDigest(dest)); // lets KOReader sync find the book
+        console.log(`[FileStore] Stored ${md5} (${size} bytes)`);
+        evict();
+      } catch (err) {
+        console.error(`[FileStore] Could not store ${md5}:`, err.message);
+        discard();
+      }
+      callback();
+    });
+  };
+
+  const stream = new Transform({
+    transform(chunk, _enc, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (out.write(chunk)) callback(null, chunk);
+      else out.once('drain', () => callback(null, chunk));
+    },
+    flush(callback) {
+      finish(callback);
+    },
+  });
+
+  stream.on('close', () => {
+    if (completed) return;
+    // A client that received every byte may disconnect before the upstream body signals its end
+    if (meta.size && size === meta.size) finish(() => {});
+    else discard();
+  });
+  return stream;
+}
+
+// ─── Converted files ──────────────────────────────────────────
+
+function convertedPath(md5, extension) {
+  return path.join(STORE_DIR, md5.slice(0, 2), `${md5}.converted.${extension.replace(/[^a-z0-9]/gi, '')}`);
+}
+
+/**
+ * Find a cached conversion of `md5` to `extension`
+ * @returns {object|null} the file_conversions row plus `path` and `converted: true`
+ */
+function lookupConverted(md5, extension) {
+  if (!isEnabled()) return null;
+  md5 = String(md5).toLowerCase();
+  const row = getDb().prepare('SELECT * FROM file_conversions WHERE md5 = ? AND extension = ?').get(md5, extension);
+  if (!row) return null;
+  const file = convertedPath(row.md5, row.extension);
+  if (!fs.existsSync(file)) {
+    getDb().prepare('DELETE FROM file_conversions WHERE md5 = ? AND extension = ?').run(md5, extension);
+    return null;
+  }
+  return { ...row, path: file, converted: true };
+}
+
+/** Keep a converted file; returns false when the store is off or the id is not an MD5 */
+function saveConverted(md5, extension, data, { contentType = '', converter = '' } = {}) {
+  md5 = String(md5).toLowerCase();
+  if (!isEnabled() || !/^[a-f0-9]{32}$/.test(md5)) return false;
+  try {
+    const dest = convertedPath(md5, extension);
+    fs.mkdirSync(TMP_DIR, { recursive: true });
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    const tmp = path.join(TMP_DIR, `${md5}.${extension}.${process.pid}.${Date.now()}.part`);
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, dest);
+    getDb().prepare(`
+      INSERT OR REPLACE INTO file_conversions (md5, extension, size, content_type, converter, last_access)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(md5, extension, data.length, contentType, converter, Date.now());
+    console.log(`[FileStore] Stored ${md5} as ${extension} (${data.length} bytes)`);
+    evict();
+    return true;
+  } catch (err) {
+    console.error(`[FileStore] Could not store ${md5} as ${extension}:`, err.message);
+    return false;
+  }
+}
+
+function removeConverted(md5, extension) {
+  fs.rmSync(convertedPath(md5, extension), { force: true });
+  getDb().prepare('DELETE FROM file_conversions WHERE md5 = ? AND extension = ?').run(md5, extension);
+}
+
+// ─── Serving & eviction ───────────────────────────────────────
+
+/**
+ * Serve a stored file or conversion (Range requests, 206 and 416 are handled by res.sendFile)
+ */
+function serve(res, stored, headers = {}) {
+  if (stored.converted) {
+    getDb().prepare('UPDATE file_conversions SET hits = hits + 1, last_access = ? WHERE md5 = ? AND extension = ?')
+      .run(Date.now(), stored.md5, stored.extension);
+  } else {
+    getDb().prepare('UPDATE file_store SET hits = hits + 1, last_access = ? WHERE md5 = ?').run(Date.now(), stored.md5);
+  }
+  const sendHeaders = { ...headers };
+  if (stored.content_type) sendHeaders['Content-Type'] = stored.content_type;
+  if (stored.content_disposition && !sendHeaders['Content-Disposition']) {
+    sendHeaders['Content-Disposition'] = stored.content_disposition;
+  }
+  res.sendFile(stored.path, { headers: sendHeaders, acceptRanges: true, dotfiles: 'allow' });
+}
+
+/**
+ * Delete least recently used files (originals and conversions alike) until the store fits in
+ * FILE_STORE_MAX_MB
+ */
+function evict() {
+  const d = getDb();
+  let total = d.prepare(`
+    SELECT (SELECT COALESCE(SUM(size), 0) FROM file_store) + (SELECT COALESCE(SUM(size), 0) FROM file_conversions) as total
+  `).get().total;
+  if (total <= MAX_BYTES) return;
+
+  for (const row of d.prepare(`
+    SELECT md5, NULL as converted, size, last_access FROM file_store
+    UNION ALL SELECT md5, extension as converted, size, last_access FROM file_conversions
+    ORDER BY last_access ASC
+  `).all()) {
+    if (total <= MAX_BYTES) break;
+    if (row.converted) removeConverted(row.md5, row.converted);
+    else removeOriginal(row.md5);
+    total -= row.size;
+    console.log(`[FileStore] Evicted ${row.md5}${row.converted ? ` (${row.converted})` : ''} (${row.size} bytes)`);
+  }
+}
+
+function removeOriginal(md5) {
+  const row = getDb().prepare('SELECT extension FROM file_store WHERE md5 = ?').get(md5);
+  if (!row) return false;
+  fs.rmSync(filePath(md5, row.extension), { force: true });
+  getDb().prepare('DELETE FROM file_store WHERE md5 = ?').run(md5);
+  return true;
+}
+
+/** Remove one file and its conversions from the store; returns true if anything was stored */
+function remove(md5) {
+  md5 = String(md5).toLowerCase();
+  const conversions = getDb().prepare('SELECT extension FROM file_conversions WHERE md5 = ?').all(md5);
+  for (const c of conversions) removeConverted(md5, c.extension);
+  return removeOriginal(md5) || conversions.length > 0;
+}
+
+function listFiles(limit = 100, offset = 0) {
+  if (!isEnabled()) return [];
+  return getDb().prepare(`
+    SELECT f.md5, f.extension, f.size, f.hits, f.created_at, f.last_access, b.title, b.author
+    FROM file_store f LEFT JOIN books b ON b.id = f.md5
+    ORDER BY f.last_access DESC LIMIT ? OFFSET ?
+  `).all(limit, offset).map((f) => ({ ...f, last_access: new Date(f.last_access).toISOString() }));
+}
+
+function getStoreStats() {
+  if (!isEnabled()) return { enabled: false };
+  const row = getDb().prepare('SELECT COUNT(*) as files, COALESCE(SUM(size), 0) as bytes FROM file_store').get();
+  const converted = getDb().prepare('SELECT COUNT(*) as files, COALESCE(SUM(size), 0) as bytes FROM file_conversions').get();
+  return {
+    enabled: true,
+    dir: STORE_DIR,
+    maxBytes: MAX_BYTES,
+    files: row.files,
+    bytes: row.bytes + converted.bytes,
+    convertedFiles: converted.files,
+  };
+}
+
+module.exports = {
+  isEnabled,
+  lookup,
+  capture,
+  lookupConverted,
+  saveConverted,
+  serve,
+  remove,
+  listFiles,
+  getStoreStats,
+};
@@ -0,0 +1,178 @@
+/**
+ * Full-text search over the local catalog (SQLite FTS5)
+ *
+ * `books_fts` indexes title, author, publisher, ISBN and description of every book row we
+ * have seen — search results, downloads and local files — so library search keeps working
+ * when the upstream sources are down. It is an external-content index over `books` kept in
+ * sync by triggers; `rebuildIndex()` regenerates it (needed after a VACUUM, which can
+ * renumber the rowids it points at).
+ */
+
+const lib = require('./library');
+const { parseQuery, LANGUAGE_CODES } = require('./query');
+
+// bm25 column weights: title, author, publisher, isbn, description
+const WEIGHTS = [10, 6, 2, 10, 1];
+
+// Snippet match markers, replaced with <mark> after HTML-escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+let schemaReady = false;
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'books_fts'").get();
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+        title, author, publisher, isbn, description,
+        content = 'books', content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS books_fts_insert AFTER INSERT ON books BEGIN
+        INSERT INTO books_fts (rowid, title, author, publisher, isbn, description)
+        VALUES (new.rowid, new.title, new.author, new.publisher, new.isbn, new.description);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS books_fts_delete AFTER DELETE ON books BEGIN
+        INSERT INTO books_fts (books_fts, rowid, title, author, publisher, isbn, description)
+        VALUES ('delete', old.rowid, old.title, old.author, old.publisher, old.isbn, old.description);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS books_fts_update
+      AFTER UPDATE OF title, author, publisher, isbn, description ON books BEGIN
+        INSERT INTO books_fts (books_fts, rowid, title, author, publisher, isbn, description)
+        VALUES ('delete', old.rowid, old.title, old.author, old.publisher, old.isbn, old.description);
+        INSERT INTO books_fts (rowid, title, author, publisher, isbn, description)
+        VALUES (new.rowid, new.title, new.author, new.publisher, new.isbn, new.description);
+      END;
+    `);
+    // Books cached before the index existed
+    if (!exists) db.exec("INSERT INTO books_fts (books_fts) VALUES ('rebuild')");
+    schemaReady = true;
+  }
+  return db;
+}
+
+/** Regenerate the index from `books` */
+function rebuildIndex() {
+  getDb().exec("INSERT INTO books_fts (books_fts) VALUES ('rebuild')");
+}
+
+// Qualifiers that are FTS columns; the others become SQL conditions
+const FTS_COLUMNS = { author: 'author', title: 'title', isbn: 'isbn' };
+
+/** FTS5 expression for a word (every token as a prefix) or an exact phrase; '' if nothing is searchable */
+function ftsTerm(value, phrase = false) {
+  if (/^[\d-]+[\dXx]$/.test(value) && value.replace(/-/g, '').length >= 10) value = value.replace(/-/g, '');
+  const tokens = value.match(/[\p{L}\p{N}]+/gu) || [];
+  if (!tokens.length) return '';
+  return phrase ? `"${tokens.join(' ')}"` : tokens.map((t) => `"${t}"*`).join(' ');
+}
+
+/**
+ * Compile the shared search syntax (src/query.js) to an FTS5 MATCH expression plus SQL
+ * conditions for year:, lang: and ext:
+ * @returns {{ match: string, where: string[], params: Array }} match is '' when no words are searched
+ * @throws {QueryError}
+ */
+function compileSearch(text) {
+  const query = parseQuery(text);
+  const positive = [...query.words.map((w) => ftsTerm(w)), ...query.phrases.map((p) => ftsTerm(p, true))];
+  const negative = [];
+  const where = [];
+  const params = [];
+
+  for (const filter of query.filters) {
+    if (filter.field === 'text' || FTS_COLUMNS[filter.field]) {
+      const alternatives = filter.values.map((v) => ftsTerm(v)).filter(Boolean).map((t) => `(${t})`);
+      if (!alternatives.length) continue;
+      const column = FTS_COLUMNS[filter.field];
+      const expr = `${column ? `${column} : ` : ''}(${alternatives.join(' OR ')})`;
+      (filter.negate ? negative : positive).push(expr);
+      continue;
+    }
+    const conditions = filter.values.map((value) => {
+      if (filter.field === 'year') {
+        const bounds = [];
+        if (value.min !== null) { bounds.push('>= ?'); params.push(value.min); }
+        if (value.max !== null) { bounds.push('<= ?'); params.push(value.max); }
+        return bounds.map((b) => `CAST(SUBSTR(b.year, 1, 4) AS INTEGER) ${b}`).join(' AND ');
+      }
+      if (filter.field === 'lang') {
+        const want = value.toLowerCase();
+        params.push(LANGUAGE_CODES[want] || want, `${want}%`);
+        return '(LOWER(b.language) = ? OR LOWER(b.language) LIKE ?)';
+      }
+      params.push(value.toLowerCase().replace(/^\./, ''));
+      return 'LOWER(b.extension) = ?';
+    });
+    where.push(`${filter.negate ? 'NOT ' : ''}((${conditions.join(') OR (')}))`);
+  }
+
+  const terms = positive.filter(Boolean);
+  if (!terms.length && negative.length) {
+    // FTS5 NOT needs something on its left: exclude through a subquery instead
+    where.push('b.rowid NOT IN (SELECT rowid FROM books_fts WHERE books_fts MATCH ?)');
+    params.push(negative.join(' OR '));
+  }
+  const match = terms.length ? [terms.join(' AND '), ...negative].join(' NOT ') : '';
+  return { match, where, params };
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** HTML snippet with the matched terms in <mark> */
+function snippetHtml(raw) {
+  return escapeHtml(raw || '')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Search the catalog, best matches first
+ * `text` uses the shared search syntax (author:, year:2010..2020, -word, …; see src/query.js).
+ * Each book carries the user's library state (lib_status, progress) and an HTML `snippet`
+ * from the best-matching column. Queries with only year:/lang:/ext: filters list by title.
+ * @param {boolean} inLibrary only the user's library and local files
+ * @returns {{ books: object[], total: number }}
+ * @throws {QueryError} on invalid syntax
+ */
+function search(userId, text, { limit = 25, offset = 0, inLibrary = false } = {}) {
+  const { match, where, params } = compileSearch(text);
+  if (!match && !where.length) return { books: [], total: 0 };
+
+  const d = getDb();
+  const from = `
+    FROM books b ${match ? 'JOIN books_fts ON books_fts.rowid = b.rowid' : ''}
+    LEFT JOIN (
+      SELECT book_id, GROUP_CONCAT(status) as statuses, MAX(progress) as progress, MIN(added_at) as added_at
+      FROM library WHERE user_id = ? GROUP BY book_id
+    ) l ON l.book_id = b.id
+    WHERE ${match ? 'books_fts MATCH ?' : '1'} ${inLibrary ? "AND (l.book_id IS NOT NULL OR b.origin = 'local')" : ''}
+    ${where.map((w) => `AND ${w}`).join(' ')}
+  `;
+  const args = [userId, ...(match ? [match] : []), ...params];
+  const rows = d.prepare(`
+    SELECT b.*, l.statuses as lib_status, l.progress, l.added_at as lib_added_at,
+           ${match ? `snippet(books_fts, -1, '${MARK_START}', '${MARK_END}', '…', 12)` : "''"} as snippet
+    ${from}
+    ORDER BY ${match ? `bm25(books_fts, ${WEIGHTS.join(', ')})` : 'b.title COLLATE NOCASE'} LIMIT ? OFFSET ?
+  `).all(...args, limit, offset);
+  const total = d.prepare(`SELECT COUNT(*) as count ${from}`).get(...args).count;
+
+  return {
+    books: rows.map((row) => ({ ...row, snippet: snippetHtml(row.snippet) })),
+    total,
+  };
+}
+
+module.exports = {
+  compileSearch,
+  search,
+  rebuildIndex,
+};
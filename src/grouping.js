@@ -0,0 +1,76 @@
+/**
+ * Edition grouping — collapse the many files of one work into a single result
+ *
+ * Search pages list every file separately (EPUB, PDF, several scans, …). Rows are grouped
+ * when they share an edition id or a work key: the normalized title plus the first author's
+ * name parts in sorted order, so "Tolkien, J.R.R." and "J. R. R. Tolkien" agree.
+ */
+
+const UNKNOWN = new Set(['', 'unknown', 'unknown title', 'unknown author']);
+
+function normalize(str) {
+  return String(str || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/** Title without bracketed notes ("(2nd ed.)", "[scan]"), punctuation and a leading article */
+function normalizeTitle(title) {
+  return normalize(title)
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+/** First author's name parts, sorted */
+function normalizeAuthor(author) {
+  const first = normalize(author).split(/;|&| and /)[0];
+  return (first.match(/[\p{L}\p{N}]+/gu) || []).sort().join(' ');
+}
+
+/**
+ * Work key for a book row, '' when the title is unknown (such rows only group by edition id)
+ */
+function workKey(book) {
+  if (UNKNOWN.has(normalize(book.title).trim())) return '';
+  const title = normalizeTitle(book.title);
+  if (!title) return '';
+  const author = UNKNOWN.has(normalize(book.author).trim()) ? '' : normalizeAuthor(book.author);
+  return `${title}|${author}`;
+}
+
+/**
+ * Group result rows into works, keeping the upstream order of each work's first row
+ * @returns {object[]} one row per work — its first file, with `formats` (every file of the
+ *   work, that one first) and `formatCount`
+ */
+function groupBooks(books) {
+  const groups = [];
+  const byKey = new Map();
+
+  for (const book of books) {
+    const keys = [];
+    const editionId = book.editionId || book.edition_id;
+    if (editionId) keys.push(`edition:${editionId}`);
+    const work = workKey(book);
+    if (work) keys.push(`work:${work}`);
+
+    let group = keys.map((k) => byKey.get(k)).find(Boolean);
+    if (!group) {
+      group = [];
+      groups.push(group);
+    }
+    group.push(book);
+    for (const k of keys) if (!byKey.has(k)) byKey.set(k, group);
+  }
+
+  return groups.map((files) => ({ ...files[0], formats: files, formatCount: files.length }));
+}
+
+module.exports = {
+  normalizeTitle,
+  normalizeAuthor,
+  workKey,
+  groupBooks,
+};
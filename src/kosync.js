@@ -0,0 +1,177 @@
+/**
+ * KOReader progress sync (kosync protocol)
+ *
+ * KOReader's "Progress sync" plugin talks to a sync server with:
+ *   POST /users/create, GET /users/auth, PUT /syncs/progress, GET /syncs/progress/:document
+ * authenticated by x-auth-user / x-auth-key headers, where the key is the MD5 of the password.
+ * Documents are identified by KOReader's partial MD5 of the file (or our full MD5).
+ *
+ * Sync users are linked to an account (0 in open mode). Positions are stored in
+ * kosync_progress and the percentage is mirrored into the account's library.progress
+ * and reading sessions.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const lib = require('./library');
+const auth = require('./auth');
+const reading = require('./reading');
+
+// Error codes used by the reference koreader-sync-server
+const ERRORS = {
+  unauthorized: { status: 401, code: 2001, message: 'Unauthorized' },
+  userExists: { status: 402, code: 2002, message: 'Username is already registered.' },
+  invalidRequest: { status: 403, code: 2003, message: 'Invalid request' },
+  documentMissing: { status: 403, code: 2004, message: "Field 'document' not provided." },
+  registrationClosed: { status: 403, code: 2005, message: 'Registration is disabled. Link KOReader sync in the web interface settings.' },
+};
+
+let schemaReady = false;
+
+lib.registerUserTable('kosync_users');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS kosync_users (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        username     TEXT NOT NULL UNIQUE,
+        key_hash     TEXT NOT NULL,        -- scrypt of the MD5 key KOReader sends
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS kosync_progress (
+        kosync_user_id INTEGER NOT NULL REFERENCES kosync_users(id) ON DELETE CASCADE,
+        document     TEXT NOT NULL,        -- KOReader document hash
+        book_id      TEXT,                 -- matching books.id, if known
+        progress     TEXT DEFAULT '',      -- xpointer / CFI / page
+        percentage   REAL DEFAULT 0,
+        device       TEXT DEFAULT '',
+        device_id    TEXT DEFAULT '',
+        timestamp    INTEGER NOT NULL,     -- seconds since epoch
+        PRIMARY KEY (kosync_user_id, document)
+      );
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+/**
+ * KOReader's partial MD5: 1 KiB samples at offsets 0 and 1024 * 4^i (i = 0..10)
+ */
+function koreaderDigest(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const hash = crypto.createHash('md5');
+    const buf = Buffer.alloc(1024);
+    for (let i = -1; i <= 10; i++) {
+      const offset = i < 0 ? 0 : 1024 * 4 ** i;
+      if (offset >= size) break;
+      const read = fs.readSync(fd, buf, 0, buf.length, offset);
+      hash.update(buf.subarray(0, read));
+    }
+    return hash.digest('hex');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ─── Sync Users ───────────────────────────────────────────────
+
+function findUser(username) {
+  return getDb().prepare('SELECT * FROM kosync_users WHERE username = ?').get(String(username || '').trim()) || null;
+}
+
+/**
+ * Create a sync user for an account (or re-key the account's existing one)
+ * @param {number} userId account id, 0 in open mode
+ * @param {string} key the MD5 key KOReader will send (md5 of the password)
+ */
+function linkUser(userId, username, key) {
+  username = String(username || '').trim();
+  if (!username || !key) throw new Error('Username and password required');
+
+  const d = getDb();
+  const taken = findUser(username);
+  if (taken && taken.user_id !== userId) throw new Error(ERRORS.userExists.message);
+  d.transaction(() => {
+    // One sync user per account: renaming keeps its stored positions
+    const existing = d.prepare('SELECT id FROM kosync_users WHERE user_id = ? AND user_id != 0').get(userId)
+      || d.prepare('SELECT id FROM kosync_users WHERE username = ?').get(username);
+    if (existing) {
+      d.prepare('UPDATE kosync_users SET username = ?, key_hash = ? WHERE id = ?')
+        .run(username, auth.hashPassword(key), existing.id);
+    } else {
+      d.prepare('INSERT INTO kosync_users (username, key_hash, user_id) VALUES (?, ?, ?)')
+        .run(username, auth.hashPassword(key), userId);
+    }
+  })();
+  return getLinkedUser(userId);
+}
+
+function getLinkedUser(userId) {
+  return getDb().prepare('SELECT id, username, created_at FROM kosync_users WHERE user_id = ? ORDER BY id LIMIT 1').get(userId) || null;
+}
+
+function unlinkUser(userId) {
+  return getDb().prepare('DELETE FROM kosync_users WHERE user_id = ?').run(userId).changes > 0;
+}
+
+/** Check x-auth-user / x-auth-key; returns the kosync_users row or null */
+function authorize(username, key) {
+  const row = findUser(username);
+  if (!row || !key || !auth.verifyPassword(key, row.key_hash)) return null;
+  return row;
+}
+
+// ─── Progress ─────────────────────────────────────────────────
+
+/**
+ * Store a position and mirror the percentage into the account's library
+ * @returns {number} the stored timestamp
+ */
+function saveProgress(syncUser, { document, progress, percentage, device, device_id: deviceId }) {
+  const book = lib.findBookByDigest(document);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const pct = Number(percentage);   // validated 0–1 by the route
+
+  getDb().prepare(`
+    INSERT INTO kosync_progress (kosync_user_id, document, book_id, progress, percentage, device, device_id, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(kosync_user_id, document) DO UPDATE SET
+      book_id = excluded.book_id, progress = excluded.progress, percentage = excluded.percentage,
+      device = excluded.device, device_id = excluded.device_id, timestamp = excluded.timestamp
+  `).run(syncUser.id, document, book ? book.id : null, String(progress ?? ''), pct,
+    String(device || ''), String(deviceId || ''), timestamp);
+
+  if (book) {
+    lib.addToLibrary(syncUser.user_id, book.id, 'reading');
+    reading.recordProgress(syncUser.user_id, book.id, pct, { device: String(device || 'KOReader'), source: 'kosync' });
+    lib.updateProgress(syncUser.user_id, book.id, pct);
+  }
+  return timestamp;
+}
+
+function getProgress(syncUser, document) {
+  const row = getDb().prepare(`
+    SELECT document, progress, percentage, device, device_id, timestamp
+    FROM kosync_progress WHERE kosync_user_id = ? AND document = ?
+  `).get(syncUser.id, document);
+  return row || null;
+}
+
+module.exports = {
+  ERRORS,
+  koreaderDigest,
+  findUser,
+  linkUser,
+  getLinkedUser,
+  unlinkUser,
+  authorize,
+  saveProgress,
+  getProgress,
+};
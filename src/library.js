@@ -5,6 +5,7 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { workKey } = require('./grouping');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'library.db');
 
@@ -47,14 +48,15 @@ function initSchema() {
     -- User's library actions
     CREATE TABLE IF NOT EXISTS library (
       id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL DEFAULT 0,   -- users.id, 0 = no account (open mode)
       book_id      TEXT NOT NULL REFERENCES books(id),
       status       TEXT NOT NULL DEFAULT 'downloaded',  
-                   -- downloaded | reading | finished | want-to-read | favorite
+                   -- built-in shelf id (src/shelves.js): downloaded | reading | finished | want-to-read | favorite
       progress     REAL DEFAULT 0,    -- reading progress 0.0-1.0
-      notes        TEXT DEFAULT '',
+      notes        TEXT DEFAULT '',   -- legacy, moved into annotations (src/annotations.js)
       added_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(book_id, status)
+      UNIQUE(user_id, book_id, status)
     );
 
     -- Download history log
@@ -77,6 +79,85 @@ function initSchema() {
       searched_at  DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
+
+  // Columns added after the initial schema
+  ensureColumn('books', 'origin', "TEXT DEFAULT 'libgen'");   // libgen | local
+  ensureColumn('books', 'file_path', "TEXT DEFAULT ''");      // local files only
+  ensureColumn('books', 'file_size', 'INTEGER DEFAULT 0');
+  ensureColumn('books', 'file_mtime', 'INTEGER DEFAULT 0');
+  ensureColumn('books', 'koreader_digest', "TEXT DEFAULT ''");  // KOReader partial MD5, when we have the file
+  ensureColumn('books', 'description', "TEXT DEFAULT ''");      // full-text indexed (src/fulltext.js)
+  ensureColumn('books', 'edition_id', "TEXT DEFAULT ''");       // upstream edition, when known
+  // Filled by metadata enrichment (src/enrich), provenance in metadata_provenance
+  ensureColumn('books', 'subjects', "TEXT DEFAULT ''");         // JSON array
+  ensureColumn('books', 'series', "TEXT DEFAULT ''");
+  ensureColumn('books', 'series_index', 'REAL');               // position in the series, when the file says
+  ensureColumn('books', 'pages', 'INTEGER DEFAULT 0');
+  ensureColumn('books', 'cover_large', "TEXT DEFAULT ''");      // clean full-size cover URL
+  if (ensureColumn('books', 'work_key', "TEXT DEFAULT ''")) {   // normalized title + author (src/grouping.js)
+    const stmt = db.prepare('UPDATE books SET work_key = ? WHERE id = ?');
+    db.transaction(() => {
+      for (const row of db.prepare('SELECT id, title, author FROM books').all()) stmt.run(workKey(row), row.id);
+    })();
+  }
+  ensureColumn('download_history', 'status', "TEXT DEFAULT 'completed'");  // in-progress | completed | interrupted | failed, or for sends queued | sending | sent | failed | cancelled
+  ensureColumn('download_history', 'byte_range', "TEXT DEFAULT ''");       // requested Range header, if any
+  ensureColumn('download_history', 'bytes_sent', 'INTEGER');
+  ensureColumn('download_history', 'total_bytes', 'INTEGER');
+  ensureColumn('download_history', 'user_id', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('download_history', 'delivery', "TEXT DEFAULT ''");         // send-to-device target, e.g. "Kindle <me@kindle.com>"
+  ensureColumn('download_history', 'job_id', 'INTEGER');                   // send job (src/queue.js)
+  ensureColumn('download_history', 'error', "TEXT DEFAULT ''");
+  ensureColumn('search_history', 'user_id', 'INTEGER NOT NULL DEFAULT 0');
+  migrateLibraryOwner();
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_library_user ON library(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_download_history_user ON download_history(user_id, downloaded_at);
+    CREATE INDEX IF NOT EXISTS idx_search_history_user ON search_history(user_id, searched_at);
+    CREATE INDEX IF NOT EXISTS idx_books_koreader_digest ON books(koreader_digest);
+    CREATE INDEX IF NOT EXISTS idx_books_work ON books(work_key);
+    CREATE INDEX IF NOT EXISTS idx_books_edition ON books(edition_id);
+  `);
+}
+
+/**
+ * Databases created before accounts have UNIQUE(book_id, status) on `library`;
+ * SQLite can't alter a constraint, so rebuild the table with a user_id column.
+ */
+function migrateLibraryOwner() {
+  const columns = db.prepare('PRAGMA table_info(library)').all().map((c) => c.name);
+  if (columns.includes('user_id')) return;
+  db.transaction(() => {
+    db.exec(`
+      ALTER TABLE library RENAME TO library_old;
+      CREATE TABLE library (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        book_id      TEXT NOT NULL REFERENCES books(id),
+        status       TEXT NOT NULL DEFAULT 'downloaded',
+        progress     REAL DEFAULT 0,
+        notes        TEXT DEFAULT '',
+        added_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, book_id, status)
+      );
+      INSERT INTO library (id, book_id, status, progress, notes, added_at, updated_at)
+        SELECT id, book_id, status, progress, notes, added_at, updated_at FROM library_old;
+      DROP TABLE library_old;
+    `);
+  })();
+}
+
+/**
+ * Add a column to an existing table if an older database doesn't have it yet
+ * @returns {boolean} true when the column was added
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+  if (columns.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
 }
 
 // ─── Book Operations ──────────────────────────────────────────
@@ -84,12 +165,26 @@ function initSchema() {
 function upsertBook(book) {
   const d = getDb();
   const stmt = d.prepare(`
-    INSERT INTO books (id, title, author, isbn, publisher, language, year, extension, filesize, rating, cover_url, download)
-    VALUES (@id, @title, @author, @isbn, @publisher, @language, @year, @extension, @filesize, @rating, @cover_url, @download)
+    INSERT INTO books (id, title, author, isbn, publisher, language, year, extension, filesize, rating, cover_url, download,
+                       description, edition_id, work_key)
+    VALUES (@id, @title, @author, @isbn, @publisher, @language, @year, @extension, @filesize, @rating, @cover_url, @download,
+            @description, @edition_id, @work_key)
     ON CONFLICT(id) DO UPDATE SET
-      title=@title, author=@author, isbn=@isbn, publisher=@publisher,
-      language=@language, year=@year, extension=@extension, filesize=@filesize,
-      rating=@rating, cover_url=@cover_url, download=@download
+      -- A scanned local file keeps its own metadata, cover and download when a search finds the same MD5
+      title=CASE WHEN origin = 'local' THEN title ELSE @title END,
+      author=CASE WHEN origin = 'local' THEN author ELSE @author END,
+      isbn=CASE WHEN origin = 'local' THEN isbn ELSE @isbn END,
+      publisher=CASE WHEN origin = 'local' THEN publisher ELSE @publisher END,
+      language=CASE WHEN origin = 'local' THEN language ELSE @language END,
+      year=CASE WHEN origin = 'local' THEN year ELSE @year END,
+      extension=CASE WHEN origin = 'local' THEN extension ELSE @extension END,
+      filesize=CASE WHEN origin = 'local' THEN filesize ELSE @filesize END,
+      rating=@rating,
+      cover_url=CASE WHEN origin = 'local' THEN cover_url ELSE @cover_url END,
+      work_key=CASE WHEN origin = 'local' THEN work_key ELSE @work_key END,
+      edition_id=CASE WHEN @edition_id = '' THEN edition_id ELSE @edition_id END,
+      download=CASE WHEN origin = 'local' THEN download ELSE @download END,
+      description=CASE WHEN @description = '' THEN description ELSE @description END
   `);
   stmt.run({
     id: book.id,
@@ -104,6 +199,9 @@ function upsertBook(book) {
     rating: book.rating || '',
     cover_url: book.coverUrl || book.cover_url || '',
     download: book.download || '',
+    description: book.description || '',
+    edition_id: book.editionId || book.edition_id || '',
+    work_key: workKey(book),
   });
 }
 
@@ -111,127 +209,321 @@ function getBook(bookId) {
   return getDb().prepare('SELECT * FROM books WHERE id = ?').get(bookId);
 }
 
+/**
+ * Every known file of a book's work (same edition or same work key), the book itself first
+ */
+function getWorkFiles(bookId) {
+  const book = getBook(bookId);
+  if (!book) return [];
+  return getDb().prepare(`
+    SELECT * FROM books
+    WHERE id = @id OR (@work_key != '' AND work_key = @work_key) OR (@edition_id != '' AND edition_id = @edition_id)
+    ORDER BY id != @id, extension, file_size DESC, filesize
+  `).all({ id: book.id, work_key: book.work_key || '', edition_id: book.edition_id || '' });
+}
+
+/** Find a book by its MD5 or its KOReader partial MD5 */
+function findBookByDigest(digest) {
+  return getDb().prepare('SELECT * FROM books WHERE id = ? OR koreader_digest = ? LIMIT 1').get(digest, digest);
+}
+
+function setKoreaderDigest(bookId, digest) {
+  getDb().prepare('UPDATE books SET koreader_digest = ? WHERE id = ?').run(digest, bookId);
+}
+
+// ─── Local Files ──────────────────────────────────────────────
+
+/** Insert or refresh a scanned local file (id = content MD5) */
+function upsertLocalBook(book) {
+  getDb().prepare(`
+    INSERT INTO books (id, title, author, isbn, publisher, language, year, extension, filesize,
+                       cover_url, download, origin, file_path, file_size, file_mtime, koreader_digest, description, work_key,
+                       series, series_index)
+    VALUES (@id, @title, @author, @isbn, @publisher, @language, @year, @extension, @filesize,
+            @cover_url, @download, 'local', @file_path, @file_size, @file_mtime, @koreader_digest, @description, @work_key,
+            @series, @series_index)
+    ON CONFLICT(id) DO UPDATE SET
+      title=@title, author=@author, isbn=@isbn, publisher=@publisher, language=@language,
+      year=@year, extension=@extension, filesize=@filesize, cover_url=@cover_url,
+      download=@download, origin='local', file_path=@file_path, file_size=@file_size, file_mtime=@file_mtime,
+      koreader_digest=@koreader_digest, work_key=@work_key,
+      description=CASE WHEN @description = '' THEN description ELSE @description END,
+      series=CASE WHEN @series = '' THEN series ELSE @series END,
+      series_index=COALESCE(@series_index, series_index)
+  `).run({
+    id: book.id,
+    title: book.title || 'Unknown',
+    author: book.author || '',
+    isbn: book.isbn || '',
+    publisher: book.publisher || '',
+    language: book.language || '',
+    year: book.year || '',
+    extension: book.extension || '',
+    filesize: book.filesize || '',
+    cover_url: book.coverUrl || book.cover_url || '',
+    download: book.download || '',
+    file_path: book.file_path,
+    file_size: book.file_size || 0,
+    file_mtime: book.file_mtime || 0,
+    koreader_digest: book.koreader_digest || '',
+    description: book.description || '',
+    work_key: workKey(book),
+    series: book.series || '',
+    series_index: book.series_index ?? null,
+  });
+}
+
+/** Path/size/mtime of every known local file, for incremental rescans */
+function getLocalFiles() {
+  return getDb().prepare(
+    "SELECT id, file_path, file_size, file_mtime, koreader_digest FROM books WHERE origin = 'local' AND file_path != ''"
+  ).all();
+}
+
+/** Forget the on-disk location of a local file that has disappeared */
+function clearLocalFile(bookId) {
+  getDb().prepare("UPDATE books SET file_path = '' WHERE id = ?").run(bookId);
+}
+
+function getLocalBooks(limit = 50, offset = 0) {
+  return getDb().prepare(`
+    SELECT * FROM books WHERE origin = 'local' AND file_path != ''
+    ORDER BY title COLLATE NOCASE LIMIT ? OFFSET ?
+  `).all(limit, offset);
+}
+
+/** Case-insensitive match of every term against title, author and file path */
+function searchLocalBooks(query, limit = 25, offset = 0) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const where = terms.map(() => "(title || ' ' || author || ' ' || file_path) LIKE ?").join(' AND ') || '1';
+  const params = terms.map((t) => `%${t}%`);
+  const d = getDb();
+  const books = d.prepare(`
+    SELECT * FROM books WHERE origin = 'local' AND file_path != '' AND ${where}
+    ORDER BY title COLLATE NOCASE LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  const total = d.prepare(`
+    SELECT COUNT(*) as count FROM books WHERE origin = 'local' AND file_path != '' AND ${where}
+  `).get(...params).count;
+  return { books, total };
+}
+
 // ─── Library Operations ──────────────────────────────────────
+// Everything below is per user; userId 0 holds rows recorded before any account existed.
 
-function addToLibrary(bookId, status = 'downloaded') {
+function addToLibrary(userId, bookId, status = 'downloaded') {
   const d = getDb();
   d.prepare(`
-    INSERT INTO library (book_id, status) VALUES (?, ?)
-    ON CONFLICT(book_id, status) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
-  `).run(bookId, status);
+    INSERT INTO library (user_id, book_id, status) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, book_id, status) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+  `).run(userId, bookId, status);
 }
 
-function removeFromLibrary(bookId, status) {
-  getDb().prepare('DELETE FROM library WHERE book_id = ? AND status = ?').run(bookId, status);
+function removeFromLibrary(userId, bookId, status) {
+  getDb().prepare('DELETE FROM library WHERE user_id = ? AND book_id = ? AND status = ?').run(userId, bookId, status);
 }
 
-function updateProgress(bookId, progress) {
+function updateProgress(userId, bookId, progress) {
   getDb().prepare(`
     UPDATE library SET progress = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE book_id = ? AND status IN ('reading', 'downloaded')
-  `).run(progress, bookId);
+    WHERE user_id = ? AND book_id = ? AND status IN ('reading', 'downloaded')
+  `).run(progress, userId, bookId);
 }
 
-function getLibraryBooks(status = null, limit = 50, offset = 0) {
+function getLibraryBooks(userId, status = null, limit = 50, offset = 0) {
   const d = getDb();
   if (status) {
     return d.prepare(`
       SELECT b.*, l.status as lib_status, l.progress, l.added_at as lib_added_at, l.notes
       FROM library l JOIN books b ON l.book_id = b.id
-      WHERE l.status = ?
+      WHERE l.user_id = ? AND l.status = ?
       ORDER BY l.updated_at DESC LIMIT ? OFFSET ?
-    `).all(status, limit, offset);
+    `).all(userId, status, limit, offset);
   }
   return d.prepare(`
     SELECT b.*, l.status as lib_status, l.progress, l.added_at as lib_added_at, l.notes
     FROM library l JOIN books b ON l.book_id = b.id
+    WHERE l.user_id = ?
     ORDER BY l.updated_at DESC LIMIT ? OFFSET ?
-  `).all(limit, offset);
+  `).all(userId, limit, offset);
+}
+
+/**
+ * Books matching a compiled smart shelf condition (src/smartquery.js) over the user's library and
+ * the local files. `l` is the user's library rows folded per book: statuses (comma-separated),
+ * progress, added_at, updated_at.
+ */
+const LIBRARY_QUERY_FROM = `
+  FROM books b
+  LEFT JOIN (
+    SELECT book_id, GROUP_CONCAT(status) as statuses, MAX(progress) as progress,
+           MIN(added_at) as added_at, MAX(updated_at) as updated_at
+    FROM library WHERE user_id = ? GROUP BY book_id
+  ) l ON l.book_id = b.id
+  WHERE (l.book_id IS NOT NULL OR b.origin = 'local')
+`;
+
+function queryLibraryBooks(userId, condition, limit = 50, offset = 0) {
+  return getDb().prepare(`
+    SELECT b.*, l.statuses as lib_status, l.progress, l.added_at as lib_added_at
+    ${LIBRARY_QUERY_FROM} AND ${condition.sql}
+    ORDER BY COALESCE(l.updated_at, b.created_at) DESC, b.title LIMIT ? OFFSET ?
+  `).all(userId, ...condition.params, limit, offset);
+}
+
+function countLibraryQuery(userId, condition) {
+  return getDb().prepare(`SELECT COUNT(*) as count ${LIBRARY_QUERY_FROM} AND ${condition.sql}`)
+    .get(userId, ...condition.params).count;
 }
 
-function getLibraryCount(status = null) {
+function getLibraryCount(userId, status = null) {
   const d = getDb();
   if (status) {
-    return d.prepare('SELECT COUNT(*) as count FROM library WHERE status = ?').get(status).count;
+    return d.prepare('SELECT COUNT(*) as count FROM library WHERE user_id = ? AND status = ?').get(userId, status).count;
   }
-  return d.prepare('SELECT COUNT(*) as count FROM library').get().count;
+  return d.prepare('SELECT COUNT(*) as count FROM library WHERE user_id = ?').get(userId).count;
 }
 
-function isInLibrary(bookId) {
-  const rows = getDb().prepare('SELECT status FROM library WHERE book_id = ?').all(bookId);
+function isInLibrary(userId, bookId) {
+  const rows = getDb().prepare('SELECT status FROM library WHERE user_id = ? AND book_id = ?').all(userId, bookId);
   return rows.map((r) => r.status);
 }
 
+// Tables with a user_id column; other modules register theirs with registerUserTable
+const userTables = new Set(['library', 'download_history', 'search_history']);
+
+function registerUserTable(table) {
+  userTables.add(table);
+}
+
+/** Registered user tables that exist (modules create theirs lazily) */
+function existingUserTables(d) {
+  return [...userTables].filter((t) => d.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(t));
+}
+
+/** Hand rows recorded before accounts existed (user 0) to a user */
+function claimUnownedRows(userId) {
+  const d = getDb();
+  d.transaction(() => {
+    for (const table of existingUserTables(d)) {
+      d.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id = 0`).run(userId);
+    }
+  })();
+}
+
+/** Remove everything recorded for a user (when the account is deleted) */
+function deleteUserRows(userId) {
+  const d = getDb();
+  d.transaction(() => {
+    for (const table of existingUserTables(d)) {
+      d.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+    }
+  })();
+}
+
 // ─── Download History ─────────────────────────────────────────
 
-function logDownload(book) {
+/**
+ * Log a download; returns the history row id so the transfer outcome can be recorded later
+ */
+function logDownload(userId, book, { range = '', status = 'in-progress', delivery = '' } = {}) {
+  return getDb().prepare(`
+    INSERT INTO download_history (user_id, book_id, title, author, extension, filesize, dl_path, status, byte_range, delivery)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId, book.id || book.book_id, book.title, book.author || '', book.extension || '', book.filesize || '',
+    book.download || book.dl_path || '', status, range || '', delivery
+  ).lastInsertRowid;
+}
+
+/** Record whether a logged download completed or was cut off */
+function finishDownload(historyId, { status, bytesSent = null, totalBytes = null }) {
+  getDb().prepare(`
+    UPDATE download_history SET status = ?, bytes_sent = ?, total_bytes = COALESCE(?, total_bytes) WHERE id = ?
+  `).run(status, bytesSent, totalBytes, historyId);
+}
+
+/** Track a sent download's job status (and its job, once queued) */
+function setDownloadStatus(historyId, status, { error = '', jobId = null } = {}) {
   getDb().prepare(`
-    INSERT INTO download_history (book_id, title, author, extension, filesize, dl_path)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(book.id || book.book_id, book.title, book.author || '', book.extension || '', book.filesize || '', book.download || book.dl_path || '');
+    UPDATE download_history SET status = ?, error = ?, job_id = COALESCE(?, job_id) WHERE id = ?
+  `).run(status, error, jobId, historyId);
 }
 
-function getDownloadHistory(limit = 50, offset = 0) {
+function getDownloadHistory(userId, limit = 50, offset = 0) {
   return getDb().prepare(
-    'SELECT * FROM download_history ORDER BY downloaded_at DESC LIMIT ? OFFSET ?'
-  ).all(limit, offset);
+    'SELECT * FROM download_history WHERE user_id = ? ORDER BY downloaded_at DESC LIMIT ? OFFSET ?'
+  ).all(userId, limit, offset);
 }
 
-function getDownloadCount() {
-  return getDb().prepare('SELECT COUNT(*) as count FROM download_history').get().count;
+function getDownloadCount(userId) {
+  return getDb().prepare('SELECT COUNT(*) as count FROM download_history WHERE user_id = ?').get(userId).count;
 }
 
 // ─── Search History ───────────────────────────────────────────
 
-function logSearch(query, resultCount) {
+function logSearch(userId, query, resultCount) {
   getDb().prepare(
-    'INSERT INTO search_history (query, result_count) VALUES (?, ?)'
-  ).run(query, resultCount);
+    'INSERT INTO search_history (user_id, query, result_count) VALUES (?, ?, ?)'
+  ).run(userId, query, resultCount);
 }
 
-function getSearchHistory(limit = 20) {
+function getSearchHistory(userId, limit = 20) {
   return getDb().prepare(
-    'SELECT * FROM search_history ORDER BY searched_at DESC LIMIT ?'
-  ).all(limit);
+    'SELECT * FROM search_history WHERE user_id = ? ORDER BY searched_at DESC LIMIT ?'
+  ).all(userId, limit);
 }
 
-function getRecentSearches(limit = 10) {
+function getRecentSearches(userId, limit = 10) {
   return getDb().prepare(`
     SELECT query, MAX(searched_at) as last_searched, COUNT(*) as times, MAX(result_count) as results
-    FROM search_history GROUP BY query ORDER BY last_searched DESC LIMIT ?
-  `).all(limit);
+    FROM search_history WHERE user_id = ? GROUP BY query ORDER BY last_searched DESC LIMIT ?
+  `).all(userId, limit);
 }
 
 // ─── Stats ────────────────────────────────────────────────────
 
-function getStats() {
+function getStats(userId) {
   const d = getDb();
   return {
     totalBooks: d.prepare('SELECT COUNT(*) as c FROM books').get().c,
-    totalDownloads: d.prepare('SELECT COUNT(*) as c FROM download_history').get().c,
-    totalSearches: d.prepare('SELECT COUNT(*) as c FROM search_history').get().c,
+    totalDownloads: getDownloadCount(userId),
+    totalSearches: d.prepare('SELECT COUNT(*) as c FROM search_history WHERE user_id = ?').get(userId).c,
     libraryByStatus: d.prepare(`
-      SELECT status, COUNT(*) as count FROM library GROUP BY status
-    `).all(),
-    recentDownloads: d.prepare(
-      'SELECT * FROM download_history ORDER BY downloaded_at DESC LIMIT 5'
-    ).all(),
-    recentSearches: getRecentSearches(5),
+      SELECT status, COUNT(*) as count FROM library WHERE user_id = ? GROUP BY status
+    `).all(userId),
+    recentDownloads: getDownloadHistory(userId, 5),
+    recentSearches: getRecentSearches(userId, 5),
   };
 }
 
 module.exports = {
   getDb,
+  ensureColumn,
   upsertBook,
   getBook,
+  getWorkFiles,
+  findBookByDigest,
+  setKoreaderDigest,
+  upsertLocalBook,
+  getLocalFiles,
+  clearLocalFile,
+  getLocalBooks,
+  searchLocalBooks,
   addToLibrary,
   removeFromLibrary,
   updateProgress,
   getLibraryBooks,
   getLibraryCount,
+  queryLibraryBooks,
+  countLibraryQuery,
   isInLibrary,
-  getBookStatuses: isInLibrary,
+  registerUserTable,
+  claimUnownedRows,
+  deleteUserRows,
   logDownload,
+  finishDownload,
+  setDownloadStatus,
   getDownloadHistory,
   getDownloadCount,
   logSearch,
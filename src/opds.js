@@ -3,9 +3,17 @@
  * Produces Atom XML feeds compatible with Readest and other OPDS clients
  */
 
+const { facetQueryString } = require('./facets');
+const { canConvert } = require('./convert');
+
 const OPDS_MIME = 'application/atom+xml;profile=opds-catalog;kind=navigation';
 const OPDS_ACQ_MIME = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
 const SEARCH_MIME = 'application/opensearchdescription+xml';
+const AUTH_DOC_MIME = 'application/opds-authentication+json';
+const AUTH_DOC_REL = 'http://opds-spec.org/auth/document';
+
+const CATALOG_TITLE = 'LibGen OPDS';
+const CATALOG_SUBTITLE = 'Search and download books from Library Genesis via OPDS — no limits!';
 
 const EXTENSION_MIME = {
   epub: 'application/epub+zip',
@@ -32,19 +40,59 @@ function escapeXml(str) {
     .replace(/'/g, '&apos;');
 }
 
+/**
+ * Root catalog sections, shared by the Atom and OPDS 2.0 root catalogs:
+ * the whole library, one entry per shelf (from shelves.rootShelves), then the history and local files,
+ * then the author and series lists. `type` is set on sections that are navigation feeds.
+ */
+function rootSections(shelves = []) {
+  return [
+    { id: 'library', title: 'My Library', description: 'All books you\'ve saved to your library', path: '/library' },
+    ...shelves.map((s) => ({
+      id: s.builtin ? s.id : `shelf:${s.id}`,
+      title: s.title || s.name,
+      description: s.description || `${s.bookCount} book${s.bookCount === 1 ? '' : 's'}`,
+      path: s.path,
+    })),
+    { id: 'downloads', title: 'Download History', description: 'All books you\'ve downloaded', path: '/library/downloads' },
+    { id: 'local', title: 'Local Files', description: 'Ebooks from the server\'s local library folder', path: '/library/local' },
+    // Lists of authors and series rather than books
+    { id: 'authors', title: 'Authors', description: 'Browse every known book by author', path: '/authors', type: OPDS_MIME },
+    { id: 'series', title: 'Series', description: 'Browse books by series, in reading order', path: '/series', type: OPDS_MIME },
+  ];
+}
+
+/** Atom navigation entry linking to a subsection feed (an acquisition feed unless `type` says otherwise) */
+function navigationEntry({ id, title, description, href, now, type = OPDS_ACQ_MIME }) {
+  return `
+  <entry>
+    <id>urn:readest-libgen-opds:${escapeXml(id)}</id>
+    <title>${escapeXml(title)}</title>
+    <content type="text">${escapeXml(description)}</content>
+    <updated>${now}</updated>
+    <link rel="subsection"
+          href="${href}"
+          type="${type}" />
+  </entry>`;
+}
+
 /**
  * Generate the root OPDS navigation catalog
+ * `shelves` (from shelves.rootShelves) become subsection entries; `authentication` adds a link
+ * to the Authentication Document (when accounts are enabled).
  */
-function rootCatalog(baseUrl) {
+function rootCatalog(baseUrl, { authentication = false, shelves = [] } = {}) {
   const now = new Date().toISOString();
 
+  const entries = rootSections(shelves).map((s) => navigationEntry({ ...s, href: `${baseUrl}/opds${s.path}`, now })).join('\n');
+
   return `<?xml version="1.0" encoding="UTF-8"?>
 <feed xmlns="http://www.w3.org/2005/Atom"
       xmlns:opds="http://opds-spec.org/2010/catalog">
 
   <id>urn:readest-libgen-opds:root</id>
-  <title>LibGen OPDS</title>
-  <subtitle>Search and download books from Library Genesis via OPDS — no limits!</subtitle>
+  <title>${CATALOG_TITLE}</title>
+  <subtitle>${escapeXml(CATALOG_SUBTITLE)}</subtitle>
   <updated>${now}</updated>
   <author>
     <name>Readest OPDS Bridge</name>
@@ -61,96 +109,148 @@ function rootCatalog(baseUrl) {
   <link rel="search"
         href="${baseUrl}/opds/opensearch.xml"
         type="${SEARCH_MIME}" />
+${authentication ? `
+  <link rel="${AUTH_DOC_REL}"
+        href="${baseUrl}/opds/auth.json"
+        type="${AUTH_DOC_MIME}" />
+` : ''}${entries}
 
-  <entry>
-    <id>urn:readest-libgen-opds:library</id>
-    <title>My Library</title>
-    <content type="text">All books you&apos;ve saved to your library</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
-
-  <entry>
-    <id>urn:readest-libgen-opds:favorites</id>
-    <title>Favorites</title>
-    <content type="text">Your favorited books</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library/favorite"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
-
-  <entry>
-    <id>urn:readest-libgen-opds:reading</id>
-    <title>Currently Reading</title>
-    <content type="text">Books you&apos;re currently reading</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library/reading"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
-
-  <entry>
-    <id>urn:readest-libgen-opds:finished</id>
-    <title>Finished</title>
-    <content type="text">Books you&apos;ve finished reading</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library/finished"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
-
-  <entry>
-    <id>urn:readest-libgen-opds:want-to-read</id>
-    <title>Want to Read</title>
-    <content type="text">Books on your reading wishlist</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library/want-to-read"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
+</feed>`;
+}
 
-  <entry>
-    <id>urn:readest-libgen-opds:downloads</id>
-    <title>Download History</title>
-    <content type="text">All books you&apos;ve downloaded</content>
-    <updated>${now}</updated>
-    <link rel="subsection"
-          href="${baseUrl}/opds/library/downloads"
-          type="${OPDS_ACQ_MIME}" />
-  </entry>
+/**
+ * Authentication Document (Authentication for OPDS 1.0) describing how to sign in to the catalog:
+ * HTTP Basic, or the OAuth password grant at /opds/auth/token for a bearer token.
+ * Served at /opds/auth.json and as the body of 401 responses on the OPDS routes.
+ */
+function authenticationDocument(baseUrl, { registration = false } = {}) {
+  const labels = { login: 'Username', password: 'Password' };
+  const links = [
+    { rel: 'logo', href: `${baseUrl}/img/logo.svg`, type: 'image/svg+xml', width: 256, height: 256 },
+    { rel: 'help', href: `${baseUrl}/`, type: 'text/html', title: 'Manage your account in the web interface' },
+  ];
+  if (registration) {
+    links.push({ rel: 'register', href: `${baseUrl}/`, type: 'text/html', title: 'Create an account' });
+  }
 
-</feed>`;
+  return {
+    id: `${baseUrl}/opds/auth.json`,
+    title: CATALOG_TITLE,
+    description: `${CATALOG_SUBTITLE} Sign in with your account on this server.`,
+    links,
+    authentication: [
+      { type: 'http://opds-spec.org/auth/basic', labels },
+      {
+        type: 'http://opds-spec.org/auth/oauth/password',
+        labels,
+        links: [{ rel: 'authenticate', href: `${baseUrl}/opds/auth/token`, type: 'application/json' }],
+      },
+    ],
+  };
 }
 
 /**
  * Generate the OpenSearch description XML
  */
-function openSearchDescription(baseUrl) {
+function openSearchDescription(baseUrl, source = null) {
+  const sourceQuery = source ? `&amp;source=${escapeXml(encodeURIComponent(source.name))}` : '';
   return `<?xml version="1.0" encoding="UTF-8"?>
 <OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
-  <ShortName>LibGen</ShortName>
-  <Description>Search Library Genesis books</Description>
+  <ShortName>${source ? escapeXml(source.title) : 'LibGen'}</ShortName>
+  <Description>Search ${source ? escapeXml(source.title) : 'Library Genesis'} books</Description>
   <InputEncoding>UTF-8</InputEncoding>
   <OutputEncoding>UTF-8</OutputEncoding>
   <Url type="${OPDS_ACQ_MIME}"
-       template="${baseUrl}/opds/search?q={searchTerms}&amp;page={startPage?}" />
+       template="${baseUrl}/opds/search?q={searchTerms}&amp;page={startPage?}${sourceQuery}" />
 </OpenSearchDescription>`;
 }
 
 /**
- * Build a single book entry XML with optional multi-format download links
+ * OpenSearch description for the offline library search (/opds/library/search)
  */
-function bookEntry({ book, baseUrl, now, formats }) {
-  const mainMime = EXTENSION_MIME[book.extension] || 'application/octet-stream';
-  const dlUrl = `${baseUrl}${book.download}?ext=${book.extension}&id=${book.id}`;
-  const coverProxy = book.coverUrl || book.cover_url
-    ? `${baseUrl}/opds/cover?url=${encodeURIComponent(book.coverUrl || book.cover_url)}`
-    : '';
+function librarySearchDescription(baseUrl) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>My Library</ShortName>
+  <Description>Search books already seen, downloaded or on disk</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="${OPDS_ACQ_MIME}"
+       template="${baseUrl}/opds/library/search?q={searchTerms}&amp;page={startPage?}" />
+</OpenSearchDescription>`;
+}
+
+/**
+ * Absolute acquisition URL for a book row
+ */
+function bookDownloadUrl(book, baseUrl) {
+  return `${baseUrl}${book.download}?ext=${book.extension}&id=${book.id}`;
+}
 
-  // Summary
+/**
+ * Acquisition links for a book row: one per file of a grouped work, in the order given
+ * (src/ranking.js puts the best match first and labels it so), plus an EPUB converted from the
+ * first convertible file when the work has no EPUB of its own (src/convert)
+ * @returns {Array<{ href: string, type: string, title: string, download: string }>} download is the
+ *   file's own path, empty when it has none
+ */
+function acquisitionLinks(book, baseUrl) {
+  const files = book.formatCount > 1 ? book.formats : [book];
+  const links = files.map((f, i) => {
+    const label = `${(f.extension || '').toUpperCase()}${f.filesize ? ` (${f.filesize})` : ''}`;
+    return {
+      href: bookDownloadUrl(f, baseUrl),
+      type: EXTENSION_MIME[f.extension] || 'application/octet-stream',
+      title: i === 0 && files.length > 1 && f.score !== undefined ? `Best match: ${label}` : `Download ${label}`,
+      download: f.download,
+    };
+  });
+  if (!files.some((f) => f.extension === 'epub')) {
+    const convertible = files.find((f) => f.download && canConvert(f.extension, 'epub'));
+    if (convertible) {
+      links.push({
+        href: `${bookDownloadUrl(convertible, baseUrl)}&convert=epub`,
+        type: EXTENSION_MIME.epub,
+        title: `EPUB (converted from ${convertible.extension.toUpperCase()})`,
+        download: convertible.download,
+      });
+    }
+  }
+  return links;
+}
+
+/**
+ * Enriched subjects of a book row (stored as a JSON array, src/enrich)
+ */
+function bookSubjects(book) {
+  try {
+    return Array.isArray(book.subjects) ? book.subjects : JSON.parse(book.subjects || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Cover URL to show for a book row: the enriched full-size cover (src/enrich) over a scraped
+ * thumbnail, but never over a local file's own cover
+ */
+function preferredCover(book) {
+  const cover = book.coverUrl || book.cover_url || '';
+  return book.cover_large && !cover.startsWith('local:') ? book.cover_large : cover;
+}
+
+/**
+ * Absolute cover proxy URL for a book row ('' when the book has no cover)
+ */
+function bookCoverUrl(book, baseUrl) {
+  const cover = preferredCover(book);
+  return cover ? `${baseUrl}/opds/cover?url=${encodeURIComponent(cover)}` : '';
+}
+
+/**
+ * One-line plain-text summary of a book's metadata and library state
+ */
+function bookSummary(book) {
   const summaryParts = [];
   if (book.publisher) summaryParts.push(`Publisher: ${book.publisher}`);
   if (book.year && book.year !== '0') summaryParts.push(`Year: ${book.year}`);
@@ -158,57 +258,132 @@ function bookEntry({ book, baseUrl, now, formats }) {
   if (book.filesize) summaryParts.push(`Size: ${book.filesize}`);
   if (book.extension) summaryParts.push(`Format: ${book.extension.toUpperCase()}`);
   if (book.rating && book.rating !== '0.0') summaryParts.push(`Rating: ${book.rating}/5`);
+  const series = book.related && book.related.series;
+  if (series) summaryParts.push(`Series: ${series.name}${series.index !== null ? ` #${series.index}` : ''}`);
   if (book.lib_status) summaryParts.push(`Status: ${book.lib_status}`);
   if (book.progress > 0) summaryParts.push(`Progress: ${Math.round(book.progress * 100)}%`);
-  const summary = summaryParts.join(' | ');
-
-  // Format links from the papi (if fetched)
-  let formatLinks = '';
-  if (formats && formats.length > 0) {
-    formatLinks = formats
-      .map((f) => {
-        const mime = EXTENSION_MIME[f.extension] || 'application/octet-stream';
-        const fDlUrl = `${baseUrl}/opds/download${f.href}?ext=${f.extension}&id=${f.id}`;
-        return `    <link rel="http://opds-spec.org/acquisition"
-          href="${escapeXml(fDlUrl)}"
-          type="${mime}"
-          title="${escapeXml(f.extension.toUpperCase())} (${escapeXml(f.filesizeString)})" />`;
-      })
-      .join('\n');
+  if (book.formatCount > 1) {
+    const extensions = [...new Set(book.formats.map((f) => (f.extension || '?').toUpperCase()))];
+    summaryParts.push(`${book.formatCount} files: ${extensions.join(', ')}`);
   }
+  return summaryParts.join(' | ');
+}
+
+/**
+ * Author and series feeds of a book row, from `related` (src/browse.js attachRelated)
+ * @returns {Array<{ href: string, title: string, author?: object }>}
+ */
+function relatedLinks(book, baseUrl, root = '/opds') {
+  if (!book.related) return [];
+  const links = book.related.authors.map((a) => ({ href: `${baseUrl}${root}/authors/${a.id}`, title: `More by ${a.name}`, author: a }));
+  const { series } = book.related;
+  if (series) {
+    links.push({ href: `${baseUrl}${root}/series/${series.id}`, title: `${series.name}${series.index !== null ? ` #${series.index}` : ''} (series)` });
+  }
+  return links;
+}
+
+/**
+ * Build a single book entry XML
+ * Grouped works (src/grouping.js, `formatCount` > 1) get an acquisition link per file, best
+ * match first, and link to their formats feed; known authors and series get related links.
+ */
+function bookEntry({ book, baseUrl, now }) {
+  const links = acquisitionLinks(book, baseUrl)
+    .map((l) => `    <link rel="http://opds-spec.org/acquisition"
+          href="${escapeXml(l.href)}"
+          type="${l.type}"
+          title="${escapeXml(l.title)}" />`)
+    .join('\n');
+  const coverProxy = bookCoverUrl(book, baseUrl);
+  const summary = bookSummary(book);
+
+  const formatsLink = book.formatCount > 1
+    ? `    <link rel="subsection"
+          href="${baseUrl}/opds/book/${escapeXml(encodeURIComponent(book.id))}/formats"
+          type="${OPDS_ACQ_MIME}"
+          title="All ${book.formatCount} files" />`
+    : '';
+
+  const related = relatedLinks(book, baseUrl);
+  const authors = related.filter((l) => l.author);
+  const authorXml = authors.length
+    ? authors.map((l) => `<author>
+      <name>${escapeXml(l.author.name)}</name>
+      <uri>${escapeXml(l.href)}</uri>
+    </author>`).join('\n    ')
+    : `<author>
+      <name>${escapeXml(book.author)}</name>
+    </author>`;
+  const relatedXml = related
+    .map((l) => `    <link rel="related"
+          href="${escapeXml(l.href)}"
+          type="${OPDS_ACQ_MIME}"
+          title="${escapeXml(l.title)}" />`)
+    .join('\n');
 
   return `
   <entry>
     <id>urn:libgen:book:${escapeXml(book.id)}</id>
     <title>${escapeXml(book.title)}</title>
-    <author>
-      <name>${escapeXml(book.author)}</name>
-    </author>
+    ${authorXml}
     <updated>${now}</updated>
     <summary type="text">${escapeXml(summary)}</summary>
+    ${book.description ? `<content type="text">${escapeXml(book.description)}</content>` : ''}
     ${book.isbn ? `<dc:identifier>urn:isbn:${escapeXml(book.isbn)}</dc:identifier>` : ''}
     ${book.publisher ? `<dc:publisher>${escapeXml(book.publisher)}</dc:publisher>` : ''}
     ${book.language ? `<dc:language>${escapeXml(book.language)}</dc:language>` : ''}
     ${book.year && book.year !== '0' ? `<dc:date>${escapeXml(book.year)}</dc:date>` : ''}
     ${book.extension ? `<dc:format>${escapeXml(book.extension.toLowerCase())}</dc:format>` : ''}
     ${book.extension ? `<category term="format:${escapeXml(book.extension.toLowerCase())}" label="${escapeXml(book.extension.toUpperCase())}" />` : ''}
+    ${bookSubjects(book).map((s) => `<category term="${escapeXml(s)}" label="${escapeXml(s)}" />`).join('\n    ')}
     ${book.filesize ? `<category term="size:${escapeXml(book.filesize)}" label="${escapeXml(book.filesize)}" />` : ''}
     ${coverProxy ? `<link rel="http://opds-spec.org/image" href="${coverProxy}" type="image/jpeg" />` : ''}
     ${coverProxy ? `<link rel="http://opds-spec.org/image/thumbnail" href="${coverProxy}" type="image/jpeg" />` : ''}
-    <link rel="http://opds-spec.org/acquisition"
-          href="${escapeXml(dlUrl)}"
-          type="${mainMime}"
-          title="Download ${escapeXml(book.extension.toUpperCase())} (${escapeXml(book.filesize)})" />
-${formatLinks}
+${links}
+${formatsLink}
+${relatedXml}
 </entry>`;
 }
 
+/**
+ * Build OPDS facet links (rel="http://opds-spec.org/facet") for search results
+ * `facets` comes from countFacets(); each group also gets an "All" link to clear it.
+ */
+function facetLinks({ baseUrl, query, facets, filters, source }) {
+  if (!facets || !query) return '';
+  const encodedQuery = encodeURIComponent(query);
+  const sourceQuery = source ? `&source=${encodeURIComponent(source)}` : '';
+  const href = (f) => escapeXml(`${baseUrl}/opds/search?q=${encodedQuery}&page=1${facetQueryString(f)}${sourceQuery}`);
+
+  return facets
+    .filter((group) => group.values.length > 0)
+    .map((group) => {
+      const all = `  <link rel="http://opds-spec.org/facet"
+        href="${href({ ...filters, [group.key]: null })}"
+        type="${OPDS_ACQ_MIME}"
+        title="All"
+        opds:facetGroup="${escapeXml(group.title)}"${group.active ? '' : '\n        opds:activeFacet="true"'} />`;
+      const values = group.values.map((v) => `  <link rel="http://opds-spec.org/facet"
+        href="${href({ ...filters, [group.key]: v.value })}"
+        type="${OPDS_ACQ_MIME}"
+        title="${escapeXml(v.label)}"
+        opds:facetGroup="${escapeXml(group.title)}"
+        thr:count="${v.count}"${v.active ? '\n        opds:activeFacet="true"' : ''} />`);
+      return [all, ...values].join('\n');
+    })
+    .join('\n');
+}
+
 /**
  * Generate an OPDS acquisition feed from search results
+ * Pass `facets` (from countFacets) and the active `filters` to add facet links,
+ * and `source` (a source name) to keep paging and facet links on that source.
  */
-function searchResultsFeed({ baseUrl, query, books, page, totalPages }) {
+function searchResultsFeed({ baseUrl, query, books, page, totalPages, facets, filters = {}, source = null }) {
   const now = new Date().toISOString();
   const encodedQuery = escapeXml(encodeURIComponent(query));
+  const filterQuery = escapeXml(facetQueryString(filters) + (source ? `&source=${encodeURIComponent(source)}` : ''));
 
   const entries = books.map((book) => bookEntry({ book, baseUrl, now })).join('\n');
   const nextPage = (totalPages && page < totalPages) ? page + 1 : (books.length >= 10 ? page + 1 : null);
@@ -217,7 +392,8 @@ function searchResultsFeed({ baseUrl, query, books, page, totalPages }) {
 <feed xmlns="http://www.w3.org/2005/Atom"
       xmlns:dc="http://purl.org/dc/terms/"
       xmlns:opds="http://opds-spec.org/2010/catalog"
-      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/"
+      xmlns:thr="http://purl.org/syndication/thread/1.0">
 
   <id>urn:readest-libgen-opds:search:${encodedQuery}:${page}</id>
   <title>Search: ${escapeXml(query)}</title>
@@ -231,7 +407,7 @@ function searchResultsFeed({ baseUrl, query, books, page, totalPages }) {
   <opensearch:itemsPerPage>50</opensearch:itemsPerPage>
 
   <link rel="self"
-        href="${baseUrl}/opds/search?q=${encodedQuery}&amp;page=${page}"
+        href="${baseUrl}/opds/search?q=${encodedQuery}&amp;page=${page}${filterQuery}"
         type="${OPDS_ACQ_MIME}" />
 
   <link rel="start"
@@ -239,30 +415,68 @@ function searchResultsFeed({ baseUrl, query, books, page, totalPages }) {
         type="${OPDS_MIME}" />
 
   <link rel="search"
-        href="${baseUrl}/opds/opensearch.xml"
+        href="${baseUrl}/opds/opensearch.xml${source ? `?source=${escapeXml(encodeURIComponent(source))}` : ''}"
         type="${SEARCH_MIME}" />
 
   ${
     nextPage
-      ? `<link rel="next" href="${baseUrl}/opds/search?q=${encodedQuery}&amp;page=${nextPage}" type="${OPDS_ACQ_MIME}" />`
+      ? `<link rel="next" href="${baseUrl}/opds/search?q=${encodedQuery}&amp;page=${nextPage}${filterQuery}" type="${OPDS_ACQ_MIME}" />`
       : ''
   }
+${facetLinks({ baseUrl, query, facets, filters, source })}
 ${entries}
 
 </feed>`;
 }
 
+/**
+ * OpenSearch counts and first/previous/next/last links for one page of a paged feed
+ * @param {function(number): string} pageUrl - escaped URL of page n
+ */
+function pagingXml(pagination, pageUrl, type) {
+  if (!pagination) return '';
+  const { page, perPage, total } = pagination;
+  const lastPage = Math.max(1, Math.ceil(total / perPage));
+  const links = [['first', 1], ['previous', page > 1 && page - 1], ['next', page < lastPage && page + 1], ['last', lastPage]];
+  return `
+  <opensearch:totalResults>${total}</opensearch:totalResults>
+  <opensearch:startIndex>${(page - 1) * perPage + 1}</opensearch:startIndex>
+  <opensearch:itemsPerPage>${perPage}</opensearch:itemsPerPage>
+${links.filter(([, n]) => n).map(([rel, n]) => `
+  <link rel="${rel}"
+        href="${pageUrl(n)}"
+        type="${type}" />`).join('\n')}
+`;
+}
+
+/** Escaped URL of page n of a feed (page 1 is the bare URL) */
+function pageUrlFor(feedUrl) {
+  return (n) => escapeXml(n > 1 ? `${feedUrl}${feedUrl.includes('?') ? '&' : '?'}page=${n}` : feedUrl);
+}
+
 /**
  * Generate an OPDS acquisition feed for library books
+ * `path` overrides the self link (default /library/:status, may carry a query string); `subsections` (child shelves
+ * with a `path`) are listed as navigation entries before the books (first page only).
+ * `pagination` ({ page, perPage, total }) adds OpenSearch counts and first/previous/next/last links.
  */
-function libraryFeed({ baseUrl, title, id, books, status }) {
+function libraryFeed({ baseUrl, title, id, books, status, path = null, subsections = [], pagination = null }) {
   const now = new Date().toISOString();
-  const entries = books.map((book) => bookEntry({ book, baseUrl, now })).join('\n');
+  const page = pagination ? pagination.page : 1;
+  const entries = [
+    ...(page === 1 ? subsections : []).map((s) => navigationEntry({ ...s, id: s.urn || `shelf:${s.id}`, title: s.title || s.name, href: `${baseUrl}/opds${s.path}`, now })),
+    ...books.map((book) => bookEntry({ book, baseUrl, now })),
+  ].join('\n');
+
+  const feedUrl = `${baseUrl}/opds${path || `/library${status ? '/' + status : ''}`}`;
+  const pageUrl = pageUrlFor(feedUrl);
+  const paging = pagingXml(pagination, pageUrl, OPDS_ACQ_MIME);
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <feed xmlns="http://www.w3.org/2005/Atom"
       xmlns:dc="http://purl.org/dc/terms/"
-      xmlns:opds="http://opds-spec.org/2010/catalog">
+      xmlns:opds="http://opds-spec.org/2010/catalog"
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
 
   <id>urn:readest-libgen-opds:library:${escapeXml(id)}</id>
   <title>${escapeXml(title)}</title>
@@ -270,9 +484,9 @@ function libraryFeed({ baseUrl, title, id, books, status }) {
   <author>
     <name>LibGen OPDS</name>
   </author>
-
+${paging}
   <link rel="self"
-        href="${baseUrl}/opds/library${status ? '/' + status : ''}"
+        href="${pageUrl(page)}"
         type="${OPDS_ACQ_MIME}" />
 
   <link rel="start"
@@ -280,7 +494,7 @@ function libraryFeed({ baseUrl, title, id, books, status }) {
         type="${OPDS_MIME}" />
 
   <link rel="search"
-        href="${baseUrl}/opds/opensearch.xml"
+        href="${baseUrl}/opds/library/opensearch.xml"
         type="${SEARCH_MIME}" />
 
 ${entries}
@@ -289,11 +503,50 @@ ${entries}
 }
 
 /**
- * Generate an OPDS feed showing all available formats for a specific book
+ * Generate a paged OPDS navigation feed (the author and series lists)
+ * `entries` are { id, title, description, path } sections, each linking to its acquisition feed.
+ */
+function navigationFeed({ baseUrl, title, id, path, entries, pagination = null }) {
+  const now = new Date().toISOString();
+  const feedUrl = `${baseUrl}/opds${path}`;
+  const pageUrl = pageUrlFor(feedUrl);
+  const page = pagination ? pagination.page : 1;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"
+      xmlns:opds="http://opds-spec.org/2010/catalog"
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+
+  <id>urn:readest-libgen-opds:${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${now}</updated>
+  <author>
+    <name>LibGen OPDS</name>
+  </author>
+${pagingXml(pagination, pageUrl, OPDS_MIME)}
+  <link rel="self"
+        href="${pageUrl(page)}"
+        type="${OPDS_MIME}" />
+
+  <link rel="start"
+        href="${baseUrl}/opds"
+        type="${OPDS_MIME}" />
+
+  <link rel="search"
+        href="${baseUrl}/opds/library/opensearch.xml"
+        type="${SEARCH_MIME}" />
+${entries.map((e) => navigationEntry({ ...e, href: `${baseUrl}/opds${e.path}`, now })).join('\n')}
+
+</feed>`;
+}
+
+/**
+ * Generate an OPDS feed listing every file of a book's work, one entry per file
+ * (format and size in each entry's summary and acquisition link title)
  */
 function bookFormatsFeed({ baseUrl, book, formats }) {
   const now = new Date().toISOString();
-  const entry = bookEntry({ book, baseUrl, now, formats });
+  const entries = formats.map((f) => bookEntry({ book: f, baseUrl, now })).join('\n');
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <feed xmlns="http://www.w3.org/2005/Atom"
@@ -307,25 +560,43 @@ function bookFormatsFeed({ baseUrl, book, formats }) {
     <name>LibGen OPDS</name>
   </author>
 
+  <link rel="self"
+        href="${baseUrl}/opds/book/${escapeXml(encodeURIComponent(book.id))}/formats"
+        type="${OPDS_ACQ_MIME}" />
+
   <link rel="start"
         href="${baseUrl}/opds"
         type="${OPDS_MIME}" />
 
-${entry}
+${entries}
 
 </feed>`;
 }
 
 module.exports = {
   rootCatalog,
+  authenticationDocument,
   openSearchDescription,
+  librarySearchDescription,
   searchResultsFeed,
   libraryFeed,
+  navigationFeed,
   bookFormatsFeed,
   bookEntry,
+  acquisitionLinks,
+  relatedLinks,
+  bookDownloadUrl,
+  bookCoverUrl,
+  preferredCover,
+  bookSubjects,
+  bookSummary,
   escapeXml,
+  rootSections,
   OPDS_MIME,
   OPDS_ACQ_MIME,
   SEARCH_MIME,
+  AUTH_DOC_MIME,
+  AUTH_DOC_REL,
+  CATALOG_TITLE,
   EXTENSION_MIME,
 };
@@ -0,0 +1,266 @@
+/**
+ * OPDS 2.0 feed generators
+ * Produces JSON feeds (application/opds+json) from the same book rows as the Atom feeds
+ */
+
+const {
+  EXTENSION_MIME,
+  rootSections,
+  AUTH_DOC_MIME,
+  AUTH_DOC_REL,
+  CATALOG_TITLE,
+  bookDownloadUrl,
+  bookCoverUrl,
+  bookSummary,
+  bookSubjects,
+  acquisitionLinks,
+  relatedLinks,
+} = require('./opds');
+const { facetQueryString } = require('./facets');
+
+const OPDS2_MIME = 'application/opds+json';
+const OPDS2_PUB_MIME = 'application/opds-publication+json';
+
+const ACQUISITION_REL = 'http://opds-spec.org/acquisition';
+
+/**
+ * Common top-level links for every OPDS 2.0 feed
+ */
+function feedLinks(baseUrl, selfHref) {
+  return [
+    { rel: 'self', href: selfHref, type: OPDS2_MIME },
+    { rel: 'start', href: `${baseUrl}/opds2`, type: OPDS2_MIME },
+    { rel: 'search', href: `${baseUrl}/opds2/search{?query,page}`, type: OPDS2_MIME, templated: true },
+  ];
+}
+
+/**
+ * Build an OPDS 2.0 publication object for a book row
+ * Pass `standalone` to emit a full publication manifest with a readingOrder.
+ * Grouped works (`formatCount` > 1) get an acquisition link per file, best match first, and
+ * link to their formats feed. Known authors and series (`related`) link to their feeds.
+ */
+function publication({ book, baseUrl, standalone = false }) {
+  const mime = EXTENSION_MIME[book.extension] || 'application/octet-stream';
+  const cover = bookCoverUrl(book, baseUrl);
+
+  const metadata = {
+    '@type': 'http://schema.org/Book',
+    identifier: `urn:libgen:book:${book.id}`,
+    title: book.title,
+    modified: new Date().toISOString(),
+  };
+  const related = relatedLinks(book, baseUrl, '/opds2');
+  const authors = related.filter((l) => l.author);
+  if (authors.length) {
+    metadata.author = authors.map((l) => ({ name: l.author.name, links: [{ href: l.href, type: OPDS2_MIME }] }));
+  } else if (book.author) {
+    metadata.author = [{ name: book.author }];
+  }
+  if (book.publisher) metadata.publisher = [{ name: book.publisher }];
+  if (book.language) metadata.language = book.language;
+  if (book.year && book.year !== '0') metadata.published = book.year;
+  if (book.isbn) metadata.identifier = `urn:isbn:${book.isbn}`;
+  const summary = bookSummary(book);
+  if (book.description || summary) metadata.description = book.description || summary;
+  const subjects = bookSubjects(book);
+  if (subjects.length) metadata.subject = subjects;
+  const series = book.related && book.related.series;
+  if (series) {
+    metadata.belongsTo = {
+      series: [{
+        name: series.name,
+        ...(series.index !== null ? { position: series.index } : {}),
+        links: [{ href: `${baseUrl}/opds2/series/${series.id}`, type: OPDS2_MIME }],
+      }],
+    };
+  } else if (book.series) {
+    metadata.belongsTo = { series: [{ name: book.series }] };
+  }
+  const pages = parseInt(book.pages, 10);
+  if (pages > 0) metadata.numberOfPages = pages;
+
+  const links = [
+    { rel: 'self', href: `${baseUrl}/opds2/publication/${encodeURIComponent(book.id)}`, type: OPDS2_PUB_MIME },
+  ];
+  for (const link of acquisitionLinks(book, baseUrl)) {
+    if (link.download) links.push({ rel: ACQUISITION_REL, href: link.href, type: link.type, title: link.title });
+  }
+  if (book.formatCount > 1) {
+    links.push({
+      rel: 'subsection',
+      href: `${baseUrl}/opds2/book/${encodeURIComponent(book.id)}/formats`,
+      type: OPDS2_MIME,
+      title: `All ${book.formatCount} files`,
+    });
+  }
+
+  const pub = { metadata, links };
+  if (cover) pub.images = [{ href: cover, type: 'image/jpeg' }];
+  if (standalone && book.download) {
+    pub.readingOrder = [{ href: bookDownloadUrl(book, baseUrl), type: mime }];
+  }
+  return pub;
+}
+
+/**
+ * Generate the root OPDS 2.0 navigation catalog
+ * `groups` is an optional list of { title, href, books } shown as publication groups,
+ * `shelves` (from shelves.rootShelves) become navigation links.
+ */
+function rootCatalog2(baseUrl, groups = [], { authentication = false, shelves = [] } = {}) {
+  const links = feedLinks(baseUrl, `${baseUrl}/opds2`);
+  if (authentication) links.push({ rel: AUTH_DOC_REL, href: `${baseUrl}/opds/auth.json`, type: AUTH_DOC_MIME });
+
+  const feed = {
+    metadata: { title: CATALOG_TITLE },
+    links,
+    navigation: rootSections(shelves).map((s) => ({
+      href: `${baseUrl}/opds2${s.path}`,
+      title: s.title,
+      type: OPDS2_MIME,
+      rel: 'subsection',
+    })),
+  };
+
+  const nonEmpty = groups.filter((g) => g.books && g.books.length > 0);
+  if (nonEmpty.length > 0) {
+    feed.groups = nonEmpty.map((g) => ({
+      metadata: { title: g.title, numberOfItems: g.books.length },
+      links: [{ rel: 'self', href: g.href, type: OPDS2_MIME }],
+      publications: g.books.map((book) => publication({ book, baseUrl })),
+    }));
+  }
+  return feed;
+}
+
+/**
+ * Generate an OPDS 2.0 feed from search results
+ * Pass `facets` (from countFacets) and the active `filters` to add a facets collection,
+ * and `source` (a source name) to keep paging and facet links on that source.
+ */
+function searchResultsFeed2({ baseUrl, query, books, page, totalPages, facets, filters = {}, source = null }) {
+  const q = encodeURIComponent(query);
+  const sq = source ? `&source=${encodeURIComponent(source)}` : '';
+  const fq = facetQueryString(filters) + sq;
+  const nextPage = (totalPages && page < totalPages) ? page + 1 : (books.length >= 10 ? page + 1 : null);
+
+  const links = feedLinks(baseUrl, `${baseUrl}/opds2/search?query=${q}&page=${page}${fq}`);
+  if (nextPage) links.push({ rel: 'next', href: `${baseUrl}/opds2/search?query=${q}&page=${nextPage}${fq}`, type: OPDS2_MIME });
+  if (page > 1) links.push({ rel: 'previous', href: `${baseUrl}/opds2/search?query=${q}&page=${page - 1}${fq}`, type: OPDS2_MIME });
+
+  const feed = {
+    metadata: {
+      title: `Search: ${query}`,
+      numberOfItems: books.length,
+      itemsPerPage: 50,
+      currentPage: page,
+    },
+    links,
+    publications: books.map((book) => publication({ book, baseUrl })),
+  };
+
+  if (facets && query) {
+    const href = (f) => `${baseUrl}/opds2/search?query=${q}&page=1${facetQueryString(f)}${sq}`;
+    feed.facets = facets
+      .filter((group) => group.values.length > 0)
+      .map((group) => ({
+        metadata: { title: group.title },
+        links: [
+          { href: href({ ...filters, [group.key]: null }), type: OPDS2_MIME, title: 'All', ...(group.active ? {} : { rel: 'self' }) },
+          ...group.values.map((v) => ({
+            href: href({ ...filters, [group.key]: v.value }),
+            type: OPDS2_MIME,
+            title: v.label,
+            properties: { numberOfItems: v.count },
+            ...(v.active ? { rel: 'self' } : {}),
+          })),
+        ],
+      }));
+  }
+  return feed;
+}
+
+/**
+ * Add OPDS 2.0 paging metadata and first/previous/next/last links to a feed
+ * @param {function(number): string} pageUrl - URL of page n
+ */
+function addPaging(feed, pagination, pageUrl) {
+  const { page, perPage, total } = pagination;
+  const lastPage = Math.max(1, Math.ceil(total / perPage));
+  Object.assign(feed.metadata, { numberOfItems: total, itemsPerPage: perPage, currentPage: page });
+  feed.links.push({ rel: 'first', href: pageUrl(1), type: OPDS2_MIME });
+  if (page > 1) feed.links.push({ rel: 'previous', href: pageUrl(page - 1), type: OPDS2_MIME });
+  if (page < lastPage) feed.links.push({ rel: 'next', href: pageUrl(page + 1), type: OPDS2_MIME });
+  feed.links.push({ rel: 'last', href: pageUrl(lastPage), type: OPDS2_MIME });
+}
+
+function pageUrlFor(feedUrl) {
+  return (n) => (n > 1 ? `${feedUrl}${feedUrl.includes('?') ? '&' : '?'}page=${n}` : feedUrl);
+}
+
+/**
+ * Generate an OPDS 2.0 feed for library books
+ * `path`, `subsections` and `pagination` work as in libraryFeed (child shelves become a
+ * navigation collection).
+ */
+function libraryFeed2({ baseUrl, title, books, status, path = null, subsections = [], pagination = null }) {
+  const feedUrl = `${baseUrl}/opds2${path || `/library${status ? '/' + status : ''}`}`;
+  const page = pagination ? pagination.page : 1;
+  const pageUrl = pageUrlFor(feedUrl);
+  const feed = {
+    metadata: { title, numberOfItems: books.length },
+    links: feedLinks(baseUrl, pageUrl(page)),
+    publications: books.map((book) => publication({ book, baseUrl })),
+  };
+  // Library feeds search the library, offline
+  feed.links.find((l) => l.rel === 'search').href = `${baseUrl}/opds2/library/search{?query,page}`;
+  if (pagination) addPaging(feed, pagination, pageUrl);
+  if (subsections.length > 0 && page === 1) {
+    feed.navigation = subsections.map((s) => ({
+      href: `${baseUrl}/opds2${s.path}`,
+      title: s.title || s.name,
+      type: OPDS2_MIME,
+      rel: 'subsection',
+    }));
+  }
+  return feed;
+}
+
+/**
+ * Generate a paged OPDS 2.0 navigation feed (the author and series lists)
+ * `entries` are { title, path } sections, as in navigationFeed
+ */
+function navigationFeed2({ baseUrl, title, path, entries, pagination = null }) {
+  const pageUrl = pageUrlFor(`${baseUrl}/opds2${path}`);
+  const feed = {
+    metadata: { title, numberOfItems: entries.length },
+    links: feedLinks(baseUrl, pageUrl(pagination ? pagination.page : 1)),
+    navigation: entries.map((e) => ({ href: `${baseUrl}/opds2${e.path}`, title: e.title, type: OPDS2_MIME, rel: 'subsection' })),
+  };
+  feed.links.find((l) => l.rel === 'search').href = `${baseUrl}/opds2/library/search{?query,page}`;
+  if (pagination) addPaging(feed, pagination, pageUrl);
+  return feed;
+}
+
+/**
+ * Generate an OPDS 2.0 feed listing every file of a book's work
+ */
+function bookFormatsFeed2({ baseUrl, book, formats }) {
+  return {
+    metadata: { title: `Formats: ${book.title}`, numberOfItems: formats.length },
+    links: feedLinks(baseUrl, `${baseUrl}/opds2/book/${encodeURIComponent(book.id)}/formats`),
+    publications: formats.map((f) => publication({ book: f, baseUrl })),
+  };
+}
+
+module.exports = {
+  publication,
+  bookFormatsFeed2,
+  rootCatalog2,
+  searchResultsFeed2,
+  libraryFeed2,
+  navigationFeed2,
+  OPDS2_MIME,
+  OPDS2_PUB_MIME,
+};
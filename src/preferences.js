@@ -0,0 +1,135 @@
+/**
+ * Per-user file preferences — which of a work's files to pick (see src/ranking.js)
+ *
+ *   formats           ordered list, most wanted first (e.g. epub, azw3, mobi, pdf)
+ *   maxSizeMb         files above this size rank low (0 = no limit)
+ *   language          preferred language, name or two-letter code ('' = any)
+ *   preferPublishers  publishers to rank up (substring match, case-insensitive)
+ *   avoidPublishers   publishers to rank down
+ *   rewriteEpub       rewrite EPUB metadata from the catalog on download (src/transform.js)
+ *   embedCover        ...and embed the catalog cover when the EPUB has none
+ *
+ * The two download options default to EPUB_REWRITE / EPUB_EMBED_COVER until the user sets them.
+ */
+
+const lib = require('./library');
+
+const DEFAULTS = Object.freeze({
+  formats: ['epub', 'azw3', 'mobi', 'fb2', 'pdf', 'djvu'],
+  maxSizeMb: 0,
+  language: '',
+  preferPublishers: [],
+  avoidPublishers: [],
+  rewriteEpub: process.env.EPUB_REWRITE === '1',
+  embedCover: process.env.EPUB_EMBED_COVER === '1',
+});
+
+const MAX_LIST_LENGTH = 30;
+
+let schemaReady = false;
+
+lib.registerUserTable('user_preferences');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id           INTEGER PRIMARY KEY,
+        formats           TEXT NOT NULL,      -- JSON array, most wanted first
+        max_size_mb       REAL DEFAULT 0,
+        language          TEXT DEFAULT '',
+        prefer_publishers TEXT DEFAULT '[]',  -- JSON array
+        avoid_publishers  TEXT DEFAULT '[]',  -- JSON array
+        updated_at        DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // NULL = server default
+    lib.ensureColumn('user_preferences', 'rewrite_epub', 'INTEGER');
+    lib.ensureColumn('user_preferences', 'embed_cover', 'INTEGER');
+    schemaReady = true;
+  }
+  return db;
+}
+
+/** A list from an array or a comma-separated string, trimmed, without blanks and duplicates */
+function toList(value, field) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const list = [...new Set(items.map((v) => String(v).trim().toLowerCase()).filter(Boolean))];
+  if (list.length > MAX_LIST_LENGTH) throw new Error(`${field} takes at most ${MAX_LIST_LENGTH} entries`);
+  return list;
+}
+
+/** The user's preferences, defaults where nothing is saved */
+function getPreferences(userId) {
+  const row = getDb().prepare('SELECT * FROM user_preferences WHERE user_id = ?').get(userId);
+  if (!row) return { ...DEFAULTS, saved: false };
+  return {
+    formats: JSON.parse(row.formats),
+    maxSizeMb: row.max_size_mb,
+    language: row.language,
+    preferPublishers: JSON.parse(row.prefer_publishers),
+    avoidPublishers: JSON.parse(row.avoid_publishers),
+    rewriteEpub: row.rewrite_epub === null ? DEFAULTS.rewriteEpub : !!row.rewrite_epub,
+    embedCover: row.embed_cover === null ? DEFAULTS.embedCover : !!row.embed_cover,
+    saved: true,
+  };
+}
+
+/**
+ * Save preferences; fields left out keep their current value
+ * @throws {Error} with a user-facing message on invalid input
+ */
+function setPreferences(userId, input = {}) {
+  const prefs = { ...getPreferences(userId) };
+  if (input.formats !== undefined) {
+    prefs.formats = toList(input.formats, 'formats').map((f) => f.replace(/^\./, ''));
+    if (prefs.formats.some((f) => !/^[a-z0-9]{1,8}$/.test(f))) throw new Error('formats are file extensions, e.g. epub, pdf');
+  }
+  if (input.maxSizeMb !== undefined) {
+    const max = input.maxSizeMb === '' || input.maxSizeMb === null ? 0 : Number(input.maxSizeMb);
+    if (!Number.isFinite(max) || max < 0) throw new Error('maxSizeMb must be a positive number (0 for no limit)');
+    prefs.maxSizeMb = max;
+  }
+  if (input.language !== undefined) prefs.language = String(input.language || '').trim().toLowerCase();
+  if (input.preferPublishers !== undefined) prefs.preferPublishers = toList(input.preferPublishers, 'preferPublishers');
+  if (input.avoidPublishers !== undefined) prefs.avoidPublishers = toList(input.avoidPublishers, 'avoidPublishers');
+  for (const field of ['rewriteEpub', 'embedCover']) {
+    if (input[field] !== undefined && typeof input[field] !== 'boolean') throw new Error(`${field} must be true or false`);
+  }
+
+  getDb().prepare(`
+    INSERT INTO user_preferences (user_id, formats, max_size_mb, language, prefer_publishers, avoid_publishers,
+      rewrite_epub, embed_cover, updated_at)
+    VALUES (@userId, @formats, @maxSizeMb, @language, @preferPublishers, @avoidPublishers,
+      @rewriteEpub, @embedCover, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id) DO UPDATE SET
+      formats=@formats, max_size_mb=@maxSizeMb, language=@language,
+      prefer_publishers=@preferPublishers, avoid_publishers=@avoidPublishers,
+      rewrite_epub=COALESCE(@rewriteEpub, rewrite_epub), embed_cover=COALESCE(@embedCover, embed_cover), updated_at=CURRENT_TIMESTAMP
+  `).run({
+    userId,
+    formats: JSON.stringify(prefs.formats),
+    maxSizeMb: prefs.maxSizeMb,
+    language: prefs.language,
+    preferPublishers: JSON.stringify(prefs.preferPublishers),
+    avoidPublishers: JSON.stringify(prefs.avoidPublishers),
+    // Left out: keep what is saved (or the server default)
+    rewriteEpub: input.rewriteEpub === undefined ? null : Number(input.rewriteEpub),
+    embedCover: input.embedCover === undefined ? null : Number(input.embedCover),
+  });
+  return getPreferences(userId);
+}
+
+/** Back to the defaults */
+function resetPreferences(userId) {
+  getDb().prepare('DELETE FROM user_preferences WHERE user_id = ?').run(userId);
+  return getPreferences(userId);
+}
+
+module.exports = {
+  DEFAULTS,
+  getPreferences,
+  setPreferences,
+  resetPreferences,
+};
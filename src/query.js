@@ -0,0 +1,207 @@
+/**
+ * Search query syntax shared by every search entry point (OPDS, OPDS 2.0, REST API, SPA)
+ *
+ *   tolkien "the two towers"          words and quoted phrases
+ *   author:tolkien title:"two towers"  field qualifiers (author:, title:, isbn:, lang:, ext:, year:)
+ *   year:2010..2020  year:..1999  year:2015
+ *   -abridged  -ext:pdf  NOT lang:ru   exclusions
+ *   ext:epub OR ext:mobi  ext:epub,mobi
+ *
+ * Sources send what they can upstream (see upstreamRequest, e.g. libgen's columns[] and
+ * objects[]) and run matchesQuery over the rows they get back for the rest.
+ */
+
+// qualifier -> canonical field
+const FIELD_ALIASES = {
+  author: 'author',
+  a: 'author',
+  title: 'title',
+  t: 'title',
+  isbn: 'isbn',
+  year: 'year',
+  y: 'year',
+  lang: 'lang',
+  language: 'lang',
+  ext: 'ext',
+  format: 'ext',
+};
+
+// Fields the upstream can search as text, with their libgen.li column code
+const TEXT_COLUMNS = { author: 'a', title: 't', isbn: 'i' };
+
+// Common language codes, for lang:en etc.
+const LANGUAGE_CODES = {
+  en: 'english', de: 'german', fr: 'french', es: 'spanish', it: 'italian', pt: 'portuguese',
+  ru: 'russian', nl: 'dutch', pl: 'polish', uk: 'ukrainian', ja: 'japanese', zh: 'chinese',
+};
+
+const LANGUAGE_NAMES = Object.fromEntries(Object.entries(LANGUAGE_CODES).map(([code, name]) => [name, code]));
+
+/** A catalog language as an ISO 639-1 code: "English" → "en"; '' when we can't tell */
+function languageCode(language) {
+  const first = String(language || '').split(/[,;/]/)[0].trim().toLowerCase();
+  if (/^[a-z]{2}(-[a-z]{2,})?$/.test(first)) return first;
+  return LANGUAGE_NAMES[first] || '';
+}
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/** Lower-case, accents stripped, for loose comparisons */
+function normalize(str) {
+  return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function parseYearRange(value) {
+  const m = /^(\d{4})?(?:(\.\.)(\d{4})?)?$/.exec(value);
+  if (!m || (!m[1] && !m[3])) throw new QueryError(`year:${value} — use year:2015, year:2010..2020, year:2010.. or year:..1999`);
+  const min = m[1] ? parseInt(m[1], 10) : null;
+  const max = m[2] ? (m[3] ? parseInt(m[3], 10) : null) : min;
+  if (min !== null && max !== null && min > max) throw new QueryError(`year:${value} — the range is backwards`);
+  return { min, max };
+}
+
+/** Split the raw string into [-]word, [-]"phrase" and [-]field:value / field:"value" tokens */
+function tokenize(raw) {
+  const tokens = [];
+  const re = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const [, minus, field, quoted, word] = m;
+    const value = quoted !== undefined ? quoted : word;
+    if (field && !FIELD_ALIASES[field.toLowerCase()]) {
+      // Not a qualifier we know (e.g. "re:birth"): keep it as a plain word
+      tokens.push({ negate: !!minus, field: null, value: `${field}:${value}`, phrase: false });
+      continue;
+    }
+    tokens.push({ negate: !!minus, field: field ? FIELD_ALIASES[field.toLowerCase()] : null, value, phrase: quoted !== undefined });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a search string
+ * @returns {{ raw: string, words: string[], phrases: string[], filters: object[] }}
+ *   `filters` are { field, values[], negate } for qualifiers and exclusions (field 'text' for
+ *   excluded words, year values are { min, max }).
+ * @throws {QueryError} with a user-facing message
+ */
+function parseQuery(raw) {
+  raw = String(raw || '').trim();
+  const query = { raw, words: [], phrases: [], filters: [] };
+  let negateNext = false;
+  let orPending = false;
+
+  for (const token of tokenize(raw)) {
+    const upper = !token.phrase && !token.field ? token.value.toUpperCase() : '';
+    if (upper === 'AND' && !token.negate) continue;
+    if (upper === 'NOT' && !token.negate) { negateNext = true; continue; }
+    if (upper === 'OR' && !token.negate) {
+      const last = query.filters[query.filters.length - 1];
+      if (!last || last.negate) throw new QueryError('OR joins values of the same field, e.g. ext:epub OR ext:mobi');
+      orPending = true;
+      continue;
+    }
+
+    const negate = token.negate || negateNext;
+    negateNext = false;
+    if (!token.value) continue;
+
+    if (!token.field && !negate) {
+      if (orPending) throw new QueryError('OR joins values of the same field, e.g. ext:epub OR ext:mobi');
+      (token.phrase ? query.phrases : query.words).push(token.value);
+      continue;
+    }
+
+    const field = token.field || 'text';
+    let values = field === 'text' ? [token.value] : token.value.split(',').map((v) => v.trim()).filter(Boolean);
+    if (field === 'year') values = values.map(parseYearRange);
+    if (field === 'isbn') values = values.map((v) => v.replace(/[-\s]/g, ''));
+
+    if (orPending) {
+      const last = query.filters[query.filters.length - 1];
+      if (last.field !== field || negate) throw new QueryError('OR joins values of the same field, e.g. ext:epub OR ext:mobi');
+      last.values.push(...values);
+      orPending = false;
+      continue;
+    }
+    query.filters.push({ field, values, negate });
+  }
+  if (orPending) throw new QueryError('Query ends with OR');
+  return query;
+}
+
+/**
+ * What to ask a libgen-style upstream for: the search words and, when every word comes from
+ * one qualifier (author:…, title:…, isbn:…), just that column.
+ * @returns {{ req: string, columns: string[]|null, objects: string[]|null }} null = source defaults
+ */
+function upstreamRequest(query) {
+  const positive = query.filters.filter((f) => !f.negate && TEXT_COLUMNS[f.field]);
+  const req = [...query.words, ...query.phrases, ...positive.map((f) => f.values[0])].join(' ').trim();
+
+  const fields = [...new Set(positive.map((f) => f.field))];
+  const onlyQualified = query.words.length === 0 && query.phrases.length === 0 && fields.length === 1
+    && positive.every((f) => f.values.length === 1);
+  if (!onlyQualified) return { req, columns: null, objects: null };
+
+  const field = fields[0];
+  // ISBNs live on editions and files
+  return { req, columns: [TEXT_COLUMNS[field]], objects: field === 'isbn' ? ['e', 'f'] : null };
+}
+
+function fieldMatches(book, field, value) {
+  switch (field) {
+    case 'author':
+      return normalize(book.author).includes(normalize(value));
+    case 'title':
+      return normalize(book.title).includes(normalize(value));
+    case 'isbn':
+      // Search rows often carry no ISBN: only rule out books whose ISBNs we know
+      return !book.isbn || String(book.isbn).replace(/[-\s]/g, '').toLowerCase().includes(value.toLowerCase());
+    case 'year': {
+      const year = parseInt(String(book.year || '').match(/\d{4}/)?.[0], 10);
+      if (!year) return false;
+      return (value.min === null || year >= value.min) && (value.max === null || year <= value.max);
+    }
+    case 'lang': {
+      const want = normalize(value);
+      const langs = normalize(book.language).split(/[,;/]/).map((l) => l.trim());
+      return langs.some((l) => l === want || l === LANGUAGE_CODES[want] || l.startsWith(want));
+    }
+    case 'ext':
+      return normalize(book.extension) === normalize(value).replace(/^\./, '');
+    default: {
+      const haystack = normalize(`${book.title} ${book.author} ${book.publisher || ''}`);
+      return haystack.includes(normalize(value));
+    }
+  }
+}
+
+/**
+ * Whether a result row satisfies the parts of the query the upstream could not express:
+ * qualifiers (any of their values), exclusions and exact phrases.
+ */
+function matchesQuery(book, query) {
+  for (const phrase of query.phrases) {
+    if (!fieldMatches(book, 'text', phrase)) return false;
+  }
+  for (const filter of query.filters) {
+    const hit = filter.values.some((v) => fieldMatches(book, filter.field, v));
+    if (hit === filter.negate) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  languageCode,
+  QueryError,
+  parseQuery,
+  upstreamRequest,
+  matchesQuery,
+};
@@ -0,0 +1,256 @@
+/**
+ * Persisted background job queue
+ *
+ * Jobs live in the `jobs` table, so queued work survives restarts; jobs that were running when
+ * the server stopped are queued again. Each job type has one handler:
+ *
+ *   registerHandler(type, handler, { concurrency = 1, maxAttempts = 3, retryDelayMs = 60000 })
+ *   handler(job)  → Promise<object|void>; the result is saved on the job. `job.payload` is the
+ *                   enqueued object, `job.signal` aborts when the job is cancelled and
+ *                   `job.progress(bytes, total)` reports how far it got.
+ *
+ * A handler that throws fails the attempt; the job is retried after retryDelayMs × 2^(attempt-1)
+ * until maxAttempts, unless the error has `permanent = true`. Every status change, and progress
+ * at most every PROGRESS_MS, is emitted as a 'job' event on `events`; removed jobs as 'removed'.
+ */
+
+const { EventEmitter } = require('events');
+const lib = require('./library');
+
+const POLL_MS = 5000;
+const PROGRESS_MS = 500;
+const ACTIVE = ['queued', 'running'];
+
+const handlers = new Map();
+const running = new Map();    // job id -> AbortController
+const live = new Map();       // job id -> { bytes, total, emittedAt } of running jobs, ahead of the table
+const events = new EventEmitter().setMaxListeners(0);   // one pair per open event stream
+let timer = null;
+let started = false;
+let schemaReady = false;
+
+lib.registerUserTable('jobs');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        type         TEXT NOT NULL,
+        payload      TEXT NOT NULL DEFAULT '{}',     -- JSON
+        status       TEXT NOT NULL DEFAULT 'queued',  -- queued | running | completed | failed | cancelled
+        attempts     INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_after    INTEGER NOT NULL DEFAULT 0,      -- ms since epoch
+        error        TEXT DEFAULT '',
+        result       TEXT,                            -- JSON
+        bytes        INTEGER NOT NULL DEFAULT 0,      -- progress
+        total        INTEGER,                         -- NULL = unknown
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, type, run_after);
+      CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, type, created_at);
+    `);
+    lib.ensureColumn('jobs', 'bytes', 'INTEGER NOT NULL DEFAULT 0');
+    lib.ensureColumn('jobs', 'total', 'INTEGER');
+    schemaReady = true;
+  }
+  return db;
+}
+
+function toJob(row) {
+  if (!row) return null;
+  const progress = live.get(row.id) || row;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: row.run_after ? new Date(row.run_after).toISOString() : null,
+    error: row.error || '',
+    result: row.result ? JSON.parse(row.result) : null,
+    bytes: progress.bytes,
+    total: progress.total,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function getJob(id) {
+  return toJob(getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+function update(id, fields) {
+  const sets = Object.keys(fields).map((k) => `${k} = @${k}`).join(', ');
+  getDb().prepare(`UPDATE jobs SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = @id`).run({ ...fields, id });
+  const job = getJob(id);
+  events.emit('job', job);
+  return job;
+}
+
+// ─── Handlers & scheduling ────────────────────────────────────
+
+function registerHandler(type, handler, { concurrency = 1, maxAttempts = 3, retryDelayMs = 60000 } = {}) {
+  handlers.set(type, { handler, concurrency, maxAttempts, retryDelayMs });
+}
+
+function schedule(delay = POLL_MS) {
+  if (!started) return;
+  clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+  timer.unref();
+}
+
+/** Start due jobs on every handler with a free slot */
+function tick() {
+  const d = getDb();
+  for (const [type, config] of handlers) {
+    const busy = [...running.keys()].filter((id) => running.get(id).type === type).length;
+    const free = config.concurrency - busy;
+    if (free <= 0) continue;
+    const due = d.prepare(`
+      SELECT id FROM jobs WHERE type = ? AND status = 'queued' AND run_after <= ? ORDER BY id LIMIT ?
+    `).all(type, Date.now(), free);
+    for (const { id } of due) run(id, config);
+  }
+  schedule();
+}
+
+/** Record a running job's progress: emitted at most every PROGRESS_MS, saved with its next update */
+function reportProgress(id, bytes, total = null) {
+  const entry = live.get(id);
+  if (!entry) return;
+  entry.bytes = bytes;
+  entry.total = total;
+  if (Date.now() - entry.emittedAt < PROGRESS_MS) return;
+  entry.emittedAt = Date.now();
+  events.emit('job', getJob(id));
+}
+
+async function run(id, config) {
+  const controller = new AbortController();
+  controller.type = getJob(id).type;
+  running.set(id, controller);
+  const job = update(id, { status: 'running', attempts: getJob(id).attempts + 1, error: '', bytes: 0, total: null });
+  live.set(id, { bytes: 0, total: null, emittedAt: 0 });
+  const progress = (bytes, total) => reportProgress(id, bytes, total);
+  try {
+    const result = await config.handler({ ...job, signal: controller.signal, progress });
+    if (controller.signal.aborted) update(id, { status: 'cancelled' });
+    else update(id, { status: 'completed', result: JSON.stringify(result ?? null) });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      update(id, { status: 'cancelled', error: '' });
+    } else if (!err.permanent && job.attempts < job.maxAttempts) {
+      const delay = config.retryDelayMs * 2 ** (job.attempts - 1);
+      console.warn(`[Queue] ${job.type} job ${id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${err.message}`);
+      update(id, { status: 'queued', error: err.message, run_after: Date.now() + delay });
+    } else {
+      console.error(`[Queue] ${job.type} job ${id} failed: ${err.message}`);
+      update(id, { status: 'failed', error: err.message });
+    }
+  } finally {
+    const { bytes, total } = live.get(id);
+    live.delete(id);
+    getDb().prepare('UPDATE jobs SET bytes = ?, total = ? WHERE id = ?').run(bytes, total, id);
+    running.delete(id);
+    schedule(0);
+  }
+}
+
+/**
+ * Queue a job
+ * @returns {object} the job
+ */
+function enqueue(type, payload, { userId = 0, maxAttempts } = {}) {
+  const config = handlers.get(type);
+  if (!config) throw new Error(`No handler for ${type} jobs`);
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO jobs (user_id, type, payload, max_attempts, run_after) VALUES (?, ?, ?, ?, ?)
+  `).run(userId, type, JSON.stringify(payload), maxAttempts || config.maxAttempts, Date.now());
+  const job = getJob(lastInsertRowid);
+  events.emit('job', job);
+  schedule(0);
+  return job;
+}
+
+/** Queue a failed or cancelled job again, with fresh attempts */
+function retry(id) {
+  const job = getJob(id);
+  if (!job || !['failed', 'cancelled'].includes(job.status)) return null;
+  const queued = update(id, { status: 'queued', attempts: 0, error: '', run_after: Date.now() });
+  schedule(0);
+  return queued;
+}
+
+/** Cancel a queued job, or signal a running one to stop */
+function cancel(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  if (job.status === 'queued') return update(id, { status: 'cancelled' });
+  if (job.status === 'running' && running.has(id)) running.get(id).abort();
+  return getJob(id);
+}
+
+/** Delete a finished job; returns it, or null when it is missing or still queued or running */
+function removeJob(id) {
+  const job = getJob(id);
+  if (!job || ACTIVE.includes(job.status)) return null;
+  getDb().prepare('DELETE FROM jobs WHERE id = ?').run(id);
+  events.emit('removed', job);
+  return job;
+}
+
+/**
+ * A user's jobs, newest first
+ * @param {{ type?: string, statuses?: string[], limit?: number, offset?: number }} options
+ */
+function listJobs(userId, { type = '', statuses = [], limit = 50, offset = 0 } = {}) {
+  return getDb().prepare(`
+    SELECT * FROM jobs WHERE user_id = @userId AND (@type = '' OR type = @type)
+      AND (@statuses = '[]' OR status IN (SELECT value FROM json_each(@statuses)))
+    ORDER BY id DESC LIMIT @limit OFFSET @offset
+  `).all({ userId, type, statuses: JSON.stringify(statuses), limit, offset }).map(toJob);
+}
+
+/** Finished jobs of a type last updated more than `ms` ago */
+function finishedBefore(type, ms) {
+  return getDb().prepare(`
+    SELECT * FROM jobs WHERE type = ? AND status NOT IN ('queued', 'running')
+      AND updated_at < datetime('now', ?)
+  `).all(type, `-${Math.round(ms / 1000)} seconds`).map(toJob);
+}
+
+/** Requeue jobs a previous run left running, then start processing */
+function startQueue() {
+  if (started) return;
+  const { changes } = getDb().prepare("UPDATE jobs SET status = 'queued' WHERE status = 'running'").run();
+  if (changes) console.log(`[Queue] Requeued ${changes} interrupted job(s)`);
+  started = true;
+  schedule(0);
+}
+
+function getQueueStatus() {
+  const counts = getDb().prepare('SELECT type, status, COUNT(*) as count FROM jobs GROUP BY type, status').all();
+  return { started, running: running.size, counts };
+}
+
+module.exports = {
+  events,
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  retry,
+  cancel,
+  removeJob,
+  finishedBefore,
+  startQueue,
+  getQueueStatus,
+};
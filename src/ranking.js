@@ -0,0 +1,114 @@
+/**
+ * Best-file ranking — score a work's candidate files against the user's preferences
+ * (src/preferences.js) so "the EPUB under 20 MB, not the scanned PDF" comes first.
+ *
+ * Scores add up; ties keep the upstream order:
+ *   format     up to +40 by position in the format list, -20 when not in the list
+ *   size       -50 above maxSizeMb
+ *   language   +20 when it matches, -10 when it is known and different
+ *   publisher  +15 for a preferred one, -40 for an avoided one
+ *   scan       -10 for files that say they are scans
+ */
+
+const { LANGUAGE_CODES } = require('./query');
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/** Bytes from a size column or a "2.5 MB" / "293 kB" string; 0 when unknown */
+function fileBytes(book) {
+  if (book.file_size > 0) return book.file_size;
+  const m = /([\d.,]+)\s*([kmg]?b)/i.exec(book.filesize || '');
+  return m ? Math.round(parseFloat(m[1].replace(',', '.')) * SIZE_UNITS[m[2].toLowerCase()]) : 0;
+}
+
+function languageMatches(bookLanguage, wanted) {
+  const want = LANGUAGE_CODES[wanted] || wanted;
+  return String(bookLanguage).toLowerCase().split(/[,;/]/).map((l) => l.trim())
+    .some((l) => l === want || l === wanted || l.startsWith(wanted));
+}
+
+function publisherIn(publisher, list) {
+  const p = String(publisher || '').toLowerCase();
+  return p !== '' && list.some((name) => p.includes(name));
+}
+
+/**
+ * Score one file
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scoreFile(book, prefs) {
+  let score = 0;
+  const reasons = [];
+  const ext = String(book.extension || '').toLowerCase();
+
+  const rank = prefs.formats.indexOf(ext);
+  if (rank >= 0) {
+    score += Math.round(40 * (1 - rank / prefs.formats.length));
+    reasons.push(`${ext} is format #${rank + 1}`);
+  } else if (prefs.formats.length) {
+    score -= 20;
+    reasons.push(`${ext || 'unknown format'} is not a preferred format`);
+  }
+
+  const bytes = fileBytes(book);
+  if (prefs.maxSizeMb > 0 && bytes > prefs.maxSizeMb * SIZE_UNITS.mb) {
+    score -= 50;
+    reasons.push(`larger than ${prefs.maxSizeMb} MB`);
+  }
+
+  if (prefs.language && book.language) {
+    if (languageMatches(book.language, prefs.language)) {
+      score += 20;
+      reasons.push(`in ${prefs.language}`);
+    } else {
+      score -= 10;
+      reasons.push(`not in ${prefs.language}`);
+    }
+  }
+
+  if (publisherIn(book.publisher, prefs.avoidPublishers)) {
+    score -= 40;
+    reasons.push('avoided publisher');
+  } else if (publisherIn(book.publisher, prefs.preferPublishers)) {
+    score += 15;
+    reasons.push('preferred publisher');
+  }
+
+  if (/\bscan(ned)?\b/i.test(book.title || '')) {
+    score -= 10;
+    reasons.push('scan');
+  }
+
+  return { score, reasons };
+}
+
+/** Files with their `score` and `scoreReasons`, best first (stable) */
+function rankFiles(files, prefs) {
+  return files
+    .map((file) => {
+      const { score, reasons } = scoreFile(file, prefs);
+      return { ...file, score, scoreReasons: reasons };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Put each work's best file in front: the work row becomes that file, its `formats` ranked
+ * Works from src/grouping.js (with `formats`) and single rows are both accepted.
+ * @param {boolean} sortBest also order the works by their best file's score
+ */
+function rankWorks(works, prefs, { sortBest = false } = {}) {
+  const ranked = works.map((work) => {
+    if (!work.formats) return rankFiles([work], prefs)[0];
+    const files = rankFiles(work.formats, prefs);
+    return { ...files[0], formats: files, formatCount: work.formatCount };
+  });
+  return sortBest ? ranked.sort((a, b) => b.score - a.score) : ranked;
+}
+
+module.exports = {
+  fileBytes,
+  scoreFile,
+  rankFiles,
+  rankWorks,
+};
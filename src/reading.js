@@ -0,0 +1,303 @@
+/**
+ * Reading sessions and reading-time statistics
+ *
+ * A session is one stretch of reading a book on one device. Progress updates (web UI,
+ * KOReader sync) extend the device's open session when they arrive within
+ * READING_SESSION_GAP_MINUTES (default 30) of its last update, otherwise they start a
+ * new one. Clients can also log finished sessions through the API.
+ *
+ * Days and weeks (Monday–Sunday) are bucketed in the server's local time zone.
+ */
+
+const lib = require('./library');
+
+const GAP_MS = (parseInt(process.env.READING_SESSION_GAP_MINUTES, 10) || 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Shorter sessions (e.g. a single progress update) say nothing about reading speed
+const MIN_SPEED_SESSION_MS = 60 * 1000;
+// Per-book speeds need this much tracked time before they replace the overall speed
+const MIN_BOOK_SPEED_MS = 5 * 60 * 1000;
+
+let schemaReady = false;
+
+lib.registerUserTable('reading_sessions');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reading_sessions (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id       INTEGER NOT NULL DEFAULT 0,
+        book_id       TEXT NOT NULL,
+        device        TEXT DEFAULT '',
+        started_at    INTEGER NOT NULL,    -- ms since epoch
+        ended_at      INTEGER NOT NULL,
+        start_percent REAL DEFAULT 0,      -- 0.0-1.0
+        end_percent   REAL DEFAULT 0,
+        pages         INTEGER DEFAULT 0,   -- pages read, when the client reports them
+        source        TEXT DEFAULT 'api'   -- api | web | kosync
+      );
+      CREATE INDEX IF NOT EXISTS idx_reading_sessions_user ON reading_sessions(user_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_reading_sessions_book ON reading_sessions(user_id, book_id, ended_at);
+    `);
+    schemaReady = true;
+  }
+  return db;
+}
+
+function clampPercent(value) {
+  return Math.min(1, Math.max(0, parseFloat(value) || 0));
+}
+
+/** Parse an ISO date or ms timestamp */
+function toMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/** YYYY-MM-DD in local time, matching SQLite's 'localtime' modifier */
+function localDay(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function mapSession(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    title: row.title,
+    device: row.device,
+    startedAt: new Date(row.started_at).toISOString(),
+    endedAt: new Date(row.ended_at).toISOString(),
+    seconds: Math.round((row.ended_at - row.started_at) / 1000),
+    startPercent: row.start_percent,
+    endPercent: row.end_percent,
+    pages: row.pages,
+    source: row.source,
+  };
+}
+
+// ─── Recording ────────────────────────────────────────────────
+
+/** Last known position: the latest session's end, else the library's progress */
+function lastPercent(userId, bookId) {
+  const d = getDb();
+  const session = d.prepare(`
+    SELECT end_percent FROM reading_sessions WHERE user_id = ? AND book_id = ? ORDER BY ended_at DESC LIMIT 1
+  `).get(userId, bookId);
+  if (session) return session.end_percent;
+  const row = d.prepare('SELECT MAX(progress) as progress FROM library WHERE user_id = ? AND book_id = ?').get(userId, bookId);
+  return (row && row.progress) || 0;
+}
+
+/**
+ * Feed a progress update into the session log (call before library.progress is updated)
+ * @returns {number} the session id
+ */
+function recordProgress(userId, bookId, percentage, { device = '', source = 'web' } = {}) {
+  const d = getDb();
+  const now = Date.now();
+  const pct = clampPercent(percentage);
+
+  const open = d.prepare(`
+    SELECT id FROM reading_sessions
+    WHERE user_id = ? AND book_id = ? AND device = ? AND ended_at >= ?
+    ORDER BY ended_at DESC LIMIT 1
+  `).get(userId, bookId, device, now - GAP_MS);
+  if (open) {
+    d.prepare('UPDATE reading_sessions SET ended_at = ?, end_percent = ? WHERE id = ?').run(now, pct, open.id);
+    return open.id;
+  }
+
+  return d.prepare(`
+    INSERT INTO reading_sessions (user_id, book_id, device, started_at, ended_at, start_percent, end_percent, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, bookId, device, now, now, lastPercent(userId, bookId), pct, source).lastInsertRowid;
+}
+
+/**
+ * Log a finished session
+ * Throws with a user-facing message on invalid input.
+ */
+function logSession(userId, { bookId, startedAt, endedAt, startPercent, endPercent, pages, device }) {
+  if (!bookId) throw new Error('bookId required');
+  const start = toMs(startedAt);
+  const end = toMs(endedAt) ?? Date.now();
+  if (start === null) throw new Error('startedAt required (ISO date or ms timestamp)');
+  if (end < start) throw new Error('endedAt is before startedAt');
+
+  const id = getDb().prepare(`
+    INSERT INTO reading_sessions (user_id, book_id, device, started_at, ended_at, start_percent, end_percent, pages, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'api')
+  `).run(
+    userId, bookId, String(device || ''), start, end,
+    startPercent === undefined ? lastPercent(userId, bookId) : clampPercent(startPercent),
+    clampPercent(endPercent ?? startPercent), Math.max(0, parseInt(pages, 10) || 0)
+  ).lastInsertRowid;
+  return getSession(userId, id);
+}
+
+function getSession(userId, id) {
+  const row = getDb().prepare(`
+    SELECT s.*, b.title FROM reading_sessions s LEFT JOIN books b ON b.id = s.book_id
+    WHERE s.user_id = ? AND s.id = ?
+  `).get(userId, id);
+  return row ? mapSession(row) : null;
+}
+
+function listSessions(userId, { bookId = null, limit = 50, offset = 0 } = {}) {
+  const where = bookId ? 'AND s.book_id = ?' : '';
+  const params = bookId ? [userId, bookId] : [userId];
+  return getDb().prepare(`
+    SELECT s.*, b.title FROM reading_sessions s LEFT JOIN books b ON b.id = s.book_id
+    WHERE s.user_id = ? ${where}
+    ORDER BY s.started_at DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(mapSession);
+}
+
+function deleteSession(userId, id) {
+  return getDb().prepare('DELETE FROM reading_sessions WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+// ─── Statistics ───────────────────────────────────────────────
+
+/** Current and longest run of consecutive reading days */
+function streaks(days) {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const day of days) {
+    run = prev && Date.parse(day) - Date.parse(prev) === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = day;
+  }
+  const today = localDay(Date.now());
+  const yesterday = localDay(Date.now() - DAY_MS);
+  const current = prev === today || prev === yesterday ? run : 0;
+  return { current, longest, readToday: prev === today };
+}
+
+/** Percent (0-1) and pages read per hour over a set of timed sessions */
+function speedOf(rows) {
+  let ms = 0;
+  let advanced = 0;
+  let pages = 0;
+  for (const r of rows) {
+    ms += r.ms;
+    advanced += r.advanced;
+    pages += r.pages;
+  }
+  const hours = ms / 3600000;
+  return {
+    ms,
+    percentPerHour: hours > 0 && advanced > 0 ? advanced / hours : null,
+    pagesPerHour: hours > 0 && pages > 0 ? pages / hours : null,
+  };
+}
+
+/**
+ * Reading time per day and week, streaks, average speed and time to finish the books being read
+ */
+function getReadingStats(userId, { days = 30, weeks = 12 } = {}) {
+  const d = getDb();
+  const now = Date.now();
+
+  const perDayRows = d.prepare(`
+    SELECT date(started_at / 1000, 'unixepoch', 'localtime') as day,
+           SUM(ended_at - started_at) as ms, COUNT(*) as sessions,
+           SUM(MAX(end_percent - start_percent, 0)) as advanced, SUM(pages) as pages
+    FROM reading_sessions WHERE user_id = ? AND started_at >= ?
+    GROUP BY day
+  `).all(userId, now - (days + 1) * DAY_MS);
+  const byDay = new Map(perDayRows.map((r) => [r.day, r]));
+  const perDay = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = localDay(now - i * DAY_MS);
+    const r = byDay.get(day);
+    perDay.push({
+      day,
+      seconds: r ? Math.round(r.ms / 1000) : 0,
+      sessions: r ? r.sessions : 0,
+      percent: r ? r.advanced : 0,
+      pages: r ? r.pages : 0,
+    });
+  }
+
+  const perWeekRows = d.prepare(`
+    SELECT date(started_at / 1000, 'unixepoch', 'localtime', 'weekday 0', '-6 days') as week,
+           SUM(ended_at - started_at) as ms, COUNT(*) as sessions
+    FROM reading_sessions WHERE user_id = ? AND started_at >= ?
+    GROUP BY week
+  `).all(userId, now - (weeks * 7 + 7) * DAY_MS);
+  const byWeek = new Map(perWeekRows.map((r) => [r.week, r]));
+  const monday = new Date(now);
+  monday.setHours(12, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  const perWeek = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const week = localDay(monday.getTime() - i * 7 * DAY_MS);
+    const r = byWeek.get(week);
+    perWeek.push({ week, seconds: r ? Math.round(r.ms / 1000) : 0, sessions: r ? r.sessions : 0 });
+  }
+
+  const readingDays = d.prepare(`
+    SELECT DISTINCT date(started_at / 1000, 'unixepoch', 'localtime') as day
+    FROM reading_sessions WHERE user_id = ? ORDER BY day
+  `).all(userId).map((r) => r.day);
+
+  const timed = d.prepare(`
+    SELECT book_id, ended_at - started_at as ms, MAX(end_percent - start_percent, 0) as advanced, pages
+    FROM reading_sessions WHERE user_id = ? AND ended_at - started_at >= ?
+  `).all(userId, MIN_SPEED_SESSION_MS);
+  const overall = speedOf(timed);
+
+  const totals = d.prepare(`
+    SELECT COUNT(*) as sessions, COALESCE(SUM(ended_at - started_at), 0) as ms
+    FROM reading_sessions WHERE user_id = ?
+  `).get(userId);
+
+  const timeByBook = new Map(d.prepare(`
+    SELECT book_id, SUM(ended_at - started_at) as ms FROM reading_sessions WHERE user_id = ? GROUP BY book_id
+  `).all(userId).map((r) => [r.book_id, r.ms]));
+
+  const currentlyReading = lib.getLibraryBooks(userId, 'reading', 50, 0).map((book) => {
+    const own = speedOf(timed.filter((t) => t.book_id === book.id));
+    const speed = own.ms >= MIN_BOOK_SPEED_MS && own.percentPerHour ? own.percentPerHour : overall.percentPerHour;
+    const remaining = 1 - (book.progress || 0);
+    return {
+      id: book.id,
+      title: book.title,
+      author: book.author,
+      progress: book.progress || 0,
+      secondsRead: Math.round((timeByBook.get(book.id) || 0) / 1000),
+      percentPerHour: speed,
+      etaSeconds: speed ? Math.round((remaining / speed) * 3600) : null,
+    };
+  });
+
+  return {
+    totals: {
+      sessions: totals.sessions,
+      seconds: Math.round(totals.ms / 1000),
+      todaySeconds: perDay[perDay.length - 1].seconds,
+      weekSeconds: perWeek[perWeek.length - 1].seconds,
+      readingDays: readingDays.length,
+    },
+    streak: streaks(readingDays),
+    speed: { percentPerHour: overall.percentPerHour, pagesPerHour: overall.pagesPerHour },
+    perDay,
+    perWeek,
+    currentlyReading,
+  };
+}
+
+module.exports = {
+  recordProgress,
+  logSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  getReadingStats,
+};
@@ -0,0 +1,307 @@
+/**
+ * Local library scanner
+ *
+ * Walks LOCAL_LIBRARY_DIR, hashes every ebook file (MD5), extracts metadata
+ * from EPUB OPF packages and PDF info dictionaries, and stores the files in
+ * `books` with origin = 'local'. Rescans are incremental: files whose size and
+ * mtime haven't changed are not re-hashed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { openPackage, byLocalName, findEpubCoverHref } = require('./epub');
+const { EXTENSION_MIME } = require('./opds');
+const { koreaderDigest } = require('./kosync');
+const lib = require('./library');
+
+const LIBRARY_DIR = process.env.LOCAL_LIBRARY_DIR ? path.resolve(process.env.LOCAL_LIBRARY_DIR) : null;
+const RESCAN_MS = (parseInt(process.env.LOCAL_RESCAN_SECONDS, 10) || 300) * 1000;
+
+// Only the head and tail of a PDF are searched for the info dictionary
+const PDF_SCAN_BYTES = 1024 * 1024;
+
+let lastScan = null;
+let scanning = null;
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} kB`;
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile() && EXTENSION_MIME[path.extname(entry.name).slice(1).toLowerCase()]) files.push(full);
+  }
+  return files;
+}
+
+function md5File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(file)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Guess title/author from an "Author - Title.ext" file name
+ */
+function metadataFromFilename(file) {
+  const base = path.basename(file, path.extname(file));
+  const [author, ...rest] = base.split(' - ');
+  return rest.length
+    ? { title: rest.join(' - ').trim(), author: author.trim() }
+    : { title: base, author: '' };
+}
+
+// ══════════════════════════════════════════════════════════════
+//  EPUB
+// ══════════════════════════════════════════════════════════════
+
+/** Open an EPUB file and load its OPF package document */
+function openEpub(file) {
+  return openPackage(fs.readFileSync(file));
+}
+
+function readEpubMetadata(file) {
+  const { $ } = openEpub(file);
+  const text = (name) => byLocalName($, name).first().text().trim();
+
+  const identifiers = byLocalName($, 'identifier').map((_i, el) => $(el).text().trim()).get();
+  const isbn = identifiers
+    .map((id) => id.replace(/^urn:isbn:/i, '').replace(/[-\s]/g, ''))
+    .find((id) => /^(97[89])?\d{9}[\dXx]$/.test(id)) || '';
+
+  return {
+    title: text('title'),
+    author: byLocalName($, 'creator').map((_i, el) => $(el).text().trim()).get().filter(Boolean).join(', '),
+    publisher: text('publisher'),
+    language: text('language'),
+    year: text('date').match(/\d{4}/)?.[0] || '',
+    isbn,
+    // Often HTML inside the OPF: keep the text
+    description: cheerio.load(text('description')).text().replace(/\s+/g, ' ').trim(),
+    ...readEpubSeries($),
+    hasCover: !!findEpubCoverHref($),
+  };
+}
+
+/** Series and position: Calibre's <meta name="calibre:series"> or EPUB 3 belongs-to-collection */
+function readEpubSeries($) {
+  const metas = byLocalName($, 'meta');
+  const named = (name) => metas.filter((_i, el) => $(el).attr('name') === name).first().attr('content') || '';
+  let series = named('calibre:series').trim();
+  let position = named('calibre:series_index');
+
+  if (!series) {
+    const collection = metas.filter((_i, el) => $(el).attr('property') === 'belongs-to-collection').first();
+    series = collection.text().trim();
+    const id = collection.attr('id');
+    if (id) {
+      position = metas.filter((_i, el) => $(el).attr('refines') === `#${id}` && $(el).attr('property') === 'group-position')
+        .first().text();
+    }
+  }
+  const index = parseFloat(position);
+  return { series, seriesIndex: series && Number.isFinite(index) ? index : null };
+}
+
+/**
+ * Extract the cover image of an EPUB
+ * @returns {{ data: Buffer, type: string }|null}
+ */
+function readEpubCover(file) {
+  const { zip, $, opfDir } = openEpub(file);
+  const href = findEpubCoverHref($);
+  if (!href) return null;
+  const entry = path.posix.normalize(path.posix.join(opfDir, decodeURIComponent(href)));
+  const data = zip.read(entry);
+  if (!data) return null;
+  const type = /\.png$/i.test(entry) ? 'image/png' : /\.gif$/i.test(entry) ? 'image/gif' : 'image/jpeg';
+  return { data, type };
+}
+
+// ══════════════════════════════════════════════════════════════
+//  PDF
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Decode a PDF string token: literal "(...)" or hex "<...>", PDFDocEncoding or UTF-16BE
+ */
+function decodePdfString(token) {
+  let bytes;
+  if (token.startsWith('<')) {
+    bytes = Buffer.from(token.slice(1, -1).replace(/\s/g, ''), 'hex');
+  } else {
+    const body = token.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_m, esc) => {
+      if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+      return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }[esc] ?? '';
+    });
+    bytes = Buffer.from(body, 'latin1');
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return Buffer.from(bytes.subarray(2)).swap16().toString('utf16le').trim();
+  }
+  return bytes.toString('latin1').trim();
+}
+
+function readPdfMetadata(file) {
+  const { size } = fs.statSync(file);
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunks = [];
+    const headLen = Math.min(size, PDF_SCAN_BYTES);
+    const head = Buffer.alloc(headLen);
+    fs.readSync(fd, head, 0, headLen, 0);
+    chunks.push(head);
+    if (size > PDF_SCAN_BYTES) {
+      const tailLen = Math.min(size - PDF_SCAN_BYTES, PDF_SCAN_BYTES);
+      const tail = Buffer.alloc(tailLen);
+      fs.readSync(fd, tail, 0, tailLen, size - tailLen);
+      chunks.push(tail);
+    }
+    const text = Buffer.concat(chunks).toString('latin1');
+
+    const field = (key) => {
+      const re = new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`, 'g');
+      let value = '';
+      for (const m of text.matchAll(re)) {
+        const decoded = decodePdfString(m[1]);
+        if (decoded) value = decoded; // last one wins: incremental updates append newer info dicts
+      }
+      return value;
+    };
+
+    return {
+      title: field('Title'),
+      author: field('Author'),
+      year: field('CreationDate').match(/\d{4}/)?.[0] || '',
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+//  SCAN
+// ══════════════════════════════════════════════════════════════
+
+function extractMetadata(file, extension) {
+  try {
+    if (extension === 'epub') return readEpubMetadata(file);
+    if (extension === 'pdf') return readPdfMetadata(file);
+  } catch (err) {
+    console.warn(`[Scanner] Could not read metadata from ${file}: ${err.message}`);
+  }
+  return {};
+}
+
+async function runScan(dir) {
+  const started = Date.now();
+  const stats = { scanned: 0, added: 0, updated: 0, unchanged: 0, missing: 0, errors: 0 };
+  const known = new Map(lib.getLocalFiles().map((r) => [r.file_path, r]));
+  const files = walk(dir);
+
+  for (const file of files) {
+    stats.scanned++;
+    try {
+      const stat = fs.statSync(file);
+      const mtime = Math.floor(stat.mtimeMs);
+      const row = known.get(file);
+      if (row && row.file_size === stat.size && row.file_mtime === mtime) {
+        // Files indexed before KOReader sync existed still need their partial MD5
+        if (!row.koreader_digest) lib.setKoreaderDigest(row.id, koreaderDigest(file));
+        stats.unchanged++;
+        continue;
+      }
+
+      const id = await md5File(file);
+      const extension = path.extname(file).slice(1).toLowerCase();
+      const fromName = metadataFromFilename(file);
+      const meta = extractMetadata(file, extension);
+      const existing = lib.getBook(id);
+
+      lib.upsertLocalBook({
+        id,
+        title: meta.title || fromName.title,
+        author: meta.author || fromName.author,
+        isbn: meta.isbn,
+        publisher: meta.publisher,
+        description: meta.description,
+        language: meta.language,
+        year: meta.year,
+        series: meta.series,
+        series_index: meta.seriesIndex,
+        extension,
+        filesize: formatSize(stat.size),
+        cover_url: meta.hasCover ? `local:${id}` : (existing && existing.cover_url) || '',
+        download: `/local/dl/${id}`,
+        file_path: file,
+        file_size: stat.size,
+        file_mtime: mtime,
+        koreader_digest: koreaderDigest(file),
+      });
+
+      // Local files are shared by every account (the "Local Files" feed), not added to a personal library
+      if (!existing || existing.origin !== 'local') stats.added++;
+      else stats.updated++;
+    } catch (err) {
+      stats.errors++;
+      console.error(`[Scanner] ${file}: ${err.message}`);
+    }
+  }
+
+  const present = new Set(files);
+  for (const [file, row] of known) {
+    if (!present.has(file)) {
+      lib.clearLocalFile(row.id);
+      stats.missing++;
+    }
+  }
+
+  lastScan = { ...stats, dir, finishedAt: new Date().toISOString(), durationMs: Date.now() - started };
+  console.log(`[Scanner] ${dir}: ${stats.added} added, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.missing} missing`);
+  return lastScan;
+}
+
+/**
+ * Scan the local library directory (concurrent calls share one running scan)
+ */
+function scanLibrary(dir = LIBRARY_DIR) {
+  if (!dir) return Promise.reject(new Error('LOCAL_LIBRARY_DIR is not configured'));
+  if (!scanning) {
+    scanning = runScan(dir).finally(() => { scanning = null; });
+  }
+  return scanning;
+}
+
+/**
+ * Scan once at startup, then every LOCAL_RESCAN_SECONDS
+ */
+function startScanner() {
+  if (!LIBRARY_DIR) return;
+  const scan = () => scanLibrary().catch((err) => console.error('[Scanner] Scan failed:', err.message));
+  scan();
+  setInterval(scan, RESCAN_MS).unref();
+}
+
+function getScannerStatus() {
+  return { enabled: !!LIBRARY_DIR, dir: LIBRARY_DIR, scanning: !!scanning, lastScan };
+}
+
+module.exports = {
+  scanLibrary,
+  startScanner,
+  getScannerStatus,
+  readEpubMetadata,
+  readEpubCover,
+  readPdfMetadata,
+  md5File,
+};
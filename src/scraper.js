@@ -64,18 +64,22 @@ async function proxyFetch(url, options = {}) {
 //  SEARCH
 // ══════════════════════════════════════════════════════════════
 
+const DEFAULT_COLUMNS = ['t', 'a', 's', 'y', 'p', 'i'];
+const DEFAULT_OBJECTS = ['f', 'e', 's', 'a', 'p', 'w'];
+
 /**
  * Build the full libgen.li search URL
+ * `columns` / `objects` narrow what is searched (see src/query.js upstreamRequest)
  */
-function buildSearchUrl(query, page = 1) {
+function buildSearchUrl(query, page = 1, { columns = null, objects = null } = {}) {
   const params = new URLSearchParams({
     req: query,
     res: '25',
     covers: 'on',
     filesuns: 'all',
   });
-  for (const c of ['t', 'a', 's', 'y', 'p', 'i']) params.append('columns[]', c);
-  for (const o of ['f', 'e', 's', 'a', 'p', 'w']) params.append('objects[]', o);
+  for (const c of columns || DEFAULT_COLUMNS) params.append('columns[]', c);
+  for (const o of objects || DEFAULT_OBJECTS) params.append('objects[]', o);
   for (const t of ['l', 'c', 'f', 'a', 'm', 'r', 's']) params.append('topics[]', t);
   if (page > 1) params.set('page', String(page));
   return `${LIBGEN_BASE}/index.php?${params.toString()}`;
@@ -84,8 +88,8 @@ function buildSearchUrl(query, page = 1) {
 /**
  * Fetch search results HTML from libgen.li
  */
-async function fetchSearchPage(query, page = 1) {
-  const url = buildSearchUrl(query, page);
+async function fetchSearchPage(query, page = 1, options = {}) {
+  const url = buildSearchUrl(query, page, options);
   console.log(`[Search] ${url.substring(0, 80)}...`);
   const res = await proxyFetch(url, { headers: DEFAULT_HEADERS, redirect: 'follow' });
   if (!res.ok) throw new Error(`Search failed: ${res.status} ${res.statusText}`);
@@ -215,17 +219,20 @@ async function getDownloadLink(md5) {
 /**
  * Download a book via libgen: ads.php → get.php → CDN stream
  * @param {string} md5 - The book's MD5 hash
+ * @param {{ range?: string }} [options] - `range` is forwarded as the Range header
  * @returns {Promise<{response: Response|null, error: string|null}>}
+ *   A 416 response is returned as-is so the caller can relay it.
  */
-async function fetchDownload(md5) {
+async function fetchDownload(md5, { range } = {}) {
   try {
     const getLink = await getDownloadLink(md5);
 
-    const res = await proxyFetch(getLink, {
-      headers: { ...DEFAULT_HEADERS, Referer: `${LIBGEN_BASE}/ads.php?md5=${md5}` },
-      redirect: 'follow',
-    });
+    const headers = { ...DEFAULT_HEADERS, Referer: `${LIBGEN_BASE}/ads.php?md5=${md5}` };
+    if (range) headers.Range = range;
+
+    const res = await proxyFetch(getLink, { headers, redirect: 'follow' });
 
+    if (res.status === 416) return { response: res, error: null };
     if (!res.ok) {
       return { response: null, error: `Download failed: HTTP ${res.status}` };
     }
@@ -305,6 +312,7 @@ function setMirror() { return true; }
 function rotateMirror() { return LIBGEN_BASE; }
 
 module.exports = {
+  buildSearchUrl,
   fetchSearchPage,
   parseSearchResults,
   fetchDownload,
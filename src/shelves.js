@@ -0,0 +1,384 @@
+/**
+ * Shelves — named collections of books
+ *
+ * The reading statuses are built-in shelves backed by the `library` table (their ids are
+ * the status names). User shelves live in `shelves` / `shelf_books`: they can be nested
+ * (parent_id), are ordered by `position` among their siblings, keep their books in a
+ * manual order, and can be shared read-only with every other account.
+ *
+ * Smart shelves have a `query` (see src/smartquery.js) instead of manually added books; they
+ * are evaluated live against their owner's library and local files.
+ */
+
+const lib = require('./library');
+const smartquery = require('./smartquery');
+
+/**
+ * Built-in shelves, in display order
+ * `root: false` keeps a shelf out of the root catalog and the book modal's shelf buttons.
+ */
+const BUILTIN_SHELVES = [
+  { id: 'favorite', name: 'Favorites', label: '❤️ Favorite', description: 'Your favorited books', color: '#ef4444' },
+  { id: 'reading', name: 'Currently Reading', label: '📖 Reading', description: 'Books you\'re currently reading', color: '#f59e0b' },
+  { id: 'finished', name: 'Finished', label: '✅ Finished', description: 'Books you\'ve finished reading', color: '#10b981' },
+  { id: 'want-to-read', name: 'Want to Read', label: '📌 Want to Read', description: 'Books on your reading wishlist', color: '#8b5cf6' },
+  { id: 'downloaded', name: 'Downloaded', label: '⬇️ Downloaded', description: 'Books you\'ve downloaded', color: '#3b82f6', root: false },
+];
+
+const MAX_NAME_LENGTH = 100;
+
+let schemaReady = false;
+
+lib.registerUserTable('shelves');
+
+function getDb() {
+  const db = lib.getDb();
+  if (!schemaReady) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS shelves (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 0,
+        parent_id    INTEGER REFERENCES shelves(id) ON DELETE CASCADE,
+        name         TEXT NOT NULL,
+        description  TEXT DEFAULT '',
+        position     INTEGER NOT NULL DEFAULT 0,   -- order among siblings
+        shared       INTEGER NOT NULL DEFAULT 0,   -- 1 = readable by every account
+        query        TEXT,                         -- smart shelf rules, NULL = manual shelf
+        created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_shelves_user ON shelves(user_id, parent_id, position);
+
+      CREATE TABLE IF NOT EXISTS shelf_books (
+        shelf_id     INTEGER NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+        book_id      TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+        position     INTEGER NOT NULL DEFAULT 0,
+        added_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shelf_id, book_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_shelf_books_book ON shelf_books(book_id);
+    `);
+    lib.ensureColumn('shelves', 'query', 'TEXT');
+    schemaReady = true;
+  }
+  return db;
+}
+
+function getBuiltin(id) {
+  return BUILTIN_SHELVES.find((s) => s.id === id) || null;
+}
+
+function isBuiltin(id) {
+  return !!getBuiltin(id);
+}
+
+/** Path of a shelf's feed below /opds or /opds2 (built-ins keep their /library/:status feeds) */
+function shelfPath(shelf) {
+  return shelf.builtin ? `/library/${shelf.id}` : `/shelves/${shelf.id}`;
+}
+
+function compileQuery(query) {
+  return smartquery.compile(query, { statuses: BUILTIN_SHELVES.map((s) => s.id) });
+}
+
+/** Number of books matching a smart shelf's query for its owner (0 if the query no longer compiles) */
+function smartCount(ownerId, query) {
+  try {
+    return lib.countLibraryQuery(ownerId, compileQuery(query));
+  } catch (err) {
+    if (err instanceof smartquery.QueryError) return 0;
+    throw err;
+  }
+}
+
+function mapBuiltin(shelf, userId) {
+  return {
+    ...shelf, builtin: true, smart: false, parentId: null, shared: false, readOnly: false,
+    ownerId: userId, bookCount: lib.getLibraryCount(userId, shelf.id),
+  };
+}
+
+function mapShelf(row, userId) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    parentId: row.parent_id,
+    position: row.position,
+    shared: !!row.shared,
+    builtin: false,
+    smart: row.query !== null,
+    query: row.query,
+    readOnly: row.user_id !== userId,
+    ownerId: row.user_id,
+    owner: row.owner || null,
+    bookCount: row.query !== null ? smartCount(row.user_id, row.query) : row.book_count,
+  };
+}
+
+const SHELF_SELECT = `
+  SELECT s.*, (SELECT COUNT(*) FROM shelf_books sb WHERE sb.shelf_id = s.id) as book_count
+  FROM shelves s
+`;
+
+/** Usernames of shelf owners; the users table only exists once accounts are enabled */
+function withOwners(d, rows) {
+  if (!rows.length || !d.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'users'").get()) return rows;
+  const name = d.prepare('SELECT username FROM users WHERE id = ?');
+  return rows.map((r) => ({ ...r, owner: (name.get(r.user_id) || {}).username || null }));
+}
+
+// ─── Shelves ──────────────────────────────────────────────────
+
+/**
+ * All shelves a user can see: built-ins, their own (parents before children, in order)
+ * and other accounts' shared shelves (read-only)
+ */
+function listShelves(userId) {
+  const d = getDb();
+  const own = d.prepare(`${SHELF_SELECT} WHERE s.user_id = ? ORDER BY s.position, s.id`).all(userId);
+  const shared = withOwners(d, d.prepare(`${SHELF_SELECT} WHERE s.user_id != ? AND s.shared = 1 ORDER BY s.position, s.id`).all(userId));
+
+  // Depth-first so children follow their parent; a child of an unshared parent is shown at the top
+  const rows = [...own, ...shared];
+  const ids = new Set(rows.map((r) => r.id));
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    for (const r of rows) {
+      const parent = r.parent_id !== null && ids.has(r.parent_id) ? r.parent_id : null;
+      if (parent !== parentId) continue;
+      ordered.push({ ...mapShelf(r, userId), depth });
+      visit(r.id, depth + 1);
+    }
+  };
+  visit(null, 0);
+
+  return [...BUILTIN_SHELVES.map((s) => ({ ...mapBuiltin(s, userId), depth: 0 })), ...ordered];
+}
+
+/** Shelves listed in the root catalog: built-ins, then top-level user and shared shelves */
+function rootShelves(userId) {
+  return listShelves(userId)
+    .filter((s) => (s.builtin ? s.root !== false : s.depth === 0))
+    .map((s) => ({ ...s, path: shelfPath(s), title: s.owner && s.readOnly ? `${s.name} (${s.owner})` : s.name }));
+}
+
+/**
+ * A shelf the user can see, by id (status name or number)
+ * @returns {object|null} null when it does not exist or is another account's private shelf
+ */
+function getShelf(userId, id) {
+  const builtin = getBuiltin(id);
+  if (builtin) return mapBuiltin(builtin, userId);
+  const d = getDb();
+  const row = d.prepare(`${SHELF_SELECT} WHERE s.id = ? AND (s.user_id = ? OR s.shared = 1)`).get(parseInt(id, 10), userId);
+  return row ? mapShelf(withOwners(d, [row])[0], userId) : null;
+}
+
+/** A user's own custom shelf row, or null */
+function ownShelfRow(userId, id) {
+  return getDb().prepare('SELECT * FROM shelves WHERE id = ? AND user_id = ?').get(parseInt(id, 10), userId) || null;
+}
+
+/** Visible child shelves, in order */
+function childShelves(userId, id) {
+  if (isBuiltin(id)) return [];
+  const d = getDb();
+  const rows = d.prepare(`${SHELF_SELECT} WHERE s.parent_id = ? AND (s.user_id = ? OR s.shared = 1) ORDER BY s.position, s.id`)
+    .all(parseInt(id, 10), userId);
+  return withOwners(d, rows).map((r) => ({ ...mapShelf(r, userId), path: shelfPath(r) }));
+}
+
+function cleanName(name) {
+  name = String(name || '').trim();
+  if (!name) throw new Error('Shelf name required');
+  if (name.length > MAX_NAME_LENGTH) throw new Error(`Shelf name is longer than ${MAX_NAME_LENGTH} characters`);
+  return name;
+}
+
+/** Validate a new parent for a shelf (own custom shelf, no cycles) */
+function checkParent(userId, parentId, shelfId = null) {
+  if (parentId === null || parentId === undefined || parentId === '') return null;
+  const d = getDb();
+  let current = ownShelfRow(userId, parentId);
+  if (!current) throw new Error('Parent shelf not found');
+  const parent = current.id;
+  while (current) {
+    if (current.id === shelfId) throw new Error('A shelf cannot be nested inside itself');
+    current = current.parent_id ? d.prepare('SELECT id, parent_id FROM shelves WHERE id = ?').get(current.parent_id) : null;
+  }
+  return parent;
+}
+
+/** Validate smart shelf rules; returns the trimmed query */
+function cleanQuery(query) {
+  const error = smartquery.validate(query, { statuses: BUILTIN_SHELVES.map((s) => s.id) });
+  if (error) throw new Error(error);
+  return String(query).trim();
+}
+
+/** Renumber a list of ids 0..n-1 in one table */
+function renumber(d, sql, ids) {
+  const stmt = d.prepare(sql);
+  ids.forEach((id, i) => stmt.run(i, id));
+}
+
+function siblingIds(d, userId, parentId, excludeId = null) {
+  return d.prepare(`
+    SELECT id FROM shelves WHERE user_id = ? AND parent_id IS ? AND id IS NOT ? ORDER BY position, id
+  `).all(userId, parentId, excludeId).map((r) => r.id);
+}
+
+/**
+ * Create a shelf (appended to its siblings); pass `query` for a smart shelf
+ * Throws with a user-facing message on invalid input.
+ */
+function createShelf(userId, { name, description = '', parentId = null, shared = false, query = null }) {
+  const d = getDb();
+  const parent = checkParent(userId, parentId);
+  const rules = query === null || query === undefined ? null : cleanQuery(query);
+  const position = siblingIds(d, userId, parent).length;
+  const id = d.prepare(`
+    INSERT INTO shelves (user_id, parent_id, name, description, position, shared, query) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, parent, cleanName(name), String(description || ''), position, shared ? 1 : 0, rules).lastInsertRowid;
+  return getShelf(userId, id);
+}
+
+/**
+ * Update an own shelf: rename, describe, share, change a smart shelf's query,
+ * move under another parent and/or to a position
+ * @returns {object|null} the updated shelf, null if the user has no such shelf
+ */
+function updateShelf(userId, id, { name, description, parentId, position, shared, query }) {
+  const d = getDb();
+  const row = ownShelfRow(userId, id);
+  if (!row) return null;
+
+  if (query !== undefined && row.query === null) throw new Error('Only smart shelves have a query');
+  const parent = parentId === undefined ? row.parent_id : checkParent(userId, parentId, row.id);
+  d.transaction(() => {
+    d.prepare(`
+      UPDATE shelves SET name = ?, description = ?, shared = ?, parent_id = ?, query = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name === undefined ? row.name : cleanName(name),
+      description === undefined ? row.description : String(description || ''),
+      shared === undefined ? row.shared : (shared ? 1 : 0),
+      parent,
+      query === undefined ? row.query : cleanQuery(query),
+      row.id
+    );
+    if (position !== undefined || parent !== row.parent_id) {
+      const siblings = siblingIds(d, userId, parent, row.id);
+      const at = position === undefined ? siblings.length : Math.min(Math.max(0, parseInt(position, 10) || 0), siblings.length);
+      siblings.splice(at, 0, row.id);
+      renumber(d, 'UPDATE shelves SET position = ? WHERE id = ?', siblings);
+      if (parent !== row.parent_id) {
+        renumber(d, 'UPDATE shelves SET position = ? WHERE id = ?', siblingIds(d, userId, row.parent_id));
+      }
+    }
+  })();
+  return getShelf(userId, row.id);
+}
+
+/** Delete an own shelf and the shelves nested in it */
+function deleteShelf(userId, id) {
+  const d = getDb();
+  const row = ownShelfRow(userId, id);
+  if (!row) return false;
+  d.transaction(() => {
+    d.prepare('DELETE FROM shelves WHERE id = ?').run(row.id);
+    renumber(d, 'UPDATE shelves SET position = ? WHERE id = ?', siblingIds(d, userId, row.parent_id));
+  })();
+  return true;
+}
+
+// ─── Shelf Books ──────────────────────────────────────────────
+
+/**
+ * Books on a shelf the user can see
+ * Built-in and smart shelves: most recently updated first; manual shelves: shelf order.
+ */
+function getShelfBooks(userId, shelf, limit = 50, offset = 0) {
+  if (shelf.builtin) return lib.getLibraryBooks(userId, shelf.id, limit, offset);
+  if (shelf.smart) return lib.queryLibraryBooks(shelf.ownerId, compileQuery(shelf.query), limit, offset);
+  return getDb().prepare(`
+    SELECT b.*, sb.position as shelf_position, sb.added_at as shelf_added_at
+    FROM shelf_books sb JOIN books b ON b.id = sb.book_id
+    WHERE sb.shelf_id = ?
+    ORDER BY sb.position, sb.added_at LIMIT ? OFFSET ?
+  `).all(shelf.id, limit, offset);
+}
+
+/**
+ * Put a book on a shelf (at the end, or at `position`)
+ * Built-in shelves go through the library table.
+ */
+function addBook(userId, shelf, bookId, position) {
+  if (shelf.builtin) return lib.addToLibrary(userId, bookId, shelf.id);
+  const d = getDb();
+  d.transaction(() => {
+    const ids = d.prepare('SELECT book_id FROM shelf_books WHERE shelf_id = ? AND book_id != ? ORDER BY position, added_at')
+      .all(shelf.id, bookId).map((r) => r.book_id);
+    const at = position === undefined || position === null ? ids.length : Math.min(Math.max(0, parseInt(position, 10) || 0), ids.length);
+    ids.splice(at, 0, bookId);
+    d.prepare('INSERT OR IGNORE INTO shelf_books (shelf_id, book_id) VALUES (?, ?)').run(shelf.id, bookId);
+    const stmt = d.prepare('UPDATE shelf_books SET position = ? WHERE shelf_id = ? AND book_id = ?');
+    ids.forEach((id, i) => stmt.run(i, shelf.id, id));
+  })();
+}
+
+function removeBook(userId, shelf, bookId) {
+  if (shelf.builtin) return lib.removeFromLibrary(userId, bookId, shelf.id);
+  getDb().prepare('DELETE FROM shelf_books WHERE shelf_id = ? AND book_id = ?').run(shelf.id, bookId);
+}
+
+/** Set the manual book order of a custom shelf; books not listed keep their order after the listed ones */
+function reorderBooks(shelf, bookIds) {
+  const d = getDb();
+  d.transaction(() => {
+    const current = d.prepare('SELECT book_id FROM shelf_books WHERE shelf_id = ? ORDER BY position, added_at')
+      .all(shelf.id).map((r) => r.book_id);
+    const listed = bookIds.filter((id) => current.includes(id));
+    const order = [...new Set(listed), ...current.filter((id) => !listed.includes(id))];
+    const stmt = d.prepare('UPDATE shelf_books SET position = ? WHERE shelf_id = ? AND book_id = ?');
+    order.forEach((id, i) => stmt.run(i, shelf.id, id));
+  })();
+}
+
+/**
+ * Try out smart shelf rules against the user's library
+ * Throws with a user-facing message when the query does not compile.
+ */
+function previewQuery(userId, query, limit = 12) {
+  const condition = compileQuery(query);
+  return { total: lib.countLibraryQuery(userId, condition), books: lib.queryLibraryBooks(userId, condition, limit, 0) };
+}
+
+/** Ids of the user's own manual shelves that hold a book */
+function getBookShelves(userId, bookId) {
+  return getDb().prepare(`
+    SELECT s.id FROM shelf_books sb JOIN shelves s ON s.id = sb.shelf_id
+    WHERE s.user_id = ? AND sb.book_id = ?
+  `).all(userId, bookId).map((r) => r.id);
+}
+
+module.exports = {
+  BUILTIN_SHELVES,
+  getBuiltin,
+  isBuiltin,
+  shelfPath,
+  listShelves,
+  rootShelves,
+  getShelf,
+  childShelves,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  getShelfBooks,
+  addBook,
+  removeBook,
+  reorderBooks,
+  getBookShelves,
+  previewQuery,
+};
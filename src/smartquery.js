@@ -0,0 +1,222 @@
+/**
+ * Smart shelf query language
+ *
+ * Rules are compiled to a SQL condition over `books b` joined with the owner's aggregated
+ * library rows `l` (see library.queryLibraryBooks). Grammar, keywords case-insensitive:
+ *
+ *   query     := or
+ *   or        := and ( OR and )*
+ *   and       := unary ( ( AND | "," ) unary )*
+ *   unary     := NOT unary | "(" query ")" | rule
+ *   rule      := field op value          language = English, year >= 2015, title ~ "war"
+ *              | status                  reading, favorite, want-to-read, ... (the built-in shelves)
+ *              | UNTOUCHED n DAYS        no library change for n days
+ *              | ADDED WITHIN n DAYS     added to the library in the last n days
+ *   op        := = | != | < | <= | > | >= | ~ (contains)
+ *
+ * e.g.  language = English AND extension = epub AND year >= 2015
+ *       reading, progress < 0.2, untouched 30 days
+ */
+
+const MAX_QUERY_LENGTH = 1000;
+
+// field name -> SQL expression; numeric fields compare as numbers
+const FIELDS = {
+  title: { sql: 'b.title' },
+  author: { sql: 'b.author' },
+  publisher: { sql: 'b.publisher' },
+  language: { sql: 'b.language' },
+  extension: { sql: 'b.extension' },
+  isbn: { sql: 'b.isbn' },
+  origin: { sql: 'b.origin' },
+  status: { sql: 'l.statuses', status: true },
+  year: { sql: "CAST(NULLIF(b.year, '') AS INTEGER)", numeric: true },
+  rating: { sql: "CAST(NULLIF(b.rating, '') AS REAL)", numeric: true },
+  progress: { sql: 'COALESCE(l.progress, 0)', numeric: true },
+};
+const ALIASES = { ext: 'extension', format: 'extension', lang: 'language' };
+
+const OPERATORS = ['>=', '<=', '!=', '=', '<', '>', '~'];
+
+class QueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at character ${position + 1})`);
+    this.name = 'QueryError';
+  }
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if ('(),'.includes(ch)) {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+    const op = OPERATORS.find((o) => input.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = input.indexOf(ch, i + 1);
+      if (end < 0) throw new QueryError('Unterminated string', i);
+      tokens.push({ type: 'string', value: input.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+    const m = /^[^\s(),=<>!~"']+/.exec(input.slice(i));
+    if (!m) throw new QueryError(`Unexpected "${ch}"`, i);
+    tokens.push({ type: 'word', value: m[0], pos: i });
+    i += m[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Compile a query to a SQL condition
+ * @param {string[]} statuses status names usable as bare rules
+ * @returns {{ sql: string, params: Array }}
+ * @throws {QueryError} with a user-facing message
+ */
+function compile(query, { statuses = [] } = {}) {
+  query = String(query || '').trim();
+  if (!query) throw new QueryError('Query is empty');
+  if (query.length > MAX_QUERY_LENGTH) throw new QueryError(`Query is longer than ${MAX_QUERY_LENGTH} characters`);
+
+  const tokens = tokenize(query);
+  let pos = 0;
+  const params = [];
+
+  const peek = () => tokens[pos];
+  const isWord = (t, word) => t && t.type === 'word' && t.value.toLowerCase() === word;
+  const expectNumber = (what) => {
+    const t = tokens[pos++];
+    const n = t && t.type === 'word' ? Number(t.value) : NaN;
+    if (!Number.isFinite(n)) throw new QueryError(`Expected a number for ${what}`, t ? t.pos : query.length);
+    return n;
+  };
+  const skipDays = () => {
+    if (isWord(peek(), 'days') || isWord(peek(), 'day')) pos++;
+  };
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (isWord(peek(), 'or')) {
+      pos++;
+      parts.push(parseAnd());
+    }
+    return parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0];
+  }
+
+  function parseAnd() {
+    const parts = [parseUnary()];
+    while (isWord(peek(), 'and') || (peek() && peek().type === ',')) {
+      pos++;
+      parts.push(parseUnary());
+    }
+    return parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0];
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (!t) throw new QueryError('Query ends early: expected a rule', query.length);
+    if (isWord(t, 'not')) {
+      pos++;
+      return `NOT ${parseUnary()}`;
+    }
+    if (t.type === '(') {
+      pos++;
+      const inner = parseOr();
+      const close = tokens[pos++];
+      if (!close || close.type !== ')') throw new QueryError('Missing ")"', close ? close.pos : query.length);
+      return inner;
+    }
+    return parseRule();
+  }
+
+  function parseRule() {
+    const t = tokens[pos++];
+    if (t.type !== 'word') throw new QueryError(`Unexpected "${t.value || t.type}"`, t.pos);
+    const word = t.value.toLowerCase();
+
+    if (peek() && peek().type === 'op') return parseComparison(t);
+
+    if (statuses.includes(word)) {
+      params.push(`%,${word},%`);
+      return "(',' || COALESCE(l.statuses, '') || ',') LIKE ?";
+    }
+    if (word === 'untouched') {
+      const days = expectNumber('untouched');
+      skipDays();
+      params.push(`-${days} days`);
+      return "COALESCE(l.updated_at, b.created_at) <= datetime('now', ?)";
+    }
+    if (word === 'added') {
+      if (!isWord(peek(), 'within')) throw new QueryError('Expected "added within N days"', t.pos);
+      pos++;
+      const days = expectNumber('added within');
+      skipDays();
+      params.push(`-${days} days`);
+      return "l.added_at >= datetime('now', ?)";
+    }
+    throw new QueryError(`Unknown rule "${t.value}"`, t.pos);
+  }
+
+  function parseComparison(fieldToken) {
+    const name = ALIASES[fieldToken.value.toLowerCase()] || fieldToken.value.toLowerCase();
+    const field = FIELDS[name];
+    if (!field) throw new QueryError(`Unknown field "${fieldToken.value}" (fields: ${Object.keys(FIELDS).join(', ')})`, fieldToken.pos);
+    const op = tokens[pos++].value;
+    const v = tokens[pos++];
+    if (!v || (v.type !== 'word' && v.type !== 'string')) throw new QueryError(`Expected a value after ${op}`, v ? v.pos : query.length);
+
+    if (field.status) {
+      if (op !== '=' && op !== '!=') throw new QueryError('status only supports = and !=', v.pos);
+      params.push(`%,${v.value.toLowerCase()},%`);
+      return `(',' || COALESCE(l.statuses, '') || ',') ${op === '=' ? 'LIKE' : 'NOT LIKE'} ?`;
+    }
+    if (field.numeric) {
+      const n = Number(v.value);
+      if (op === '~' || !Number.isFinite(n)) throw new QueryError(`${name} needs a number and one of = != < <= > >=`, v.pos);
+      params.push(n);
+      return `${field.sql} ${op} ?`;
+    }
+    if (op === '~') {
+      params.push(`%${v.value}%`);
+      return `${field.sql} LIKE ?`;
+    }
+    if (op !== '=' && op !== '!=') throw new QueryError(`${name} is text: use =, != or ~`, v.pos);
+    params.push(v.value);
+    return `COALESCE(${field.sql}, '') ${op} ? COLLATE NOCASE`;
+  }
+
+  const sql = parseOr();
+  if (pos < tokens.length) {
+    const t = tokens[pos];
+    throw new QueryError(`Unexpected "${t.value || t.type}" — join rules with AND, OR or ","`, t.pos);
+  }
+  return { sql, params };
+}
+
+/** Check a query; returns an error message or null */
+function validate(query, options) {
+  try {
+    compile(query, options);
+    return null;
+  } catch (err) {
+    if (err instanceof QueryError) return err.message;
+    throw err;
+  }
+}
+
+module.exports = {
+  FIELDS,
+  QueryError,
+  compile,
+  validate,
+};
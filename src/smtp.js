@@ -0,0 +1,251 @@
+/**
+ * Minimal SMTP client — mails files to e-reader addresses (send-to-device)
+ *
+ *   SMTP_HOST / SMTP_PORT   server; the port defaults to 587, or 465 with SMTP_SECURE=1
+ *   SMTP_SECURE=1           TLS from the first byte; otherwise STARTTLS is used when offered
+ *   SMTP_USER / SMTP_PASS   AUTH PLAIN or LOGIN, when set
+ *   SMTP_FROM               sender address (Kindle only accepts mail from its approved senders)
+ *   SMTP_TLS_INSECURE=1     accept self-signed certificates
+ *
+ * A local sink (MailHog, smtp4dev, `python3 -m aiosmtpd -n -l localhost:1025`) only needs
+ * SMTP_HOST and SMTP_PORT. Replies in the 5xx range fail with `permanent = true`, so the send
+ * queue does not retry them.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const HOST = (process.env.SMTP_HOST || '').trim();
+const SECURE = process.env.SMTP_SECURE === '1';
+const PORT = parseInt(process.env.SMTP_PORT, 10) || (SECURE ? 465 : 587);
+const USER = process.env.SMTP_USER || '';
+const PASS = process.env.SMTP_PASS || '';
+const FROM = (process.env.SMTP_FROM || USER || `library@${os.hostname()}`).trim();
+const TLS_INSECURE = process.env.SMTP_TLS_INSECURE === '1';
+const TIMEOUT_MS = 60000;
+
+function isConfigured() {
+  return !!HOST;
+}
+
+function smtpError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.permanent = code >= 500;
+  return err;
+}
+
+/**
+ * One SMTP conversation: reads replies (multi-line ones joined) and writes commands
+ */
+class Connection {
+  constructor(socket) {
+    this.replies = [];
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', (err) => this.fail(err));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let nl;
+    while ((nl = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, nl).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(nl + 1);
+      this.lines.push(line);
+      // "250-..." continues, "250 ..." ends the reply
+      if (line.length < 4 || line[3] !== '-') {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map((l) => l.slice(4)) };
+        this.lines = [];
+        if (this.waiting) this.settle(null, reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    this.error = this.error || err;
+    if (this.waiting) this.settle(this.error);
+  }
+
+  settle(err, reply) {
+    const { resolve, reject } = this.waiting;
+    this.waiting = null;
+    if (err) reject(err);
+    else resolve(reply);
+  }
+
+  reply() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => { this.waiting = { resolve, reject }; });
+  }
+
+  /** Send a command (or nothing, for the greeting) and expect a reply code starting with `expect` */
+  async command(line, expect, shown = line) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.reply();
+    if (!String(reply.code).startsWith(String(expect))) {
+      throw smtpError(`SMTP ${shown ? `${shown.split(' ')[0]} ` : ''}failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  async startTls() {
+    const plain = this.socket;
+    // The TLS socket reads the data from here on; errors on the raw socket still fail the conversation
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+    const secure = tls.connect({ socket: plain, servername: HOST, rejectUnauthorized: !TLS_INSECURE });
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', () => {
+        secure.removeListener('error', reject);
+        resolve();
+      });
+      secure.once('error', reject);
+    });
+    this.attach(secure);
+  }
+
+  close() {
+    this.socket.end();
+    this.socket.destroy();
+  }
+}
+
+function open() {
+  return new Promise((resolve, reject) => {
+    const socket = SECURE
+      ? tls.connect({ host: HOST, port: PORT, servername: HOST, rejectUnauthorized: !TLS_INSECURE })
+      : net.connect({ host: HOST, port: PORT });
+    socket.once(SECURE ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+// ─── Message ──────────────────────────────────────────────────
+
+/** RFC 2047 encoded word for non-ASCII header text */
+function encodeHeader(str) {
+  str = String(str).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(str) ? str : `=?UTF-8?B?${Buffer.from(str).toString('base64')}?=`;
+}
+
+function base64Lines(data) {
+  return Buffer.from(data).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/** Attachment file name, in the RFC 2231 UTF-8 form when it is not plain ASCII */
+function filenameParams(filename) {
+  if (/^[\x20-\x7e]*$/.test(filename)) return `filename="${filename.replace(/["\\]/g, '')}"`;
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `filename*=UTF-8''${encoded}`;
+}
+
+function buildMessage({ from, to, subject, text, attachments }) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = from.split('@')[1] || os.hostname();
+  const parts = [
+    [
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(text || ''),
+    ].join('\r\n'),
+    ...attachments.map((a) => [
+      `Content-Type: ${a.contentType || 'application/octet-stream'}; name="${encodeHeader(a.filename)}"`,
+      `Content-Disposition: attachment; ${filenameParams(a.filename)}`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(a.data),
+    ].join('\r\n')),
+  ];
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    ...parts.map((p) => `--${boundary}\r\n${p}`),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Send one message
+ * @param {{ to: string, subject: string, text?: string, from?: string,
+ *           attachments?: Array<{ filename: string, contentType?: string, data: Buffer }> }} mail
+ * @returns {Promise<{ response: string }>} the server's reply to the message
+ * @throws {Error} with `permanent = true` for 5xx replies
+ */
+async function sendMail({ to, subject, text = '', from = FROM, attachments = [] }) {
+  if (!isConfigured()) throw smtpError('Email is not set up on this server (SMTP_HOST)', 550);
+  const message = buildMessage({ from, to, subject, text, attachments });
+  const conn = new Connection(await open());
+  try {
+    await conn.command(null, 2);
+    const helo = os.hostname();
+    let ehlo = await conn.command(`EHLO ${helo}`, 2);
+    let extensions = ehlo.lines.slice(1).map((l) => l.toUpperCase());
+
+    if (!SECURE && extensions.some((e) => e.startsWith('STARTTLS'))) {
+      await conn.command('STARTTLS', 2);
+      await conn.startTls();
+      ehlo = await conn.command(`EHLO ${helo}`, 2);
+      extensions = ehlo.lines.slice(1).map((l) => l.toUpperCase());
+    }
+
+    const size = extensions.find((e) => e.startsWith('SIZE '));
+    const limit = size ? parseInt(size.slice(5), 10) : 0;
+    if (limit && message.length > limit) {
+      const mb = (bytes) => Math.round(bytes / 104857.6) / 10;
+      throw smtpError(`The file is too large for the mail server (${mb(message.length)} MB encoded, limit ${mb(limit)} MB)`, 552);
+    }
+
+    if (USER) {
+      const auth = extensions.find((e) => e.startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        await conn.command(`AUTH PLAIN ${Buffer.from(`\0${USER}\0${PASS}`).toString('base64')}`, 235, 'AUTH');
+      } else {
+        await conn.command('AUTH LOGIN', 334);
+        await conn.command(Buffer.from(USER).toString('base64'), 334, 'AUTH');
+        await conn.command(Buffer.from(PASS).toString('base64'), 235, 'AUTH');
+      }
+    }
+
+    await conn.command(`MAIL FROM:<${from}>`, 250);
+    await conn.command(`RCPT TO:<${to}>`, 25);
+    await conn.command('DATA', 354);
+    // Dot-stuffing; the body is base64 so only a header line could start with "."
+    const accepted = await conn.command(`${message.replace(/^\./gm, '..')}\r\n.`, 250, '');
+    await conn.command('QUIT', 221).catch(() => {});
+    return { response: `${accepted.code} ${accepted.lines.join(' ')}` };
+  } finally {
+    conn.close();
+  }
+}
+
+module.exports = {
+  FROM,
+  isConfigured,
+  sendMail,
+};
@@ -0,0 +1,68 @@
+/**
+ * Search-source registry
+ *
+ * A source provider is a plain object implementing:
+ *   name                      → unique id, also the download route prefix (/<name>/dl/:bookId)
+ *   title                     → human-readable name
+ *   search(query, page)       → Promise<{ books, totalPages }>
+ *   details(bookId)           → Promise<object>
+ *   acquire(bookId, options)  → Promise<{ response: Response|null, error: string|null }>
+ *                                options.range is the client's Range header; providers that
+ *                                support it answer 206 with Content-Range (or 416)
+ *   cover(coverUrl)           → Promise<Response>
+ *   cacheable                 → optional, false to bypass the search cache and file store
+ *
+ * Book rows returned by `search` use the same shape as parseSearchResults(),
+ * with `download` pointing at `/<name>/dl/<id>`.
+ */
+
+const sources = new Map();
+
+function registerSource(provider) {
+  for (const op of ['search', 'details', 'acquire', 'cover']) {
+    if (typeof provider[op] !== 'function') {
+      throw new Error(`Source "${provider.name}" is missing ${op}()`);
+    }
+  }
+  sources.set(provider.name, provider);
+  console.log(`[Sources] Registered: ${provider.name}`);
+}
+
+function getSource(name) {
+  return sources.get(name) || null;
+}
+
+function listSources() {
+  return [...sources.values()].map((s) => ({
+    name: s.name,
+    title: s.title,
+    default: s.name === getDefaultSource().name,
+  }));
+}
+
+function getDefaultSource() {
+  return sources.get(process.env.DEFAULT_SOURCE) || sources.values().next().value;
+}
+
+/**
+ * Pick the source for a request: ?source=<name>, falling back to the default
+ * @returns {object|null} null when an unknown source was asked for
+ */
+function resolveSource(req) {
+  const name = req.query.source;
+  if (!name) return getDefaultSource();
+  return getSource(name);
+}
+
+// ─── Built-in providers ───────────────────────────────────────
+
+registerSource(require('./libgen'));
+if (process.env.LOCAL_LIBRARY_DIR) registerSource(require('./local'));
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  getDefaultSource,
+  resolveSource,
+};
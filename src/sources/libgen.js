@@ -0,0 +1,47 @@
+/**
+ * Library Genesis source provider — wraps the libgen.li scraper
+ */
+
+const {
+  fetchSearchPage,
+  parseSearchResults,
+  fetchDownload,
+  fetchBookDetails,
+  fetchCover,
+} = require('../scraper');
+const { QueryError, parseQuery, upstreamRequest, matchesQuery } = require('../query');
+const lib = require('../library');
+
+module.exports = {
+  name: 'libgen',
+  title: 'Library Genesis',
+
+  /**
+   * Qualifiers go upstream as columns[]/objects[] where possible; the rest filter the page
+   * @throws {QueryError} when there is nothing to send upstream (only year:, lang:, ext: or exclusions)
+   */
+  async search(query, page = 1) {
+    const parsed = parseQuery(query);
+    const { req, columns, objects } = upstreamRequest(parsed);
+    if (!req) {
+      throw new QueryError('Add a search term: words, author:, title: or isbn: (year:, lang:, ext: and exclusions only narrow a search)');
+    }
+    const html = await fetchSearchPage(req, page, { columns, objects });
+    const { books, totalPages } = parseSearchResults(html);
+    return { books: books.filter((book) => matchesQuery(book, parsed)), totalPages };
+  },
+
+  /** Book ids are file MD5s; the details page is per edition */
+  details(bookId) {
+    const book = lib.getBook(bookId);
+    return fetchBookDetails((book && book.edition_id) || bookId);
+  },
+
+  acquire(md5, options) {
+    return fetchDownload(md5, options);
+  },
+
+  cover(coverUrl) {
+    return fetchCover(coverUrl);
+  },
+};
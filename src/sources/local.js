@@ -0,0 +1,121 @@
+/**
+ * Local filesystem source provider — serves our own ebook files
+ *
+ * Files under LOCAL_LIBRARY_DIR are indexed into `books` (origin = 'local') by
+ * src/scanner.js; this provider searches those rows and streams the files.
+ * Book ids are the files' MD5 hashes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { EXTENSION_MIME } = require('../opds');
+const { readEpubCover } = require('../scanner');
+const lib = require('../library');
+const { parseQuery, upstreamRequest, matchesQuery } = require('../query');
+
+const PAGE_SIZE = 25;
+
+/** Map a local books row to the scraper's result shape */
+function toResult(row) {
+  return {
+    id: row.id,
+    editionId: '',
+    md5: row.id,
+    title: row.title,
+    author: row.author || 'Unknown Author',
+    publisher: row.publisher,
+    year: row.year,
+    language: row.language,
+    pages: '',
+    isbn: row.isbn,
+    filesize: row.filesize,
+    extension: row.extension,
+    coverUrl: row.cover_url,
+    download: row.download,
+    href: '',
+  };
+}
+
+/**
+ * Parse a single-range "bytes=start-end" header against a file size
+ * @returns {{start: number, end: number}|null|false} null = no/unsupported range, false = unsatisfiable
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (!m[1] && !m[2])) return null;
+  let start;
+  let end;
+  if (!m[1]) {
+    start = Math.max(0, size - parseInt(m[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] ? Math.min(parseInt(m[2], 10), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+function findFile(bookId) {
+  const book = lib.getBook(bookId);
+  if (!book || book.origin !== 'local' || !book.file_path || !fs.existsSync(book.file_path)) return null;
+  return book;
+}
+
+module.exports = {
+  name: 'local',
+  title: 'Local Library',
+  // Already on disk and cheap to query: skip the search cache and file store
+  cacheable: false,
+
+  /** Words go to searchLocalBooks; qualifiers, phrases and exclusions filter the page */
+  async search(query, page = 1) {
+    const parsed = parseQuery(query);
+    const { books, total } = lib.searchLocalBooks(upstreamRequest(parsed).req, PAGE_SIZE, (page - 1) * PAGE_SIZE);
+    return {
+      books: books.filter((book) => matchesQuery(book, parsed)).map(toResult),
+      totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    };
+  },
+
+  async details(bookId) {
+    const book = lib.getBook(bookId);
+    if (!book || book.origin !== 'local') throw new Error('Book not found in local library');
+    return toResult(book);
+  },
+
+  async acquire(bookId, { range } = {}) {
+    const book = findFile(bookId);
+    if (!book) return { response: null, error: 'File not found in local library' };
+
+    const { size } = fs.statSync(book.file_path);
+    const headers = {
+      'Content-Type': EXTENSION_MIME[book.extension] || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(book.file_path))}`,
+      'Accept-Ranges': 'bytes',
+    };
+
+    const r = parseRange(range, size);
+    if (r === false) {
+      return { response: new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } }), error: null };
+    }
+    if (r) {
+      const body = Readable.toWeb(fs.createReadStream(book.file_path, { start: r.start, end: r.end }));
+      headers['Content-Length'] = String(r.end - r.start + 1);
+      headers['Content-Range'] = `bytes ${r.start}-${r.end}/${size}`;
+      return { response: new Response(body, { status: 206, headers }), error: null };
+    }
+
+    headers['Content-Length'] = String(size);
+    return { response: new Response(Readable.toWeb(fs.createReadStream(book.file_path)), { headers }), error: null };
+  },
+
+  /** Covers are addressed as "local:<md5>" and read straight out of the EPUB */
+  async cover(coverUrl) {
+    const book = findFile(String(coverUrl).replace(/^local:/, ''));
+    const cover = book && book.extension === 'epub' ? readEpubCover(book.file_path) : null;
+    if (!cover) throw new Error('Cover not found');
+    return new Response(cover.data, { headers: { 'Content-Type': cover.type } });
+  },
+};
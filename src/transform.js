@@ -0,0 +1,173 @@
+/**
+ * Download transforms — the stage between a source's file and the client
+ *
+ * EPUB metadata rewriting: title, authors (with sort names), language, ISBN and series in the
+ * OPF are replaced with the catalog's cleaned values, and the catalog cover is embedded when the
+ * file has none. Opt-in per user (file preferences `rewriteEpub` / `embedCover`); `?rewrite=1|0`
+ * on a download URL overrides it. The whole file is needed, so files above EPUB_REWRITE_MAX_MB
+ * go out untouched, as does anything the rewriter cannot parse.
+ *
+ * Download names: FILENAME_TEMPLATE (e.g. "{author} - {title}.{ext}") names every download
+ * of a known book, rewritten or not. Files the server produced itself (rewritten, converted,
+ * mailed) have no upstream name to keep, so without a template they are named
+ * "{author} - {title}.{ext}" — or, for books not in the catalog, after the source file.
+ */
+
+const browse = require('./browse');
+const { rewriteEpub } = require('./epub');
+const { preferredCover } = require('./opds');
+const { languageCode } = require('./query');
+const { getSource, getDefaultSource } = require('./sources');
+
+const MAX_REWRITE_BYTES = (parseInt(process.env.EPUB_REWRITE_MAX_MB, 10) || 100) * 1024 * 1024;
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || '';
+const PRODUCED_FILENAME_TEMPLATE = '{author} - {title}.{ext}';
+const MAX_FILENAME_LENGTH = 180;
+
+// ─── EPUB rewriting ───────────────────────────────────────────
+
+/**
+ * Whether this download gets its metadata rewritten
+ * @param {object|null} book - catalog row (unknown books are never rewritten)
+ * @param {object} prefs - the user's file preferences
+ * @param {string} [override] - ?rewrite= from the download URL
+ */
+function wantsRewrite(book, ext, prefs, override) {
+  if (!book || String(ext).toLowerCase() !== 'epub') return false;
+  if (override === '1' || override === 'true') return true;
+  if (override === '0' || override === 'false') return false;
+  return !!prefs.rewriteEpub;
+}
+
+/** OPF metadata for a catalog row */
+function bookMetadata(book) {
+  browse.attachRelated([book]);
+  const { authors, series } = book.related;
+  return {
+    title: book.title || '',
+    authors: authors.map((a) => ({ name: a.name, sortName: a.sortName })),
+    language: languageCode(book.language),
+    isbn: String(book.isbn || '').split(/[,;\s]+/)[0],
+    series: series ? series.name : '',
+    seriesIndex: series ? series.index : null,
+  };
+}
+
+/**
+ * Fetch the book's catalog cover for embedding
+ * @returns {Promise<{ data: Buffer, type: string }|null>}
+ */
+async function fetchCover(book) {
+  const url = preferredCover(book);
+  if (!url) return null;
+  const scheme = url.match(/^([a-z0-9-]+):(?!\/\/)/i)?.[1];
+  const source = (scheme && getSource(scheme)) || getDefaultSource();
+  try {
+    const response = await source.cover(url);
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!response.ok || !['image/jpeg', 'image/png', 'image/gif'].includes(type)) return null;
+    const data = Buffer.from(await response.arrayBuffer());
+    return data.length && data.length <= MAX_COVER_BYTES ? { data, type } : null;
+  } catch (err) {
+    console.warn(`[Transform] Cover fetch failed for ${book.id}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rewrite an EPUB download from the catalog
+ * @returns {Promise<Buffer|null>} the rewritten file, or null to send the original
+ */
+async function rewriteDownload(buffer, book, { embedCover = false } = {}) {
+  if (buffer.length > MAX_REWRITE_BYTES) return null;
+  try {
+    const cover = embedCover ? await fetchCover(book) : null;
+    return rewriteEpub(buffer, bookMetadata(book), { cover });
+  } catch (err) {
+    console.warn(`[Transform] Could not rewrite ${book.id}, sending it as is: ${err.message}`);
+    return null;
+  }
+}
+
+// ─── Download names ───────────────────────────────────────────
+
+function sanitizeFilename(name) {
+  return name
+    .replace(/[/\\:*?"<>|\x00-\x1f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.\-_,]+|[\s\-_,]+$/g, '');
+}
+
+/**
+ * Download file name for a catalog row from FILENAME_TEMPLATE
+ * Placeholders: {author} (first author), {authors}, {title}, {series}, {series_index}, {year},
+ * {publisher}, {language}, {md5}, {ext}. Separators left dangling by empty fields are dropped.
+ * @returns {string|null} null when no template is set or the book is unknown
+ */
+function downloadFilename(book, ext, template = FILENAME_TEMPLATE) {
+  if (!template || !book) return null;
+  if (!book.related) browse.attachRelated([book]);
+  const { authors, series } = book.related;
+  const values = {
+    author: authors[0]?.name || '',
+    authors: authors.map((a) => a.name).join(', '),
+    title: book.title || '',
+    series: series?.name || '',
+    series_index: series && series.index !== null ? String(series.index) : '',
+    year: book.year || '',
+    publisher: book.publisher || '',
+    language: book.language || '',
+    md5: book.id,
+    ext,
+  };
+  const base = template.replace(/\.?\{ext\}$/, '')
+    .replace(/(#?)\{(\w+)\}/g, (m, hash, key) => {
+      if (!(key in values)) return m;
+      const value = sanitizeFilename(String(values[key]));
+      return value && hash + value; // "#{series_index}" goes whole when there is no index
+    })
+    .replace(/([([])\s+/g, '$1').replace(/\s+([)\]])/g, '$1')
+    .replace(/\(\)|\[\]/g, '')
+    .replace(/(\s*-\s*){2,}/g, ' - ');
+  const name = sanitizeFilename(base).slice(0, MAX_FILENAME_LENGTH).trim();
+  return name ? `${name}.${ext}` : null;
+}
+
+/**
+ * Name for a file the server produced (rewritten, converted, mailed), template or not
+ * @param {string} original the source file's name, given the new extension when the book is unknown
+ */
+function producedFilename(book, ext, original = '') {
+  const base = String(original).split(/[\\/]/).pop().replace(/\.[^.]*$/, '').trim();
+  return downloadFilename(book, ext) || downloadFilename(book, ext, PRODUCED_FILENAME_TEMPLATE) || `${base || 'book'}.${ext}`;
+}
+
+/** Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266) */
+function contentDisposition(filename) {
+  const ascii = filename.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+/** The file name in a Content-Disposition header (the UTF-8 form when there is one), or '' */
+function dispositionFilename(header) {
+  const extended = String(header || '').match(/filename\*=UTF-8''([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch { /* fall back to the plain name */ }
+  }
+  const plain = String(header || '').match(/filename="?([^";]*)"?/i);
+  return plain ? plain[1].trim() : '';
+}
+
+module.exports = {
+  MAX_REWRITE_BYTES,
+  wantsRewrite,
+  bookMetadata,
+  rewriteDownload,
+  downloadFilename,
+  producedFilename,
+  contentDisposition,
+  dispositionFilename,
+};
@@ -0,0 +1,169 @@
+/**
+ * Minimal ZIP archive reader and writer (enough for EPUB containers)
+ * Supports stored and deflated entries; no ZIP64, encryption or multi-disk archives.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIG = 0x06054b50;
+const CDIR_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Locate the end-of-central-directory record (scans backwards past any comment)
+ */
+function findEocd(buf) {
+  const min = Math.max(0, buf.length - 0xffff - 22);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a ZIP archive (no end of central directory)');
+}
+
+/**
+ * Parse a ZIP archive held in memory
+ * @param {Buffer} buf
+ * @returns {{ entries: Array<{name, method, crc, size, compressedSize, offset, time, date}>,
+ *   read: (name: string) => Buffer|null, raw: (name: string) => Buffer|null }} raw gives an entry's
+ *   bytes as stored (still compressed), for copying it into another archive
+ */
+function readZip(buf) {
+  const eocd = findEocd(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(p) !== CDIR_SIG) throw new Error('Corrupt ZIP central directory');
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    entries.push({
+      name: buf.toString('utf8', p + 46, p + 46 + nameLen),
+      method: buf.readUInt16LE(p + 10),
+      time: buf.readUInt16LE(p + 12),
+      date: buf.readUInt16LE(p + 14),
+      crc: buf.readUInt32LE(p + 16),
+      compressedSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      offset: buf.readUInt32LE(p + 42),
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  const byName = new Map(entries.map((e) => [e.name, e]));
+
+  function raw(name) {
+    const entry = byName.get(name);
+    if (!entry) return null;
+    const o = entry.offset;
+    if (buf.readUInt32LE(o) !== LOCAL_SIG) throw new Error(`Corrupt ZIP entry: ${name}`);
+    const start = o + 30 + buf.readUInt16LE(o + 26) + buf.readUInt16LE(o + 28);
+    return buf.subarray(start, start + entry.compressedSize);
+  }
+
+  function read(name) {
+    const entry = byName.get(name);
+    if (!entry) return null;
+    const data = raw(name);
+    if (entry.method === 0) return Buffer.from(data);
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+  }
+
+  return { entries, read, raw };
+}
+
+/** MS-DOS time and date fields for a Date */
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive, entries in the order given
+ * Each entry is either `{ name, data }` (compressed here unless `store` is set) or an entry
+ * copied from readZip — `{ name, raw, method, crc, size, time, date }` — written as is.
+ * @returns {Buffer}
+ */
+function writeZip(entries) {
+  const now = dosDateTime(new Date());
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    let { method, crc, size, raw } = entry;
+    if (!raw) {
+      size = entry.data.length;
+      crc = crc32(entry.data);
+      method = entry.store ? 0 : 8;
+      raw = method === 8 ? zlib.deflateRawSync(entry.data) : entry.data;
+    }
+    const name = Buffer.from(entry.name, 'utf8');
+    const flags = /[^\x20-\x7e]/.test(entry.name) ? UTF8_FLAG : 0;
+    const time = entry.time ?? now.time;
+    const date = entry.date ?? now.date;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(raw.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, raw);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CDIR_SIG, 0);
+    header.writeUInt16LE(20, 4);           // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(raw.length, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    offset += 30 + name.length + raw.length;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIG, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...central, eocd]);
+}
+
+module.exports = {
+  readZip,
+  writeZip,
+  crc32,
+};
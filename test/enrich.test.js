@@ -0,0 +1,91 @@
+/**
+ * Enrichment adapters against recorded Open Library and Google Books responses
+ * (test/fixtures/enrich/<adapter>/<isbn>.json)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'enrich-test-'));
+process.env.DB_PATH = path.join(tmp, 'library.db');
+process.env.ENRICH_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'enrich');
+process.env.ENRICH_BACKGROUND = '0';
+delete process.env.ENRICH_ADAPTERS;
+delete process.env.ENRICH_FIXTURES_RECORD;
+
+const lib = require('../src/library');
+const enrich = require('../src/enrich');
+const openlibrary = require('../src/enrich/openlibrary');
+const googlebooks = require('../src/enrich/googlebooks');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+/** fetchJson answering from an adapter's fixtures, like the real one does */
+function fixtures(adapter) {
+  return async (key) => {
+    const file = path.join(process.env.ENRICH_FIXTURES_DIR, adapter, `${key}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  };
+}
+
+test('openlibrary reads the Books API details', async () => {
+  const result = await openlibrary.lookup('9780261103344', fixtures('openlibrary'));
+  assert.deepEqual(result, {
+    description: '',
+    subjects: ['Fantasy fiction', 'Middle Earth (Imaginary place)', 'Bilbo Baggins (Fictitious character)'],
+    series: 'The Middle-earth Universe',
+    pages: 310,
+    cover: 'https://covers.openlibrary.org/b/id/6979861-L.jpg',
+  });
+  assert.equal(await openlibrary.lookup('9780141439518', fixtures('openlibrary')), null);
+});
+
+test('googlebooks strips description markup and cleans the cover link', async () => {
+  const result = await googlebooks.lookup('9780261103344', fixtures('googlebooks'));
+  assert.match(result.description, /^Bilbo Baggins is a hobbit who enjoys a comfortable, unambitious life/);
+  assert.doesNotMatch(result.description, /<|>/);
+  assert.deepEqual(result.subjects, ['Fiction']);
+  assert.equal(result.series, '');
+  assert.equal(result.pages, 304);
+  assert.equal(result.cover, 'https://books.google.com/books/content?id=LLSpngEACAAJ&printsec=frontcover&img=1&zoom=1&source=gbs_api');
+});
+
+test('enrichBook merges both adapters, first one per field, with provenance', async () => {
+  lib.upsertBook({ id: 'hobbit', title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '0-261-10334-2, 978-0-261-10334-4' });
+  const meta = await enrich.enrichBook('hobbit');
+
+  // Open Library comes first and has everything but a description
+  assert.deepEqual(meta.subjects, ['Fantasy fiction', 'Middle Earth (Imaginary place)', 'Bilbo Baggins (Fictitious character)']);
+  assert.equal(meta.series, 'The Middle-earth Universe');
+  assert.equal(meta.pages, 310);
+  assert.equal(meta.coverLarge, 'https://covers.openlibrary.org/b/id/6979861-L.jpg');
+  assert.match(meta.description, /^Bilbo Baggins/);
+
+  const sources = Object.fromEntries(Object.entries(meta.provenance).map(([field, p]) => [field, p.adapter]));
+  assert.deepEqual(sources, {
+    description: 'googlebooks', subjects: 'openlibrary', series: 'openlibrary', pages: 'openlibrary', cover: 'openlibrary',
+  });
+  assert.equal(meta.provenance.pages.isbn, '9780261103344');
+  assert.equal(meta.enrichment.status, 'enriched');
+});
+
+test('enrichBook falls through to Google Books and keeps what the book has', async () => {
+  lib.upsertBook({ id: 'pride', title: 'Pride and Prejudice', isbn: '9780141439518', description: 'From the EPUB.' });
+  const meta = await enrich.enrichBook('pride');
+
+  assert.equal(meta.description, 'From the EPUB.');
+  assert.equal(meta.provenance.description, undefined);
+  assert.equal(meta.pages, 480);
+  assert.equal(meta.provenance.pages.adapter, 'googlebooks');
+  assert.equal(meta.series, undefined);
+});
+
+test('enrichBook records books no adapter knows', async () => {
+  lib.upsertBook({ id: 'unknown', title: 'Nobody', isbn: '9780000000002' });
+  const meta = await enrich.enrichBook('unknown');
+  assert.equal(meta.enrichment.status, 'no-match');
+  assert.deepEqual(meta.provenance, {});
+});
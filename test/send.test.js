@@ -0,0 +1,242 @@
+/**
+ * Send-to-device against a local SMTP sink: the mail it receives, retries and permanent failures,
+ * and which formats each kind of device is sent
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'send-test-'));
+process.env.DB_PATH = path.join(tmp, 'library.db');
+for (const name of ['SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM', 'CONVERT_COMMAND', 'SEND_MAX_MB']) delete process.env[name];
+
+// ─── Sink ─────────────────────────────────────────────────────
+
+const messages = [];
+
+/**
+ * Minimal SMTP server keeping every message it accepts. Recipients decide how it answers:
+ * "refuse@…" gets a 550 and "busy@…" a 451 at RCPT TO
+ */
+const sink = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = {};
+
+  const answer = (line) => {
+    const verb = line.split(/[ :]/)[0].toUpperCase();
+    if (verb === 'EHLO') return '250-sink\r\n250-SIZE 10485760\r\n250 8BITMIME';
+    if (verb === 'MAIL') {
+      envelope = { from: line.match(/<(.*)>/)[1] };
+      return '250 OK';
+    }
+    if (verb === 'RCPT') {
+      envelope.to = line.match(/<(.*)>/)[1];
+      if (envelope.to.startsWith('refuse@')) return '550 5.1.1 No such mailbox';
+      if (envelope.to.startsWith('busy@')) return '451 4.3.0 Try again later';
+      return '250 OK';
+    }
+    if (verb === 'DATA') {
+      inData = true;
+      return '354 End data with <CR><LF>.<CR><LF>';
+    }
+    if (verb === 'QUIT') return '221 Bye';
+    return '502 Command not implemented';
+  };
+
+  socket.write('220 sink ready\r\n');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    for (;;) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        messages.push({ ...envelope, raw: buffer.slice(0, end).replace(/^\.\./gm, '.') });
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 queued as 1\r\n');
+      }
+      const nl = buffer.indexOf('\r\n');
+      if (nl === -1) return;
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 2);
+      socket.write(`${answer(line)}\r\n`);
+    }
+  });
+});
+
+let smtp;
+let devices;
+let lib;
+let queue;
+
+test.before(async () => {
+  await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(sink.address().port);
+  process.env.SMTP_FROM = 'library@example.com';
+  smtp = require('../src/smtp');
+  lib = require('../src/library');
+  queue = require('../src/queue');
+  devices = require('../src/devices');
+
+  devices.startDevices({
+    loadFile: async (userId, book, { convertTo }) => ({
+      data: Buffer.from(`contents of ${book.id}`),
+      filename: `${book.title}.${convertTo || book.extension}`,
+      contentType: 'application/epub+zip',
+    }),
+  });
+  queue.startQueue();
+});
+
+test.after(() => {
+  sink.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+/** Split a message into its headers and MIME parts, with base64 bodies decoded */
+function parseMessage(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = Object.fromEntries(head.split('\r\n').map((l) => [l.slice(0, l.indexOf(':')).toLowerCase(), l.slice(l.indexOf(':') + 2)]));
+  const boundary = headers['content-type'].match(/boundary="([^"]+)"/)[1];
+  const parts = rest.join('\r\n\r\n').split(`--${boundary}`).slice(1, -1).map((part) => {
+    const [partHead, body] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+    return { head: partHead, data: Buffer.from(body.replace(/\s+/g, ''), 'base64') };
+  });
+  return { headers, parts };
+}
+
+/** The next update of a job that has one of the statuses */
+function jobReaches(id, statuses) {
+  return new Promise((resolve) => {
+    const onJob = (job) => {
+      if (job.id !== id || !statuses.includes(job.status)) return;
+      queue.events.off('job', onJob);
+      resolve(job);
+    };
+    queue.events.on('job', onJob);
+  });
+}
+
+// ─── SMTP client ──────────────────────────────────────────────
+
+test('sendMail delivers a multipart message with the attachment', async () => {
+  const data = Buffer.from('PK\u0003\u0004 not really an epub, but binary enough \u0000ÿ');
+  const { response } = await smtp.sendMail({
+    to: 'reader@example.com',
+    subject: 'Война и мир',
+    text: 'War and Peace by Leo Tolstoy\n',
+    attachments: [{ filename: 'Tolstoy - War and Peace.epub', contentType: 'application/epub+zip', data }],
+  });
+  assert.equal(response, '250 2.0.0 queued as 1');
+
+  const message = messages.pop();
+  assert.equal(message.from, 'library@example.com');
+  assert.equal(message.to, 'reader@example.com');
+  const { headers, parts } = parseMessage(message.raw);
+  assert.equal(headers.subject, `=?UTF-8?B?${Buffer.from('Война и мир').toString('base64')}?=`);
+  assert.equal(headers['mime-version'], '1.0');
+  assert.match(headers['content-type'], /^multipart\/mixed; boundary=/);
+  assert.equal(parts.length, 2);
+  assert.equal(parts[0].data.toString(), 'War and Peace by Leo Tolstoy\n');
+  assert.match(parts[1].head, /^Content-Type: application\/epub\+zip; name="Tolstoy - War and Peace.epub"/);
+  assert.match(parts[1].head, /Content-Disposition: attachment; filename="Tolstoy - War and Peace.epub"/);
+  assert.deepEqual(parts[1].data, data);
+});
+
+test('sendMail names non-ASCII attachments in RFC 2231 form only', async () => {
+  await smtp.sendMail({
+    to: 'reader@example.com',
+    subject: 'x',
+    attachments: [{ filename: 'Толстой - Война и мир.epub', data: Buffer.from('x') }],
+  });
+  const { parts } = parseMessage(messages.pop().raw);
+  const disposition = parts[1].head.split('\r\n').find((l) => l.startsWith('Content-Disposition'));
+  assert.equal(disposition, `Content-Disposition: attachment; filename*=UTF-8''${encodeURIComponent('Толстой - Война и мир.epub')}`);
+});
+
+test('a 5xx reply fails with permanent = true, a 4xx reply without', async () => {
+  await assert.rejects(smtp.sendMail({ to: 'refuse@example.com', subject: 'x' }), (err) => {
+    assert.equal(err.code, 550);
+    assert.equal(err.permanent, true);
+    assert.match(err.message, /RCPT failed: 550/);
+    return true;
+  });
+  await assert.rejects(smtp.sendMail({ to: 'busy@example.com', subject: 'x' }), (err) => {
+    assert.equal(err.code, 451);
+    assert.equal(err.permanent, false);
+    return true;
+  });
+});
+
+// ─── Send jobs ────────────────────────────────────────────────
+
+test('sendToDevice mails the book and marks the history row sent', async () => {
+  lib.upsertBook({ id: 'tale', title: 'A Tale', author: 'Someone', extension: 'fb2' });
+  const device = devices.createDevice(0, { name: 'My Kindle', email: 'kindle@example.com', kind: 'kindle' });
+  const { job, historyId } = devices.sendToDevice(0, device, lib.getBook('tale'));
+  const done = await jobReaches(job.id, ['completed', 'failed']);
+
+  assert.equal(done.status, 'completed');
+  assert.equal(done.result.format, 'epub');
+  assert.equal(done.result.filename, 'A Tale.epub');
+  const { parts } = parseMessage(messages.pop().raw);
+  assert.match(parts[1].head, /filename="A Tale.epub"/);
+  assert.equal(parts[1].data.toString(), 'contents of tale');
+
+  const row = lib.getDb().prepare('SELECT * FROM download_history WHERE id = ?').get(historyId);
+  assert.equal(row.status, 'sent');
+  assert.equal(row.delivery, 'My Kindle <kindle@example.com>');
+  assert.equal(row.job_id, job.id);
+});
+
+test('a refused send fails at once, a temporary failure is retried', async () => {
+  lib.upsertBook({ id: 'doc', title: 'Doc', extension: 'pdf' });
+  const book = lib.getBook('doc');
+
+  const refused = devices.createDevice(0, { email: 'refuse@example.com', kind: 'other' });
+  const { job, historyId } = devices.sendToDevice(0, refused, book);
+  const failed = await jobReaches(job.id, ['failed', 'completed']);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.match(failed.error, /550/);
+  assert.equal(lib.getDb().prepare('SELECT status FROM download_history WHERE id = ?').get(historyId).status, 'failed');
+
+  const busy = devices.createDevice(0, { email: 'busy@example.com', kind: 'other' });
+  const { job: retried } = devices.sendToDevice(0, busy, book);
+  const waiting = await jobReaches(retried.id, ['queued', 'failed', 'completed']);
+  assert.equal(waiting.status, 'queued');
+  assert.equal(waiting.attempts, 1);
+  assert.match(waiting.error, /451/);
+  assert.ok(new Date(waiting.runAfter).getTime() > Date.now() + 30000);
+  queue.cancel(retried.id);
+});
+
+// ─── Formats ──────────────────────────────────────────────────
+
+test('deliveryFormat sends Kindles what they take and converts the rest when it can', () => {
+  const kindle = { kind: 'kindle', format: '' };
+  assert.equal(devices.deliveryFormat(kindle, 'epub'), 'epub');
+  assert.equal(devices.deliveryFormat(kindle, 'PDF'), 'pdf');
+  assert.equal(devices.deliveryFormat(kindle, 'fb2'), 'epub');
+  assert.throws(() => devices.deliveryFormat(kindle, 'djvu'), /Kindle does not take DJVU files, and there is no converter/);
+  assert.throws(() => devices.deliveryFormat(kindle, 'mobi'), /Kindle does not take MOBI files/);
+});
+
+test('deliveryFormat sends other devices the file as it is, unless they prefer EPUB', () => {
+  assert.equal(devices.deliveryFormat({ kind: 'pocketbook', format: '' }, 'djvu'), 'djvu');
+  assert.equal(devices.deliveryFormat({ kind: 'pocketbook', format: '' }, 'fb2'), 'fb2');
+  assert.equal(devices.deliveryFormat({ kind: 'other', format: 'epub' }, 'fb2'), 'epub');
+  assert.equal(devices.deliveryFormat({ kind: 'other', format: 'epub' }, 'djvu'), 'djvu');
+});
+
+test('sendToDevice refuses a book the device cannot take', () => {
+  lib.upsertBook({ id: 'scan', title: 'Scan', extension: 'djvu' });
+  const kindle = devices.createDevice(0, { email: 'kindle2@example.com', kind: 'kindle' });
+  assert.throws(() => devices.sendToDevice(0, kindle, lib.getBook('scan')), /Kindle does not take DJVU/);
+});